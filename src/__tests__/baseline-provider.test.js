@@ -0,0 +1,154 @@
+/**
+ * Baseline Provider Unit Tests
+ * Run with: node --test src/__tests__/baseline-provider.test.js
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+
+import {
+  FileBaselineProvider,
+  GitBaselineProvider,
+  createBaselineProvider,
+  getSpecCommit
+} from '../baseline-provider.js';
+
+// ============================================================
+// Fixtures
+// ============================================================
+
+function git(dir, ...args) {
+  return execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], {
+    cwd: dir,
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'pipe']
+  }).trim();
+}
+
+function writeSpec(dir, description) {
+  fs.mkdirSync(path.join(dir, 'specs'), { recursive: true });
+  fs.writeFileSync(path.join(dir, 'specs/api.yaml'), `openapi: 3.0.3\ninfo:\n  title: Tasks\n  version: 1.0.0\n  description: ${description}\npaths: {}\n`);
+}
+
+function commit(dir, message) {
+  git(dir, 'add', '-A');
+  git(dir, 'commit', '-q', '-m', message);
+  return git(dir, 'rev-parse', 'HEAD');
+}
+
+// ============================================================
+// Git Provider Tests
+// ============================================================
+
+describe('GitBaselineProvider', () => {
+  let dir;
+  let specPath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'baseline-git-'));
+    specPath = path.join(dir, 'specs/api.yaml');
+    git(dir, 'init', '-q', '-b', 'main');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should read the spec at the merge base with the default branch', async () => {
+    writeSpec(dir, 'On main');
+    const base = commit(dir, 'Add spec');
+    git(dir, 'checkout', '-q', '-b', 'feature');
+    writeSpec(dir, 'On feature');
+    commit(dir, 'Edit spec');
+
+    const baseline = await new GitBaselineProvider().load(specPath);
+
+    assert.strictEqual(baseline.spec.info.description, 'On main');
+    assert.strictEqual(baseline.source, `git ${base.substring(0, 8)} (merge-base with main)`);
+  });
+
+  it('should prefer the commit recorded in the manifest for this spec', async () => {
+    writeSpec(dir, 'Exported');
+    const exported = commit(dir, 'Add spec');
+    writeSpec(dir, 'Later');
+    commit(dir, 'Edit spec');
+
+    const manifestPath = path.join(dir, 'postman/.sync-manifest.json');
+    fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+    fs.writeFileSync(manifestPath, JSON.stringify({ specPath, specCommit: exported }));
+
+    const baseline = await new GitBaselineProvider({ manifestPath }).load(specPath);
+
+    assert.strictEqual(baseline.spec.info.description, 'Exported');
+    assert.match(baseline.source, /\(manifest\)$/);
+  });
+
+  it('should record the spec commit only while the spec matches it', () => {
+    writeSpec(dir, 'Committed');
+    const head = commit(dir, 'Add spec');
+
+    assert.strictEqual(getSpecCommit(specPath), head);
+
+    writeSpec(dir, 'Uncommitted');
+    assert.strictEqual(getSpecCommit(specPath), null);
+  });
+});
+
+// ============================================================
+// File and Auto Provider Tests
+// ============================================================
+
+describe('createBaselineProvider', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'baseline-file-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should fall back to file snapshots outside a git checkout', async () => {
+    const specPath = path.join(dir, 'api.yaml');
+    const provider = createBaselineProvider({ provider: 'auto' });
+
+    assert.strictEqual(await provider.load(specPath), null);
+
+    const written = await provider.save(specPath, { info: { title: 'Tasks' } });
+    assert.strictEqual(written, path.join(dir, '.sync-baselines', 'api.baseline.json'));
+    assert.deepStrictEqual((await new FileBaselineProvider().load(specPath)).spec, { info: { title: 'Tasks' } });
+  });
+
+  it('should prefer the manifest commit, then snapshots, then the merge base', async () => {
+    const specPath = path.join(dir, 'specs/api.yaml');
+    const manifestPath = path.join(dir, 'postman/.sync-manifest.json');
+    git(dir, 'init', '-q', '-b', 'main');
+    writeSpec(dir, 'On main');
+    const exported = commit(dir, 'Add spec');
+    writeSpec(dir, 'Edited');
+
+    const provider = createBaselineProvider({ provider: 'auto', manifestPath });
+    assert.match((await provider.load(specPath)).source, /\(merge-base with main\)$/);
+
+    // No manifest commit yet: snapshots are saved and win over the merge base
+    assert.ok(await provider.save(specPath, { info: { description: 'Synced' } }));
+    assert.deepStrictEqual((await provider.load(specPath)).spec, { info: { description: 'Synced' } });
+
+    fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+    fs.writeFileSync(manifestPath, JSON.stringify({ specPath, specCommit: exported }));
+
+    const baseline = await provider.load(specPath);
+    assert.strictEqual(baseline.spec.info.description, 'On main');
+    assert.match(baseline.source, /\(manifest\)$/);
+    assert.strictEqual(await provider.save(specPath, { info: { description: 'Later' } }), null);
+  });
+
+  it('should reject unknown providers', () => {
+    assert.throws(() => createBaselineProvider({ provider: 'svn' }), /Unknown baseline provider "svn"/);
+  });
+});
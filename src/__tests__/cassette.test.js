@@ -0,0 +1,232 @@
+/**
+ * Cassette Record/Replay Tests
+ * Run with: node --test src/__tests__/cassette.test.js
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { Cassette, CassetteMismatchError, SCRUBBED_VALUE, getRequestKey, scrubHeaders } from '../cassette.js';
+import { FakePostmanApi } from '../fake-postman-api.js';
+import { SpecHubClient, NotFoundError } from '../spec-hub-client.js';
+import { ReverseSync } from '../reverse-sync.js';
+
+// Nothing listens here: a replaying client that reached the network would fail
+const UNREACHABLE_URL = 'http://127.0.0.1:9';
+
+// ============================================================
+// Fixtures
+// ============================================================
+
+const SPEC = `openapi: 3.0.3
+info:
+  title: Tasks API
+  version: 1.0.0
+servers:
+  - url: https://api.example.com/v1
+tags:
+  - name: Tasks
+paths:
+  /tasks:
+    get:
+      tags: [Tasks]
+      summary: List tasks
+      responses:
+        '200':
+          description: OK
+`;
+
+function findRequest(collection, name) {
+  return collection.item.flatMap(item => item.item || [item]).find(item => item.name === name);
+}
+
+// ============================================================
+// Record and Replay Tests
+// ============================================================
+
+describe('SpecHubClient cassettes', () => {
+  let fake;
+  let dir;
+  let cassettePath;
+
+  beforeEach(async () => {
+    fake = new FakePostmanApi({ port: 0, generationDelay: 30 });
+    await fake.start();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cassette-'));
+    cassettePath = path.join(dir, 'cassettes', 'sync.json');
+  });
+
+  afterEach(async () => {
+    await fake.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function recordingClient() {
+    return new SpecHubClient('secret-key', 'ws-1', {
+      baseUrl: fake.url,
+      pollInterval: 10,
+      cassette: new Cassette(cassettePath, 'record')
+    });
+  }
+
+  function replayingClient(cassette = new Cassette(cassettePath, 'replay')) {
+    return new SpecHubClient(null, 'ws-1', { baseUrl: UNREACHABLE_URL, cassette });
+  }
+
+  it('should replay collection generation and sync without the network', async () => {
+    const recorder = recordingClient();
+    const specId = await recorder.uploadSpec('Tasks API', SPEC);
+    const generatedUid = await recorder.generateOrSyncCollection(specId, 'Tasks API');
+    const syncedUid = await recorder.generateOrSyncCollection(specId, 'Tasks API');
+    await fake.stop();
+
+    const cassette = new Cassette(cassettePath, 'replay');
+    const client = replayingClient(cassette);
+    const started = Date.now();
+
+    assert.strictEqual(await client.uploadSpec('Tasks API', SPEC), specId);
+    assert.strictEqual(await client.generateOrSyncCollection(specId, 'Tasks API'), generatedUid);
+    assert.strictEqual(await client.generateOrSyncCollection(specId, 'Tasks API'), syncedUid);
+
+    assert.deepStrictEqual(cassette.unplayed(), []);
+    // Polls are replayed without their 2s default waits
+    assert.ok(Date.now() - started < 1000);
+  });
+
+  it('should replay polls in recorded order while a generation is pending', async () => {
+    const recorder = recordingClient();
+    const specId = await recorder.uploadSpec('Tasks API', SPEC);
+    await recorder.request('POST', `/specs/${specId}/generations/collection`, { name: 'Tasks API' });
+    await recorder.waitForCollectionGeneration('Tasks API', 15, recorder.now());
+
+    const cassette = new Cassette(cassettePath, 'replay');
+    const polls = cassette.interactions.filter(i => i.request.endpoint === '/collections?workspace=ws-1');
+    assert.ok(polls.length > 1, 'the first poll should happen before the generation finishes');
+
+    const client = replayingClient(cassette);
+    await client.uploadSpec('Tasks API', SPEC);
+    await client.request('POST', `/specs/${specId}/generations/collection`, { name: 'Tasks API' });
+    const collection = await client.waitForCollectionGeneration('Tasks API', 15, client.now());
+
+    assert.strictEqual(collection.name, 'Tasks API');
+    assert.deepStrictEqual(cassette.unplayed(), []);
+  });
+
+  it('should replay a reverse sync of Postman edits', async () => {
+    const specPath = path.join(dir, 'api.yaml');
+    fs.writeFileSync(specPath, SPEC);
+
+    const recorder = recordingClient();
+    const specId = await recorder.uploadSpec('Tasks API', SPEC);
+    const uid = await recorder.generateOrSyncCollection(specId, 'Tasks API');
+    const { collection } = await recorder.getCollection(uid);
+    findRequest(collection, 'List tasks').request.description = 'Returns every task';
+    await recorder.updateCollection(uid, collection);
+
+    const reverseConfig = { baseline: 'file', baselineDir: path.join(dir, '.sync-baselines') };
+    const recorded = await new ReverseSync(recorder, reverseConfig).reverseSync(specPath, uid, { dryRun: true });
+    await fake.stop();
+
+    // Replay the whole session, then the reverse sync from the same point
+    const client = replayingClient();
+    await client.uploadSpec('Tasks API', SPEC);
+    await client.generateOrSyncCollection(specId, 'Tasks API');
+    await client.getCollection(uid);
+    await client.updateCollection(uid, collection);
+    const replayed = await new ReverseSync(client, reverseConfig).reverseSync(specPath, uid, { dryRun: true });
+
+    assert.deepStrictEqual(replayed.changes.safeToSync.map(c => c.path), ['paths./tasks.get.description']);
+    assert.deepStrictEqual(replayed.changes, recorded.changes);
+  });
+
+  it('should scrub the API key from recorded requests', async () => {
+    const recorder = recordingClient();
+    await recorder.uploadSpec('Tasks API', SPEC);
+
+    const content = fs.readFileSync(cassettePath, 'utf8');
+    assert.ok(!content.includes('secret-key'));
+
+    const [interaction] = JSON.parse(content).interactions;
+    assert.strictEqual(interaction.request.headers['X-Api-Key'], SCRUBBED_VALUE);
+    assert.strictEqual(interaction.request.body.name, 'Tasks API');
+  });
+
+  it('should scrub environment secrets from recorded requests and responses', async () => {
+    const values = [
+      { key: 'baseUrl', value: 'https://api.example.com', type: 'default' },
+      { key: 'client_secret', value: 'real-secret', type: 'secret' },
+      { key: 'token', value: 'real-token', type: 'default' },
+      { key: 'password', value: '', type: 'secret' }
+    ];
+    const recorder = recordingClient();
+    const body = { environment: { name: 'Tasks API - Production', values } };
+    const { environment } = await recorder.request('POST', '/environments?workspace=ws-1', body);
+    await recorder.getEnvironment(environment.uid);
+    await fake.stop();
+
+    const content = fs.readFileSync(cassettePath, 'utf8');
+    assert.ok(!content.includes('real-secret') && !content.includes('real-token'));
+
+    const [created, fetched] = JSON.parse(content).interactions;
+    const scrubbed = ['https://api.example.com', SCRUBBED_VALUE, SCRUBBED_VALUE, ''];
+    assert.deepStrictEqual(created.request.body.environment.values.map(v => v.value), scrubbed);
+    assert.deepStrictEqual(fetched.response.body.environment.values.map(v => v.value), scrubbed);
+
+    // Live requests still match the scrubbed recording
+    const client = replayingClient();
+    await client.request('POST', '/environments?workspace=ws-1', body);
+    assert.strictEqual((await client.getEnvironment(environment.uid)).environment.values[1].value, SCRUBBED_VALUE);
+  });
+
+  it('should replay recorded error responses as the same errors', async () => {
+    await assert.rejects(recordingClient().getCollection('missing-uid'), NotFoundError);
+
+    await assert.rejects(replayingClient().getCollection('missing-uid'), NotFoundError);
+  });
+
+  it('should fail on requests the cassette does not contain without retrying', async () => {
+    await recordingClient().getWorkspaceCollections();
+
+    const client = replayingClient();
+    let attempts = 0;
+    const request = client.request.bind(client);
+    client.request = (...args) => {
+      attempts++;
+      return request(...args);
+    };
+
+    await assert.rejects(client.requestWithRetry('GET', '/collections/other-uid'), error =>
+      error instanceof CassetteMismatchError && /GET \/collections\/other-uid/.test(error.message));
+    assert.strictEqual(attempts, 1);
+
+    // Each recorded response is served once
+    await client.getWorkspaceCollections();
+    await assert.rejects(client.getWorkspaceCollections(), CassetteMismatchError);
+  });
+});
+
+// ============================================================
+// Helper Tests
+// ============================================================
+
+describe('cassette helpers', () => {
+  it('should match requests by method, endpoint and body', () => {
+    assert.strictEqual(getRequestKey('get', '/specs'), 'GET /specs');
+    assert.strictEqual(getRequestKey('POST', '/specs', { name: 'A' }), 'POST /specs {"name":"A"}');
+  });
+
+  it('should scrub the API key header in any case', () => {
+    assert.deepStrictEqual(scrubHeaders({ 'x-api-key': 'k', 'Content-Type': 'application/json' }), {
+      'x-api-key': SCRUBBED_VALUE,
+      'Content-Type': 'application/json'
+    });
+  });
+
+  it('should reject unknown modes and missing cassettes', () => {
+    assert.throws(() => new Cassette('cassette.json', 'rewind'), /Unknown cassette mode "rewind"/);
+    assert.throws(() => new Cassette(path.join(os.tmpdir(), 'no-such-cassette.json'), 'replay'), /Cassette not found/);
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * Changelog Unit Tests
+ * Run with: node --test src/__tests__/changelog.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import {
+  CHANGELOG_MARKER,
+  generateChangelog,
+  formatChangelogMarkdown,
+  appendChangelogToDescription,
+  setSpecDescription
+} from '../changelog.js';
+
+import { createMinimalSpec } from './helpers/test-helpers.js';
+
+// ============================================================
+// Fixtures
+// ============================================================
+
+function createBaseSpec() {
+  return createMinimalSpec({
+    info: { title: 'Tasks API', version: '1.0.0' },
+    paths: {
+      '/tasks': {
+        get: {
+          tags: ['Tasks'],
+          summary: 'List tasks',
+          parameters: [{ name: 'limit', in: 'query', schema: { type: 'integer' } }],
+          responses: { '200': { description: 'OK' } }
+        }
+      },
+      '/tasks/{taskId}': {
+        delete: { tags: ['Tasks'], summary: 'Delete task', responses: { '204': { description: 'Deleted' } } }
+      },
+      '/health': {
+        get: { summary: 'Health', responses: { '200': { description: 'OK' } } }
+      }
+    },
+    components: {
+      schemas: {
+        Task: { type: 'object', properties: { id: { type: 'string' } } },
+        Legacy: { type: 'object' }
+      }
+    }
+  });
+}
+
+function createHeadSpec() {
+  const head = createBaseSpec();
+  head.info.version = '1.1.0';
+  delete head.paths['/tasks/{taskId}'];
+  head.paths['/projects'] = { get: { tags: ['Projects'], summary: 'List projects', responses: { '200': { description: 'OK' } } } };
+  head.paths['/tasks'].get.parameters.push({ name: 'status', in: 'query', required: true, schema: { type: 'string' } });
+  head.paths['/tasks'].get.responses['400'] = { description: 'Bad Request' };
+  head.components.schemas.Task.properties.title = { type: 'string' };
+  delete head.components.schemas.Legacy;
+  head.components.schemas.Project = { type: 'object' };
+  return head;
+}
+
+// ============================================================
+// generateChangelog Tests
+// ============================================================
+
+describe('generateChangelog', () => {
+  const changelog = generateChangelog(createBaseSpec(), createHeadSpec());
+  const byTag = Object.fromEntries(changelog.groups.map(group => [group.tag, group]));
+
+  it('should report versions and group operations by tag', () => {
+    assert.strictEqual(changelog.fromVersion, '1.0.0');
+    assert.strictEqual(changelog.toVersion, '1.1.0');
+    assert.strictEqual(changelog.versionChanged, true);
+    assert.deepStrictEqual(changelog.groups.map(group => group.tag), ['Projects', 'Tasks']);
+    assert.deepStrictEqual(byTag.Projects.added, [{ operation: 'GET /projects', name: 'List projects', breaking: false }]);
+    assert.deepStrictEqual(byTag.Tasks.removed, [{ operation: 'DELETE /tasks/{taskId}', name: 'Delete task', breaking: true }]);
+  });
+
+  it('should list parameter and response code changes of modified operations', () => {
+    const [modified] = byTag.Tasks.modified;
+
+    assert.strictEqual(modified.operation, 'GET /tasks');
+    assert.strictEqual(modified.breaking, true);
+    assert.deepStrictEqual(modified.changes.map(c => [c.category, c.rule, c.breaking]), [
+      ['parameters', 'required-parameter-added', true],
+      ['responses', 'response-added', false]
+    ]);
+  });
+
+  it('should list added, removed and modified schemas', () => {
+    assert.deepStrictEqual(changelog.schemas, { added: ['Project'], removed: ['Legacy'], modified: ['Task'] });
+    assert.deepStrictEqual(changelog.summary, { breaking: 2, added: 1, removed: 1, modified: 1, schemasChanged: 3 });
+  });
+});
+
+// ============================================================
+// formatChangelogMarkdown Tests
+// ============================================================
+
+describe('generateChangelog with recursive schemas', () => {
+  // Dereferenced without circular: 'ignore', Node.children.items is Node itself
+  function createRecursiveSpec(version, childDescription) {
+    const node = { type: 'object', properties: { name: { type: 'string' } } };
+    node.properties.children = { type: 'array', description: childDescription, items: node };
+    const tree = { type: 'object', properties: { root: node } };
+
+    return createMinimalSpec({
+      info: { title: 'Tree API', version },
+      paths: {
+        '/tree': { get: { responses: { '200': { description: 'OK', content: { 'application/json': { schema: tree } } } } } }
+      },
+      components: { schemas: { Node: node, Tree: tree } }
+    });
+  }
+
+  it('should only report schemas whose own definition changed', () => {
+    const changelog = generateChangelog(createRecursiveSpec('1.0.0', 'Children'), createRecursiveSpec('1.1.0', 'Child nodes'));
+
+    assert.deepStrictEqual(changelog.schemas, { added: [], removed: [], modified: ['Node'] });
+  });
+
+  it('should report nothing for unchanged recursive schemas', () => {
+    const changelog = generateChangelog(createRecursiveSpec('1.0.0', 'Children'), createRecursiveSpec('1.1.0', 'Children'));
+
+    assert.deepStrictEqual(changelog.schemas, { added: [], removed: [], modified: [] });
+  });
+});
+
+describe('formatChangelogMarkdown', () => {
+  it('should render tag sections with breaking items flagged', () => {
+    const markdown = formatChangelogMarkdown(generateChangelog(createBaseSpec(), createHeadSpec()), { headingLevel: 3 });
+
+    assert.match(markdown, /^### 1\.1\.0\n\nChanges since 1\.0\.0\./);
+    assert.match(markdown, /#### Tasks\n\n\*\*Removed\*\*\n\n- `DELETE \/tasks\/\{taskId\}` - Delete task \*\*BREAKING\*\*/);
+    assert.match(markdown, /  - \*\*BREAKING\*\* query parameter "status": Required parameter added/);
+    assert.match(markdown, /- Removed: `Legacy`/);
+  });
+
+  it('should say when nothing changed', () => {
+    const markdown = formatChangelogMarkdown(generateChangelog(createBaseSpec(), createBaseSpec()));
+
+    assert.match(markdown, /info\.version unchanged/);
+    assert.match(markdown, /No changes\.\n$/);
+  });
+});
+
+// ============================================================
+// Spec Description Tests
+// ============================================================
+
+describe('appendChangelogToDescription', () => {
+  it('should put new entries above earlier ones from Spec Hub', () => {
+    const previous = appendChangelogToDescription('Old text', '', '### 1.0.0\n\nFirst');
+    const description = appendChangelogToDescription('Task API', previous, '### 1.1.0\n\nSecond');
+
+    assert.strictEqual(description, `Task API\n\n${CHANGELOG_MARKER}\n## Changelog\n\n### 1.1.0\n\nSecond\n\n### 1.0.0\n\nFirst\n`);
+  });
+
+  it('should carry over the changelog when there is no new entry', () => {
+    const previous = appendChangelogToDescription('', '', '### 1.0.0\n\nFirst');
+
+    assert.strictEqual(appendChangelogToDescription('Task API', previous, null), `Task API\n\n${CHANGELOG_MARKER}\n## Changelog\n\n### 1.0.0\n\nFirst\n`);
+    assert.strictEqual(appendChangelogToDescription('Task API', 'No changelog yet', null), 'Task API');
+  });
+});
+
+describe('setSpecDescription', () => {
+  it('should keep YAML comments', () => {
+    const content = 'openapi: 3.0.3\n# API metadata\ninfo:\n  title: Tasks\n  version: 1.0.0 # bumped on release\npaths: {}\n';
+    const updated = setSpecDescription(content, 'Line one\nLine two');
+
+    assert.match(updated, /# API metadata/);
+    assert.match(updated, /# bumped on release/);
+    assert.match(updated, /description: \|-?\n\s+Line one\n\s+Line two/);
+  });
+
+  it('should update JSON specs', () => {
+    const updated = JSON.parse(setSpecDescription('{"openapi":"3.0.3","info":{"title":"Tasks"}}', 'Changed'));
+
+    assert.strictEqual(updated.info.description, 'Changed');
+  });
+});
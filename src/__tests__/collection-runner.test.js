@@ -0,0 +1,237 @@
+/**
+ * Collection Runner Unit Tests
+ * Run with: node --test src/__tests__/collection-runner.test.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+
+import { CollectionRunner } from '../collection-runner.js';
+import { createTempDir } from './helpers/test-helpers.js';
+
+// ============================================================
+// Local Test Server
+// ============================================================
+
+let server;
+let baseUrl;
+const received = [];
+
+function startServer() {
+  const tasks = new Map();
+
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ method: req.method, url: req.url, headers: req.headers, body });
+      const send = (code, payload) => {
+        res.writeHead(code, { 'Content-Type': 'application/json' });
+        res.end(payload === undefined ? '' : JSON.stringify(payload));
+      };
+
+      if (req.headers.authorization !== 'Bearer secret-token') {
+        return send(401, { error: 'Unauthorized' });
+      }
+
+      const match = req.url.match(/^\/tasks(?:\/([^/?]+))?/);
+      if (!match) return send(404, { error: 'Not Found' });
+
+      if (req.method === 'POST' && !match[1]) {
+        const task = { id: `task-${tasks.size + 1}`, ...JSON.parse(body || '{}') };
+        tasks.set(task.id, task);
+        return send(201, task);
+      }
+      if (req.method === 'GET' && match[1]) {
+        return tasks.has(match[1]) ? send(200, tasks.get(match[1])) : send(404, { error: 'Not Found' });
+      }
+      if (req.method === 'GET') return send(200, [...tasks.values()]);
+
+      return send(405, { error: 'Method Not Allowed' });
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      resolve();
+    });
+  });
+}
+
+function testEvent(lines) {
+  return [{ listen: 'test', script: { type: 'text/javascript', exec: lines } }];
+}
+
+function createCollection(items) {
+  return {
+    info: { name: 'Runner Test API', schema: 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json' },
+    auth: { type: 'bearer', bearer: [{ key: 'token', value: '{{bearerToken}}', type: 'string' }] },
+    variable: [{ key: 'createdId', value: '' }],
+    item: items
+  };
+}
+
+const environment = () => ({ baseUrl, bearerToken: 'secret-token' });
+
+// ============================================================
+// CollectionRunner Tests
+// ============================================================
+
+describe('CollectionRunner', () => {
+  before(startServer);
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  it('should send requests with resolved variables and auth', async () => {
+    const runner = new CollectionRunner();
+    const collection = createCollection([{
+      name: 'List tasks',
+      request: { method: 'GET', url: { raw: '{{baseUrl}}/tasks?limit=5', query: [{ key: 'limit', value: '5' }] } },
+      event: testEvent(['pm.test("Status code is 200", function () {', '    pm.response.to.have.status(200);', '});'])
+    }]);
+
+    const run = await runner.runCollection(collection, environment());
+    const last = received[received.length - 1];
+
+    assert.strictEqual(last.url, '/tasks?limit=5');
+    assert.strictEqual(last.headers.authorization, 'Bearer secret-token');
+    assert.strictEqual(run.requests[0].code, 200);
+    assert.deepStrictEqual(run.requests[0].tests, [{ name: 'Status code is 200', passed: true, error: null }]);
+    assert.deepStrictEqual(run.stats, { requests: 1, failedRequests: 0, tests: 1, passed: 1, failed: 0 });
+  });
+
+  it('should record failing assertions per test', async () => {
+    const runner = new CollectionRunner();
+    const collection = createCollection([{
+      name: 'Unauthenticated',
+      request: { method: 'GET', url: '{{baseUrl}}/tasks', auth: { type: 'noauth' } },
+      event: testEvent([
+        'pm.test("Status code is 200", function () { pm.response.to.have.status(200); });',
+        'pm.test("Status is 401", function () { pm.expect(pm.response.code).to.be.oneOf([401, 403]); });'
+      ])
+    }]);
+
+    const run = await runner.runCollection(collection, environment());
+    const [failing, passing] = run.requests[0].tests;
+
+    assert.strictEqual(received[received.length - 1].headers.authorization, undefined);
+    assert.strictEqual(failing.passed, false);
+    assert.match(failing.error, /expected response to have status code/);
+    assert.strictEqual(passing.passed, true);
+    assert.strictEqual(run.stats.failedRequests, 1);
+  });
+
+  it('should carry collection variables and path variables between requests', async () => {
+    const runner = new CollectionRunner();
+    const collection = createCollection([{
+      name: 'Lifecycle',
+      item: [
+        {
+          name: 'Create',
+          request: {
+            method: 'POST',
+            url: '{{baseUrl}}/tasks',
+            body: { mode: 'raw', raw: '{"title": "Write tests"}', options: { raw: { language: 'json' } } }
+          },
+          event: testEvent(['pm.collectionVariables.set("createdId", pm.response.json().id);'])
+        },
+        {
+          name: 'Read',
+          request: {
+            method: 'GET',
+            url: { raw: '{{baseUrl}}/tasks/:taskId', variable: [{ key: 'taskId', value: '{{createdId}}' }] }
+          },
+          event: testEvent(['pm.test("Found created task", function () {', '    pm.expect(pm.response.json().title).to.equal("Write tests");', '});'])
+        }
+      ]
+    }]);
+
+    const run = await runner.runCollection(collection, environment());
+    const create = received[received.length - 2];
+
+    assert.strictEqual(create.headers['content-type'], 'application/json');
+    assert.match(received[received.length - 1].url, /^\/tasks\/task-\d+$/);
+    assert.deepStrictEqual(run.requests[1].folders, ['Lifecycle']);
+    assert.strictEqual(run.requests[1].tests[0].passed, true);
+  });
+
+  it('should validate pm.response.to.have.jsonSchema with formats', async () => {
+    const runner = new CollectionRunner();
+    const schema = JSON.stringify({
+      type: 'array',
+      items: { type: 'object', required: ['id', 'due'], properties: { due: { type: 'string', format: 'date' } } }
+    });
+    const collection = createCollection([
+      {
+        name: 'Create',
+        request: { method: 'POST', url: '{{baseUrl}}/tasks', body: { mode: 'raw', raw: '{"due": "not-a-date"}' } }
+      },
+      {
+        name: 'List',
+        request: { method: 'GET', url: '{{baseUrl}}/tasks' },
+        event: testEvent([`pm.test("Response matches schema", function () { pm.response.to.have.jsonSchema(${schema}); });`])
+      }
+    ]);
+
+    const run = await runner.runCollection(collection, environment());
+    const [test] = run.requests[1].tests;
+
+    assert.strictEqual(test.passed, false);
+    assert.match(test.error, /Response does not match schema/);
+  });
+
+  it('should report script errors and network errors', async () => {
+    const runner = new CollectionRunner({ timeout: 2000 });
+    const collection = createCollection([
+      {
+        name: 'Broken script',
+        request: { method: 'GET', url: '{{baseUrl}}/tasks' },
+        event: testEvent(['undefinedFunction();'])
+      },
+      {
+        name: 'Unreachable',
+        request: { method: 'GET', url: 'http://127.0.0.1:1/tasks' }
+      }
+    ]);
+
+    const run = await runner.runCollection(collection, environment());
+
+    assert.strictEqual(run.requests[0].tests[0].name, 'test script error');
+    assert.match(run.requests[0].tests[0].error, /undefinedFunction is not defined/);
+    assert.ok(run.requests[1].error);
+    assert.strictEqual(run.stats.failedRequests, 2);
+  });
+
+  it('should only run the selected folder', async () => {
+    const runner = new CollectionRunner({ folder: 'Tasks' });
+    const collection = createCollection([
+      { name: 'Tasks', item: [{ name: 'List', request: { method: 'GET', url: '{{baseUrl}}/tasks' } }] },
+      { name: 'Other', request: { method: 'GET', url: '{{baseUrl}}/other' } }
+    ]);
+
+    const run = await runner.runCollection(collection, environment());
+
+    assert.deepStrictEqual(run.requests.map(request => request.name), ['List']);
+  });
+
+  it('should load exported environments, skipping disabled values', () => {
+    const tempDir = createTempDir();
+    const envPath = path.join(tempDir.path, 'test.environment.json');
+    fs.writeFileSync(envPath, JSON.stringify({
+      name: 'Test',
+      values: [
+        { key: 'baseUrl', value: 'http://localhost:4010', enabled: true },
+        { key: 'limit', value: '20', enabled: false }
+      ]
+    }));
+
+    try {
+      assert.deepStrictEqual(new CollectionRunner().loadEnvironment(envPath), { baseUrl: 'http://localhost:4010' });
+    } finally {
+      tempDir.cleanup();
+    }
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Conflict Resolver Unit Tests
+ * Run with: node --test src/__tests__/conflict-resolver.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PassThrough, Writable } from 'stream';
+
+import {
+  ConflictResolver,
+  RESOLUTION,
+  formatSideBySide,
+  getOperationKey,
+  valueHash,
+  loadDecisions,
+  saveDecisions
+} from '../conflict-resolver.js';
+import { SpecMerge } from '../spec-merge.js';
+
+// ============================================================
+// Fixtures
+// ============================================================
+
+const baseSpec = {
+  info: { description: 'Base' },
+  paths: {
+    '/tasks': {
+      get: { summary: 'List', description: 'Lists tasks' }
+    }
+  }
+};
+
+const localSpec = {
+  info: { description: 'Local' },
+  paths: {
+    '/tasks': {
+      get: { summary: 'List (local)', description: 'Lists tasks locally' }
+    }
+  }
+};
+
+const changes = [
+  { path: 'paths./tasks.get.summary', kind: 'E', newValue: 'List (Postman)', hasConflict: true },
+  { path: 'paths./tasks.get.description', kind: 'E', newValue: 'Lists tasks in Postman', hasConflict: true },
+  { path: 'info.description', kind: 'E', newValue: 'Remote', hasConflict: true }
+];
+
+/**
+ * Resolver whose prompts are answered in order
+ */
+function createScriptedResolver(answers, options = {}) {
+  const input = new PassThrough();
+  const remaining = [...answers];
+  const prompts = [];
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      const text = chunk.toString();
+      if (text.trimEnd().endsWith('>')) {
+        prompts.push(text);
+        setImmediate(() => input.write(`${remaining.shift()}\n`));
+      }
+      callback();
+    }
+  });
+
+  return { resolver: new ConflictResolver({ input, output, interactive: true, ...options }), prompts };
+}
+
+// ============================================================
+// Formatting Tests
+// ============================================================
+
+describe('formatSideBySide', () => {
+  it('should render base, local and remote columns', () => {
+    const text = formatSideBySide([
+      { title: 'base', value: 'a' },
+      { title: 'local', value: undefined },
+      { title: 'remote', value: { id: 1 } }
+    ], { width: 50 });
+
+    assert.deepStrictEqual(text.split('\n'), [
+      'base           | local          | remote',
+      '-------------- | -------------- | --------------',
+      'a              | (absent)       | {',
+      '               |                |   "id": 1',
+      '               |                | }'
+    ]);
+  });
+
+  it('should color lines that differ from the base', () => {
+    const text = formatSideBySide([{ title: 'base', value: 'same' }, { title: 'remote', value: 'new' }], { width: 40, colors: true });
+
+    assert.match(text.split('\n')[2], /^\x1b\[31msame.*\x1b\[33mnew/);
+  });
+
+  it('should group changes by operation', () => {
+    assert.strictEqual(getOperationKey(['paths', '/tasks', 'get', 'summary']), 'GET /tasks');
+    assert.strictEqual(getOperationKey(['info', 'description']), 'info');
+  });
+});
+
+// ============================================================
+// ConflictResolver Tests
+// ============================================================
+
+describe('ConflictResolver', () => {
+  it('should apply an operation-wide choice to the rest of the operation', async () => {
+    const { resolver, prompts } = createScriptedResolver(['R', 'l']);
+
+    const resolved = await resolver.resolve(changes, { baseSpec, localSpec });
+
+    assert.deepStrictEqual(resolved.map(c => c.resolution), [RESOLUTION.REMOTE, RESOLUTION.REMOTE, RESOLUTION.LOCAL]);
+    assert.strictEqual(prompts.length, 2);
+  });
+
+  it('should use an inline edit as the new value', async () => {
+    const { resolver } = createScriptedResolver(['x', 'e', '{"text": "Merged"}']);
+
+    const [resolved] = await resolver.resolve(changes.slice(2), { baseSpec, localSpec });
+
+    assert.strictEqual(resolved.resolution, RESOLUTION.EDIT);
+    assert.deepStrictEqual(resolved.newValue, { text: 'Merged' });
+    assert.deepStrictEqual(resolver.getRecordedDecisions()[0].value, { text: 'Merged' });
+  });
+
+  it('should replay recorded decisions only while the remote value is unchanged', async () => {
+    const resolver = new ConflictResolver({
+      interactive: false,
+      decisions: [
+        { path: 'paths./tasks.get.summary', remoteHash: valueHash('List (Postman)'), choice: RESOLUTION.SKIP },
+        { path: 'info.description', remoteHash: valueHash('Older remote'), choice: RESOLUTION.REMOTE }
+      ]
+    });
+
+    const resolved = await resolver.resolve(changes, { baseSpec, localSpec });
+
+    assert.deepStrictEqual(resolved.map(c => c.resolution), [RESOLUTION.SKIP, undefined, undefined]);
+  });
+
+  it('should save and load decisions, replacing earlier entries', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'decisions-'));
+    const file = path.join(dir, 'nested', 'decisions.json');
+
+    try {
+      saveDecisions(file, [{ path: 'info.description', remoteHash: 'abc', choice: RESOLUTION.LOCAL }]);
+      saveDecisions(file, [{ path: 'info.description', remoteHash: 'abc', choice: RESOLUTION.REMOTE }]);
+
+      assert.deepStrictEqual(loadDecisions(file), [{ path: 'info.description', remoteHash: 'abc', choice: RESOLUTION.REMOTE }]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+// ============================================================
+// SpecMerge Integration
+// ============================================================
+
+describe('SpecMerge with interactive resolutions', () => {
+  it('should apply remote and edited values and skip the rest', () => {
+    const merger = new SpecMerge({ conflictStrategy: 'interactive' });
+
+    const result = merger.mergeSpecs(localSpec, localSpec, [
+      { ...changes[0], resolution: RESOLUTION.REMOTE },
+      { ...changes[1], resolution: RESOLUTION.LOCAL },
+      { ...changes[2], resolution: RESOLUTION.EDIT, newValue: 'Edited' },
+      { path: 'paths./tasks.get.operationId', kind: 'N', newValue: 'listTasks', hasConflict: true }
+    ]);
+
+    assert.strictEqual(result.spec.paths['/tasks'].get.summary, 'List (Postman)');
+    assert.strictEqual(result.spec.paths['/tasks'].get.description, 'Lists tasks locally');
+    assert.strictEqual(result.spec.info.description, 'Edited');
+    assert.deepStrictEqual(result.skipped.map(c => c.reason), ['Resolved - kept local', 'Unresolved - no decision']);
+  });
+});
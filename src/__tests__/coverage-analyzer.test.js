@@ -0,0 +1,139 @@
+/**
+ * Coverage Analyzer Unit Tests
+ * Run with: node --test src/__tests__/coverage-analyzer.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import { analyzeCoverage, extractAssertedStatusCodes, formatCoverageTable } from '../coverage-analyzer.js';
+
+import { createMinimalSpec } from './helpers/test-helpers.js';
+
+// ============================================================
+// Fixtures
+// ============================================================
+
+const api = createMinimalSpec({
+  servers: [{ url: 'https://api.example.com/v1' }],
+  paths: {
+    '/tasks': {
+      get: {
+        parameters: [
+          { name: 'limit', in: 'query', schema: { type: 'integer' } },
+          { name: 'status', in: 'query', schema: { type: 'string' } }
+        ],
+        responses: { '200': { description: 'OK' }, '400': { description: 'Bad Request' } }
+      },
+      post: {
+        requestBody: { content: { 'application/json': { schema: { type: 'object' } } } },
+        responses: { '201': { description: 'Created' }, '4XX': { description: 'Client error' } }
+      }
+    },
+    '/tasks/{taskId}': {
+      parameters: [{ name: 'taskId', in: 'path', required: true, schema: { type: 'string' } }],
+      get: { responses: { '200': { description: 'OK' }, '404': { description: 'Not Found' } } },
+      delete: { responses: { '204': { description: 'Deleted' } } }
+    }
+  }
+});
+
+function item(method, url, testLines = []) {
+  return {
+    name: `${method} ${typeof url === 'string' ? url : url.raw}`,
+    request: { method, url },
+    event: testLines.length > 0 ? [{ listen: 'test', script: { exec: testLines } }] : []
+  };
+}
+
+const collection = {
+  info: { name: 'Tasks' },
+  item: [{
+    name: 'Tasks',
+    item: [
+      item('GET', {
+        raw: '{{baseUrl}}/tasks?limit=10',
+        path: ['tasks'],
+        query: [{ key: 'limit', value: '10' }, { key: 'status', value: 'pending', disabled: true }]
+      }, ['pm.test("ok", function () { pm.response.to.have.status(200); });']),
+      {
+        ...item('POST', '{{baseUrl}}/v1/tasks', ['pm.expect(pm.response.code).to.be.within(400, 499);']),
+        request: { method: 'POST', url: '{{baseUrl}}/v1/tasks', body: { mode: 'raw', raw: '{}' } }
+      },
+      item('GET', { raw: '{{baseUrl}}/tasks/:taskId', path: ['tasks', ':taskId'], variable: [{ key: 'taskId' }] }),
+      item('GET', '{{baseUrl}}/projects', ['pm.response.to.have.status(200);'])
+    ]
+  }]
+};
+
+// ============================================================
+// analyzeCoverage Tests
+// ============================================================
+
+describe('analyzeCoverage', () => {
+  const report = analyzeCoverage(api, [collection]);
+  const byKey = Object.fromEntries(report.operations.map(op => [op.key, op]));
+
+  it('should report requests and tests per operation', () => {
+    assert.strictEqual(byKey['get|/tasks'].requests, 1);
+    assert.strictEqual(byKey['get|/tasks'].tested, true);
+    assert.strictEqual(byKey['get|/tasks/{taskId}'].requests, 1);
+    assert.strictEqual(byKey['get|/tasks/{taskId}'].tested, false, 'Requests without test scripts are untested');
+    assert.strictEqual(byKey['delete|/tasks/{taskId}'].requests, 0);
+  });
+
+  it('should match requests that include the server base path', () => {
+    assert.strictEqual(byKey['post|/tasks'].requests, 1);
+    assert.deepStrictEqual(report.unmatched, ['get|/projects']);
+  });
+
+  it('should compare asserted status codes to documented ones, including ranges', () => {
+    assert.deepStrictEqual(byKey['get|/tasks'].statusCodes.missing, ['400']);
+    assert.deepStrictEqual(byKey['post|/tasks'].statusCodes.asserted, ['4XX']);
+    assert.deepStrictEqual(byKey['post|/tasks'].statusCodes.missing, ['201']);
+  });
+
+  it('should list exercised and missing parameters, ignoring disabled ones', () => {
+    assert.deepStrictEqual(byKey['get|/tasks'].parameters.exercised, ['query.limit']);
+    assert.deepStrictEqual(byKey['get|/tasks'].parameters.missing, ['query.status']);
+    assert.deepStrictEqual(byKey['post|/tasks'].parameters.exercised, ['body']);
+    assert.deepStrictEqual(byKey['get|/tasks/{taskId}'].parameters.exercised, ['path.taskId']);
+  });
+
+  it('should summarize coverage percentages', () => {
+    assert.deepStrictEqual(report.summary, {
+      operations: 4,
+      withRequests: 3,
+      tested: 2,
+      coverage: 50,
+      statusCodes: { documented: 7, asserted: 2, coverage: 28.6 },
+      parameters: { documented: 5, exercised: 3, coverage: 60 }
+    });
+  });
+
+  it('should format a table with one row per operation', () => {
+    const lines = formatCoverageTable(report).split('\n');
+
+    assert.strictEqual(lines.length, 2 + report.operations.length);
+    assert.match(lines[0], /^Method\s+Path\s+Requests\s+Tested\s+Codes\s+Unasserted\s+Params\s+Unexercised$/);
+    assert.match(lines[2], /^GET\s+\/tasks\s+1\s+yes\s+1\/2\s+400\s+1\/2\s+query\.status$/);
+  });
+});
+
+// ============================================================
+// extractAssertedStatusCodes Tests
+// ============================================================
+
+describe('extractAssertedStatusCodes', () => {
+  it('should recognize generated and common assertion styles', () => {
+    const script = [
+      'pm.response.to.have.status(201);',
+      'pm.expect(pm.response.code).to.be.oneOf([400, 422]);',
+      'pm.expect(pm.response.code).to.equal(404);',
+      'pm.expect(pm.response.code).to.be.within(500, 599);',
+      'pm.response.to.be.ok;'
+    ].join('\n');
+
+    assert.deepStrictEqual(extractAssertedStatusCodes(script).sort(), ['200', '201', '400', '404', '422', '5XX']);
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Fake Postman API Tests
+ * Run with: node --test src/__tests__/fake-postman-api.test.js
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+
+import { FakePostmanApi } from '../fake-postman-api.js';
+import { SpecHubClient, AuthenticationError } from '../spec-hub-client.js';
+import { ForkWorkflow } from '../fork-workflow.js';
+
+const execFileAsync = promisify(execFile);
+const CLI_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'cli.js');
+
+// ============================================================
+// Fixtures
+// ============================================================
+
+const SPEC = `openapi: 3.0.3
+info:
+  title: Tasks API
+  version: 1.0.0
+servers:
+  - url: https://api.example.com/v1
+tags:
+  - name: Tasks
+paths:
+  /tasks:
+    get:
+      tags: [Tasks]
+      summary: List tasks
+      responses:
+        '200':
+          description: OK
+  /tasks/{taskId}:
+    get:
+      tags: [Tasks]
+      summary: Get task
+      parameters:
+        - name: taskId
+          in: path
+          required: true
+          schema:
+            type: string
+      responses:
+        '200':
+          description: OK
+`;
+
+function findRequest(collection, name) {
+  const items = collection.item.flatMap(item => item.item || [item]);
+  return items.find(item => item.name === name);
+}
+
+// ============================================================
+// Client Tests
+// ============================================================
+
+describe('FakePostmanApi', () => {
+  let fake;
+  let client;
+
+  beforeEach(async () => {
+    fake = new FakePostmanApi({ port: 0, generationDelay: 20 });
+    const baseUrl = await fake.start();
+    client = new SpecHubClient('test-key', 'ws-1', { baseUrl, pollInterval: 10 });
+  });
+
+  afterEach(async () => {
+    await fake.stop();
+  });
+
+  it('should generate collections in the background and sync them with spec updates', async () => {
+    const specId = await client.uploadSpec('Tasks API', SPEC);
+    const uid = await client.generateOrSyncCollection(specId, 'Tasks API');
+
+    const generated = (await client.getCollection(uid)).collection;
+    assert.deepStrictEqual(generated.item.map(folder => folder.name), ['Tasks']);
+    assert.deepStrictEqual(findRequest(generated, 'Get task').request.url.path, ['tasks', ':taskId']);
+    assert.strictEqual(generated.variable[0].value, 'https://api.example.com/v1');
+
+    const updated = SPEC.replace('      summary: Get task', '      summary: Fetch task');
+    await client.uploadSpec('Tasks API', updated, specId);
+    assert.strictEqual(await client.generateOrSyncCollection(specId, 'Tasks API'), uid);
+
+    const synced = (await client.getCollection(uid)).collection;
+    assert.ok(findRequest(synced, 'Fetch task'));
+    assert.strictEqual((await client.getWorkspaceCollections()).length, 1);
+  });
+
+  it('should return collection edits through the OpenAPI transformation', async () => {
+    const specId = await client.uploadSpec('Tasks API', SPEC);
+    const uid = await client.generateOrSyncCollection(specId, 'Tasks API');
+
+    const { collection } = await client.getCollection(uid);
+    findRequest(collection, 'List tasks').request.description = 'Returns every task';
+    collection.item[0].item = collection.item[0].item.filter(item => item.name !== 'Get task');
+    await client.updateCollection(uid, collection);
+
+    const transformed = await client.getCollectionAsOpenApi(uid);
+    assert.strictEqual(transformed.paths['/tasks'].get.description, 'Returns every task');
+    assert.strictEqual(transformed.paths['/tasks'].get.summary, 'List tasks');
+    assert.strictEqual(transformed.paths['/tasks/{taskId}'], undefined);
+  });
+
+  it('should paginate lists and reject other API keys', async () => {
+    await fake.stop();
+    fake = new FakePostmanApi({ port: 0, apiKey: 'test-key', pageSize: 1 });
+    const baseUrl = await fake.start();
+    client = new SpecHubClient('test-key', 'ws-1', { baseUrl });
+
+    for (const name of ['A', 'B', 'C']) {
+      fake.addCollection({ name, workspace: 'ws-1' });
+    }
+    fake.addCollection({ name: 'Elsewhere', workspace: 'ws-2' });
+
+    assert.deepStrictEqual((await client.getWorkspaceCollections()).map(c => c.name), ['A', 'B', 'C']);
+    await assert.rejects(new SpecHubClient('wrong-key', 'ws-1', { baseUrl }).listSpecs(), AuthenticationError);
+  });
+
+  it('should merge approved fork pull requests', async () => {
+    const specId = await client.uploadSpec('Tasks API', SPEC);
+    const uid = await client.generateOrSyncCollection(specId, 'Tasks API');
+
+    const workflow = new ForkWorkflow(client, { requireReviewers: ['alice'] });
+    const fork = await workflow.fork(uid, { spec: { info: { title: 'Tasks API' } } });
+
+    const { collection } = await client.getCollection(fork.uid);
+    findRequest(collection, 'List tasks').request.description = 'Returns every task';
+    await client.updateCollection(fork.uid, collection);
+    const pr = await client.createPullRequest(uid, fork.uid, { title: 'Describe list' });
+
+    await assert.rejects(workflow.merge(uid, pr.id), /Waiting for approval from: alice/);
+
+    fake.reviewPullRequest(pr.id, { id: 7, username: 'alice' });
+    const review = await workflow.merge(uid, pr.id);
+
+    assert.deepStrictEqual(review.changes.safeToSync.map(c => c.path), ['paths./tasks.get.description']);
+    assert.strictEqual(findRequest((await client.getCollection(uid)).collection, 'List tasks').request.description, 'Returns every task');
+    assert.deepStrictEqual(await client.getPullRequests(uid, 'merged').then(prs => prs.map(p => p.id)), [pr.id]);
+  });
+});
+
+// ============================================================
+// End-to-End CLI Tests
+// ============================================================
+
+describe('CLI against FakePostmanApi', () => {
+  let fake;
+  let dir;
+
+  beforeEach(async () => {
+    fake = new FakePostmanApi({ port: 0, generationDelay: 20 });
+    const baseUrl = await fake.start();
+
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fake-postman-'));
+    fs.writeFileSync(path.join(dir, 'api.yaml'), SPEC);
+    fs.writeFileSync(path.join(dir, 'sync.config.json'), JSON.stringify({
+      postmanApi: { baseUrl, pollInterval: 10 },
+      reverseSync: { autoCreatePR: false }
+    }));
+  });
+
+  afterEach(async () => {
+    await fake.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Async, so the fake API in this process keeps serving while the CLI runs
+  function cli(...args) {
+    return execFileAsync(process.execPath, [CLI_PATH, ...args, '--config', 'sync.config.json'], {
+      cwd: dir,
+      env: { ...process.env, POSTMAN_API_KEY: 'test-key', POSTMAN_WORKSPACE_ID: 'ws-1', LOG_LEVEL: 'warn' },
+      timeout: 60000
+    });
+  }
+
+  it('should run bidirectional sync and reverse sync Postman edits into the spec', async () => {
+    await cli('bidi', '--spec', 'api.yaml', '--output', 'out');
+
+    const manifest = JSON.parse(fs.readFileSync(path.join(dir, 'out/.sync-manifest.json'), 'utf8'));
+    const types = Object.values(manifest.collections).map(c => c.type).sort();
+    assert.deepStrictEqual(types, ['contract', 'main', 'negative', 'scenario', 'smoke']);
+    assert.ok(fs.existsSync(path.join(dir, 'out/collections/tasks-api.collection.json')));
+
+    const mainUid = Object.keys(manifest.collections).find(uid => manifest.collections[uid].type === 'main');
+    const main = fake.findCollection(mainUid);
+    findRequest(main.data, 'List tasks').request.description = 'Returns every task';
+    main.updatedAt = fake.now();
+
+    await cli('reverse', '--spec', 'api.yaml', '--collection', mainUid, '--no-pr');
+
+    const spec = fs.readFileSync(path.join(dir, 'api.yaml'), 'utf8');
+    assert.match(spec, /summary: List tasks\n[\s\S]*description: Returns every task\n\s+\/tasks\/\{taskId\}:/);
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Fork Workflow Unit Tests
+ * Run with: node --test src/__tests__/fork-workflow.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import { ForkWorkflow, ForkWorkflowError, checkApprovals, getSourceCollection } from '../fork-workflow.js';
+import { createNamingContext } from '../config-loader.js';
+import { MockSpecHubClient, deepClone } from './helpers/test-helpers.js';
+
+// ============================================================
+// Fixtures
+// ============================================================
+
+const PARENT = {
+  openapi: '3.0.3',
+  info: { title: 'Tasks API', version: '1.0.0' },
+  paths: {
+    '/tasks': {
+      get: { summary: 'List tasks', responses: { 200: { description: 'OK' } } }
+    }
+  }
+};
+
+function describedFork() {
+  const fork = deepClone(PARENT);
+  fork.paths['/tasks'].get.description = 'Returns every task';
+  return fork;
+}
+
+function structuralFork() {
+  const fork = describedFork();
+  fork.paths['/tasks'].post = { summary: 'Create task', responses: { 201: { description: 'Created' } } };
+  return fork;
+}
+
+function createClient(forkSpec, reviewers = []) {
+  return new MockSpecHubClient({
+    openApi: { 'main-uid': PARENT, 'fork-uid': forkSpec },
+    pullRequests: [
+      { id: 'pr-1', title: 'Describe list', status: 'open', source: { id: 'fork-uid', forkName: 'Team Fork' }, reviewers }
+    ]
+  });
+}
+
+// ============================================================
+// Fork Tests
+// ============================================================
+
+describe('ForkWorkflow.fork', () => {
+  it('should label the fork with forkNamePattern and use the target workspace', async () => {
+    const client = createClient(PARENT);
+    const workflow = new ForkWorkflow(client, { forkNamePattern: '{{spec.info.title}} ({{env}}) - Team Fork', targetWorkspace: 'team-ws' });
+    const context = createNamingContext({ env: 'staging' }, PARENT);
+
+    const fork = await workflow.fork('main-uid', context);
+
+    assert.deepStrictEqual(fork, { uid: 'mock-fork-uid', label: 'Tasks API (staging) - Team Fork', workspace: 'team-ws' });
+    assert.deepStrictEqual(client.getCallsFor('forkCollection')[0].args, {
+      collectionUid: 'main-uid',
+      forkLabel: 'Tasks API (staging) - Team Fork',
+      targetWorkspaceId: 'team-ws'
+    });
+  });
+});
+
+// ============================================================
+// Review and Merge Tests
+// ============================================================
+
+describe('ForkWorkflow review and merge', () => {
+  it('should classify the fork diff and merge enrichments', async () => {
+    const client = createClient(describedFork());
+    const workflow = new ForkWorkflow(client);
+
+    const review = await workflow.merge('main-uid', 'pr-1');
+
+    assert.strictEqual(review.sourceUid, 'fork-uid');
+    assert.deepStrictEqual(review.changes.safeToSync.map(c => c.path), ['paths./tasks.get.description']);
+    assert.strictEqual(review.mergeable, true);
+    assert.deepStrictEqual(client.getCallsFor('mergePullRequest')[0].args, { collectionUid: 'main-uid', pullRequestId: 'pr-1' });
+  });
+
+  it('should refuse to merge blocked changes', async () => {
+    const client = createClient(structuralFork());
+    const workflow = new ForkWorkflow(client);
+
+    const review = await workflow.review('main-uid', 'pr-1');
+    assert.deepStrictEqual(review.changes.blocked.map(c => c.path), ['paths./tasks.post']);
+    assert.strictEqual(review.mergeable, false);
+
+    await assert.rejects(workflow.merge('main-uid', 'pr-1'), error =>
+      error instanceof ForkWorkflowError && /1 blocked change/.test(error.message));
+    assert.strictEqual(client.getCallsFor('mergePullRequest').length, 0);
+  });
+
+  it('should apply the reverse sync field rules', async () => {
+    const workflow = new ForkWorkflow(createClient(structuralFork()), {
+      fieldRules: { allowedFields: ['paths.*.post'] }
+    });
+
+    const review = await workflow.review('main-uid', 'pr-1');
+
+    assert.strictEqual(review.changes.blocked.length, 0);
+    assert.strictEqual(review.mergeable, true);
+  });
+
+  it('should wait for every required reviewer to approve', async () => {
+    const reviewers = [{ id: '11', username: 'alice', status: 'approved' }, { id: '22', username: 'bob', status: 'pending' }];
+    const workflow = new ForkWorkflow(createClient(describedFork(), reviewers), { requireReviewers: ['alice', '22'] });
+
+    const review = await workflow.review('main-uid', 'pr-1');
+
+    assert.deepStrictEqual(review.approvals, { approved: ['alice'], missing: ['22'] });
+    assert.deepStrictEqual(review.reasons, ['Waiting for approval from: 22']);
+    await assert.rejects(workflow.merge('main-uid', 'pr-1'), /Waiting for approval from: 22/);
+  });
+});
+
+// ============================================================
+// Helper Tests
+// ============================================================
+
+describe('fork workflow helpers', () => {
+  it('should read the source collection from either pull request shape', () => {
+    assert.strictEqual(getSourceCollection({ source: { id: 'fork-uid' } }), 'fork-uid');
+    assert.strictEqual(getSourceCollection({ sourceId: 'fork-uid' }), 'fork-uid');
+  });
+
+  it('should need no approvals without required reviewers', () => {
+    assert.deepStrictEqual(checkApprovals({ reviewers: [] }), { approved: [], missing: [] });
+  });
+});
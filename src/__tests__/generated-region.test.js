@@ -0,0 +1,184 @@
+/**
+ * Generated Script Region Tests
+ * Run with: node --test src/__tests__/generated-region.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import vm from 'vm';
+
+import {
+  GENERATED_END,
+  checksumLines,
+  extractGeneratedLines,
+  findGeneratedRegion,
+  mergeGeneratedRegion,
+  wrapGeneratedRegion
+} from '../generated-region.js';
+import { SpecHubClient } from '../spec-hub-client.js';
+import { generateTestScriptsForSpec, TestLevel } from '../test-generator.js';
+
+// ============================================================
+// Fixtures
+// ============================================================
+
+const GENERATED = [
+  '// Smoke tests for: GET /tasks',
+  'pm.test("Status code is success", function () {',
+  '    pm.response.to.be.success;',
+  '});'
+];
+
+const REGENERATED = [
+  '// Smoke tests for: GET /tasks',
+  'pm.test("Status code is 200", function () {',
+  '    pm.response.to.have.status(200);',
+  '});'
+];
+
+const CUSTOM = [
+  'pm.test("Has at least one task", function () {',
+  '    pm.expect(pm.response.json().length).to.be.above(0);',
+  '});'
+];
+
+function requestItem(event = []) {
+  return {
+    name: 'List tasks',
+    request: { method: 'GET', url: { raw: '{{baseUrl}}/tasks', path: ['tasks'] } },
+    event
+  };
+}
+
+function testEvent(exec) {
+  return { listen: 'test', script: { type: 'text/javascript', exec } };
+}
+
+// ============================================================
+// Region Tests
+// ============================================================
+
+describe('generated regions', () => {
+  it('should fence generated lines with a checksum', () => {
+    const wrapped = wrapGeneratedRegion(GENERATED);
+
+    assert.strictEqual(wrapped[0], `// <generated checksum="${checksumLines(['{', ...GENERATED, '}'])}">`);
+    assert.strictEqual(wrapped.at(-1), GENERATED_END);
+    assert.deepStrictEqual(findGeneratedRegion(wrapped).body, GENERATED);
+  });
+
+  it('should read regions written before the generated block existed', () => {
+    const existing = [`// <generated checksum="${checksumLines(GENERATED)}">`, ...GENERATED, GENERATED_END, ...CUSTOM];
+
+    const merged = mergeGeneratedRegion(existing, REGENERATED);
+
+    assert.deepStrictEqual(extractGeneratedLines(existing), GENERATED);
+    assert.strictEqual(merged.edited, false);
+    assert.deepStrictEqual(merged.lines, [...wrapGeneratedRegion(REGENERATED), ...CUSTOM]);
+  });
+
+  it('should let hand-written code reuse names the generated contract tests declare', () => {
+    const api = {
+      openapi: '3.0.3',
+      info: { title: 'Tasks API', version: '1.0.0' },
+      paths: { '/tasks': { get: { responses: { '200': { description: 'OK', content: { 'application/json': { schema: { type: 'array' } } } } } } } }
+    };
+    const generated = generateTestScriptsForSpec(api, TestLevel.CONTRACT)['get|/tasks'];
+    const custom = [
+      'const status = pm.response.code;',
+      'const contentType = pm.response.headers.get("Content-Type");',
+      'pm.test("Custom status check", function () { pm.expect(status).to.equal(200); });'
+    ];
+    assert.ok(generated.some(line => line.startsWith('const status =')));
+
+    const merged = mergeGeneratedRegion(custom, generated);
+
+    assert.doesNotThrow(() => new vm.Script(merged.lines.join('\n')));
+  });
+
+  it('should replace only the region and keep the lines around it', () => {
+    const existing = ['// Set up', ...wrapGeneratedRegion(GENERATED), '', ...CUSTOM];
+
+    const merged = mergeGeneratedRegion(existing, REGENERATED);
+
+    assert.deepStrictEqual(merged.lines, ['// Set up', ...wrapGeneratedRegion(REGENERATED), '', ...CUSTOM]);
+    assert.strictEqual(merged.edited, false);
+  });
+
+  it('should report edits made inside the region', () => {
+    const existing = wrapGeneratedRegion(GENERATED);
+    existing.splice(2, 0, 'pm.test("Added in Postman", () => {});');
+
+    const merged = mergeGeneratedRegion(existing, REGENERATED);
+
+    assert.strictEqual(merged.edited, true);
+    assert.deepStrictEqual(merged.lines, wrapGeneratedRegion(REGENERATED));
+  });
+
+  it('should prepend the region to hand-written scripts and replace legacy generated ones', () => {
+    assert.deepStrictEqual(mergeGeneratedRegion(CUSTOM, GENERATED).lines, [...wrapGeneratedRegion(GENERATED), '', ...CUSTOM]);
+    assert.deepStrictEqual(mergeGeneratedRegion(GENERATED, REGENERATED).lines, wrapGeneratedRegion(REGENERATED));
+    assert.deepStrictEqual(mergeGeneratedRegion([], GENERATED).lines, wrapGeneratedRegion(GENERATED));
+  });
+
+  it('should replace an unterminated region through the end of the script', () => {
+    const existing = [...wrapGeneratedRegion(GENERATED).slice(0, -1), 'pm.test("left over", () => {});'];
+
+    const merged = mergeGeneratedRegion(existing, REGENERATED);
+
+    assert.strictEqual(merged.terminated, false);
+    assert.deepStrictEqual(merged.lines, wrapGeneratedRegion(REGENERATED));
+  });
+
+  it('should extract generated lines from fenced and legacy scripts only', () => {
+    assert.deepStrictEqual(extractGeneratedLines([...CUSTOM, ...wrapGeneratedRegion(GENERATED)]), GENERATED);
+    assert.deepStrictEqual(extractGeneratedLines(GENERATED), GENERATED);
+    assert.strictEqual(extractGeneratedLines(CUSTOM), null);
+  });
+});
+
+// ============================================================
+// Injection Tests
+// ============================================================
+
+describe('SpecHubClient.addTestsToItems', () => {
+  const client = new SpecHubClient('test-key', 'ws-1');
+
+  it('should keep hand-written tests and pre-request scripts on re-injection', () => {
+    const prerequest = { listen: 'prerequest', script: { type: 'text/javascript', exec: ['pm.variables.set("x", 1);'] } };
+    const item = requestItem([prerequest, testEvent(CUSTOM)]);
+
+    client.addTestsToItems([item], { 'get|/tasks': GENERATED });
+    client.addTestsToItems([item], { 'get|/tasks': REGENERATED });
+
+    assert.deepStrictEqual(item.event, [prerequest, testEvent([...wrapGeneratedRegion(REGENERATED), '', ...CUSTOM])]);
+  });
+
+  it('should keep tests added after the generated block', () => {
+    const item = requestItem();
+    client.addTestsToItems([item], { 'get|/tasks': GENERATED });
+    item.event[0].script.exec.push(...CUSTOM);
+
+    const injected = client.addTestsToItems([item], { 'get|/tasks': REGENERATED });
+
+    assert.strictEqual(injected, 1);
+    assert.deepStrictEqual(item.event, [testEvent([...wrapGeneratedRegion(REGENERATED), ...CUSTOM])]);
+  });
+
+  it('should update the test event holding the region and leave others alone', () => {
+    const other = testEvent(CUSTOM);
+    const item = requestItem([other, testEvent(wrapGeneratedRegion(GENERATED))]);
+
+    client.addTestsToItems([item], { 'get|/tasks': REGENERATED });
+
+    assert.deepStrictEqual(item.event, [other, testEvent(wrapGeneratedRegion(REGENERATED))]);
+  });
+
+  it('should read scripts stored as a single string', () => {
+    const item = requestItem([testEvent([...wrapGeneratedRegion(GENERATED), ...CUSTOM].join('\n'))]);
+
+    client.addTestsToItems([item], { 'get|/tasks': REGENERATED });
+
+    assert.deepStrictEqual(item.event[0].script.exec, [...wrapGeneratedRegion(REGENERATED), ...CUSTOM]);
+  });
+});
@@ -41,6 +41,8 @@ export class MockSpecHubClient {
     this.collections = options.collections || [];
     this.specs = options.specs || [];
     this.environments = options.environments || [];
+    this.pullRequests = options.pullRequests || [];
+    this.openApi = options.openApi || {};
     this.calls = [];
   }
 
@@ -70,8 +72,8 @@ export class MockSpecHubClient {
     return { success: true };
   }
 
-  async uploadSpec(name, content, specId = null) {
-    this._recordCall('uploadSpec', { name, content, specId });
+  async uploadSpec(name, content, specId = null, files = []) {
+    this._recordCall('uploadSpec', { name, content, specId, files });
     return specId || 'mock-spec-id-' + Date.now();
   }
 
@@ -101,8 +103,8 @@ export class MockSpecHubClient {
     return { success: true };
   }
 
-  async applyCollectionTags(collectionUid, type) {
-    this._recordCall('applyCollectionTags', { collectionUid, type });
+  async applyCollectionTags(collectionUid, type, tags = null) {
+    this._recordCall('applyCollectionTags', { collectionUid, type, tags });
     return { tags: [] };
   }
 
@@ -125,6 +127,31 @@ export class MockSpecHubClient {
     this._recordCall('getWorkspaceEnvironments', {});
     return this.environments;
   }
+
+  async getCollectionAsOpenApi(collectionUid) {
+    this._recordCall('getCollectionAsOpenApi', { collectionUid });
+    return this.openApi[collectionUid];
+  }
+
+  async forkCollection(collectionUid, forkLabel, targetWorkspaceId = null) {
+    this._recordCall('forkCollection', { collectionUid, forkLabel, targetWorkspaceId });
+    return { collection: { uid: 'mock-fork-uid', name: forkLabel, fork: { label: forkLabel, from: collectionUid } } };
+  }
+
+  async getPullRequests(collectionUid, status = 'open') {
+    this._recordCall('getPullRequests', { collectionUid, status });
+    return this.pullRequests.filter(pr => pr.status === status);
+  }
+
+  async getPullRequest(pullRequestId) {
+    this._recordCall('getPullRequest', { pullRequestId });
+    return this.pullRequests.find(pr => pr.id === pullRequestId);
+  }
+
+  async mergePullRequest(collectionUid, pullRequestId) {
+    this._recordCall('mergePullRequest', { collectionUid, pullRequestId });
+    return { id: pullRequestId, status: 'merged' };
+  }
 }
 
 /**
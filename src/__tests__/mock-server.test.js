@@ -0,0 +1,193 @@
+/**
+ * Mock Server Unit Tests
+ * Run with: node --test src/__tests__/mock-server.test.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { MockServer } from '../mock-server.js';
+import { parseSpec } from '../parser.js';
+
+import { createMinimalSpec } from './helpers/test-helpers.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SAMPLE_SPEC = path.join(__dirname, '..', '..', 'specs', 'sample-api.yaml');
+
+const AUTH = { authorization: 'Bearer any-token' };
+
+function request(method, url, headers = {}, body = '') {
+  const parsed = new URL(url, 'http://localhost');
+  return { method, path: parsed.pathname, query: parsed.searchParams, headers: { ...AUTH, ...headers }, body };
+}
+
+const json = result => JSON.parse(result.body);
+
+// ============================================================
+// Response Selection Tests
+// ============================================================
+
+describe('MockServer - responses', () => {
+  let mock;
+  before(async () => {
+    mock = new MockServer(await parseSpec(SAMPLE_SPEC));
+  });
+
+  it('should return the documented example for the lowest success code', () => {
+    const result = mock.respond(request('POST', '/tasks', { 'content-type': 'application/json' }, '{"title": "Write docs"}'));
+
+    assert.strictEqual(result.code, 201);
+    assert.strictEqual(result.headers['Content-Type'], 'application/json');
+    assert.strictEqual(json(result).id, 'task-003');
+  });
+
+  it('should synthesize a body from the schema when no example is documented', () => {
+    const result = mock.respond(request('PUT', '/tasks/task-001', { 'content-type': 'application/json' }, '{}'));
+
+    assert.strictEqual(result.code, 200);
+    assert.deepStrictEqual(Object.keys(json(result)), ['id', 'title', 'description', 'status', 'priority', 'createdAt', 'updatedAt']);
+  });
+
+  it('should honor Prefer: code and Prefer: example', () => {
+    const notFound = mock.respond(request('GET', '/tasks/task-999', { prefer: 'code=404' }));
+    const completed = mock.respond(request('GET', '/tasks/task-004', { prefer: 'example=completedTask' }));
+    const undocumented = mock.respond(request('GET', '/tasks/task-004', { prefer: 'code=418' }));
+
+    assert.strictEqual(notFound.code, 404);
+    assert.strictEqual(json(notFound).code, 'RESOURCE_NOT_FOUND');
+    assert.strictEqual(json(completed).status, 'completed');
+    assert.strictEqual(undocumented.code, 500);
+  });
+
+  it('should return empty bodies for 204 and serve paths under the server base path', () => {
+    const deleted = mock.respond(request('DELETE', '/v1/tasks/task-001'));
+
+    assert.strictEqual(deleted.code, 204);
+    assert.strictEqual(deleted.body, '');
+  });
+
+  it('should answer 404 for unknown paths and 405 for undocumented methods', () => {
+    assert.strictEqual(mock.respond(request('GET', '/projects')).code, 404);
+
+    const notAllowed = mock.respond(request('PATCH', '/tasks/task-001'));
+    assert.strictEqual(notAllowed.code, 405);
+    assert.strictEqual(notAllowed.headers.Allow, 'GET, PUT, DELETE');
+  });
+});
+
+// ============================================================
+// Request Validation Tests
+// ============================================================
+
+describe('MockServer - request validation', () => {
+  let mock;
+  before(async () => {
+    mock = new MockServer(await parseSpec(SAMPLE_SPEC));
+  });
+
+  it('should reject query parameters outside their schema with the documented 400', () => {
+    const result = mock.respond(request('GET', '/tasks?limit=500&status=pending'));
+
+    assert.strictEqual(result.code, 400);
+    assert.deepStrictEqual(result.validationErrors, ['Invalid query parameter "limit": must be <= 100']);
+  });
+
+  it('should coerce valid query strings to their schema types', () => {
+    assert.strictEqual(mock.respond(request('GET', '/tasks?limit=10&offset=0')).code, 200);
+  });
+
+  it('should validate the request body against the requestBody schema', () => {
+    const missing = mock.respond(request('POST', '/tasks', { 'content-type': 'application/json' }));
+    const invalid = mock.respond(request('POST', '/tasks', { 'content-type': 'application/json' }, '{"title": "", "status": "archived"}'));
+    const malformed = mock.respond(request('POST', '/tasks', { 'content-type': 'application/json' }, '{"title":'));
+    const wrongType = mock.respond(request('POST', '/tasks', { 'content-type': 'text/plain' }, 'title'));
+
+    assert.strictEqual(missing.code, 400);
+    assert.deepStrictEqual(missing.validationErrors, ['Missing required request body']);
+    assert.strictEqual(invalid.validationErrors.length, 2);
+    assert.match(malformed.validationErrors[0], /not valid JSON/);
+    assert.strictEqual(wrongType.code, 415);
+  });
+
+  it('should answer 400 for malformed percent-encoding in the path', () => {
+    const result = mock.respond(request('GET', '/tasks/%E0%A4%A'));
+
+    assert.strictEqual(result.code, 400);
+    assert.deepStrictEqual([...result.validationErrors], ['Malformed percent-encoding in path /tasks/%E0%A4%A']);
+  });
+
+  it('should not require or accept readOnly properties in request bodies', () => {
+    const task = {
+      type: 'object',
+      required: ['id', 'title'],
+      properties: { id: { type: 'string', readOnly: true }, title: { type: 'string' } },
+      additionalProperties: false
+    };
+    const readOnlyMock = new MockServer(createMinimalSpec({
+      paths: {
+        '/tasks': {
+          post: {
+            requestBody: { required: true, content: { 'application/json': { schema: task } } },
+            responses: { '201': { description: 'Created' }, '400': { description: 'Bad Request' } }
+          }
+        }
+      }
+    }));
+    const post = body => readOnlyMock.respond(request('POST', '/tasks', { 'content-type': 'application/json' }, body));
+
+    assert.strictEqual(post('{"title": "Write docs"}').code, 201);
+    assert.strictEqual(post('{"id": "task-1", "title": "Write docs"}').code, 400);
+  });
+
+  it('should require credentials for secured operations only', () => {
+    const unauthenticated = request('GET', '/tasks', { authorization: undefined });
+    const health = request('GET', '/health', { authorization: undefined });
+
+    assert.strictEqual(mock.respond(unauthenticated).code, 401);
+    assert.strictEqual(mock.respond(health).code, 200);
+  });
+
+  it('should check API key locations from security schemes', () => {
+    const keyed = new MockServer(createMinimalSpec({
+      components: { securitySchemes: { apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' } } },
+      security: [{ apiKey: [] }],
+      paths: { '/items': { get: { responses: { '200': { description: 'OK' }, '403': { description: 'Forbidden' } } } } }
+    }));
+
+    assert.strictEqual(keyed.respond(request('GET', '/items')).code, 403);
+    assert.strictEqual(keyed.respond(request('GET', '/items', { 'x-api-key': 'secret' })).code, 200);
+  });
+
+  it('should skip validation when disabled', async () => {
+    const lenient = new MockServer(await parseSpec(SAMPLE_SPEC), { validateRequests: false });
+
+    assert.strictEqual(lenient.respond(request('GET', '/tasks?limit=500', { authorization: undefined })).code, 200);
+  });
+});
+
+// ============================================================
+// HTTP Server Tests
+// ============================================================
+
+describe('MockServer - HTTP', () => {
+  let mock;
+  let baseUrl;
+
+  before(async () => {
+    mock = new MockServer(await parseSpec(SAMPLE_SPEC), { port: 0 });
+    baseUrl = await mock.start();
+  });
+  after(() => mock.stop());
+
+  it('should serve responses over HTTP', async () => {
+    const response = await fetch(`${baseUrl}/tasks/task-001`, { headers: AUTH });
+    const body = await response.json();
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(body.id, 'task-001');
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Multi-File Spec Unit Tests
+ * Run with: node --test src/__tests__/multi-file-spec.test.js
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import {
+  parseRef,
+  loadMultiFileSpec,
+  collectReferencedFiles,
+  locateSource,
+  splitSpec
+} from '../multi-file-spec.js';
+import { ReverseSync } from '../reverse-sync.js';
+
+// ============================================================
+// Fixtures
+// ============================================================
+
+const ROOT = [
+  'openapi: 3.0.3',
+  'info:',
+  '  title: Tasks',
+  '  version: 1.0.0',
+  'paths:',
+  '  /tasks:',
+  "    $ref: 'paths/tasks.yaml'",
+  'components:',
+  '  schemas:',
+  '    Task:',
+  "      $ref: 'schemas/task.yaml#/Task'",
+  ''
+].join('\n');
+
+const TASKS = [
+  '# Task collection endpoints',
+  'get:',
+  '  summary: List tasks',
+  '  responses:',
+  "    '200':",
+  '      description: OK',
+  '      content:',
+  '        application/json:',
+  '          schema:',
+  "            $ref: '../schemas/task.yaml#/Task'",
+  ''
+].join('\n');
+
+const TASK_SCHEMA = [
+  'Task:',
+  '  type: object',
+  '  properties:',
+  '    id:',
+  '      type: string',
+  '      description: Task ID   # keep',
+  ''
+].join('\n');
+
+function writeFiles(dir, files) {
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  }
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+// ============================================================
+// Loading Tests
+// ============================================================
+
+describe('parseRef', () => {
+  it('should split file and JSON pointer', () => {
+    assert.deepStrictEqual(parseRef('../schemas/task.yaml#/Task'), { file: '../schemas/task.yaml', pointer: ['Task'] });
+    assert.deepStrictEqual(parseRef('#/paths/~1tasks'), { file: '', pointer: ['paths', '/tasks'] });
+    assert.deepStrictEqual(parseRef('paths/tasks.yaml'), { file: 'paths/tasks.yaml', pointer: [] });
+    assert.strictEqual(parseRef('https://example.com/task.yaml'), null);
+  });
+});
+
+describe('loadMultiFileSpec', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'multi-file-'));
+    writeFiles(dir, { 'openapi.yaml': ROOT, 'paths/tasks.yaml': TASKS, 'schemas/task.yaml': TASK_SCHEMA });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should inline external refs and map paths to their files', () => {
+    const specFiles = loadMultiFileSpec(path.join(dir, 'openapi.yaml'));
+
+    assert.deepStrictEqual([...specFiles.files.keys()], ['openapi.yaml', 'paths/tasks.yaml', 'schemas/task.yaml']);
+    assert.strictEqual(specFiles.spec.paths['/tasks'].get.summary, 'List tasks');
+    assert.strictEqual(specFiles.spec.components.schemas.Task.type, 'object');
+    assert.deepStrictEqual(
+      locateSource(specFiles, ['paths', '/tasks', 'get', 'responses', '200', 'content', 'application/json', 'schema', 'properties', 'id']),
+      { file: 'schemas/task.yaml', path: ['Task', 'properties', 'id'] }
+    );
+    assert.deepStrictEqual(locateSource(specFiles, ['info', 'title']), { file: 'openapi.yaml', path: ['info', 'title'] });
+  });
+
+  it('should list referenced files for upload and reject refs outside the spec directory', () => {
+    assert.deepStrictEqual(collectReferencedFiles(path.join(dir, 'openapi.yaml')).map(file => file.path), ['paths/tasks.yaml', 'schemas/task.yaml']);
+
+    fs.writeFileSync(path.join(dir, 'schemas/task.yaml'), "Task:\n  $ref: '../../shared/task.yaml'\n");
+    assert.throws(() => loadMultiFileSpec(path.join(dir, 'openapi.yaml')), /outside the spec directory/);
+  });
+
+  it('should split edits back into the files that define them', () => {
+    const specFiles = loadMultiFileSpec(path.join(dir, 'openapi.yaml'));
+    const spec = clone(specFiles.spec);
+    spec.paths['/tasks'].get.description = 'Returns all tasks';
+    spec.paths['/tasks'].get.responses['200'].content['application/json'].schema.properties.id.description = 'Unique ID';
+
+    const documents = splitSpec(spec, specFiles);
+
+    assert.deepStrictEqual([...documents.keys()], ['paths/tasks.yaml', 'schemas/task.yaml']);
+    assert.deepStrictEqual(documents.get('paths/tasks.yaml').get.responses['200'].content['application/json'].schema, { $ref: '../schemas/task.yaml#/Task' });
+    assert.strictEqual(documents.get('paths/tasks.yaml').get.description, 'Returns all tasks');
+    assert.strictEqual(documents.get('schemas/task.yaml').Task.properties.id.description, 'Unique ID');
+  });
+
+  it('should reverse sync edits into the referenced files, keeping their comments', async () => {
+    const specPath = path.join(dir, 'openapi.yaml');
+    const remoteSpec = clone(loadMultiFileSpec(specPath).spec);
+    remoteSpec.paths['/tasks'].get.description = 'Returns all tasks';
+    const client = {
+      getCollection: async () => ({ collection: { info: { name: 'Tasks' }, item: [] } }),
+      getCollectionAsOpenApi: async () => remoteSpec
+    };
+
+    const result = await new ReverseSync(client, { storeTestsAsExtension: false }).reverseSync(specPath, 'collection-uid', { noBackup: true });
+
+    assert.strictEqual(result.status, 'synced');
+    assert.deepStrictEqual(result.changes.safeToSync[0].source, { file: 'paths/tasks.yaml', path: 'get.description' });
+    assert.strictEqual(fs.readFileSync(specPath, 'utf8'), ROOT);
+    assert.strictEqual(
+      fs.readFileSync(path.join(dir, 'paths/tasks.yaml'), 'utf8'),
+      `${TASKS}  description: Returns all tasks\n`
+    );
+  });
+});
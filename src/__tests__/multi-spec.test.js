@@ -0,0 +1,98 @@
+/**
+ * Multi-Spec Orchestration Unit Tests
+ * Run with: node --test src/__tests__/multi-spec.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import path from 'path';
+
+import { runWithConcurrency, runForSpecs, getSpecOutputDir, formatSpecSummary } from '../multi-spec.js';
+import { SpecHubClient, RateLimiter } from '../spec-hub-client.js';
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// ============================================================
+// runWithConcurrency Tests
+// ============================================================
+
+describe('runWithConcurrency', () => {
+  it('should never run more than the limit at once and keep item order', async () => {
+    let running = 0;
+    let peak = 0;
+
+    const results = await runWithConcurrency([30, 10, 20, 5, 15], 2, async (ms, index) => {
+      running++;
+      peak = Math.max(peak, running);
+      await delay(ms);
+      running--;
+      return index;
+    });
+
+    assert.strictEqual(peak, 2);
+    assert.deepStrictEqual(results, [0, 1, 2, 3, 4]);
+  });
+
+  it('should handle an empty list', async () => {
+    assert.deepStrictEqual(await runWithConcurrency([], 3, async () => 1), []);
+  });
+});
+
+// ============================================================
+// runForSpecs Tests
+// ============================================================
+
+describe('runForSpecs', () => {
+  const entries = [
+    { name: 'tasks', path: 'specs/tasks.yaml' },
+    { name: 'billing', path: 'specs/billing.yaml' },
+    { name: 'users', path: 'specs/users.yaml' }
+  ];
+
+  it('should record failures without stopping the other specs', async () => {
+    const results = await runForSpecs(entries, async (entry) => {
+      if (entry.name === 'billing') throw new Error('Spec file not found');
+      return entry.path;
+    }, { concurrency: 2 });
+
+    assert.deepStrictEqual(results.map(r => [r.name, r.status]), [['tasks', 'success'], ['billing', 'failed'], ['users', 'success']]);
+    assert.strictEqual(results[0].result, 'specs/tasks.yaml');
+    assert.strictEqual(results[1].error, 'Spec file not found');
+  });
+
+  it('should format a combined summary', () => {
+    const summary = formatSpecSummary([
+      { name: 'tasks', path: 'specs/tasks.yaml', status: 'success', duration: 1200 },
+      { name: 'billing', path: 'specs/billing.yaml', status: 'failed', error: 'Boom', duration: 300 }
+    ]);
+
+    assert.deepStrictEqual(summary.split('\n'), [
+      '[OK]    tasks    specs/tasks.yaml       1.2s',
+      '[FAIL]  billing  specs/billing.yaml     0.3s  Boom',
+      '',
+      '1 succeeded, 1 failed'
+    ]);
+  });
+});
+
+// ============================================================
+// Output Directory and Rate Limiter Tests
+// ============================================================
+
+describe('getSpecOutputDir', () => {
+  it('should use the spec outputDir or a subdirectory named after the spec', () => {
+    assert.strictEqual(getSpecOutputDir({ name: 'tasks', outputDir: 'services/tasks/postman' }, 'postman'), 'services/tasks/postman');
+    assert.strictEqual(getSpecOutputDir({ name: 'tasks' }, 'postman'), path.join('postman', 'tasks'));
+  });
+});
+
+describe('SpecHubClient rate limiter', () => {
+  it('should share a limiter passed in options', () => {
+    const rateLimiter = new RateLimiter();
+    const first = new SpecHubClient('key', 'workspace', { rateLimiter });
+    const second = new SpecHubClient('key', 'workspace', { rateLimiter });
+
+    assert.strictEqual(first.rateLimiter, second.rateLimiter);
+    assert.notStrictEqual(new SpecHubClient('key', 'workspace').rateLimiter, rateLimiter);
+  });
+});
@@ -5,14 +5,17 @@
 
 import { describe, it, beforeEach } from 'node:test';
 import assert from 'node:assert';
+import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
 import {
   parseSpec,
+  parseSpecContent,
   extractEndpoints,
   getResponseSchema,
   getRequiredFields,
+  toJsonSchema,
   getExample,
   buildRequestBodyExample,
   convertPathParams,
@@ -80,6 +83,25 @@ describe('parseSpec', () => {
   });
 });
 
+// ============================================================
+// parseSpecContent Tests
+// ============================================================
+
+describe('parseSpecContent', () => {
+  it('should parse and dereference spec text', async () => {
+    const content = fs.readFileSync(getFixturePath('complex-spec.yaml'), 'utf8');
+    const api = await parseSpecContent(content, 'main:complex-spec.yaml');
+
+    const itemSchema = api.paths['/items'].get.responses['200'].content['application/json'].schema.items;
+    assert.strictEqual(itemSchema.type, 'object');
+  });
+
+  it('should reject text that is not a valid spec', async () => {
+    await assert.rejects(() => parseSpecContent('', 'empty.yaml'), /empty or not an object/);
+    await assert.rejects(() => parseSpecContent('swagger: "2.0"\ninfo: {}\npaths: {}', 'v2.yaml'), /version/i);
+  });
+});
+
 // ============================================================
 // extractEndpoints Tests
 // ============================================================
@@ -432,6 +454,85 @@ describe('getRequiredFields', () => {
   });
 });
 
+// ============================================================
+// toJsonSchema Tests
+// ============================================================
+
+describe('toJsonSchema', () => {
+  it('should convert nullable types to type arrays', () => {
+    const result = toJsonSchema({ type: 'string', nullable: true, enum: ['a', 'b'] });
+
+    assert.deepStrictEqual(result.type, ['string', 'null']);
+    assert.deepStrictEqual(result.enum, ['a', 'b', null]);
+    assert.strictEqual(result.nullable, undefined);
+  });
+
+  it('should wrap nullable compositions in anyOf', () => {
+    const result = toJsonSchema({
+      nullable: true,
+      allOf: [{ type: 'object', properties: { id: { type: 'string' } } }]
+    });
+
+    assert.ok(Array.isArray(result.anyOf));
+    assert.deepStrictEqual(result.anyOf[1], { type: 'null' });
+    assert.ok(result.anyOf[0].allOf);
+  });
+
+  it('should keep composition and additionalProperties keywords', () => {
+    const result = toJsonSchema({
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        value: { oneOf: [{ type: 'string' }, { type: 'integer', format: 'int64' }] },
+        list: { type: 'array', items: { anyOf: [{ type: 'string' }] } }
+      }
+    });
+
+    assert.strictEqual(result.additionalProperties, false);
+    assert.strictEqual(result.properties.value.oneOf.length, 2);
+    assert.strictEqual(result.properties.value.oneOf[1].format, undefined, 'Unknown formats are dropped');
+    assert.ok(result.properties.list.items.anyOf);
+  });
+
+  it('should convert boolean exclusive bounds to numeric form', () => {
+    const result = toJsonSchema({ type: 'number', minimum: 0, exclusiveMinimum: true, maximum: 10 });
+
+    assert.strictEqual(result.exclusiveMinimum, 0);
+    assert.strictEqual(result.minimum, undefined);
+    assert.strictEqual(result.maximum, 10);
+  });
+
+  it('should strip annotations but keep properties with the same names', () => {
+    const result = toJsonSchema({
+      type: 'object',
+      description: 'A task',
+      example: { title: 'x' },
+      'x-internal': true,
+      properties: { title: { type: 'string', description: 'Title' } }
+    });
+
+    assert.strictEqual(result.description, undefined);
+    assert.strictEqual(result.example, undefined);
+    assert.strictEqual(result['x-internal'], undefined);
+    assert.deepStrictEqual(result.properties.title, { type: 'string' });
+  });
+
+  it('should replace circular references with permissive schemas', async () => {
+    const api = await parseSpec(getFixturePath('circular-spec.yaml'));
+    const schema = api.paths['/nodes'].get.responses['200'].content['application/json'].schema;
+
+    const result = toJsonSchema(schema);
+
+    assert.doesNotThrow(() => JSON.stringify(result));
+    assert.strictEqual(result.type, 'array');
+  });
+
+  it('should return empty schema for invalid input', () => {
+    assert.deepStrictEqual(toJsonSchema(null), {});
+    assert.deepStrictEqual(toJsonSchema(undefined), {});
+  });
+});
+
 // ============================================================
 // getExample Tests
 // ============================================================
@@ -0,0 +1,242 @@
+/**
+ * Pre-request Script Auth Flow Tests
+ * Generated pre-request scripts are injected into a generated collection and
+ * run by the local runner against a server with a token endpoint.
+ * Run with: node --test src/__tests__/pre-request-auth.test.js
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import http from 'http';
+
+import { generatePreRequestScriptsForSpec } from '../test-generator.js';
+import { generateCollection } from '../fake-postman-api.js';
+import { SpecHubClient } from '../spec-hub-client.js';
+import { CollectionRunner } from '../collection-runner.js';
+import { findGeneratedRegion } from '../generated-region.js';
+
+// ============================================================
+// Local Test Server
+// ============================================================
+
+let server;
+let baseUrl;
+let received = [];
+let tokensIssued = 0;
+
+function startServer() {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      received.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), headers: req.headers });
+      const send = (code, payload) => {
+        res.writeHead(code, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+      };
+
+      if (url.pathname === '/oauth/token') {
+        const form = new URLSearchParams(body);
+        if (form.get('grant_type') !== 'client_credentials' || form.get('client_secret') !== 's3cret') {
+          return send(401, { error: 'invalid_client' });
+        }
+        tokensIssued++;
+        return send(200, { access_token: `token-${tokensIssued}`, token_type: 'Bearer', expires_in: 3600, scope: form.get('scope') });
+      }
+
+      const authorization = req.headers.authorization || '';
+      if (url.pathname === '/tasks') {
+        return authorization.startsWith('Bearer token-') ? send(200, []) : send(401, { error: 'Unauthorized' });
+      }
+
+      const expectedBasic = `Basic ${Buffer.from('ada:secret').toString('base64')}`;
+      if (url.searchParams.get('api_key') !== 'key-1' || authorization !== expectedBasic) {
+        return send(401, { error: 'Unauthorized' });
+      }
+      return send(200, { id: url.pathname.split('/').pop() });
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      resolve();
+    });
+  });
+}
+
+// ============================================================
+// Fixtures
+// ============================================================
+
+const ok = { '200': { description: 'OK' } };
+const unauthorized = { '401': { description: 'Unauthorized' } };
+
+const API = {
+  openapi: '3.0.3',
+  info: { title: 'Tasks API', version: '1.0.0' },
+  servers: [{ url: 'https://api.example.com' }],
+  components: {
+    securitySchemes: {
+      oauth: {
+        type: 'oauth2',
+        flows: { clientCredentials: { tokenUrl: '/oauth/token', scopes: { 'tasks:read': 'Read tasks', 'tasks:write': 'Write tasks' } } }
+      },
+      keyAuth: { type: 'apiKey', in: 'query', name: 'api_key' },
+      basicAuth: { type: 'http', scheme: 'basic' }
+    }
+  },
+  paths: {
+    '/tasks': {
+      get: {
+        summary: 'List tasks',
+        security: [{ oauth: ['tasks:read'] }],
+        parameters: [{ name: 'status', in: 'query', schema: { type: 'string' } }],
+        responses: { ...ok, ...unauthorized }
+      },
+      post: { summary: 'Create task', security: [{ oauth: ['tasks:write'] }], responses: ok }
+    },
+    '/tasks/{taskId}': {
+      get: {
+        summary: 'Get task',
+        security: [{ keyAuth: [], basicAuth: [] }],
+        parameters: [{ name: 'taskId', in: 'path', required: true, schema: { type: 'string' } }],
+        responses: ok
+      }
+    }
+  }
+};
+
+const client = new SpecHubClient('test-key', 'ws-1');
+
+function createCollection() {
+  const collection = generateCollection(API, 'Tasks API', { folderStrategy: 'Paths' });
+  client.addPreRequestsToItems(collection.item, generatePreRequestScriptsForSpec(API));
+  return collection;
+}
+
+function environment(overrides = {}) {
+  return {
+    baseUrl,
+    client_id: 'app',
+    client_secret: 's3cret',
+    api_key_api_key: 'key-1',
+    username: 'ada',
+    password: 'secret',
+    taskId: 'task-7',
+    ...overrides
+  };
+}
+
+function requestsTo(path) {
+  return received.filter(request => request.path === path);
+}
+
+// ============================================================
+// Auth Flow Tests
+// ============================================================
+
+describe('generated pre-request auth flows', () => {
+  const runner = new CollectionRunner();
+
+  before(startServer);
+  after(() => new Promise(resolve => server.close(resolve)));
+  beforeEach(() => {
+    received = [];
+    tokensIssued = 0;
+  });
+
+  it('should fetch a client credentials token per scope set and reuse it', async () => {
+    const collection = createCollection();
+    const listTasks = collection.item.find(item => item.name === 'List tasks');
+    collection.item.push({ ...listTasks, name: 'List tasks again' });
+
+    const run = await runner.runCollection(collection, environment());
+
+    assert.deepStrictEqual(run.requests.map(request => [request.name, request.code]), [
+      ['List tasks', 200], ['Create task', 200], ['Get task', 200], ['List tasks again', 200]
+    ]);
+    assert.strictEqual(requestsTo('/oauth/token').length, 2);
+    assert.deepStrictEqual(requestsTo('/tasks').map(request => request.headers.authorization), [
+      'Bearer token-1', 'Bearer token-2', 'Bearer token-1'
+    ]);
+  });
+
+  it('should renew expired tokens and keep unexpired ones', async () => {
+    const cached = (token, expiresAt) => ({
+      access_token_oauth_tasks_read: token,
+      access_token_oauth_tasks_read_expires_at: String(expiresAt),
+      access_token_oauth_tasks_write: 'token-w',
+      access_token_oauth_tasks_write_expires_at: String(Date.now() + 60000)
+    });
+
+    await runner.runCollection(createCollection(), environment(cached('token-0', Date.now() - 1000)));
+    assert.strictEqual(requestsTo('/oauth/token').length, 1);
+    assert.strictEqual(requestsTo('/tasks')[0].headers.authorization, 'Bearer token-1');
+
+    received = [];
+    await runner.runCollection(createCollection(), environment(cached('token-9', Date.now() + 60000)));
+    assert.strictEqual(requestsTo('/oauth/token').length, 0);
+    assert.deepStrictEqual(requestsTo('/tasks').map(request => request.headers.authorization), ['Bearer token-9', 'Bearer token-w']);
+  });
+
+  it('should send a manually set access_token without a client_id', async () => {
+    await runner.runCollection(createCollection(), environment({ client_id: '', access_token: 'manual' }));
+
+    assert.strictEqual(requestsTo('/oauth/token').length, 0);
+    assert.strictEqual(requestsTo('/tasks')[0].headers.authorization, 'Bearer manual');
+  });
+
+  it('should place API keys, basic credentials and parameters from the environment', async () => {
+    await runner.runCollection(createCollection(), environment({ status: 'open' }));
+
+    const [getTask] = requestsTo('/tasks/task-7');
+    assert.strictEqual(getTask.query.api_key, 'key-1');
+    assert.match(getTask.headers.authorization, /^Basic /);
+    assert.deepStrictEqual(requestsTo('/tasks')[0].query, { status: 'open' });
+  });
+
+  it('should send negative auth cases without credentials', async () => {
+    const collection = createCollection();
+    const listTasks = collection.item.find(item => item.name === 'List tasks');
+    collection.item = [client.createNegativeItem(listTasks, {
+      name: 'Missing authentication',
+      noAuth: true,
+      script: ['pm.test("Status code is 401", function () { pm.response.to.have.status(401); });']
+    })];
+
+    const run = await runner.runCollection(collection, environment());
+
+    assert.strictEqual(run.stats.failed, 0);
+    assert.strictEqual(requestsTo('/oauth/token').length, 0);
+    assert.strictEqual(requestsTo('/tasks')[0].headers.authorization, undefined);
+  });
+
+  it('should not add query parameters that negative cases remove', async () => {
+    const collection = createCollection();
+    const listTasks = collection.item.find(item => item.name === 'List tasks');
+    collection.item = [client.createNegativeItem(listTasks, {
+      name: 'Missing required query parameter "status"',
+      query: { status: null },
+      script: []
+    })];
+
+    await runner.runCollection(collection, environment({ status: 'open' }));
+
+    assert.deepStrictEqual(requestsTo('/tasks')[0].query, {});
+  });
+
+  it('should keep hand-written pre-request code on re-injection', () => {
+    const collection = createCollection();
+    const getTask = collection.item.find(item => item.name === 'Get task');
+    const prerequest = getTask.event.find(e => e.listen === 'prerequest');
+    prerequest.script.exec.push('pm.variables.set("traceId", "abc");');
+
+    client.addPreRequestsToItems(collection.item, generatePreRequestScriptsForSpec(API));
+
+    assert.strictEqual(getTask.event.filter(e => e.listen === 'prerequest').length, 1);
+    assert.ok(findGeneratedRegion(prerequest.script.exec).terminated);
+    assert.strictEqual(prerequest.script.exec.at(-1), 'pm.variables.set("traceId", "abc");');
+  });
+});
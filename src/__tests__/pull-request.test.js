@@ -0,0 +1,208 @@
+/**
+ * Reverse Sync Pull Request Unit Tests
+ * Run with: node --test src/__tests__/pull-request.test.js
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+
+import { PullRequestWorkflow, createBranchName, formatPullRequest } from '../pull-request.js';
+import { GitHubPRProvider, GitLabPRProvider, PullRequestError, createPRProvider } from '../pr-providers.js';
+
+// ============================================================
+// Fixtures
+// ============================================================
+
+const result = {
+  status: 'synced',
+  applied: [{ path: 'paths./tasks.get.description', rule: 'allowedFields: paths.*.*.description' }],
+  skipped: [{ path: 'info.description', reason: 'Conflict - spec wins' }],
+  changes: { blocked: [{ path: 'paths./tasks.post', reason: 'Structural change', rule: 'built-in structural: paths.*.*' }] }
+};
+
+const context = { specPath: 'specs/api.yaml', specTitle: 'Tasks API', collectionName: 'Tasks API', collectionUid: '123-abc' };
+
+function git(dir, ...args) {
+  return execFileSync('git', args, {
+    cwd: dir,
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'pipe']
+  }).trim();
+}
+
+/**
+ * Local HTTP server recording requests and answering with `respond`
+ */
+async function startFakeApi(respond) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const request = { method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null };
+      requests.push(request);
+      const [status, data] = respond(request);
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, requests, apiUrl: `http://127.0.0.1:${server.address().port}` };
+}
+
+// ============================================================
+// Message Tests
+// ============================================================
+
+describe('formatPullRequest', () => {
+  it('should summarize applied, skipped and blocked changes', () => {
+    const { title, body } = formatPullRequest(result, context);
+
+    assert.strictEqual(title, 'Reverse sync 1 change from Postman into Tasks API');
+    assert.deepStrictEqual(body.split('\n'), [
+      'Collection: Tasks API (123-abc)',
+      'Spec: specs/api.yaml',
+      '',
+      'Applied (1):',
+      '- paths./tasks.get.description: allowedFields: paths.*.*.description',
+      '',
+      'Skipped (1):',
+      '- info.description: Conflict - spec wins',
+      '',
+      'Blocked (1):',
+      '- paths./tasks.post: Structural change (built-in structural: paths.*.*)'
+    ]);
+    assert.match(formatPullRequest(result, context, { markdown: true }).body, /### Applied \(1\)\n\n- `paths\.\/tasks\.get\.description`/);
+  });
+
+  it('should name branches after the spec and time', () => {
+    assert.strictEqual(createBranchName('specs/Tasks API.yaml', 'reverse-sync', new Date('2024-05-01T13:45:02Z')), 'reverse-sync/tasks-api-20240501-134502');
+  });
+});
+
+// ============================================================
+// Provider Tests
+// ============================================================
+
+describe('PR providers', () => {
+  it('should open a GitHub pull request and label it', async () => {
+    const api = await startFakeApi(request => (request.url.endsWith('/pulls')
+      ? [201, { number: 7, html_url: 'https://github.test/acme/tasks/pull/7' }]
+      : [200, []]));
+
+    try {
+      const provider = new GitHubPRProvider({ repository: 'acme/tasks', token: 'secret', apiUrl: api.apiUrl });
+      const created = await provider.createPullRequest({ branch: 'reverse-sync/x', baseBranch: 'main', title: 'T', body: 'B', labels: ['documentation'] });
+
+      assert.deepStrictEqual(created, { url: 'https://github.test/acme/tasks/pull/7', number: 7 });
+      assert.deepStrictEqual(api.requests.map(r => `${r.method} ${r.url}`), ['POST /repos/acme/tasks/pulls', 'POST /repos/acme/tasks/issues/7/labels']);
+      assert.deepStrictEqual(api.requests[0].body, { title: 'T', head: 'reverse-sync/x', base: 'main', body: 'B' });
+      assert.strictEqual(api.requests[0].headers.authorization, 'Bearer secret');
+    } finally {
+      api.server.close();
+    }
+  });
+
+  it('should open a GitLab merge request and report API errors', async () => {
+    const api = await startFakeApi(request => (request.body.source_branch === 'taken'
+      ? [409, { message: ['Another open merge request already exists'] }]
+      : [201, { iid: 3, web_url: 'https://gitlab.test/acme/tasks/-/merge_requests/3' }]));
+
+    try {
+      const provider = new GitLabPRProvider({ repository: 'acme/tasks', token: 'secret', apiUrl: api.apiUrl });
+      const created = await provider.createPullRequest({ branch: 'reverse-sync/x', baseBranch: 'main', title: 'T', body: 'B', labels: ['a', 'b'] });
+
+      assert.deepStrictEqual(created, { url: 'https://gitlab.test/acme/tasks/-/merge_requests/3', number: 3 });
+      assert.strictEqual(api.requests[0].url, '/projects/acme%2Ftasks/merge_requests');
+      assert.strictEqual(api.requests[0].headers['private-token'], 'secret');
+      assert.strictEqual(api.requests[0].body.labels, 'a,b');
+
+      await assert.rejects(
+        provider.createPullRequest({ branch: 'taken', baseBranch: 'main', title: 'T', body: 'B' }),
+        error => error instanceof PullRequestError && error.status === 409
+      );
+    } finally {
+      api.server.close();
+    }
+  });
+
+  it('should reject unknown providers', () => {
+    assert.throws(() => createPRProvider({ provider: 'bitbucket' }), /Unknown PR provider "bitbucket"/);
+  });
+});
+
+// ============================================================
+// Workflow Tests
+// ============================================================
+
+describe('PullRequestWorkflow', () => {
+  let dir;
+  let specPath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pull-request-'));
+    specPath = path.join(dir, 'api.yaml');
+    git(dir, 'init', '-q', '-b', 'main');
+    git(dir, 'config', 'user.name', 'Test');
+    git(dir, 'config', 'user.email', 'test@example.com');
+    fs.writeFileSync(specPath, 'openapi: 3.0.3\ninfo:\n  title: Tasks\n  version: 1.0.0\npaths: {}\n');
+    git(dir, 'add', '-A');
+    git(dir, 'commit', '-q', '-m', 'Add spec');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should refuse specs with uncommitted changes', () => {
+    fs.appendFileSync(specPath, '# local edit\n');
+
+    assert.throws(() => new PullRequestWorkflow().assertReady(specPath), /uncommitted changes/);
+  });
+
+  it('should skip the pull request when the written files are unchanged', async () => {
+    const workflow = new PullRequestWorkflow();
+
+    const pr = await workflow.open({ ...result, writtenFiles: [specPath] }, { ...context, specPath });
+
+    assert.strictEqual(pr, null);
+    assert.strictEqual(git(dir, 'branch', '--list', 'reverse-sync/*'), '');
+    assert.strictEqual(git(dir, 'rev-list', '--count', 'HEAD'), '1');
+  });
+
+  it('should commit the written files to a pushed branch and open a pull request', async () => {
+    const remote = path.join(dir, 'remote.git');
+    execFileSync('git', ['init', '-q', '--bare', remote]);
+    git(dir, 'remote', 'add', 'origin', remote);
+    fs.writeFileSync(path.join(dir, '.git/info/exclude'), 'remote.git\n');
+
+    const api = await startFakeApi(() => [201, { number: 1, html_url: 'https://github.test/acme/tasks/pull/1' }]);
+
+    try {
+      const workflow = new PullRequestWorkflow({
+        provider: new GitHubPRProvider({ repository: 'acme/tasks', token: 'secret', apiUrl: api.apiUrl })
+      });
+      workflow.assertReady(specPath);
+      fs.appendFileSync(specPath, 'x-synced: true\n');
+
+      const pr = await workflow.open({ ...result, writtenFiles: [specPath] }, { ...context, specPath });
+
+      assert.strictEqual(pr.baseBranch, 'main');
+      assert.strictEqual(pr.url, 'https://github.test/acme/tasks/pull/1');
+      assert.strictEqual(git(dir, 'rev-parse', '--abbrev-ref', 'HEAD'), 'main');
+      assert.doesNotMatch(fs.readFileSync(specPath, 'utf8'), /x-synced/);
+      assert.match(git(dir, 'show', `${pr.branch}:api.yaml`), /x-synced: true/);
+      assert.match(git(dir, 'log', '-1', '--format=%B', pr.branch), /^Reverse sync 1 change from Postman into Tasks API\n\nCollection: Tasks API/);
+      assert.strictEqual(git(remote, 'rev-parse', pr.branch), pr.commit);
+      assert.strictEqual(api.requests[0].body.head, pr.branch);
+    } finally {
+      api.server.close();
+    }
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * Reporters Module Unit Tests
+ * Run with: node --test src/__tests__/reporters.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+
+import {
+  generateJUnitReport,
+  generateJsonReport,
+  generateHtmlReport,
+  getTagsByKey,
+  writeReport
+} from '../reporters.js';
+import { generateTestKeyFromRequest } from '../test-generator.js';
+
+import { createMinimalSpec, createTempDir } from './helpers/test-helpers.js';
+
+// ============================================================
+// Fixtures
+// ============================================================
+
+function createRun() {
+  return {
+    name: 'Task API - Contract Tests',
+    startedAt: '2026-01-01T00:00:00.000Z',
+    duration: 3500,
+    responseTimeThreshold: 2000,
+    requests: [
+      {
+        key: 'get|/tasks',
+        name: 'List tasks',
+        folders: ['Tasks'],
+        method: 'GET',
+        url: 'http://localhost:4010/tasks',
+        code: 200,
+        status: 'OK',
+        responseTime: 120,
+        tests: [{ name: 'Status code is 200', passed: true, error: null }],
+        error: null,
+        responseBody: null
+      },
+      {
+        key: 'post|/tasks',
+        name: 'Create task',
+        folders: ['Tasks'],
+        method: 'POST',
+        url: 'http://localhost:4010/tasks',
+        code: 500,
+        status: 'Internal Server Error',
+        responseTime: 2400,
+        tests: [
+          { name: 'Status code is 201', passed: false, error: 'expected response to have status code 201 but got 500' },
+          { name: 'Response time is acceptable', passed: false, error: 'expected 2400 to be below 2000' }
+        ],
+        error: null,
+        responseBody: '{"error":"<boom> & bust"}'
+      },
+      {
+        key: 'delete|/tasks/{taskId}',
+        name: 'Delete task',
+        folders: [],
+        method: 'DELETE',
+        url: 'http://127.0.0.1:1/tasks/1',
+        code: null,
+        status: null,
+        responseTime: null,
+        tests: [],
+        error: 'fetch failed',
+        responseBody: null
+      }
+    ],
+    stats: { requests: 3, failedRequests: 2, tests: 3, passed: 1, failed: 2 }
+  };
+}
+
+// ============================================================
+// JUnit Tests
+// ============================================================
+
+describe('generateJUnitReport', () => {
+  it('should emit one testsuite per request and one testcase per assertion', () => {
+    const xml = generateJUnitReport([createRun()]);
+
+    assert.ok(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>'));
+    assert.match(xml, /<testsuites name="spec-sync run" tests="4" failures="2" errors="1" time="3.500">/);
+    assert.strictEqual(xml.match(/<testsuite /g).length, 3);
+    assert.match(xml, /<testsuite name="Task API - Contract Tests \/ Tasks \/ List tasks" tests="1" failures="0" errors="0" time="0.120"/);
+    assert.match(xml, /<testcase name="Status code is 200" classname="get\|\/tasks" time="0.000"\/>/);
+  });
+
+  it('should record failures with escaped response details and request errors', () => {
+    const xml = generateJUnitReport([createRun()]);
+
+    assert.match(xml, /<failure message="expected response to have status code 201 but got 500" type="AssertionFailure">/);
+    assert.ok(xml.includes('&quot;error&quot;: &quot;&lt;boom&gt; &amp; bust&quot;'));
+    assert.ok(!xml.includes('<boom>'));
+    assert.match(xml, /<error message="fetch failed" type="RequestError"\/>/);
+  });
+});
+
+// ============================================================
+// JSON Tests
+// ============================================================
+
+describe('generateJsonReport', () => {
+  it('should key results by method|path', () => {
+    const report = generateJsonReport([createRun()]);
+
+    assert.deepStrictEqual(Object.keys(report.results), ['get|/tasks', 'post|/tasks', 'delete|/tasks/{taskId}']);
+    assert.strictEqual(report.results['get|/tasks'][0].passed, true);
+    assert.strictEqual(report.results['post|/tasks'][0].passed, false);
+    assert.strictEqual(report.results['post|/tasks'][0].responseTimeThreshold, 2000);
+    assert.strictEqual(report.summary.failedRequests, 2);
+  });
+
+  it('should use the same keys as the test generator for Postman requests', () => {
+    const key = generateTestKeyFromRequest({
+      method: 'GET',
+      url: { raw: '{{baseUrl}}/tasks/:taskId?expand=true', path: ['tasks', ':taskId'] }
+    });
+
+    assert.strictEqual(key, 'get|/tasks/{taskId}');
+  });
+});
+
+// ============================================================
+// HTML Tests
+// ============================================================
+
+describe('generateHtmlReport', () => {
+  it('should group requests by OpenAPI tag', () => {
+    const api = createMinimalSpec({
+      paths: {
+        '/tasks': {
+          get: { tags: ['Tasks'], responses: { '200': { description: 'OK' } } },
+          post: { tags: ['Tasks'], responses: { '201': { description: 'Created' } } }
+        },
+        '/tasks/{taskId}': {
+          delete: { tags: ['Admin'], responses: { '204': { description: 'Deleted' } } }
+        }
+      }
+    });
+
+    const html = generateHtmlReport([createRun()], { tagsByKey: getTagsByKey(api) });
+
+    assert.match(html, /<h2>Tasks <span class="count">1\/2 passed<\/span><\/h2>/);
+    assert.match(html, /<h2>Admin <span class="count">0\/1 passed<\/span><\/h2>/);
+  });
+
+  it('should fall back to the top-level folder, then Untagged', () => {
+    const html = generateHtmlReport([createRun()]);
+
+    assert.match(html, /<h2>Tasks /);
+    assert.match(html, /<h2>Untagged /);
+  });
+
+  it('should show assertions, response time against the threshold and failing bodies', () => {
+    const html = generateHtmlReport([createRun()]);
+
+    assert.match(html, /<li class="passed">Status code is 200<\/li>/);
+    assert.match(html, /<li class="failed">Status code is 201 <span class="error">expected response/);
+    assert.match(html, /<span class="meta">120 ms \/ 2000 ms<\/span>/);
+    assert.match(html, /<span class="meta slow">2400 ms \/ 2000 ms<\/span>/);
+    assert.ok(html.includes('&quot;error&quot;: &quot;&lt;boom&gt; &amp; bust&quot;'));
+    assert.ok(!/<(script|link)\b/.test(html), 'Report should be self-contained');
+  });
+});
+
+// ============================================================
+// writeReport Tests
+// ============================================================
+
+describe('writeReport', () => {
+  it('should create parent directories and reject unknown reporters', () => {
+    const tempDir = createTempDir();
+    const filePath = path.join(tempDir.path, 'reports', 'nested', 'results.json');
+
+    try {
+      writeReport('json', [createRun()], filePath);
+      assert.ok(JSON.parse(fs.readFileSync(filePath, 'utf8')).results['get|/tasks']);
+      assert.throws(() => writeReport('xml', [], filePath), /Unknown reporter: xml/);
+    } finally {
+      tempDir.cleanup();
+    }
+  });
+});
@@ -0,0 +1,230 @@
+/**
+ * Scenario Generator Module Unit Tests
+ * Run with: node --test src/__tests__/scenario-generator.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { generateScenariosForSpec, SCENARIO_SCRIPT_MARKER } from '../scenario-generator.js';
+import { parseSpec } from '../parser.js';
+import { SpecHubClient } from '../spec-hub-client.js';
+
+import { createMinimalSpec, validatePostmanTestScript } from './helpers/test-helpers.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SAMPLE_SPEC = path.join(__dirname, '..', '..', 'specs', 'sample-api.yaml');
+
+// ============================================================
+// CRUD Inference Tests
+// ============================================================
+
+describe('generateScenariosForSpec - CRUD inference', () => {
+  it('should order the sample spec lifecycle create -> read -> update -> action -> delete', async () => {
+    const api = await parseSpec(SAMPLE_SPEC);
+    const [scenario] = generateScenariosForSpec(api);
+
+    assert.strictEqual(scenario.name, 'tasks lifecycle');
+    assert.deepStrictEqual(scenario.steps.map(step => step.key), [
+      'post|/tasks',
+      'get|/tasks/{taskId}',
+      'put|/tasks/{taskId}',
+      'post|/tasks/{taskId}/complete',
+      'delete|/tasks/{taskId}'
+    ]);
+  });
+
+  it('should capture the created id and bind it to later steps', async () => {
+    const api = await parseSpec(SAMPLE_SPEC);
+    const [scenario] = generateScenariosForSpec(api);
+    const [create, ...rest] = scenario.steps;
+
+    assert.deepStrictEqual(create.captures, [{ parameter: 'taskId', variable: 'scenario_taskId', pointer: '/id' }]);
+    for (const step of rest) {
+      assert.deepStrictEqual(step.parameters, { taskId: 'scenario_taskId' });
+    }
+  });
+
+  it('should end with a cleanup step that unsets captured variables', async () => {
+    const api = await parseSpec(SAMPLE_SPEC);
+    const [scenario] = generateScenariosForSpec(api);
+    const cleanup = scenario.steps[scenario.steps.length - 1];
+
+    assert.strictEqual(cleanup.cleanup, true);
+    assert.ok(cleanup.script.join('\n').includes('pm.collectionVariables.unset("scenario_taskId");'));
+  });
+
+  it('should prefer an identifier field named like the path parameter', () => {
+    const api = createMinimalSpec({
+      paths: {
+        '/orders': {
+          post: {
+            responses: {
+              '201': {
+                description: 'Created',
+                content: {
+                  'application/json': {
+                    schema: { type: 'object', properties: { orderId: { type: 'string' }, id: { type: 'integer' } } }
+                  }
+                }
+              }
+            }
+          }
+        },
+        '/orders/{orderId}': {
+          get: { responses: { '200': { description: 'OK' } } }
+        }
+      }
+    });
+    const [scenario] = generateScenariosForSpec(api);
+
+    assert.strictEqual(scenario.steps[0].captures[0].pointer, '/orderId');
+    assert.strictEqual(scenario.steps.some(step => step.cleanup), false, 'No DELETE documented');
+  });
+
+  it('should produce no scenarios without a collection/item pair', () => {
+    const api = createMinimalSpec();
+
+    assert.deepStrictEqual(generateScenariosForSpec(api), []);
+  });
+});
+
+// ============================================================
+// OpenAPI Links Tests
+// ============================================================
+
+describe('generateScenariosForSpec - links', () => {
+  const api = createMinimalSpec({
+    paths: {
+      '/users': {
+        post: {
+          operationId: 'createUser',
+          responses: {
+            '201': {
+              description: 'Created',
+              headers: { Location: { schema: { type: 'string' } } },
+              links: {
+                GetUser: { operationId: 'getUser', parameters: { userId: '$response.body#/data/id' } },
+                GetUserAddress: {
+                  operationRef: '#/paths/~1users~1{userId}~1address/get',
+                  parameters: { 'path.userId': '$response.body#/data/id' }
+                }
+              }
+            }
+          }
+        }
+      },
+      '/users/{userId}': {
+        get: {
+          operationId: 'getUser',
+          responses: {
+            '200': {
+              description: 'OK',
+              links: {
+                ListGroups: { operationId: 'listGroups', parameters: { owner: '$request.path.userId', limit: 5 } }
+              }
+            }
+          }
+        },
+        delete: { operationId: 'deleteUser', responses: { '204': { description: 'Deleted' } } }
+      },
+      '/users/{userId}/address': {
+        get: { operationId: 'getUserAddress', responses: { '200': { description: 'OK' } } }
+      },
+      '/groups': {
+        get: { operationId: 'listGroups', responses: { '200': { description: 'OK' } } }
+      }
+    }
+  });
+
+  const scenarios = generateScenariosForSpec(api);
+  const linkScenario = scenarios.find(scenario => scenario.name === 'Links from createUser');
+
+  it('should start from operations not reached by other links', () => {
+    assert.ok(linkScenario);
+    assert.ok(!scenarios.some(scenario => scenario.name === 'Links from getUser'));
+    assert.ok(!scenarios.some(scenario => scenario.name === 'users lifecycle'), 'Linked creates are not duplicated by CRUD inference');
+  });
+
+  it('should follow links in dependency order and clean up', () => {
+    assert.deepStrictEqual(linkScenario.steps.map(step => step.key), [
+      'post|/users',
+      'get|/users/{userId}',
+      'get|/users/{userId}/address',
+      'get|/groups',
+      'delete|/users/{userId}'
+    ]);
+    assert.strictEqual(linkScenario.steps[4].cleanup, true);
+  });
+
+  it('should translate runtime expressions into captures and bindings', () => {
+    const [create, getUser, address, groups] = linkScenario.steps;
+
+    assert.deepStrictEqual(create.captures.map(capture => capture.pointer), ['/data/id', '/data/id']);
+    assert.deepStrictEqual(address.parameters, { userId: 'scenario_userId' });
+    assert.deepStrictEqual(getUser.captures, [{ parameter: 'limit', variable: 'scenario_limit', value: 5 }]);
+    assert.deepStrictEqual(groups.parameters, { owner: 'scenario_userId', limit: 'scenario_limit' });
+  });
+
+  it('should generate valid step scripts', () => {
+    for (const step of linkScenario.steps) {
+      assert.ok(step.script[0].startsWith(SCENARIO_SCRIPT_MARKER));
+      const result = validatePostmanTestScript(step.script);
+      assert.ok(result.valid, `${step.key}: ${result.errors.join(', ')}`);
+    }
+  });
+});
+
+// ============================================================
+// Collection Assembly Tests
+// ============================================================
+
+describe('SpecHubClient.addScenarioSteps', () => {
+  const requestItem = (method, postmanPath, variable) => ({
+    name: `${method} ${postmanPath}`,
+    request: {
+      method,
+      url: {
+        raw: `{{baseUrl}}${postmanPath}`,
+        host: ['{{baseUrl}}'],
+        path: postmanPath.split('/').filter(Boolean),
+        variable
+      }
+    }
+  });
+
+  it('should build ordered folders bound to captured variables', async () => {
+    const api = await parseSpec(SAMPLE_SPEC);
+    const scenarios = generateScenariosForSpec(api);
+    const idVariable = [{ key: 'taskId', value: '<string>' }];
+    const collection = {
+      item: [{
+        name: 'Tasks',
+        item: [
+          requestItem('DELETE', '/tasks/:taskId', idVariable),
+          requestItem('POST', '/tasks'),
+          requestItem('GET', '/tasks/:taskId', idVariable),
+          requestItem('PUT', '/tasks/:taskId', idVariable),
+          requestItem('POST', '/tasks/:taskId/complete', idVariable)
+        ]
+      }]
+    };
+
+    const client = new SpecHubClient('test-key', 'test-workspace');
+    let updated = null;
+    client.getCollection = async () => ({ collection });
+    client.updateCollection = async (uid, body) => { updated = body; };
+
+    const result = await client.addScenarioSteps('collection-uid', scenarios);
+
+    assert.strictEqual(result.injected, 5);
+    assert.strictEqual(updated.item[0].name, 'tasks lifecycle');
+    assert.deepStrictEqual(updated.item[0].item.map(item => item.request.method), ['POST', 'GET', 'PUT', 'POST', 'DELETE']);
+    assert.deepStrictEqual(updated.item[0].item[1].request.url.variable, [{ key: 'taskId', value: '{{scenario_taskId}}' }]);
+    assert.deepStrictEqual(updated.variable, [{ key: 'scenario_taskId', value: '' }]);
+  });
+});
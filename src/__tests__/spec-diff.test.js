@@ -0,0 +1,268 @@
+/**
+ * Spec Diff Unit Tests
+ * Run with: node --test src/__tests__/spec-diff.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import { diffSpecs, formatChange } from '../spec-diff.js';
+
+import { createMinimalSpec, deepClone } from './helpers/test-helpers.js';
+
+// ============================================================
+// Fixtures
+// ============================================================
+
+function createBaseSpec() {
+  return createMinimalSpec({
+    paths: {
+      '/tasks': {
+        get: {
+          summary: 'List tasks',
+          parameters: [
+            { name: 'status', in: 'query', schema: { type: 'string', enum: ['pending', 'done'] } },
+            { name: 'limit', in: 'query', schema: { type: 'integer' } }
+          ],
+          responses: {
+            '200': {
+              description: 'OK',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      required: ['id', 'title'],
+                      properties: {
+                        id: { type: 'string' },
+                        title: { type: 'string' },
+                        status: { type: 'string', enum: ['pending', 'done'] }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        },
+        post: {
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['title'],
+                  properties: {
+                    id: { type: 'string', readOnly: true },
+                    title: { type: 'string' },
+                    priority: { type: 'integer' }
+                  }
+                }
+              }
+            }
+          },
+          responses: { '201': { description: 'Created' } }
+        }
+      },
+      '/tasks/{taskId}': {
+        parameters: [{ name: 'taskId', in: 'path', required: true, schema: { type: 'string' } }],
+        delete: { responses: { '204': { description: 'Deleted' } } }
+      }
+    }
+  });
+}
+
+/**
+ * Spec with a recursive schema, dereferenced the way a resolver without
+ * circular: 'ignore' leaves it (Node.children.items is Node itself)
+ */
+function createRecursiveSpec(description = 'Tree node') {
+  const node = { type: 'object', description, properties: { name: { type: 'string' } } };
+  node.properties.children = { type: 'array', items: node };
+
+  return createMinimalSpec({
+    paths: {
+      '/nodes': {
+        get: { responses: { '200': { description: 'OK', content: { 'application/json': { schema: node } } } } },
+        post: { requestBody: { content: { 'application/json': { schema: node } } }, responses: { '201': { description: 'Created' } } }
+      }
+    },
+    components: { schemas: { Node: node } }
+  });
+}
+
+const byRule = (changes, rule) => changes.filter(change => change.rule === rule);
+
+// ============================================================
+// Breaking Change Tests
+// ============================================================
+
+describe('diffSpecs - breaking changes', () => {
+  it('should report no changes for identical specs', () => {
+    const result = diffSpecs(createBaseSpec(), createBaseSpec());
+
+    assert.deepStrictEqual(result.breaking, []);
+    assert.deepStrictEqual(result.nonBreaking, []);
+  });
+
+  it('should flag removed operations', () => {
+    const head = createBaseSpec();
+    delete head.paths['/tasks/{taskId}'];
+
+    const [change] = diffSpecs(createBaseSpec(), head).breaking;
+
+    assert.strictEqual(change.rule, 'operation-removed');
+    assert.strictEqual(change.operation, 'DELETE /tasks/{taskId}');
+  });
+
+  it('should flag new required parameters and parameters that became required', () => {
+    const head = createBaseSpec();
+    head.paths['/tasks'].get.parameters[1].required = true;
+    head.paths['/tasks'].get.parameters.push({ name: 'X-Tenant', in: 'header', required: true, schema: { type: 'string' } });
+
+    const { breaking } = diffSpecs(createBaseSpec(), head);
+
+    assert.strictEqual(byRule(breaking, 'parameter-became-required')[0].location, 'query parameter "limit"');
+    assert.strictEqual(byRule(breaking, 'required-parameter-added')[0].location, 'header parameter "X-Tenant"');
+  });
+
+  it('should flag enums narrowed in requests but not in responses', () => {
+    const head = createBaseSpec();
+    head.paths['/tasks'].get.parameters[0].schema.enum = ['pending'];
+    head.paths['/tasks'].get.responses['200'].content['application/json'].schema.items.properties.status.enum = ['pending'];
+
+    const result = diffSpecs(createBaseSpec(), head);
+
+    assert.deepStrictEqual(byRule(result.breaking, 'enum-narrowed').map(c => c.location), ['query parameter "status"']);
+    assert.deepStrictEqual(byRule(result.nonBreaking, 'enum-narrowed').map(c => c.location), ['response 200 body field "[].status"']);
+  });
+
+  it('should flag enums widened in responses but not in requests', () => {
+    const head = createBaseSpec();
+    head.paths['/tasks'].get.parameters[0].schema.enum.push('archived');
+    head.paths['/tasks'].get.responses['200'].content['application/json'].schema.items.properties.status.enum.push('archived');
+
+    const result = diffSpecs(createBaseSpec(), head);
+
+    assert.deepStrictEqual(byRule(result.breaking, 'enum-widened').map(c => c.location), ['response 200 body field "[].status"']);
+    assert.deepStrictEqual(byRule(result.nonBreaking, 'enum-widened').map(c => c.location), ['query parameter "status"']);
+  });
+
+  it('should compare oneOf and anyOf branches', () => {
+    const withBranches = () => {
+      const spec = createBaseSpec();
+      const item = spec.paths['/tasks'].get.responses['200'].content['application/json'].schema.items;
+      item.properties.assignee = { oneOf: [{ type: 'string' }, { type: 'object', required: ['id'], properties: { id: { type: 'string' } } }] };
+      spec.paths['/tasks'].post.requestBody.content['application/json'].schema.properties.due = { anyOf: [{ type: 'string' }, { type: 'integer' }] };
+      return spec;
+    };
+    const head = withBranches();
+    const assignee = head.paths['/tasks'].get.responses['200'].content['application/json'].schema.items.properties.assignee;
+    assignee.oneOf[1].required = [];
+    assignee.oneOf.push({ type: 'null' });
+    head.paths['/tasks'].post.requestBody.content['application/json'].schema.properties.due.anyOf.pop();
+
+    const { breaking } = diffSpecs(withBranches(), head);
+
+    assert.deepStrictEqual(breaking.map(c => [c.rule, c.location]), [
+      ['response-field-optional', 'response 200 body field "[].assignee.oneOf[1].id"'],
+      ['oneOf-branch-added', 'response 200 body field "[].assignee.oneOf[2]"'],
+      ['anyOf-branch-removed', 'request body field "due.anyOf[1]"']
+    ]);
+  });
+
+  it('should flag removed and no longer required response fields', () => {
+    const head = createBaseSpec();
+    const item = head.paths['/tasks'].get.responses['200'].content['application/json'].schema.items;
+    delete item.properties.title;
+    item.required = [];
+
+    const { breaking } = diffSpecs(createBaseSpec(), head);
+
+    assert.strictEqual(byRule(breaking, 'response-field-removed')[0].location, 'response 200 body field "[].title"');
+    assert.strictEqual(byRule(breaking, 'response-field-optional')[0].location, 'response 200 body field "[].id"');
+  });
+
+  it('should flag type changes that break clients', () => {
+    const head = createBaseSpec();
+    head.paths['/tasks'].get.responses['200'].content['application/json'].schema.items.properties.id = { type: 'integer' };
+    head.paths['/tasks'].post.requestBody.content['application/json'].schema.properties.title = { type: 'integer' };
+
+    const { breaking } = diffSpecs(createBaseSpec(), head);
+
+    assert.deepStrictEqual(byRule(breaking, 'type-changed').map(formatChange), [
+      'GET /tasks - response 200 body field "[].id": Type changed from string to integer',
+      'POST /tasks - request body field "title": Type changed from string to integer'
+    ]);
+  });
+
+  it('should flag newly required request fields', () => {
+    const head = createBaseSpec();
+    const schema = head.paths['/tasks'].post.requestBody.content['application/json'].schema;
+    schema.required.push('priority', 'owner');
+    schema.properties.owner = { type: 'string' };
+
+    const changes = byRule(diffSpecs(createBaseSpec(), head).breaking, 'required-field-added');
+
+    assert.deepStrictEqual(changes.map(c => c.location), ['request body field "priority"', 'request body field "owner"']);
+  });
+});
+
+// ============================================================
+// Non-Breaking Change Tests
+// ============================================================
+
+describe('diffSpecs - non-breaking changes', () => {
+  it('should treat additions and widened request types as non-breaking', () => {
+    const head = createBaseSpec();
+    head.paths['/projects'] = { get: { responses: { '200': { description: 'OK' } } } };
+    head.paths['/tasks'].get.parameters.push({ name: 'sort', in: 'query', schema: { type: 'string' } });
+    head.paths['/tasks'].get.parameters[1].schema = { type: 'number' };
+    head.paths['/tasks'].post.requestBody.content['application/json'].schema.properties.id = { type: 'integer', readOnly: true };
+
+    const result = diffSpecs(createBaseSpec(), head);
+
+    assert.deepStrictEqual(result.breaking, []);
+    assert.deepStrictEqual(result.nonBreaking.map(c => c.rule).sort(), ['operation-added', 'operation-modified', 'optional-parameter-added', 'type-changed']);
+    assert.strictEqual(result.summary.operationsAdded, 1);
+  });
+
+  it('should match operations whose path parameters were renamed', () => {
+    const head = createBaseSpec();
+    const item = head.paths['/tasks/{taskId}'];
+    item.parameters[0].name = 'id';
+    head.paths['/tasks/{id}'] = item;
+    delete head.paths['/tasks/{taskId}'];
+
+    const result = diffSpecs(createBaseSpec(), head);
+
+    assert.deepStrictEqual(result.breaking, []);
+  });
+
+  it('should diff recursive dereferenced schemas without overflowing the stack', () => {
+    assert.deepStrictEqual(diffSpecs(createRecursiveSpec(), createRecursiveSpec()), diffSpecs(createMinimalSpec(), createMinimalSpec()));
+
+    const { breaking, nonBreaking } = diffSpecs(createRecursiveSpec(), createRecursiveSpec('A node in the tree'));
+
+    assert.deepStrictEqual(breaking, []);
+    assert.deepStrictEqual(nonBreaking.map(formatChange), [
+      'GET /nodes: Documentation changed (1 field)',
+      'POST /nodes: Documentation changed (1 field)'
+    ]);
+  });
+
+  it('should summarize documentation and other edits found by deepDiff', () => {
+    const head = deepClone(createBaseSpec());
+    head.paths['/tasks'].get.summary = 'List all tasks';
+    head.paths['/tasks/{taskId}'].delete.deprecated = true;
+
+    const { nonBreaking } = diffSpecs(createBaseSpec(), head);
+
+    assert.deepStrictEqual(nonBreaking.map(formatChange), [
+      'GET /tasks: Documentation changed (1 field)',
+      'DELETE /tasks/{taskId}: Modified: deprecated'
+    ]);
+  });
+});
@@ -0,0 +1,268 @@
+/**
+ * Forward Sync Plan/Apply Tests
+ * Run with: node --test src/__tests__/sync-plan.test.js
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import {
+  SyncPlanError,
+  applySyncPlan,
+  createSyncPlan,
+  diffEnvironmentValues,
+  diffScripts,
+  formatSyncPlan,
+  getPlannedTypes,
+  loadSyncPlan,
+  saveSyncPlan,
+  summarizeSyncPlan
+} from '../sync-plan.js';
+import { FakePostmanApi } from '../fake-postman-api.js';
+import { SpecHubClient } from '../spec-hub-client.js';
+import { extractGeneratedLines } from '../generated-region.js';
+
+// parseSpec only reads specs under the working directory
+const TEST_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+// ============================================================
+// Fixtures
+// ============================================================
+
+const SPEC = `openapi: 3.0.3
+info:
+  title: Tasks API
+  version: 1.0.0
+servers:
+  - url: https://api.example.com/v1
+    description: Production
+paths:
+  /tasks:
+    get:
+      summary: List tasks
+      responses:
+        '200':
+          description: OK
+          content:
+            application/json:
+              schema:
+                type: array
+                items:
+                  type: object
+    post:
+      summary: Create task
+      requestBody:
+        required: true
+        content:
+          application/json:
+            schema:
+              type: object
+              required: [title]
+              properties:
+                title:
+                  type: string
+      responses:
+        '201':
+          description: Created
+        '400':
+          description: Invalid task
+`;
+
+function findCollection(plan, type) {
+  return plan.collections.find(collection => collection.type === type);
+}
+
+// ============================================================
+// Plan Tests
+// ============================================================
+
+describe('forward sync plan/apply', () => {
+  let fake;
+  let client;
+  let dir;
+  let specPath;
+
+  beforeEach(async () => {
+    fake = new FakePostmanApi({ port: 0, generationDelay: 20 });
+    const baseUrl = await fake.start();
+    client = new SpecHubClient('test-key', 'ws-1', { baseUrl, pollInterval: 10 });
+
+    dir = fs.mkdtempSync(path.join(TEST_DIR, '.sync-plan-'));
+    specPath = path.join(dir, 'api.yaml');
+    fs.writeFileSync(specPath, SPEC);
+  });
+
+  afterEach(async () => {
+    await fake.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function plan(testLevel = 'all') {
+    return createSyncPlan(client, { spec: specPath, testLevel, config: {} });
+  }
+
+  it('should plan a first sync without changing anything', async () => {
+    const first = await plan();
+
+    assert.strictEqual(first.spec.action, 'create');
+    assert.deepStrictEqual(first.spec.files.map(file => [file.path, file.action]), [['index.yaml', 'create']]);
+    assert.deepStrictEqual(first.collections.map(c => [c.type, c.action]), [
+      ['main', 'generate'], ['smoke', 'generate'], ['contract', 'generate'], ['negative', 'generate'], ['scenario', 'generate']
+    ]);
+    assert.deepStrictEqual(findCollection(first, 'contract').scripts.items, [
+      { key: 'get|/tasks', action: 'inject', scripts: 1 },
+      { key: 'post|/tasks', action: 'inject', scripts: 1 }
+    ]);
+    assert.strictEqual(findCollection(first, 'main').scripts, null);
+    assert.deepStrictEqual(first.environments.map(e => e.action), ['create']);
+
+    assert.deepStrictEqual(await client.listSpecs(), []);
+    assert.deepStrictEqual(await client.getWorkspaceCollections(), []);
+  });
+
+  it('should plan nothing to change after applying', async () => {
+    await applySyncPlan(client, await plan());
+
+    const second = await plan();
+    const summary = summarizeSyncPlan(second);
+
+    assert.strictEqual(second.spec.action, 'unchanged');
+    assert.ok(second.collections.every(c => c.action === 'sync' && c.uid));
+    assert.deepStrictEqual(summary.scripts, { inject: 0, replace: 0, remove: 0 });
+    assert.deepStrictEqual(summary.environments, { create: 0, update: 0 });
+    assert.match(formatSyncPlan(second), /Plan: 0 spec file\(s\) to upload, 0 collection\(s\) to generate, 5 to sync, 0 script\(s\) to inject/);
+  });
+
+  it('should plan patched files, replaced scripts and environment value diffs', async () => {
+    await applySyncPlan(client, await plan('contract'));
+
+    fs.writeFileSync(specPath, SPEC
+      .replace('https://api.example.com/v1', 'https://api.example.com/v2')
+      .replace("        '201':\n          description: Created", "        '202':\n          description: Accepted")
+      .replace('paths:\n', 'paths:\n  /health:\n    get:\n      summary: Health\n      responses:\n        \'200\':\n          description: OK\n'));
+
+    const next = await plan('contract');
+    const contract = findCollection(next, 'contract');
+
+    assert.deepStrictEqual(next.spec.files.map(file => [file.path, file.action]), [['index.yaml', 'update']]);
+    assert.deepStrictEqual(contract.scripts.items.filter(item => item.action !== 'unchanged'), [
+      { key: 'get|/health', action: 'inject', scripts: 1 },
+      { key: 'post|/tasks', action: 'replace', scripts: 1 }
+    ]);
+    assert.deepStrictEqual(next.environments[0].changes.find(change => change.key === 'baseUrl'), {
+      key: 'baseUrl',
+      change: 'update',
+      from: 'https://api.example.com/v1',
+      to: 'https://api.example.com/v2'
+    });
+
+    const text = formatSyncPlan(next);
+    assert.match(text, /~ index\.yaml \(root\)/);
+    assert.match(text, /\+ get\|\/health \(1 script\)/);
+    assert.match(text, /~ baseUrl: "https:\/\/api\.example\.com\/v1" -> "https:\/\/api\.example\.com\/v2"/);
+  });
+
+  it('should plan and apply pre-request scripts for every collection', async () => {
+    fs.writeFileSync(specPath, SPEC.replace('paths:\n', 'paths:\n  /tasks/{taskId}:\n    get:\n      summary: Get task\n' +
+      '      parameters:\n        - name: taskId\n          in: path\n          required: true\n          schema:\n            type: string\n' +
+      '      responses:\n        \'200\':\n          description: OK\n'));
+
+    const first = await plan('smoke');
+    assert.deepStrictEqual(first.collections.map(c => c.preRequestScripts.items), [
+      [{ key: 'get|/tasks/{taskId}', action: 'inject', scripts: 1 }],
+      [{ key: 'get|/tasks/{taskId}', action: 'inject', scripts: 1 }]
+    ]);
+    assert.match(formatSyncPlan(first), /\+ get\|\/tasks\/\{taskId\} \(pre-request\)/);
+
+    const result = await applySyncPlan(client, first);
+    const main = (await client.getCollection(result.collections[0].uid)).collection;
+    const getTask = main.item.flatMap(item => item.item || [item]).find(item => item.name === 'Get task');
+    assert.deepStrictEqual(extractGeneratedLines(getTask.event.find(e => e.listen === 'prerequest').script.exec),
+      first.collections[0].preRequestPayload['get|/tasks/{taskId}']);
+
+    assert.deepStrictEqual(summarizeSyncPlan(await plan('smoke')).preRequestScripts, { inject: 0, replace: 0, remove: 0 });
+  });
+
+  it('should apply a saved plan verbatim', async () => {
+    const planPath = path.join(dir, 'sync.plan.json');
+    saveSyncPlan(await plan('smoke'), planPath);
+
+    // Edits after planning are not applied
+    fs.writeFileSync(specPath, SPEC.replace('List tasks', 'List all tasks'));
+    const saved = loadSyncPlan(planPath);
+    const result = await applySyncPlan(client, saved);
+
+    assert.deepStrictEqual(result.collections.map(c => c.type), ['main', 'smoke']);
+    assert.strictEqual(await client.getSpecFile(result.specId, 'index.yaml'), SPEC);
+
+    const smoke = (await client.getCollection(result.collections[1].uid)).collection;
+    const requests = smoke.item.flatMap(item => item.item || [item]);
+    assert.deepStrictEqual(requests.map(item => extractGeneratedLines(item.event.find(e => e.listen === 'test').script.exec)),
+      requests.map(item => saved.collections[1].payload[`${item.request.method.toLowerCase()}|/tasks`]));
+  });
+
+  it('should refuse a stale plan', async () => {
+    const stale = await plan('none');
+    await applySyncPlan(client, await plan('none'));
+
+    await assert.rejects(applySyncPlan(client, stale), error =>
+      error instanceof SyncPlanError &&
+      /Plan is stale/.test(error.message) &&
+      /Collection "Tasks API" was generated since the plan/.test(error.message));
+  });
+});
+
+// ============================================================
+// Helper Tests
+// ============================================================
+
+describe('sync plan helpers', () => {
+  it('should classify scripts as injected, replaced, unchanged or removed', () => {
+    const existing = new Map([['a', [['old']]], ['b', [['same']]], ['c', []], ['gone', [['x'], ['y']]]]);
+    const planned = new Map([['a', [['new']]], ['b', [['same']]], ['c', [['first']]], ['d', [['one'], ['two']]]]);
+
+    const diff = diffScripts(existing, planned);
+
+    assert.deepStrictEqual(diff.items, [
+      { key: 'a', action: 'replace', scripts: 1 },
+      { key: 'b', action: 'unchanged', scripts: 1 },
+      { key: 'c', action: 'inject', scripts: 1 },
+      { key: 'd', action: 'inject', scripts: 2 },
+      { key: 'gone', action: 'remove', scripts: 2 }
+    ]);
+    assert.deepStrictEqual([diff.inject, diff.replace, diff.unchanged, diff.remove], [3, 1, 1, 2]);
+  });
+
+  it('should diff environment values and mask secrets', () => {
+    const changes = diffEnvironmentValues(
+      [{ key: 'baseUrl', value: 'a' }, { key: 'token', value: 'real', type: 'secret' }, { key: 'old', value: '1' }],
+      [{ key: 'baseUrl', value: 'b' }, { key: 'token', value: '', type: 'secret' }, { key: 'taskId', value: '' }]
+    );
+
+    assert.deepStrictEqual(changes, [
+      { key: 'baseUrl', change: 'update', from: 'a', to: 'b' },
+      { key: 'token', change: 'update', from: '********', to: '********' },
+      { key: 'taskId', change: 'add', to: '' },
+      { key: 'old', change: 'remove', from: '1' }
+    ]);
+  });
+
+  it('should always plan the main collection', () => {
+    assert.deepStrictEqual(getPlannedTypes('none'), ['main']);
+    assert.deepStrictEqual(getPlannedTypes('negative'), ['main', 'negative']);
+  });
+
+  it('should reject files that are not plans', () => {
+    const file = path.join(os.tmpdir(), `not-a-plan-${process.pid}.json`);
+    fs.writeFileSync(file, '{"version": 99}');
+    try {
+      assert.throws(() => loadSyncPlan(file), SyncPlanError);
+    } finally {
+      fs.rmSync(file);
+    }
+  });
+});
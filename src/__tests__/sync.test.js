@@ -5,9 +5,13 @@
 
 import { describe, it, mock, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import YAML from 'yaml';
 import { ChangeDetector, CHANGE_DIRECTION } from '../change-detector.js';
 import { SpecMerge } from '../spec-merge.js';
-import { RepoSync } from '../repo-sync.js';
+import { RepoSync, renderFilenamePattern } from '../repo-sync.js';
 
 // ============================================================
 // FIXTURES
@@ -121,6 +125,105 @@ describe('ChangeDetector', () => {
     const pathChange = changes.blocked.find(c => c.path.includes('paths'));
     assert.ok(pathChange, 'New endpoint should be blocked');
   });
+
+  it('should report the built-in rule that classified each change', () => {
+    const changes = detector.detectChanges(baseSpec, localSpec, remoteSpec);
+
+    assert.deepStrictEqual(changes.safeToSync.map(c => c.rule), [
+      'built-in: enrichment within structure',
+      'built-in: enrichment within structure'
+    ]);
+    assert.deepStrictEqual(detector.getSummary(changes).byRule, { 'built-in: enrichment within structure': 2 });
+  });
+
+  it('should apply configured allowedFields, blockedFields and requireApprovalFor', () => {
+    const configured = new ChangeDetector({
+      allowedFields: ['paths.*.*.description'],
+      blockedFields: ['paths'],
+      requireApprovalFor: ['paths.*.*.responses.*.content.*.example']
+    });
+    const remote = JSON.parse(JSON.stringify(remoteSpec));
+    remote.paths['/tasks'].get.summary = 'Changed summary';
+
+    const changes = configured.detectChanges(baseSpec, localSpec, remote);
+    const byPath = (list) => Object.fromEntries(list.map(c => [c.path, c.rule]));
+
+    assert.deepStrictEqual(byPath(changes.safeToSync), {
+      'paths./tasks.get.description': 'allowedFields: paths.*.*.description'
+    });
+    assert.deepStrictEqual(byPath(changes.blocked), {
+      'paths./tasks.get.summary': 'blockedFields: paths'
+    });
+    assert.deepStrictEqual(changes.needsReview.map(c => [c.path, c.rule, c.requiresApproval, c.hasConflict]), [
+      ['paths./tasks.get.responses.200.content.application/json.example.0.title', 'requireApprovalFor: paths.*.*.responses.*.content.*.example', true, false]
+    ]);
+  });
+
+  it('should match ** against any number of segments', () => {
+    assert.ok(detector.pathMatchesPattern('components.schemas.Task.description', 'components.schemas.**.description'));
+    assert.ok(detector.pathMatchesPattern('components.schemas.Task.properties.tags.items.description', 'components.schemas.**.description'));
+    assert.ok(detector.pathMatchesPattern('paths./tasks.get.example.0.title', 'paths.**.example'));
+    assert.ok(!detector.pathMatchesPattern('components.schemas.Task.properties.title.type', 'components.schemas.**.description'));
+  });
+
+  it('should let enrichments inside blocked structures through with the shipped config', () => {
+    const { reverseSync } = JSON.parse(fs.readFileSync(new URL('../../sync.config.json', import.meta.url), 'utf8'));
+    const shipped = new ChangeDetector(reverseSync);
+
+    const base = JSON.parse(JSON.stringify(baseSpec));
+    base.paths['/tasks'].get.parameters = [{ name: 'status', in: 'query', schema: { type: 'string' } }];
+    base.paths['/tasks'].get.responses['200'].headers = { 'X-Rate-Limit': { schema: { type: 'integer' } } };
+    base.components.schemas.Task.properties.title = { type: 'string' };
+
+    const remote = JSON.parse(JSON.stringify(base));
+    remote.paths['/tasks'].get.parameters[0].example = 'open';
+    remote.paths['/tasks'].get.responses['200'].headers['X-Rate-Limit'].description = 'Requests left';
+    remote.components.schemas.Task.properties.title.description = 'Task title';
+    remote.components.schemas.Task.properties.id.type = 'string';
+    remote.paths['/health'] = { get: { summary: 'Health' } };
+
+    const changes = shipped.detectChanges(base, base, remote);
+    const byPath = (list) => Object.fromEntries(list.map(c => [c.path, c.rule]));
+
+    assert.deepStrictEqual(byPath(changes.safeToSync), {
+      'paths./tasks.get.parameters.0.example': 'allowedFields: paths.**.example',
+      'paths./tasks.get.responses.200.headers.X-Rate-Limit.description': 'allowedFields: paths.**.description',
+      'components.schemas.Task.properties.title.description': 'allowedFields: components.schemas.**.description'
+    });
+    assert.deepStrictEqual(byPath(changes.blocked), {
+      'paths./health': 'blockedFields: paths',
+      'components.schemas.Task.properties.id.type': 'blockedFields: components.schemas'
+    });
+  });
+
+  it('should block structural edits to properties named description or example', () => {
+    const { reverseSync } = JSON.parse(fs.readFileSync(new URL('../../sync.config.json', import.meta.url), 'utf8'));
+    const shipped = new ChangeDetector(reverseSync);
+
+    const base = JSON.parse(JSON.stringify(baseSpec));
+    base.components.schemas.Task.properties.description = { type: 'string' };
+    base.paths['/tasks'].get.requestBody = {
+      content: { 'application/json': { schema: { type: 'object', properties: { example: { type: 'string' } } } } }
+    };
+
+    const remote = JSON.parse(JSON.stringify(base));
+    remote.components.schemas.Task.properties.description.type = 'integer';
+    remote.components.schemas.Task.properties.description.maxLength = 500;
+    remote.paths['/tasks'].get.requestBody.content['application/json'].schema.properties.example.type = 'boolean';
+    remote.components.schemas.Task.properties.description.description = 'Task details';
+
+    const changes = shipped.detectChanges(base, base, remote);
+    const byPath = (list) => Object.fromEntries(list.map(c => [c.path, c.rule]));
+
+    assert.deepStrictEqual(byPath(changes.blocked), {
+      'components.schemas.Task.properties.description.type': 'blockedFields: components.schemas',
+      'components.schemas.Task.properties.description.maxLength': 'blockedFields: components.schemas',
+      'paths./tasks.get.requestBody.content.application/json.schema.properties.example.type': 'blockedFields: paths'
+    });
+    assert.deepStrictEqual(byPath(changes.safeToSync), {
+      'components.schemas.Task.properties.description.description': 'allowedFields: components.schemas.**.description'
+    });
+  });
 });
 
 // ============================================================
@@ -209,6 +312,85 @@ describe('SpecMerge', () => {
       'Postman description should win'
     );
   });
+
+  it('should write YAML changes as node edits, keeping comments, quotes, block scalars and anchors', () => {
+    const content = [
+      '# Maintained by hand',
+      'info:',
+      "  title: 'Tasks'   # shown in the portal",
+      '  description: |',
+      '    Line one',
+      '    Line two',
+      'x-shared: &shared Shared text',
+      'paths:',
+      '  /tasks:',
+      '    get:',
+      '      summary: *shared',
+      '      tags: [tasks]',
+      '      responses:',
+      '        200:',
+      '          description: OK',
+      '        404: {description: Missing}',
+      ''
+    ].join('\n');
+    const spec = YAML.parse(content);
+    spec.info.title = "Tasks' API";
+    spec.info.description = 'Line one\nLine 2\n';
+    spec.paths['/tasks'].get.summary = 'List tasks';
+    spec.paths['/tasks'].get.tags.push('reporting');
+    spec.paths['/tasks'].get.responses['200'].description = 'Success';
+    spec.paths['/tasks'].get['x-postman-tests'] = ['pm.test()'];
+    delete spec.paths['/tasks'].get.responses['404'];
+
+    assert.strictEqual(merger.updateYamlContent(content, spec), [
+      '# Maintained by hand',
+      'info:',
+      "  title: 'Tasks'' API'   # shown in the portal",
+      '  description: |',
+      '    Line one',
+      '    Line 2',
+      'x-shared: &shared Shared text',
+      'paths:',
+      '  /tasks:',
+      '    get:',
+      '      summary: List tasks',
+      '      tags: [tasks, reporting]',
+      '      responses:',
+      '        200:',
+      '          description: Success',
+      '      x-postman-tests:',
+      '        - pm.test()',
+      ''
+    ].join('\n'));
+  });
+
+  it('should write to another path using the original file as the source', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spec-merge-'));
+    const sourcePath = path.join(dir, 'api.yaml');
+    const outputPath = path.join(dir, 'api.updated.yaml');
+    fs.writeFileSync(sourcePath, 'openapi: 3.0.3\ninfo:\n  title: Tasks # keep me\n  version: "1.0"\npaths: {}\n');
+
+    try {
+      const spec = merger.readSpec(sourcePath);
+      spec.info.description = 'First line\nSecond line';
+      merger.writeSpec(spec, outputPath, { sourcePath });
+
+      assert.strictEqual(
+        fs.readFileSync(outputPath, 'utf8'),
+        'openapi: 3.0.3\ninfo:\n  title: Tasks # keep me\n  version: "1.0"\n  description: |-\n    First line\n    Second line\npaths: {}\n'
+      );
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should report why a YAML file can not be edited in place', () => {
+    const edited = merger.editYamlContent('info:\n  title: A\n  title: B\n', { info: { title: 'C' } });
+
+    assert.strictEqual(edited.content, null);
+    assert.match(edited.failed, /^YAML parse error: Map keys must be unique/);
+    assert.deepStrictEqual(merger.editYamlContent('info: {}\n', { info: {} }), { content: 'info: {}\n', failed: null });
+  });
 });
 
 // ============================================================
@@ -299,6 +481,87 @@ describe('RepoSync', () => {
     assert.strictEqual(smokeFilename, 'task-management-api-smoke.collection.json');
   });
 
+  it('should render filename patterns with version directories and drop empty tokens', () => {
+    const versioned = new RepoSync(mockClient, {
+      collectionFilenamePattern: '{{version}}/{{slug}}-{{type}}',
+      environmentFilenamePattern: 'envs/{{server}}.environment.json'
+    });
+
+    assert.strictEqual(versioned.generateFilename('Task API', 'smoke', 'collection', { version: '1.2.0' }), '1.2.0/task-api-smoke.collection.json');
+    assert.strictEqual(versioned.generateFilename('Task API', 'main', 'collection'), 'task-api.collection.json');
+    assert.strictEqual(versioned.generateEnvironmentFilename('Task API', 'Task API - Staging server'), 'envs/staging-server.environment.json');
+    assert.strictEqual(repoSync.generateEnvironmentFilename('Task API', 'Task API - Staging server'), 'task-api-staging-server.environment.json');
+  });
+
+  it('should reject unknown tokens and paths outside the export directory', () => {
+    assert.throws(() => renderFilenamePattern('{{slug}}-{{server}}', { slug: 'a' }, 'collection'), /Unknown token \{\{server\}\}/);
+    assert.throws(() => renderFilenamePattern('../{{slug}}', { slug: 'a' }, 'collection'), /invalid path/);
+  });
+
+  it('should move previously exported files when the pattern changes', async () => {
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-sync-'));
+    mockClient.getCollection = mock.fn(() => Promise.resolve({ collection: { info: { name: 'Task API', updatedAt: 't1' }, item: [] } }));
+
+    try {
+      const flat = new RepoSync(mockClient, { collectionsDir: 'collections', manifestFile: 'manifest.json' });
+      const first = await flat.exportCollections('Task API', [{ uid: 'c-1', type: 'smoke' }], outputDir);
+      await flat.updateManifest(outputDir, { collections: first });
+
+      const nested = new RepoSync(mockClient, { collectionsDir: 'collections', manifestFile: 'manifest.json', collectionFilenamePattern: '{{version}}/{{type}}/{{slug}}' });
+      const [moved] = await nested.exportCollections('Task API', [{ uid: 'c-1', type: 'smoke' }], outputDir, { version: '2.0.0' });
+      const manifest = await nested.updateManifest(outputDir, { collections: [moved] });
+
+      assert.strictEqual(moved.filename, '2.0.0/smoke/task-api.collection.json');
+      assert.deepStrictEqual(fs.readdirSync(path.join(outputDir, 'collections')), ['2.0.0']);
+      assert.strictEqual(manifest.collections['c-1'].filename, moved.filename);
+      assert.strictEqual(manifest.filenamePatterns.collection, '{{version}}/{{type}}/{{slug}}');
+    } finally {
+      fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+  });
+
+  it('should keep files for earlier versions when only the version changes', async () => {
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-sync-'));
+    mockClient.getCollection = mock.fn(() => Promise.resolve({ collection: { info: { name: 'Task API', updatedAt: 't1' }, item: [] } }));
+
+    try {
+      const versioned = new RepoSync(mockClient, { collectionsDir: 'collections', manifestFile: 'manifest.json', collectionFilenamePattern: '{{version}}/{{slug}}' });
+      for (const version of ['1.0.0', '2.0.0']) {
+        const exported = await versioned.exportCollections('Task API', [{ uid: 'c-1', type: 'main' }], outputDir, { version });
+        await versioned.updateManifest(outputDir, { collections: exported });
+      }
+
+      assert.deepStrictEqual(fs.readdirSync(path.join(outputDir, 'collections')).sort(), ['1.0.0', '2.0.0']);
+    } finally {
+      fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+  });
+
+  it('should not move manifest paths outside the export directory', () => {
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-sync-'));
+    const collectionsDir = path.join(outputDir, 'collections');
+    fs.mkdirSync(collectionsDir);
+    fs.writeFileSync(path.join(outputDir, 'keep.json'), '{}');
+
+    try {
+      assert.strictEqual(repoSync.moveExportedFile(collectionsDir, '../keep.json', 'task-api.collection.json'), false);
+      assert.ok(fs.existsSync(path.join(outputDir, 'keep.json')));
+    } finally {
+      fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+  });
+
+  it('should only report untracked collections with the expected names as new', async () => {
+    mockClient.workspaceId = 'ws-1';
+    mockClient.request = mock.fn((method, url) => Promise.resolve(url.startsWith('/collections')
+      ? { collections: [{ uid: 'c-1', name: 'Tasks API (staging)' }, { uid: 'c-2', name: 'Unrelated' }] }
+      : { environments: [] }));
+
+    const changes = await repoSync.detectChanges('missing-dir', { collectionNames: new Set(['Tasks API (staging)']) });
+
+    assert.deepStrictEqual(changes.collections.map(c => c.uid), ['c-1']);
+  });
+
   it('should generate consistent hash for same content', () => {
     const content = { test: 'data', nested: { value: 123 } };
 
@@ -397,7 +660,17 @@ describe('Edge Cases', () => {
 // CONFIG LOADER TESTS
 // ============================================================
 
-import { loadConfig, DEFAULT_CONFIG } from '../config-loader.js';
+import {
+  loadConfig,
+  getSpecEntries,
+  createNamingContext,
+  renderNamePattern,
+  getCollectionName,
+  getCollectionNames,
+  getCollectionTags,
+  validateReverseSyncConfig,
+  DEFAULT_CONFIG
+} from '../config-loader.js';
 
 describe('Config Loader', () => {
   const originalEnv = process.env;
@@ -413,6 +686,7 @@ describe('Config Loader', () => {
     delete process.env.CONFLICT_STRATEGY;
     delete process.env.AUTO_MERGE;
     delete process.env.DRY_RUN;
+    delete process.env.SYNC_ENV;
   });
 
   afterEach(() => {
@@ -491,6 +765,69 @@ describe('Config Loader', () => {
     assert.strictEqual(config.repoSync.includeEnvironments, false);
   });
 
+  it('should list every entry of the specs map', () => {
+    const config = {
+      specs: {
+        tasks: { path: 'specs/tasks.yaml' },
+        billing: { path: 'specs/billing.yaml', outputDir: 'services/billing/postman' }
+      }
+    };
+
+    assert.deepStrictEqual(getSpecEntries(config), [
+      { name: 'tasks', path: 'specs/tasks.yaml' },
+      { name: 'billing', path: 'specs/billing.yaml', outputDir: 'services/billing/postman' }
+    ]);
+    assert.deepStrictEqual(getSpecEntries({}), []);
+  });
+
+  it('should render collection names and tags from the matching spec entry', () => {
+    const config = {
+      env: 'staging',
+      branch: 'feature/login',
+      specs: {
+        billing: { path: 'specs/billing.yaml', collections: { main: { namePattern: 'Other' } } },
+        tasks: {
+          path: 'specs/tasks.yaml',
+          collections: {
+            smoke: { namePattern: '{{spec.info.title}} {{spec.info.version}} ({{env}}, {{branch}})', tags: ['generated', '{{env}}'] }
+          }
+        }
+      }
+    };
+    const context = createNamingContext(config, { info: { title: 'Tasks API', version: '2.1.0' } }, './specs/tasks.yaml');
+
+    assert.strictEqual(getCollectionName(config, 'smoke', context), 'Tasks API 2.1.0 (staging, feature/login)');
+    assert.strictEqual(getCollectionName(config, 'contract', context), 'Tasks API - Contract Tests');
+    assert.strictEqual(getCollectionNames(config, context).main, 'Tasks API');
+    assert.deepStrictEqual(getCollectionTags(config, 'smoke', context), ['generated', 'staging']);
+    assert.deepStrictEqual(getCollectionTags(config, 'main', context), ['generated', 'docs']);
+  });
+
+  it('should reject name patterns with placeholders that have no value', () => {
+    const context = createNamingContext({ branch: 'main' }, { info: { title: 'Tasks API' } });
+
+    assert.throws(() => renderNamePattern('{{spec.info.title}} ({{env}})', context), /uses \{\{env\}\}/);
+  });
+
+  it('should read env from SYNC_ENV and --env', () => {
+    process.env.SYNC_ENV = 'staging';
+    assert.strictEqual(loadConfig({}).env, 'staging');
+    assert.strictEqual(loadConfig({ env: 'prod' }).env, 'prod');
+  });
+
+  it('should reject reverseSync field patterns that do not match the schema at load time', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-config-'));
+    const configPath = path.join(dir, 'sync.config.json');
+    fs.writeFileSync(configPath, JSON.stringify({ reverseSync: { allowedFields: ['info.description'], blockedFields: ['components/schemas'] } }));
+
+    try {
+      assert.throws(() => loadConfig({ config: configPath }), /reverseSync\.blockedFields\[0\] "components\/schemas" is not a dot-delimited field pattern/);
+      assert.doesNotThrow(() => validateReverseSyncConfig({ allowedFields: ['paths.*.*.summary'], requireApprovalFor: ['paths.*.*.parameters.*.schema.default'] }));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
   it('should handle missing environment variables gracefully', () => {
     const config = loadConfig({});
 
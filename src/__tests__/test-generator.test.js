@@ -11,7 +11,10 @@ import { fileURLToPath } from 'url';
 import {
   TestLevel,
   generateTestScriptsForSpec,
-  generatePreRequestScript
+  generateNegativeCasesForSpec,
+  generatePreRequestScript,
+  generatePreRequestScriptsForSpec,
+  NEGATIVE_SCRIPT_MARKER
 } from '../test-generator.js';
 
 import { parseSpec } from '../parser.js';
@@ -40,6 +43,10 @@ describe('TestLevel', () => {
   it('should define CONTRACT level', () => {
     assert.strictEqual(TestLevel.CONTRACT, 'contract');
   });
+
+  it('should define NEGATIVE level', () => {
+    assert.strictEqual(TestLevel.NEGATIVE, 'negative');
+  });
 });
 
 // ============================================================
@@ -535,6 +542,315 @@ describe('Contract Test Script Generation', () => {
   });
 });
 
+// ============================================================
+// Full JSON Schema Validation Tests
+// ============================================================
+
+describe('Contract JSON Schema Validation', () => {
+  const api = createMinimalSpec({
+    paths: {
+      '/items': {
+        get: {
+          summary: 'List items',
+          responses: {
+            '200': {
+              description: 'OK',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      required: ['id'],
+                      additionalProperties: false,
+                      properties: {
+                        id: { type: 'string' },
+                        note: { type: 'string', nullable: true }
+                      }
+                    }
+                  }
+                }
+              }
+            },
+            '404': {
+              description: 'Not found',
+              content: {
+                'application/problem+json': {
+                  schema: { type: 'object', required: ['title'] }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  });
+
+  it('should embed the response schema for each documented status code', () => {
+    const scripts = generateTestScriptsForSpec(api, TestLevel.CONTRACT);
+    const scriptText = scripts['get|/items'].join('\n');
+
+    assert.ok(scriptText.includes('const responseContracts = {'));
+    assert.ok(scriptText.includes('"schema":{"type":"array"'));
+    assert.ok(scriptText.includes('"schema":{"type":"object","required":["title"]}'));
+    assert.ok(scriptText.includes('"additionalProperties":false'));
+    assert.ok(scriptText.includes('"type":["string","null"]'));
+  });
+
+  it('should validate the whole body with jsonSchema', () => {
+    const scripts = generateTestScriptsForSpec(api, TestLevel.CONTRACT);
+    const scriptText = scripts['get|/items'].join('\n');
+
+    assert.ok(scriptText.includes('pm.response.to.have.jsonSchema(responseContract.schema)'));
+    assert.ok(!scriptText.includes('jsonData[0]'), 'Should not only check the first array element');
+  });
+
+  it('should produce valid JavaScript with embedded schemas', () => {
+    const scripts = generateTestScriptsForSpec(api, TestLevel.CONTRACT);
+    const result = validatePostmanTestScript(scripts['get|/items']);
+
+    assert.ok(result.valid, result.errors.join(', '));
+    assert.ok(result.tests.includes('Response matches schema'));
+  });
+
+  it('should skip schema validation for endpoints without JSON responses', () => {
+    const noSchemaApi = createMinimalSpec({
+      paths: {
+        '/ping': {
+          get: { summary: 'Ping', responses: { '204': { description: 'No Content' } } }
+        }
+      }
+    });
+
+    const scripts = generateTestScriptsForSpec(noSchemaApi, TestLevel.CONTRACT);
+    const scriptText = scripts['get|/ping'].join('\n');
+
+    assert.ok(!scriptText.includes('Response matches schema'));
+  });
+});
+
+// ============================================================
+// Per-Status Response Contract Tests
+// ============================================================
+
+describe('Per-Status Response Contracts', () => {
+  const api = createMinimalSpec({
+    paths: {
+      '/orders/{id}': {
+        get: {
+          summary: 'Get order',
+          responses: {
+            '200': {
+              description: 'OK',
+              headers: {
+                'X-Rate-Limit': { required: true, schema: { type: 'integer' } },
+                'X-Env': { schema: { type: 'string', enum: ['prod', 'staging'] } },
+                'Content-Type': { schema: { type: 'string' } }
+              },
+              content: { 'application/json; charset=utf-8': { schema: { type: 'object' } } }
+            },
+            '2xx': { description: 'Other success' },
+            '404': {
+              description: 'Not found',
+              content: {
+                'application/problem+json': {
+                  schema: {
+                    type: 'object',
+                    required: ['type', 'title', 'status'],
+                    properties: { type: { type: 'string' }, title: { type: 'string' }, status: { type: 'integer' } }
+                  }
+                }
+              }
+            },
+            default: { description: 'Unexpected error', content: { 'text/plain': {} } }
+          }
+        }
+      }
+    }
+  });
+
+  const getScriptText = () => generateTestScriptsForSpec(api, TestLevel.CONTRACT)['get|/orders/{id}'].join('\n');
+
+  it('should branch on pm.response.code with range and default fallbacks', () => {
+    const scriptText = getScriptText();
+
+    assert.ok(scriptText.includes('responseContracts[status]'));
+    assert.ok(scriptText.includes('responseContracts[status.charAt(0) + "XX"]'));
+    assert.ok(scriptText.includes('responseContracts["default"]'));
+    assert.ok(scriptText.includes('"2XX": {'), 'Range keys should be normalized to uppercase');
+  });
+
+  it('should fail on undocumented status codes', () => {
+    const scriptText = getScriptText();
+
+    assert.ok(scriptText.includes('pm.test("Status code is documented"'));
+    assert.ok(scriptText.includes('Undocumented status code'));
+  });
+
+  it('should not require a success code when error responses are documented', () => {
+    const scriptText = getScriptText();
+    const successOnly = generateTestScriptsForSpec(createMinimalSpec(), TestLevel.CONTRACT)['get|/test'].join('\n');
+
+    assert.ok(!/pm\.test\("Status code is (success|valid|\d+)"/.test(scriptText));
+    assert.ok(successOnly.includes('pm.test("Status code is 200"'));
+  });
+
+  it('should record content types per status without parameters', () => {
+    const scriptText = getScriptText();
+
+    assert.ok(scriptText.includes('"contentTypes":["application/json"]'));
+    assert.ok(scriptText.includes('"contentTypes":["application/problem+json"]'));
+    assert.ok(scriptText.includes('"contentTypes":["text/plain"]'));
+  });
+
+  it('should validate RFC 7807 error bodies against their schema', () => {
+    const scriptText = getScriptText();
+
+    assert.ok(scriptText.includes('"required":["type","title","status"]'));
+    assert.ok(!scriptText.includes("hasOwnProperty('error')"), 'Should not use the hand-rolled error check');
+  });
+
+  it('should check documented response headers', () => {
+    const scriptText = getScriptText();
+
+    assert.ok(scriptText.includes('pm.test("Response headers match contract"'));
+    assert.ok(scriptText.includes('"X-Rate-Limit":{"required":true}'));
+    assert.ok(scriptText.includes('"X-Env":{"required":false,"enum":["prod","staging"]}'));
+    assert.ok(!scriptText.includes('"Content-Type":{'), 'Content-Type header definitions are ignored');
+  });
+
+  it('should produce valid JavaScript', () => {
+    const result = validatePostmanTestScript(generateTestScriptsForSpec(api, TestLevel.CONTRACT)['get|/orders/{id}']);
+
+    assert.ok(result.valid, result.errors.join(', '));
+  });
+});
+
+// ============================================================
+// Negative Test Case Tests
+// ============================================================
+
+describe('generateNegativeCasesForSpec', () => {
+  const api = createMinimalSpec({
+    security: [{ bearerAuth: [] }],
+    paths: {
+      '/widgets': {
+        get: {
+          summary: 'List widgets',
+          parameters: [
+            { name: 'limit', in: 'query', required: true, schema: { type: 'integer', minimum: 1, maximum: 50 } },
+            { name: 'sort', in: 'query', schema: { type: 'string', enum: ['asc', 'desc'] } }
+          ],
+          responses: { '200': { description: 'OK' }, '400': { description: 'Bad request' }, '401': { description: 'Unauthorized' } }
+        },
+        post: {
+          summary: 'Create widget',
+          requestBody: {
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['name'],
+                  properties: {
+                    id: { type: 'string', readOnly: true },
+                    name: { type: 'string' },
+                    size: { type: 'integer', minimum: 0, exclusiveMaximum: 10 },
+                    color: { type: 'string', enum: ['red', 'blue'] }
+                  }
+                }
+              }
+            }
+          },
+          responses: { '201': { description: 'Created' }, '422': { description: 'Invalid' } }
+        }
+      },
+      '/ping': {
+        get: {
+          summary: 'Ping',
+          security: [],
+          responses: { '200': { description: 'OK' }, '401': { description: 'Unauthorized' } }
+        }
+      }
+    }
+  });
+
+  const cases = generateNegativeCasesForSpec(api);
+  const findCase = (key, name) => cases[key].find(c => c.name === name);
+
+  it('should derive invalid bodies from the request schema', () => {
+    const postCases = cases['post|/widgets'];
+
+    assert.deepStrictEqual(findCase('post|/widgets', 'Missing required field "name"').body, { size: 0, color: 'red' });
+    assert.strictEqual(findCase('post|/widgets', 'Wrong type for field "name"').body.name, 12345);
+    assert.strictEqual(findCase('post|/widgets', 'Below minimum for field "size"').body.size, -1);
+    assert.strictEqual(findCase('post|/widgets', 'Above maximum for field "size"').body.size, 10);
+    assert.strictEqual(findCase('post|/widgets', 'Invalid enum value for field "color"').body.color, 'INVALID_ENUM_VALUE');
+    assert.ok(!postCases.some(c => c.name.includes('"id"')), 'readOnly fields should be skipped');
+  });
+
+  it('should derive invalid query strings from parameters', () => {
+    assert.deepStrictEqual(findCase('get|/widgets', 'Missing required query parameter "limit"').query, { limit: null });
+    assert.deepStrictEqual(findCase('get|/widgets', 'Above maximum for query parameter "limit"').query, { limit: 51 });
+    assert.deepStrictEqual(findCase('get|/widgets', 'Invalid enum value for query parameter "sort"').query, { sort: 'INVALID_ENUM_VALUE' });
+    assert.ok(!findCase('get|/widgets', 'Wrong type for query parameter "sort"'), 'Any query string is a valid string');
+  });
+
+  it('should expect the documented validation status', () => {
+    assert.deepStrictEqual(findCase('get|/widgets', 'Below minimum for query parameter "limit"').expectedStatus, ['400']);
+    assert.deepStrictEqual(findCase('post|/widgets', 'Missing required field "name"').expectedStatus, ['422']);
+  });
+
+  it('should generate missing-auth cases only where auth is required and documented', () => {
+    assert.ok(findCase('get|/widgets', 'Missing authentication').noAuth);
+    assert.deepStrictEqual(findCase('get|/widgets', 'Missing authentication').expectedStatus, ['401']);
+    assert.ok(!findCase('post|/widgets', 'Missing authentication'), 'No 401/403 documented');
+    assert.strictEqual(cases['get|/ping'], undefined);
+  });
+
+  it('should assert the documented status in each script', () => {
+    const script = findCase('get|/widgets', 'Missing authentication').script;
+    const scriptText = script.join('\n');
+
+    assert.ok(script[0].startsWith(NEGATIVE_SCRIPT_MARKER));
+    assert.ok(scriptText.includes('pm.expect(pm.response.code).to.be.oneOf([401]);'));
+
+    for (const endpointCases of Object.values(cases)) {
+      for (const negativeCase of endpointCases) {
+        const result = validatePostmanTestScript(negativeCase.script);
+        assert.ok(result.valid, `${negativeCase.name}: ${result.errors.join(', ')}`);
+      }
+    }
+  });
+
+  it('should fall back to a documented 4XX range', () => {
+    const rangeApi = createMinimalSpec({
+      paths: {
+        '/things': {
+          post: {
+            requestBody: {
+              content: { 'application/json': { schema: { type: 'object', required: ['a'], properties: { a: { type: 'string' } } } } }
+            },
+            responses: { '201': { description: 'Created' }, '4XX': { description: 'Client error' } }
+          }
+        }
+      }
+    });
+    const [first] = generateNegativeCasesForSpec(rangeApi)['post|/things'];
+
+    assert.deepStrictEqual(first.expectedStatus, ['4XX']);
+    assert.ok(first.script.join('\n').includes('to.be.within(400, 499)'));
+  });
+
+  it('should generate cases for the sample spec', async () => {
+    const sampleApi = await parseSpec(path.join(__dirname, '..', '..', 'specs', 'sample-api.yaml'));
+    const sampleCases = generateNegativeCasesForSpec(sampleApi);
+
+    assert.ok(sampleCases['post|/tasks'].some(c => c.name === 'Missing required field "title"'));
+    assert.ok(sampleCases['get|/tasks'].some(c => c.name === 'Missing authentication'));
+    assert.strictEqual(sampleCases['get|/health'], undefined);
+  });
+});
+
 // ============================================================
 // Default Test Script Tests
 // ============================================================
@@ -659,6 +975,64 @@ describe('generatePreRequestScript', () => {
   });
 });
 
+describe('generatePreRequestScriptsForSpec', () => {
+  const securitySchemes = {
+    oauth: {
+      type: 'oauth2',
+      flows: { clientCredentials: { tokenUrl: '/oauth/token', scopes: { 'tasks:read': 'Read tasks' } } }
+    },
+    keyAuth: { type: 'apiKey', in: 'query', name: 'api_key' },
+    basicAuth: { type: 'http', scheme: 'basic' },
+    oidc: { type: 'openIdConnect', openIdConnectUrl: 'https://auth.example.com/.well-known' }
+  };
+
+  function createSecuredSpec() {
+    const ok = { '200': { description: 'OK' } };
+    return createMinimalSpec({
+      paths: {
+        '/health': { get: { responses: ok } },
+        '/tasks': {
+          get: { security: [{ oauth: ['tasks:read'] }], parameters: [{ name: 'status', in: 'query', schema: { type: 'string' } }], responses: ok }
+        },
+        '/tasks/{taskId}': {
+          get: { security: [{ oidc: [] }, { keyAuth: [], basicAuth: [] }], responses: ok }
+        }
+      }
+    });
+  }
+
+  it('should only script endpoints with parameters or supported auth', () => {
+    const scripts = generatePreRequestScriptsForSpec({ ...createSecuredSpec(), components: { securitySchemes } });
+
+    assert.deepStrictEqual(Object.keys(scripts).sort(), ['get|/tasks', 'get|/tasks/{taskId}']);
+    for (const script of Object.values(scripts)) {
+      const result = validateJavaScriptSyntax(script);
+      assert.ok(result.valid, `Pre-request script has invalid syntax: ${result.error}`);
+    }
+  });
+
+  it('should fetch and cache client credentials tokens with the requested scopes', () => {
+    const scripts = generatePreRequestScriptsForSpec({ ...createSecuredSpec(), components: { securitySchemes } });
+    const scriptText = scripts['get|/tasks'].join('\n');
+
+    assert.ok(scriptText.includes('pm.sendRequest'));
+    assert.ok(scriptText.includes('pm.variables.replaceIn("{{baseUrl}}/oauth/token")'));
+    assert.ok(scriptText.includes('{ key: "scope", value: "tasks:read" }'));
+    assert.ok(scriptText.includes('pm.environment.set("access_token_oauth_tasks_read_expires_at"'));
+    assert.ok(scriptText.includes('["status"]'));
+  });
+
+  it('should apply every scheme of the first supported requirement', () => {
+    const scripts = generatePreRequestScriptsForSpec({ ...createSecuredSpec(), components: { securitySchemes } });
+    const scriptText = scripts['get|/tasks/{taskId}'].join('\n');
+
+    assert.ok(scriptText.includes('pm.request.url.query.upsert({ key: "api_key", value: pm.environment.get("api_key_api_key")'));
+    assert.ok(scriptText.includes('"Basic " + btoa(credentials)'));
+    assert.ok(!scriptText.includes('openIdConnect'));
+    assert.ok(scriptText.includes('["taskId"]'));
+  });
+});
+
 // ============================================================
 // Edge Cases and Error Handling
 // ============================================================
@@ -0,0 +1,275 @@
+#!/usr/bin/env node
+
+/**
+ * Baseline Providers
+ *
+ * Reverse sync is a three-way merge of the base (the spec the Postman
+ * collection was generated from), the local spec and the collection. The base
+ * comes from a provider:
+ *
+ *   git   The spec at the commit recorded in the repo sync manifest
+ *         (specCommit), else at `git merge-base HEAD <default branch>`.
+ *         Nothing is written after a sync: the history is the store.
+ *   file  JSON snapshots under .sync-baselines, written after each sync.
+ *   auto  The manifest specCommit, then a file snapshot, then the merge
+ *         base (default). Snapshots are saved until the manifest records
+ *         a commit for the spec.
+ *
+ * Every provider has async load(specPath) -> { spec, source } | null and
+ * async save(specPath, spec) -> written path | null.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { git, getRepoRoot, detectDefaultBranch, getUncommittedChanges } from './git.js';
+import { loadMultiFileSpec } from './multi-file-spec.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger({ name: 'baseline' });
+
+export const BASELINE_PROVIDERS = ['auto', 'git', 'file'];
+
+// ============================================================
+// Git helpers
+// ============================================================
+
+function specDir(specPath) {
+  return path.dirname(path.resolve(specPath));
+}
+
+/**
+ * Commit whose spec files match the working tree, for the repo sync manifest
+ * @param {string} specPath - Root spec file
+ * @returns {string|null} HEAD commit, or null when any spec file is
+ *   modified, untracked or not in a git checkout
+ */
+export function getSpecCommit(specPath) {
+  const dir = specDir(specPath);
+  if (!getRepoRoot(dir)) return null;
+
+  try {
+    const files = [...loadMultiFileSpec(specPath).files.values()].map(file => file.absolutePath);
+    if (getUncommittedChanges(files, dir).length > 0) return null;
+    return git(['rev-parse', 'HEAD'], dir).trim();
+  } catch {
+    return null;
+  }
+}
+
+// ============================================================
+// Providers
+// ============================================================
+
+/**
+ * JSON snapshots of the merged spec, next to the spec in baselineDir
+ */
+export class FileBaselineProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.baselineDir - Snapshot directory, relative to the spec (default .sync-baselines)
+   */
+  constructor(options = {}) {
+    this.baselineDir = options.baselineDir || '.sync-baselines';
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  async load(specPath) {
+    const baselinePath = this.getBaselinePath(specPath);
+
+    if (fs.existsSync(baselinePath)) {
+      try {
+        return { spec: JSON.parse(fs.readFileSync(baselinePath, 'utf8')), source: baselinePath };
+      } catch (error) {
+        logger.info(`    Could not load baseline: ${error.message}`);
+      }
+    }
+
+    return null;
+  }
+
+  async save(specPath, spec) {
+    const baselinePath = this.getBaselinePath(specPath);
+
+    fs.mkdirSync(path.dirname(baselinePath), { recursive: true });
+    fs.writeFileSync(baselinePath, JSON.stringify(spec, null, 2));
+    return baselinePath;
+  }
+
+  /**
+   * Get baseline file path for a spec
+   */
+  getBaselinePath(specPath) {
+    const specName = path.basename(specPath, path.extname(specPath));
+    return path.join(path.dirname(specPath), this.baselineDir, `${specName}.baseline.json`);
+  }
+}
+
+/**
+ * The spec as committed in git, read with `git show`
+ */
+export class GitBaselineProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.manifestPath - Repo sync manifest with specCommit
+   * @param {string} options.defaultBranch - Branch for merge-base (default: detected)
+   * @param {Array<string>} options.sources - Commits to try: manifest and/or merge-base (default: both)
+   */
+  constructor(options = {}) {
+    this.manifestPath = options.manifestPath || null;
+    this.defaultBranch = options.defaultBranch || null;
+    this.sources = options.sources || ['manifest', 'merge-base'];
+  }
+
+  isAvailable(specPath) {
+    if (!getRepoRoot(specDir(specPath))) return false;
+    return this.sources.includes('merge-base') || Boolean(this.readManifestCommit(specPath));
+  }
+
+  async load(specPath) {
+    const dir = specDir(specPath);
+    const repoRoot = getRepoRoot(dir);
+    if (!repoRoot) return null;
+
+    for (const { commit, from } of this.getCandidateCommits(specPath, dir)) {
+      const spec = this.readSpecAt(commit, specPath, repoRoot);
+      if (spec) {
+        return { spec, source: `git ${commit.substring(0, 8)} (${from})` };
+      }
+    }
+
+    return null;
+  }
+
+  async save() {
+    return null;
+  }
+
+  /**
+   * Commits to try, most specific first
+   * @returns {Array<Object>} [{ commit, from }]
+   */
+  getCandidateCommits(specPath, dir) {
+    const candidates = [];
+
+    const recorded = this.sources.includes('manifest') && this.readManifestCommit(specPath);
+    if (recorded) {
+      candidates.push({ commit: recorded, from: 'manifest' });
+    }
+
+    const branch = this.sources.includes('merge-base') && (this.defaultBranch || detectDefaultBranch(dir));
+    if (branch) {
+      try {
+        candidates.push({ commit: git(['merge-base', 'HEAD', branch], dir).trim(), from: `merge-base with ${branch}` });
+      } catch (error) {
+        logger.debug(`No merge base with ${branch}: ${(error.stderr || error.message).trim()}`);
+      }
+    }
+
+    return candidates;
+  }
+
+  /**
+   * specCommit from the manifest, if it was recorded for this spec
+   */
+  readManifestCommit(specPath) {
+    if (!this.manifestPath || !fs.existsSync(this.manifestPath)) return null;
+
+    try {
+      const manifest = JSON.parse(fs.readFileSync(this.manifestPath, 'utf8'));
+      if (manifest.specPath && path.resolve(manifest.specPath) !== path.resolve(specPath)) return null;
+      return manifest.specCommit || null;
+    } catch (error) {
+      logger.debug(`Could not read ${this.manifestPath}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Spec (with the files it $refs) at a commit, or null if it didn't exist
+   */
+  readSpecAt(commit, specPath, repoRoot) {
+    // Referenced files are inside the spec directory, so one realpath covers symlinks
+    const dir = specDir(specPath);
+    const realDir = fs.realpathSync(dir);
+    const realRoot = fs.realpathSync(repoRoot);
+    const readFile = (absolutePath) => {
+      const relative = path.relative(realRoot, path.join(realDir, path.relative(dir, absolutePath)));
+      try {
+        return git(['show', `${commit}:${relative.split(path.sep).join('/')}`], repoRoot);
+      } catch {
+        return null;
+      }
+    };
+
+    try {
+      return loadMultiFileSpec(specPath, { readFile }).spec;
+    } catch (error) {
+      logger.debug(`Spec not readable at ${commit}: ${error.message}`);
+      return null;
+    }
+  }
+}
+
+/**
+ * Loads from the first provider with a baseline; saves with the first
+ * provider available for the spec
+ */
+export class FallbackBaselineProvider {
+  constructor(providers) {
+    this.providers = providers;
+  }
+
+  isAvailable(specPath) {
+    return this.providers.some(provider => provider.isAvailable(specPath));
+  }
+
+  async load(specPath) {
+    for (const provider of this.providers) {
+      const baseline = await provider.load(specPath);
+      if (baseline) return baseline;
+    }
+    return null;
+  }
+
+  async save(specPath, spec) {
+    const provider = this.providers.find(p => p.isAvailable(specPath));
+    return provider ? provider.save(specPath, spec) : null;
+  }
+}
+
+/**
+ * Create the provider named in reverseSync.baseline.provider
+ * @param {Object} options - { provider: auto|git|file, baselineDir, manifestPath, defaultBranch }
+ * @returns {Object} Baseline provider
+ */
+export function createBaselineProvider(options = {}) {
+  const provider = options.provider || 'auto';
+
+  switch (provider) {
+    case 'file':
+      return new FileBaselineProvider(options);
+    case 'git':
+      return new GitBaselineProvider(options);
+    case 'auto':
+      // Saving falls through to file snapshots until the manifest records a commit
+      return new FallbackBaselineProvider([
+        new GitBaselineProvider({ ...options, sources: ['manifest'] }),
+        new FileBaselineProvider(options),
+        new GitBaselineProvider({ ...options, sources: ['merge-base'] })
+      ]);
+    default:
+      throw new Error(`Unknown baseline provider "${provider}" (expected ${BASELINE_PROVIDERS.join(', ')})`);
+  }
+}
+
+export default {
+  BASELINE_PROVIDERS,
+  getSpecCommit,
+  FileBaselineProvider,
+  GitBaselineProvider,
+  FallbackBaselineProvider,
+  createBaselineProvider
+};
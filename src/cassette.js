@@ -0,0 +1,260 @@
+#!/usr/bin/env node
+
+/**
+ * HTTP Cassettes
+ *
+ * Record and replay SpecHubClient's Postman API traffic:
+ * - record: each request/response pair is appended to a JSON cassette file,
+ *   with the X-Api-Key header and environment secrets scrubbed
+ * - replay: responses are served from the cassette and a request it doesn't
+ *   contain fails with CassetteMismatchError
+ *
+ * Identical requests (e.g. the polls while a collection generates) are
+ * replayed in the order they were recorded. Replay needs no network access or
+ * API key, so a recorded sync becomes a deterministic regression test.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createLogger } from './logger.js';
+import { isSecretVariable } from './repo-sync.js';
+
+const logger = createLogger({ name: 'cassette' });
+
+export const CASSETTE_MODES = ['record', 'replay'];
+export const SCRUBBED_VALUE = '[SCRUBBED]';
+
+const CASSETTE_VERSION = 1;
+const SCRUBBED_HEADERS = ['x-api-key'];
+// Response headers SpecHubClient reads
+const RECORDED_RESPONSE_HEADERS = ['content-type', 'retry-after'];
+
+export class CassetteMismatchError extends Error {
+  constructor(message, request) {
+    super(message);
+    this.name = 'CassetteMismatchError';
+    this.request = request;
+  }
+}
+
+/**
+ * Copy of request headers with credentials replaced
+ * @param {Object} headers - Request headers
+ * @returns {Object} Scrubbed headers
+ */
+export function scrubHeaders(headers = {}) {
+  return Object.fromEntries(Object.entries(headers).map(([name, value]) =>
+    [name, SCRUBBED_HEADERS.includes(name.toLowerCase()) ? SCRUBBED_VALUE : value]));
+}
+
+/**
+ * Copy of a request or response body with environment secrets replaced
+ * The same variables are redacted as in repo exports; empty values stay
+ * empty.
+ * @param {*} body - JSON body
+ * @returns {*} Scrubbed body
+ */
+export function scrubBody(body) {
+  const values = body?.environment?.values;
+  if (!Array.isArray(values)) return body;
+
+  return {
+    ...body,
+    environment: {
+      ...body.environment,
+      values: values.map(variable =>
+        isSecretVariable(variable) && variable.value ? { ...variable, value: SCRUBBED_VALUE } : variable)
+    }
+  };
+}
+
+/**
+ * Key that matches a replayed request with a recorded one
+ * @param {string} method - HTTP method
+ * @param {string} endpoint - API endpoint including the query string
+ * @param {Object|null} body - JSON request body
+ * @returns {string} Key
+ */
+export function getRequestKey(method, endpoint, body = null) {
+  const key = `${method.toUpperCase()} ${endpoint}`;
+  // Recorded bodies are scrubbed, so live ones are compared scrubbed too
+  return body == null ? key : `${key} ${JSON.stringify(scrubBody(body))}`;
+}
+
+// ============================================================
+// Cassette
+// ============================================================
+
+export class Cassette {
+  /**
+   * @param {string} filePath - Cassette file
+   * @param {string} mode - record (starts an empty cassette) or replay (loads the file)
+   */
+  constructor(filePath, mode) {
+    if (!CASSETTE_MODES.includes(mode)) {
+      throw new Error(`Unknown cassette mode "${mode}". Use ${CASSETTE_MODES.join(' or ')}`);
+    }
+
+    this.path = filePath;
+    this.mode = mode;
+    this.interactions = mode === 'replay' ? Cassette.load(filePath) : [];
+    this.played = new Set();
+    // Replayed time: when the last replayed response was recorded
+    this.clock = this.interactions[0]?.recordedAt || null;
+  }
+
+  /**
+   * Read the interactions of a cassette file
+   * @param {string} filePath - Cassette file
+   * @returns {Array<Object>} Interactions
+   */
+  static load(filePath) {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Cassette not found: ${filePath}`);
+    }
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return data.interactions || [];
+  }
+
+  get replaying() {
+    return this.mode === 'replay';
+  }
+
+  /**
+   * Current time as an ISO string
+   * While replaying this is the time the last replayed response was recorded,
+   * so comparisons with recorded timestamps (like a generated collection's
+   * createdAt) give the same result as during recording.
+   */
+  now() {
+    return this.replaying && this.clock ? this.clock : new Date().toISOString();
+  }
+
+  /**
+   * Append a request/response pair and save the cassette
+   * @param {Object} request - { method, endpoint, headers, body }
+   * @param {Response} response - Fetch response (pass a clone; its body is read)
+   */
+  async record(request, response) {
+    const text = await response.text();
+    const contentType = response.headers.get('content-type') || '';
+
+    let body = text;
+    if (contentType.includes('application/json') && text) {
+      try {
+        body = JSON.parse(text);
+      } catch {
+        // Keep the raw text so replay reproduces the parse failure
+      }
+    }
+
+    const headers = {};
+    for (const name of RECORDED_RESPONSE_HEADERS) {
+      const value = response.headers.get(name);
+      if (value !== null) {
+        headers[name] = value;
+      }
+    }
+
+    this.interactions.push({
+      request: {
+        method: request.method,
+        endpoint: request.endpoint,
+        headers: scrubHeaders(request.headers),
+        body: scrubBody(request.body ?? null)
+      },
+      response: { status: response.status, headers, body: scrubBody(body) },
+      recordedAt: new Date().toISOString()
+    });
+    this.save();
+  }
+
+  /**
+   * Response for a request from the cassette
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - API endpoint including the query string
+   * @param {Object|null} body - JSON request body
+   * @returns {Response} Recorded response
+   * @throws {CassetteMismatchError} When no unplayed interaction matches
+   */
+  replay(method, endpoint, body = null) {
+    const key = getRequestKey(method, endpoint, body);
+    const index = this.interactions.findIndex((interaction, i) =>
+      !this.played.has(i) &&
+      getRequestKey(interaction.request.method, interaction.request.endpoint, interaction.request.body) === key);
+
+    if (index === -1) {
+      throw new CassetteMismatchError(
+        `No recorded response for ${method} ${endpoint} in cassette ${this.path}`,
+        { method, endpoint, body }
+      );
+    }
+
+    const interaction = this.interactions[index];
+    this.played.add(index);
+    this.clock = interaction.recordedAt || this.clock;
+    logger.debug(`Replaying: ${method} ${endpoint}`);
+
+    const { status, headers, body: recorded } = interaction.response;
+    const payload = recorded == null || status === 204
+      ? null
+      : typeof recorded === 'string' ? recorded : JSON.stringify(recorded);
+
+    return new Response(payload, { status, headers });
+  }
+
+  /**
+   * Recorded requests that haven't been replayed
+   * @returns {Array<string>} "METHOD endpoint" per interaction
+   */
+  unplayed() {
+    return this.interactions
+      .filter((_, i) => !this.played.has(i))
+      .map(interaction => `${interaction.request.method} ${interaction.request.endpoint}`);
+  }
+
+  /**
+   * Write the cassette file
+   */
+  save() {
+    fs.mkdirSync(path.dirname(path.resolve(this.path)), { recursive: true });
+    fs.writeFileSync(this.path, JSON.stringify({
+      version: CASSETTE_VERSION,
+      interactions: this.interactions
+    }, null, 2) + '\n');
+  }
+}
+
+// One cassette per file, so every client in the process records into or
+// replays from the same interactions
+const openCassettes = new Map();
+
+/**
+ * Shared cassette for a file and mode
+ * @param {string} filePath - Cassette file
+ * @param {string} mode - record or replay
+ * @returns {Cassette} Cassette
+ */
+export function openCassette(filePath, mode) {
+  const key = path.resolve(filePath);
+  const existing = openCassettes.get(key);
+  if (existing && existing.mode === mode) {
+    return existing;
+  }
+
+  const cassette = new Cassette(filePath, mode);
+  openCassettes.set(key, cassette);
+  logger.debug(`${mode === 'record' ? 'Recording to' : 'Replaying from'} cassette ${filePath}`);
+  return cassette;
+}
+
+export default {
+  CASSETTE_MODES,
+  SCRUBBED_VALUE,
+  Cassette,
+  CassetteMismatchError,
+  getRequestKey,
+  openCassette,
+  scrubBody,
+  scrubHeaders
+};
@@ -10,6 +10,13 @@
  * - SPEC_TO_COLLECTION: Structural changes (paths, schemas, security) - never reverse sync
  * - BIDIRECTIONAL: Enrichments (descriptions, examples) - can flow both ways
  * - COLLECTION_ONLY: Tests and scripts - stored as vendor extensions
+ *
+ * The built-in field lists can be tuned from reverseSync in sync.config.json:
+ * - requireApprovalFor: always needs review, even for structural fields
+ * - allowedFields: may flow back from Postman
+ * - blockedFields: never flow back
+ * Rules are checked in that order, then the built-in lists. Each classified
+ * change reports the rule that decided it (e.g. "allowedFields: info.description").
  */
 
 // Change direction constants
@@ -63,8 +70,10 @@ const BIDIRECTIONAL_FIELDS = [
 /**
  * Deep diff implementation (simplified, no external dependency)
  * Returns array of changes between two objects
+ * @param {Array} ancestors - Cycle guard: [base, compare] pairs on the current
+ *   path, so recursive dereferenced schemas compare once per cycle
  */
-function deepDiff(base, compare, path = []) {
+export function deepDiff(base, compare, path = [], ancestors = []) {
   const changes = [];
 
   if (base === compare) return changes;
@@ -82,6 +91,9 @@ function deepDiff(base, compare, path = []) {
     return changes;
   }
 
+  if (ancestors.some(([b, c]) => b === base && c === compare)) return changes;
+  ancestors = [...ancestors, [base, compare]];
+
   // Handle arrays
   if (Array.isArray(base) || Array.isArray(compare)) {
     if (!Array.isArray(base) || !Array.isArray(compare)) {
@@ -91,7 +103,7 @@ function deepDiff(base, compare, path = []) {
 
     const maxLen = Math.max(base.length, compare.length);
     for (let i = 0; i < maxLen; i++) {
-      changes.push(...deepDiff(base[i], compare[i], [...path, i]));
+      changes.push(...deepDiff(base[i], compare[i], [...path, i], ancestors));
     }
     return changes;
   }
@@ -100,18 +112,58 @@ function deepDiff(base, compare, path = []) {
   const allKeys = new Set([...Object.keys(base || {}), ...Object.keys(compare || {})]);
 
   for (const key of allKeys) {
-    changes.push(...deepDiff(base[key], compare[key], [...path, key]));
+    changes.push(...deepDiff(base[key], compare[key], [...path, key], ancestors));
   }
 
   return changes;
 }
 
+/**
+ * Match path segments against pattern segments
+ * `*` matches one segment (or part of one, e.g. "x-*"), `**` any number of
+ * segments, including none. `**` never stops right after `properties`: the
+ * next segment is a property name, not a keyword, so
+ * "components.schemas.**.description" does not match a property called
+ * description (or the structure below it).
+ */
+function matchSegments(pathParts, patternParts) {
+  // Pattern consumed: it covers the rest of the path
+  if (patternParts.length === 0) return true;
+
+  const [patternPart, ...rest] = patternParts;
+  if (patternPart === '**') {
+    for (let skip = 0; skip <= pathParts.length; skip++) {
+      if (skip > 0 && pathParts[skip - 1] === 'properties') continue;
+      if (matchSegments(pathParts.slice(skip), rest)) return true;
+    }
+    return false;
+  }
+
+  if (pathParts.length === 0) return false;
+
+  let matches = pathParts[0] === patternPart;
+  if (patternPart.includes('*')) {
+    // Partial wildcard (e.g., "*.description"); * alone matches any segment
+    const regex = new RegExp('^' + patternPart.replace(/\*/g, '.*') + '$');
+    matches = regex.test(pathParts[0]);
+  }
+
+  return matches && matchSegments(pathParts.slice(1), rest);
+}
+
 export class ChangeDetector {
+  /**
+   * @param {object} options - strictMode, plus allowedFields, blockedFields and
+   *   requireApprovalFor (dot-delimited patterns with * wildcards) from reverseSync
+   */
   constructor(options = {}) {
     this.options = {
       strictMode: options.strictMode ?? true,  // Block unknown fields by default
       ...options
     };
+    this.allowedFields = options.allowedFields || [];
+    this.blockedFields = options.blockedFields || [];
+    this.requireApprovalFor = options.requireApprovalFor || [];
   }
 
   /**
@@ -154,12 +206,14 @@ export class ChangeDetector {
         newValue: change.rhs,
         direction: classification.direction,
         reason: classification.reason,
-        hasConflict: hasLocalChange
+        rule: classification.rule,
+        hasConflict: hasLocalChange,
+        requiresApproval: classification.requiresApproval || false
       };
 
       switch (classification.direction) {
         case CHANGE_DIRECTION.BIDIRECTIONAL:
-          if (hasLocalChange) {
+          if (hasLocalChange || classifiedChange.requiresApproval) {
             changes.needsReview.push(classifiedChange);
           } else {
             changes.safeToSync.push(classifiedChange);
@@ -182,9 +236,38 @@ export class ChangeDetector {
    * Classify a single change by its path
    * @param {string} pathStr - Dot-separated path string
    * @param {object} change - The change object
-   * @returns {object} Classification with direction and reason
+   * @returns {object} Classification with direction, reason and the rule that matched
    */
   classifyChange(pathStr, change) {
+    // Configured rules (reverseSync in sync.config.json) take precedence
+    const approvalPattern = this.findPattern(pathStr, this.requireApprovalFor);
+    if (approvalPattern) {
+      return {
+        direction: CHANGE_DIRECTION.BIDIRECTIONAL,
+        reason: `Requires approval: ${approvalPattern}`,
+        rule: `requireApprovalFor: ${approvalPattern}`,
+        requiresApproval: true
+      };
+    }
+
+    const allowedPattern = this.findPattern(pathStr, this.allowedFields);
+    if (allowedPattern) {
+      return {
+        direction: CHANGE_DIRECTION.BIDIRECTIONAL,
+        reason: `Allowed field: ${allowedPattern}`,
+        rule: `allowedFields: ${allowedPattern}`
+      };
+    }
+
+    const blockedPattern = this.findPattern(pathStr, this.blockedFields);
+    if (blockedPattern) {
+      return {
+        direction: CHANGE_DIRECTION.SPEC_TO_COLLECTION,
+        reason: `Blocked field: ${blockedPattern}`,
+        rule: `blockedFields: ${blockedPattern}`
+      };
+    }
+
     // Check if path is in spec-source-of-truth list (structural)
     for (const pattern of SPEC_SOURCE_OF_TRUTH) {
       if (this.pathMatchesPattern(pathStr, pattern)) {
@@ -192,12 +275,14 @@ export class ChangeDetector {
         if (this.isEnrichmentWithinStructure(pathStr)) {
           return {
             direction: CHANGE_DIRECTION.BIDIRECTIONAL,
-            reason: `Enrichment within structure: ${pathStr}`
+            reason: `Enrichment within structure: ${pathStr}`,
+            rule: 'built-in: enrichment within structure'
           };
         }
         return {
           direction: CHANGE_DIRECTION.SPEC_TO_COLLECTION,
-          reason: `Structural element: ${pattern}`
+          reason: `Structural element: ${pattern}`,
+          rule: `built-in structural: ${pattern}`
         };
       }
     }
@@ -207,7 +292,8 @@ export class ChangeDetector {
       if (this.pathMatchesPattern(pathStr, pattern)) {
         return {
           direction: CHANGE_DIRECTION.BIDIRECTIONAL,
-          reason: `Enrichment field: ${pattern}`
+          reason: `Enrichment field: ${pattern}`,
+          rule: `built-in enrichment: ${pattern}`
         };
       }
     }
@@ -219,7 +305,8 @@ export class ChangeDetector {
         pathStr.includes('script')) {
       return {
         direction: CHANGE_DIRECTION.COLLECTION_ONLY,
-        reason: 'Test or script content'
+        reason: 'Test or script content',
+        rule: 'built-in: test or script content'
       };
     }
 
@@ -227,17 +314,27 @@ export class ChangeDetector {
     if (this.options.strictMode) {
       return {
         direction: CHANGE_DIRECTION.SPEC_TO_COLLECTION,
-        reason: 'Unclassified - defaulting to spec-only (strict mode)'
+        reason: 'Unclassified - defaulting to spec-only (strict mode)',
+        rule: 'built-in: strict mode'
       };
     }
 
     // In non-strict mode, allow unknown fields
     return {
       direction: CHANGE_DIRECTION.BIDIRECTIONAL,
-      reason: 'Unclassified - allowing in non-strict mode'
+      reason: 'Unclassified - allowing in non-strict mode',
+      rule: 'built-in: non-strict mode'
     };
   }
 
+  /**
+   * First pattern in a list that matches the path
+   * @returns {string|null} Matching pattern
+   */
+  findPattern(pathStr, patterns) {
+    return patterns.find(pattern => this.pathMatchesPattern(pathStr, pattern)) || null;
+  }
+
   /**
    * Check if a path is an enrichment field within a structural element
    * e.g., paths./users.get.description is an enrichment within paths
@@ -256,50 +353,26 @@ export class ChangeDetector {
   }
 
   /**
-   * Check if a path matches a pattern (supports * wildcard)
+   * Check if a path matches a pattern (supports * and ** wildcards)
+   * A pattern also matches everything below it.
    * @param {string} path - Actual path (e.g., "paths./users.get.description")
-   * @param {string} pattern - Pattern (e.g., "paths.*.*.description")
+   * @param {string} pattern - Pattern (e.g., "paths.*.*.description", "components.schemas.**.description")
    */
   pathMatchesPattern(path, pattern) {
-    const pathParts = path.split('.');
-    const patternParts = pattern.split('.');
-
-    let pi = 0;  // path index
-    let pti = 0; // pattern index
-
-    while (pi < pathParts.length && pti < patternParts.length) {
-      const patternPart = patternParts[pti];
-
-      if (patternPart === '*') {
-        // Wildcard matches any single segment
-        pi++;
-        pti++;
-      } else if (patternPart.includes('*')) {
-        // Partial wildcard (e.g., "*.description")
-        const regex = new RegExp('^' + patternPart.replace(/\*/g, '.*') + '$');
-        if (regex.test(pathParts[pi])) {
-          pi++;
-          pti++;
-        } else {
-          return false;
-        }
-      } else if (pathParts[pi] === patternPart) {
-        pi++;
-        pti++;
-      } else {
-        return false;
-      }
-    }
-
-    // Pattern matched if we consumed the entire pattern
-    // and either consumed entire path or pattern ends with structural element
-    return pti === patternParts.length;
+    return matchSegments(path.split('.'), pattern.split('.'));
   }
 
   /**
    * Get summary statistics for a set of changes
    */
   getSummary(changes) {
+    const byRule = {};
+    for (const change of [...changes.safeToSync, ...changes.needsReview, ...changes.blocked, ...changes.tests]) {
+      if (change.rule) {
+        byRule[change.rule] = (byRule[change.rule] || 0) + 1;
+      }
+    }
+
     return {
       total: changes.safeToSync.length + changes.needsReview.length +
              changes.blocked.length + changes.tests.length,
@@ -307,7 +380,8 @@ export class ChangeDetector {
       needsReview: changes.needsReview.length,
       blocked: changes.blocked.length,
       tests: changes.tests.length,
-      hasConflicts: changes.needsReview.some(c => c.hasConflict)
+      hasConflicts: changes.needsReview.some(c => c.hasConflict),
+      byRule
     };
   }
 }
@@ -0,0 +1,286 @@
+#!/usr/bin/env node
+
+/**
+ * Changelog - semantic changelog between two spec versions
+ *
+ * Builds on diffSpecs (operations, parameters, request bodies, response codes)
+ * and deepDiff (components.schemas, with nested component schemas as $refs)
+ * to list what was added, removed and modified, grouped by the first tag of
+ * each operation. Breaking items keep the severity assigned by spec-diff.
+ *
+ * Output formats:
+ * - Markdown, for CHANGELOG files and the Spec Hub spec description
+ * - JSON, the object returned by generateChangelog
+ */
+
+import YAML from 'yaml';
+import { deepDiff } from './change-detector.js';
+import { extractEndpoints } from './parser.js';
+import { diffSpecs, ChangeSeverity } from './spec-diff.js';
+
+/**
+ * Marks the start of the changelog section appended to info.description
+ */
+export const CHANGELOG_MARKER = '<!-- spec-sync:changelog -->';
+
+const UNTAGGED = 'Untagged';
+
+/**
+ * Generate a changelog between two parsed specs
+ * @param {Object} baseApi - Parsed spec before the change
+ * @param {Object} headApi - Parsed spec after the change
+ * @returns {Object} { fromVersion, toVersion, versionChanged, summary, groups, schemas }
+ */
+export function generateChangelog(baseApi, headApi) {
+  const diff = diffSpecs(baseApi, headApi);
+  const endpoints = indexEndpoints(baseApi, headApi);
+  const groups = new Map();
+
+  const groupFor = (operation) => {
+    const endpoint = endpoints.get(signature(operation));
+    const tag = endpoint?.tags?.[0] || UNTAGGED;
+    if (!groups.has(tag)) groups.set(tag, { tag, added: [], removed: [], modified: new Map() });
+    return { group: groups.get(tag), name: endpoint?.name || operation };
+  };
+
+  for (const change of [...diff.breaking, ...diff.nonBreaking]) {
+    const { group, name } = groupFor(change.operation);
+    const breaking = change.severity === ChangeSeverity.BREAKING;
+
+    if (change.rule === 'operation-added') {
+      group.added.push({ operation: change.operation, name, breaking });
+    } else if (change.rule === 'operation-removed') {
+      group.removed.push({ operation: change.operation, name, breaking });
+    } else {
+      if (!group.modified.has(change.operation)) {
+        group.modified.set(change.operation, { operation: change.operation, name, breaking: false, changes: [] });
+      }
+      const entry = group.modified.get(change.operation);
+      entry.breaking = entry.breaking || breaking;
+      entry.changes.push({
+        category: categorize(change.location),
+        rule: change.rule,
+        location: change.location,
+        message: change.message,
+        breaking
+      });
+    }
+  }
+
+  const sortedGroups = [...groups.values()]
+    .map(group => ({
+      tag: group.tag,
+      added: sortByOperation(group.added),
+      removed: sortByOperation(group.removed),
+      modified: sortByOperation([...group.modified.values()])
+    }))
+    .sort((a, b) => (a.tag === UNTAGGED) - (b.tag === UNTAGGED) || a.tag.localeCompare(b.tag));
+
+  const schemas = diffSchemas(baseApi, headApi);
+  const count = (field) => sortedGroups.reduce((sum, group) => sum + group[field].length, 0);
+  const fromVersion = baseApi.info?.version || null;
+  const toVersion = headApi.info?.version || null;
+
+  return {
+    fromVersion,
+    toVersion,
+    versionChanged: fromVersion !== toVersion,
+    summary: {
+      breaking: diff.summary.breaking,
+      added: count('added'),
+      removed: count('removed'),
+      modified: count('modified'),
+      schemasChanged: schemas.added.length + schemas.removed.length + schemas.modified.length
+    },
+    groups: sortedGroups,
+    schemas
+  };
+}
+
+/**
+ * Endpoints by path shape; head entries win so moved operations use their new tag
+ */
+function indexEndpoints(baseApi, headApi) {
+  const endpoints = new Map();
+  for (const endpoint of [...extractEndpoints(baseApi), ...extractEndpoints(headApi)]) {
+    endpoints.set(signature(`${endpoint.method} ${endpoint.path}`), endpoint);
+  }
+  return endpoints;
+}
+
+function signature(operation) {
+  return operation.replace(/\{[^}]+\}/g, '{}');
+}
+
+/**
+ * Category from the change location, e.g. 'query parameter "limit"' -> parameters
+ */
+function categorize(location) {
+  if (!location) return 'operation';
+  if (location.startsWith('request body')) return 'request body';
+  if (location.startsWith('response')) return 'responses';
+  return 'parameters';
+}
+
+function sortByOperation(entries) {
+  return entries.sort((a, b) => a.operation.localeCompare(b.operation));
+}
+
+/**
+ * A component schema as written in the spec: nested component schemas that
+ * dereferencing inlined become $refs again, so recursive schemas stay finite
+ * and a schema only counts as modified when its own definition changed
+ * @param {*} value - Dereferenced schema (or part of one)
+ * @param {Map} components - Component schema object -> name
+ * @param {Set} ancestors - Objects on the current path (cycles outside components)
+ */
+function toReferencedSchema(value, components, ancestors = new Set()) {
+  if (value === null || typeof value !== 'object') return value;
+  if (ancestors.size > 0 && components.has(value)) {
+    return { $ref: `#/components/schemas/${components.get(value)}` };
+  }
+  if (ancestors.has(value)) return { $ref: '#' };
+
+  const path = new Set(ancestors).add(value);
+  if (Array.isArray(value)) {
+    return value.map(item => toReferencedSchema(item, components, path));
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toReferencedSchema(item, components, path)]));
+}
+
+/**
+ * Added, removed and modified components.schemas by name
+ */
+function diffSchemas(baseApi, headApi) {
+  const base = baseApi.components?.schemas || {};
+  const head = headApi.components?.schemas || {};
+  const referenced = schemas => {
+    const components = new Map(Object.entries(schemas).map(([name, schema]) => [schema, name]));
+    return name => toReferencedSchema(schemas[name], components);
+  };
+  const baseSchema = referenced(base);
+  const headSchema = referenced(head);
+
+  return {
+    added: Object.keys(head).filter(name => !(name in base)).sort(),
+    removed: Object.keys(base).filter(name => !(name in head)).sort(),
+    modified: Object.keys(base)
+      .filter(name => name in head && deepDiff(baseSchema(name), headSchema(name)).length > 0)
+      .sort()
+  };
+}
+
+/**
+ * Format a changelog as Markdown
+ * @param {Object} changelog - Result of generateChangelog
+ * @param {Object} options - { headingLevel } for the version heading (default 2)
+ * @returns {string} Markdown
+ */
+export function formatChangelogMarkdown(changelog, options = {}) {
+  const level = options.headingLevel || 2;
+  const heading = (offset, text) => `${'#'.repeat(level + offset)} ${text}`;
+  const flag = (entry) => (entry.breaking ? ' **BREAKING**' : '');
+  const operation = (entry) => `\`${entry.operation}\`${entry.name !== entry.operation ? ` - ${entry.name}` : ''}`;
+  const { summary } = changelog;
+
+  const lines = [heading(0, changelog.toVersion || 'Unversioned'), ''];
+
+  lines.push(changelog.versionChanged
+    ? `Changes since ${changelog.fromVersion || 'the unversioned spec'}.`
+    : 'Changes since the base spec (info.version unchanged).');
+  lines.push('');
+  lines.push(
+    `${summary.breaking} breaking change${summary.breaking === 1 ? '' : 's'}, ` +
+    `${summary.added} operation${summary.added === 1 ? '' : 's'} added, ` +
+    `${summary.removed} removed, ${summary.modified} modified, ` +
+    `${summary.schemasChanged} schema${summary.schemasChanged === 1 ? '' : 's'} changed.`
+  );
+
+  if (changelog.groups.length === 0 && summary.schemasChanged === 0) {
+    lines.push('', 'No changes.');
+    return lines.join('\n') + '\n';
+  }
+
+  for (const group of changelog.groups) {
+    lines.push('', heading(1, group.tag));
+
+    for (const [title, entries] of [['Added', group.added], ['Removed', group.removed]]) {
+      if (entries.length === 0) continue;
+      lines.push('', `**${title}**`, '');
+      for (const entry of entries) {
+        lines.push(`- ${operation(entry)}${flag(entry)}`);
+      }
+    }
+
+    if (group.modified.length > 0) {
+      lines.push('', '**Modified**', '');
+      for (const entry of group.modified) {
+        lines.push(`- ${operation(entry)}`);
+        for (const change of entry.changes) {
+          lines.push(`  - ${change.breaking ? '**BREAKING** ' : ''}${change.location ? `${change.location}: ` : ''}${change.message}`);
+        }
+      }
+    }
+  }
+
+  if (summary.schemasChanged > 0) {
+    lines.push('', heading(1, 'Schemas'), '');
+    for (const [title, names] of [['Added', changelog.schemas.added], ['Removed', changelog.schemas.removed], ['Modified', changelog.schemas.modified]]) {
+      if (names.length > 0) {
+        lines.push(`- ${title}: ${names.map(name => `\`${name}\``).join(', ')}`);
+      }
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Build an info.description with a changelog section after CHANGELOG_MARKER
+ * Earlier entries from the previous description are kept below the new one.
+ * @param {string} description - Description from the spec being synced
+ * @param {string} previousDescription - Description currently in Spec Hub
+ * @param {string|null} entry - Markdown for the new version, or null to only carry over
+ * @returns {string} Description with the changelog section
+ */
+export function appendChangelogToDescription(description, previousDescription, entry) {
+  const own = stripChangelog(description || '').trimEnd();
+  const previous = (previousDescription || '').split(CHANGELOG_MARKER)[1]?.replace(/^\s*## Changelog\s*/, '').trim() || '';
+  const entries = [entry?.trim(), previous].filter(Boolean).join('\n\n');
+
+  if (!entries) return own;
+
+  return `${own ? `${own}\n\n` : ''}${CHANGELOG_MARKER}\n## Changelog\n\n${entries}\n`;
+}
+
+function stripChangelog(description) {
+  return description.split(CHANGELOG_MARKER)[0];
+}
+
+/**
+ * Replace info.description in raw spec text, keeping YAML comments and layout
+ * @param {string} content - YAML or JSON spec text
+ * @param {string} description - New description
+ * @returns {string} Updated spec text
+ */
+export function setSpecDescription(content, description) {
+  const trimmed = content.trim();
+
+  if (trimmed.startsWith('{')) {
+    const spec = JSON.parse(trimmed);
+    spec.info = { ...(spec.info || {}), description };
+    return JSON.stringify(spec, null, 2) + '\n';
+  }
+
+  const doc = YAML.parseDocument(content);
+  doc.setIn(['info', 'description'], description);
+  return doc.toString();
+}
+
+export default {
+  CHANGELOG_MARKER,
+  generateChangelog,
+  formatChangelogMarkdown,
+  appendChangelogToDescription,
+  setSpecDescription
+};
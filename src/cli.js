@@ -6,22 +6,41 @@
  * Unified interface for OpenAPI <-> Postman synchronization
  *
  * Commands:
- *   forward  - Sync spec to Postman (existing behavior)
- *   repo     - Export Postman collections/environments to repo
- *   reverse  - Sync Postman changes back to spec
- *   bidi     - Full bidirectional workflow
- *   status   - Check sync status and detect drift
+ *   forward   - Sync spec to Postman (existing behavior)
+ *   repo      - Export Postman collections/environments to repo
+ *   reverse   - Sync Postman changes back to spec
+ *   bidi      - Full bidirectional workflow
+ *   status    - Check sync status and detect drift
+ *   run       - Run exported collections locally (no Postman CLI)
+ *   mock      - Serve the spec from a local mock server
+ *   coverage  - Report which spec operations collections test
+ *   diff      - Detect breaking changes between two spec versions
+ *   changelog - Generate a changelog between two spec versions
  */
 
 import { Command } from 'commander';
+import fs from 'fs';
 import path from 'path';
+import { execFileSync } from 'child_process';
 import { fileURLToPath } from 'url';
-import { SpecHubClient } from './spec-hub-client.js';
+import { SpecHubClient, RateLimiter } from './spec-hub-client.js';
 import { RepoSync } from './repo-sync.js';
 import { ReverseSync } from './reverse-sync.js';
-import { parseSpec } from './parser.js';
-import { loadConfig } from './config-loader.js';
+import { PullRequestWorkflow } from './pull-request.js';
+import { createPRProvider } from './pr-providers.js';
+import { ForkWorkflow, ForkWorkflowError, getSourceCollection } from './fork-workflow.js';
+import { CollectionRunner } from './collection-runner.js';
+import { MockServer } from './mock-server.js';
+import { FakePostmanApi } from './fake-postman-api.js';
+import { analyzeCoverage, formatCoverageTable } from './coverage-analyzer.js';
+import { diffSpecs, formatChange } from './spec-diff.js';
+import { generateChangelog, formatChangelogMarkdown } from './changelog.js';
+import { DEFAULT_REPORT_PATHS, getTagsByKey, writeReport } from './reporters.js';
+import { parseSpec, parseSpecContent } from './parser.js';
+import { loadConfig, getSpecEntries, createNamingContext, getCollectionNames, getClientOptions, isReplayingCassette } from './config-loader.js';
+import { DEFAULT_CONCURRENCY, runForSpecs, getSpecOutputDir, formatSpecSummary } from './multi-spec.js';
 import { sync as forwardSync } from './spec-hub-sync.js';
+import { DEFAULT_PLAN_FILE, SyncPlanError, applySyncPlan, loadSyncPlan, summarizeSyncPlan } from './sync-plan.js';
 import { createLogger } from './logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -44,7 +63,11 @@ function addCommonOptions(cmd) {
     .option('-s, --spec <path>', 'Path to OpenAPI spec file (can also be set via SPEC_FILE env or config)')
     .option('-w, --workspace <id>', 'Postman workspace ID')
     .option('-k, --api-key <key>', 'Postman API key')
+    .option('--api-url <url>', 'Postman API base URL, e.g. a local fake API (postmanApi.baseUrl)')
+    .option('--record-cassette <file>', 'Record Postman API requests and responses to a cassette file')
+    .option('--replay-cassette <file>', 'Replay Postman API responses from a cassette file instead of calling the API')
     .option('-c, --config <path>', 'Path to sync.config.json')
+    .option('--env <name>', 'Value for {{env}} in collection name patterns and tags')
     .option('-d, --dry-run', 'Preview changes without applying', false);
 }
 
@@ -52,24 +75,95 @@ function addCommonOptions(cmd) {
  * Load config and merge with CLI options
  */
 function getConfig(options) {
-  const config = loadConfig({
-    workspace: options.workspace,
-    apiKey: options.apiKey,
-    config: options.config,
-    spec: options.spec,
-    output: options.output,
-    strategy: options.strategy,
-    testLevel: options.testLevel,
-    exportToRepo: options.exportToRepo,
-    autoMerge: options.autoMerge,
-    dryRun: options.dryRun,
-    envs: options.envs,
-    tests: options.tests
-  });
+  let config;
+  try {
+    config = loadConfig({
+      workspace: options.workspace,
+      apiKey: options.apiKey,
+      apiUrl: options.apiUrl,
+      recordCassette: options.recordCassette,
+      replayCassette: options.replayCassette,
+      config: options.config,
+      spec: options.spec,
+      output: options.output,
+      strategy: options.strategy,
+      baseline: options.baseline,
+      pr: options.pr,
+      prProvider: options.prProvider,
+      targetWorkspace: options.targetWorkspace,
+      testLevel: options.testLevel,
+      exportToRepo: options.exportToRepo,
+      changelog: options.changelog,
+      autoMerge: options.autoMerge,
+      dryRun: options.dryRun,
+      envs: options.envs,
+      tests: options.tests,
+      failOnBreaking: options.failOnBreaking,
+      env: options.env
+    });
+  } catch (error) {
+    logger.error(error.message);
+    process.exit(1);
+  }
 
   return config;
 }
 
+/**
+ * reverseSync field rules passed to ReverseSync's ChangeDetector
+ */
+function getFieldRules(config) {
+  return {
+    allowedFields: config.reverseSync.allowedFields,
+    blockedFields: config.reverseSync.blockedFields,
+    requireApprovalFor: config.reverseSync.requireApprovalFor
+  };
+}
+
+/**
+ * Pull request workflow for reverse sync, or null when reverseSync.autoCreatePR is off
+ */
+function createPullRequestWorkflow(config) {
+  if (!config.reverseSync.autoCreatePR) return null;
+
+  const pr = config.reverseSync.pr || {};
+  return new PullRequestWorkflow({
+    provider: createPRProvider(pr),
+    remote: pr.remote,
+    baseBranch: pr.baseBranch,
+    branchPrefix: pr.branchPrefix,
+    labels: config.reverseSync.prLabels
+  });
+}
+
+/**
+ * Commit reverse-synced files to a branch and open a pull request
+ */
+async function openReverseSyncPullRequest(workflow, result, specPath, collectionUid) {
+  if (!workflow || result.status !== 'synced' || result.writtenFiles.length === 0) return null;
+
+  logger.info('\n  Creating pull request branch...');
+  return workflow.open(result, {
+    specPath,
+    specTitle: result.specTitle,
+    collectionName: result.collectionName,
+    collectionUid
+  });
+}
+
+/**
+ * reverseSync.baseline options for ReverseSync's baseline provider
+ * @param {Object} config - Loaded config
+ * @param {string} outputDir - Repo output directory holding the sync manifest
+ */
+function getBaselineOptions(config, outputDir) {
+  return {
+    baseline: config.reverseSync.baseline?.provider,
+    defaultBranch: config.reverseSync.baseline?.defaultBranch,
+    manifestPath: path.join(outputDir, config.repoSync.manifest.filename)
+  };
+}
+
 /**
  * Validate required options
  */
@@ -78,12 +172,97 @@ function validateConfig(config) {
     logger.error('Workspace ID required. Set POSTMAN_WORKSPACE_ID, use --workspace, or configure in sync.config.json');
     process.exit(1);
   }
-  if (!config._apiKey) {
+  if (!config._apiKey && !isReplayingCassette(config)) {
     logger.error('API key required. Set POSTMAN_API_KEY or use --api-key');
     process.exit(1);
   }
 }
 
+// One limiter per process so specs synced concurrently share the Postman API budget
+const rateLimiter = new RateLimiter();
+
+/**
+ * Create a Spec Hub client that uses the shared rate limiter
+ */
+function createClient(config) {
+  return new SpecHubClient(config._apiKey, config.workspace, { rateLimiter, ...getClientOptions(config) });
+}
+
+/**
+ * Add --all / --concurrency to a command that can run for every configured spec
+ */
+function addMultiSpecOptions(cmd) {
+  return cmd
+    .option('--all', 'Run for every entry in the specs map of sync.config.json')
+    .option('--concurrency <n>', 'Number of specs to process at once with --all', String(DEFAULT_CONCURRENCY));
+}
+
+/**
+ * Run a task for every configured spec, print the combined summary and exit
+ * with status 1 if any spec failed
+ * @param {Object} config - Loaded config
+ * @param {Object} options - Command options ({ concurrency })
+ * @param {Function} task - async (entry) => result
+ * @returns {Promise<Array>} Per-spec results
+ */
+async function runForAllSpecs(config, options, task) {
+  const entries = getSpecEntries(config);
+  if (entries.length === 0) {
+    logger.error('No specs configured. Add a "specs" map to sync.config.json to use --all');
+    process.exit(1);
+  }
+
+  const concurrency = parseInt(options.concurrency, 10);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    logger.error(`Invalid --concurrency "${options.concurrency}". Use a positive integer.`);
+    process.exit(1);
+  }
+
+  logger.info(`Processing ${entries.length} spec(s), ${concurrency} at a time`);
+  const results = await runForSpecs(entries, task, { concurrency, logger });
+
+  logger.info('\nMulti-Spec Summary');
+  logger.info('='.repeat(50));
+  logger.info(`\n${formatSpecSummary(results)}\n`);
+
+  if (results.some(result => result.status === 'failed')) {
+    process.exit(1);
+  }
+  return results;
+}
+
+/**
+ * Collection names the spec's patterns produce, to tell its collections apart
+ * from the rest of the workspace (null when the spec can't be read)
+ */
+async function getExpectedCollectionNames(specPath, config) {
+  if (!specPath) return null;
+
+  try {
+    const spec = await parseSpec(specPath);
+    return new Set(Object.values(getCollectionNames(config, createNamingContext(config, spec, specPath))));
+  } catch (error) {
+    logger.warn(`Could not resolve collection names from ${specPath}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Exported collection files in the repo output directory
+ * Walks subdirectories, since filenamePattern may nest files (e.g. by version).
+ */
+function findExportedCollections(options, config) {
+  const outputDir = options.output || config.repoSync.outputDir || '.';
+  const collectionsDir = path.join(outputDir, config.repoSync.collections.directory);
+
+  if (!fs.existsSync(collectionsDir)) return [];
+
+  return fs.readdirSync(collectionsDir, { recursive: true })
+    .filter(f => f.endsWith('.collection.json'))
+    .sort()
+    .map(f => path.join(collectionsDir, f));
+}
+
 // ============================================================
 // FORWARD SYNC COMMAND
 // ============================================================
@@ -92,9 +271,10 @@ const forwardCmd = program
   .command('forward')
   .description('Forward sync: OpenAPI spec -> Postman collections');
 
-addCommonOptions(forwardCmd)
-  .option('-t, --test-level <level>', 'Test level: smoke, contract, all, none', 'all')
+addMultiSpecOptions(addCommonOptions(forwardCmd))
+  .option('-t, --test-level <level>', 'Test level: smoke, contract, negative, scenario, all, none', 'all')
   .option('--export-to-repo <path>', 'Also export collections to repo after sync')
+  .option('--changelog', 'Append a changelog to the Spec Hub spec description when info.version changes')
   .action(async (options) => {
     const config = getConfig(options);
     validateConfig(config);
@@ -106,41 +286,139 @@ addCommonOptions(forwardCmd)
       logger.info(`Using config: ${config._configPath}`);
     }
 
-    // Use spec from CLI or config
-    const specPath = options.spec || config.spec;
-    if (!specPath) {
-      logger.error('Spec file path is required. Use --spec, set SPEC_FILE env var, or configure in sync.config.json');
-      process.exit(1);
-    }
-
     // Use test level from CLI, config, or default
     const testLevel = options.testLevel || config.forwardSync.testLevel;
     const dryRun = options.dryRun || config.dryRun;
     const exportToRepo = options.exportToRepo || (config.forwardSync.exportToRepo ? config.repoSync.outputDir : null);
 
-    try {
+    const runForward = async (specPath, repoDir) => {
       // Call sync directly instead of execSync
       const result = await forwardSync({
         spec: specPath,
         workspaceId: config.workspace,
         apiKey: config._apiKey,
         testLevel: testLevel,
-        dryRun: dryRun
+        dryRun: dryRun,
+        changelog: config.forwardSync.changelog,
+        rateLimiter,
+        config
       });
 
       // Export to repo if requested
-      if (exportToRepo && !dryRun) {
+      if (repoDir && !dryRun) {
         logger.info('Exporting to repo...');
-        await runRepoSync(specPath, exportToRepo, config);
+        await runRepoSync(specPath, repoDir, config);
       }
 
       return result;
+    };
+
+    if (options.all) {
+      return runForAllSpecs(config, options, entry => runForward(entry.path, exportToRepo && getSpecOutputDir(entry, exportToRepo)));
+    }
+
+    // Use spec from CLI or config
+    const specPath = options.spec || config.spec;
+    if (!specPath) {
+      logger.error('Spec file path is required. Use --spec, set SPEC_FILE env var, or configure in sync.config.json');
+      process.exit(1);
+    }
+
+    try {
+      return await runForward(specPath, exportToRepo);
     } catch (error) {
       logger.error(`Forward sync failed: ${error.message}`);
       process.exit(1);
     }
   });
 
+// ============================================================
+// PLAN / APPLY COMMANDS
+// ============================================================
+
+const planCmd = program
+  .command('plan')
+  .description('Show what forward sync would change in Postman and save it as a plan file');
+
+addCommonOptions(planCmd)
+  .option('-t, --test-level <level>', 'Test level: smoke, contract, negative, scenario, all, none')
+  .option('--changelog', 'Plan to append a changelog to the Spec Hub spec description when info.version changes')
+  .option('-o, --out <file>', 'Plan file to write', DEFAULT_PLAN_FILE)
+  .action(async (options) => {
+    const config = getConfig(options);
+    validateConfig(config);
+
+    const specPath = options.spec || config.spec;
+    if (!specPath) {
+      logger.error('Spec file path is required. Use --spec, set SPEC_FILE env var, or configure in sync.config.json');
+      process.exit(1);
+    }
+
+    try {
+      await forwardSync({
+        spec: specPath,
+        workspaceId: config.workspace,
+        apiKey: config._apiKey,
+        testLevel: options.testLevel || config.forwardSync.testLevel,
+        dryRun: true,
+        planFile: options.out,
+        changelog: config.forwardSync.changelog,
+        rateLimiter,
+        config
+      });
+      logger.info(`\nApply it with: spec-sync apply ${options.out}`);
+    } catch (error) {
+      logger.error(`Plan failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('apply [planFile]')
+  .description('Execute a plan file from "spec-sync plan" exactly as reviewed')
+  .option('-k, --api-key <key>', 'Postman API key')
+  .option('--api-url <url>', 'Postman API base URL (postmanApi.baseUrl)')
+  .option('--record-cassette <file>', 'Record Postman API requests and responses to a cassette file')
+  .option('--replay-cassette <file>', 'Replay Postman API responses from a cassette file')
+  .option('-c, --config <path>', 'Path to sync.config.json')
+  .action(async (planFile = DEFAULT_PLAN_FILE, options) => {
+    const config = getConfig(options);
+
+    let plan;
+    try {
+      plan = loadSyncPlan(planFile);
+    } catch (error) {
+      logger.error(error.message);
+      process.exit(1);
+    }
+
+    // The plan names its workspace, so it is applied where it was made
+    const planConfig = { ...config, workspace: plan.workspace };
+    validateConfig(planConfig);
+
+    logger.info('\nApply Sync Plan');
+    logger.info('='.repeat(50));
+    logger.info(`Plan: ${planFile} (made ${plan.createdAt})`);
+    logger.info(`Spec: ${plan.spec.name} -> workspace ${plan.workspace}`);
+
+    try {
+      const result = await applySyncPlan(createClient(planConfig), plan);
+      const summary = summarizeSyncPlan(plan);
+
+      logger.info('\nPlan applied');
+      logger.info(`  Spec: ${result.specId}`);
+      for (const collection of result.collections) {
+        logger.info(`  ${collection.type}: ${collection.name} (${collection.uid})`);
+      }
+      logger.info(`  Scripts: ${summary.scripts.inject} injected, ${summary.scripts.replace} replaced, ${summary.scripts.remove} removed`);
+      logger.info(`  Pre-request scripts: ${summary.preRequestScripts.inject} injected, ${summary.preRequestScripts.replace} replaced, ${summary.preRequestScripts.remove} removed`);
+      logger.info(`  Environments: ${summary.environments.create} created, ${summary.environments.update} updated`);
+    } catch (error) {
+      logger.error(error instanceof SyncPlanError ? error.message : `Apply failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
 // ============================================================
 // REPO SYNC COMMAND
 // ============================================================
@@ -149,13 +427,22 @@ const repoCmd = program
   .command('repo')
   .description('Export Postman collections and environments to repo');
 
-addCommonOptions(repoCmd)
-  .option('-o, --output <dir>', 'Output directory')
+addMultiSpecOptions(addCommonOptions(repoCmd))
+  .option('-o, --output <dir>', 'Output directory (with --all: base directory, one subdirectory per spec)')
   .option('--no-envs', 'Skip environment export')
   .action(async (options) => {
     const config = getConfig(options);
     validateConfig(config);
 
+    const outputDir = options.output || config.repoSync.outputDir || '.';
+    const includeEnvs = options.envs !== undefined ? options.envs : config.repoSync.includeEnvironments;
+    const dryRun = options.dryRun || config.dryRun;
+
+    if (options.all) {
+      await runForAllSpecs(config, options, entry => runRepoSync(entry.path, getSpecOutputDir(entry, outputDir), config, includeEnvs, dryRun));
+      return;
+    }
+
     // Use spec from CLI or config
     const specPath = options.spec || config.spec;
     if (!specPath) {
@@ -163,9 +450,6 @@ addCommonOptions(repoCmd)
       process.exit(1);
     }
 
-    const outputDir = options.output || config.repoSync.outputDir || '.';
-    const includeEnvs = options.envs !== undefined ? options.envs : config.repoSync.includeEnvironments;
-    const dryRun = options.dryRun || config.dryRun;
     await runRepoSync(specPath, outputDir, config, includeEnvs, dryRun);
   });
 
@@ -184,7 +468,7 @@ async function runRepoSync(specPath, outputDir, config, includeEnvs = true, dryR
     logger.info(`Using config: ${config._configPath}`);
   }
 
-  const client = new SpecHubClient(config._apiKey, config.workspace);
+  const client = createClient(config);
   
   // Avoid double-prefixing: only use the subdirectory names, not the full outputDir
   // The outputDir is the base directory, collections.directory is relative to it
@@ -192,6 +476,8 @@ async function runRepoSync(specPath, outputDir, config, includeEnvs = true, dryR
     collectionsDir: config.repoSync.collections.directory,
     environmentsDir: config.repoSync.environments.directory,
     manifestFile: config.repoSync.manifest.filename,
+    collectionFilenamePattern: config.repoSync.collections.filenamePattern,
+    environmentFilenamePattern: config.repoSync.environments.filenamePattern,
     sortKeys: config.repoSync.sortKeys,
     indent: config.repoSync.prettyPrint ? 2 : 0,
     dryRun: dryRun
@@ -199,24 +485,20 @@ async function runRepoSync(specPath, outputDir, config, includeEnvs = true, dryR
 
   const spec = await parseSpec(specPath);
   const specName = spec.info?.title || 'api';
+  const exportOptions = { version: spec.info?.version };
 
   logger.info(`\n[1] Fetching collections for: ${specName}`);
 
   // Get all collections in workspace
   const allCollections = await client.getWorkspaceCollections();
 
-  // Filter to collections matching this spec
+  // Filter to collections named by this spec's patterns
+  const typeByName = new Map(
+    Object.entries(getCollectionNames(config, createNamingContext(config, spec, specPath))).map(([type, name]) => [name, type])
+  );
   const relevantCollections = allCollections
-    .filter(c =>
-      c.name === specName ||
-      c.name === `${specName} - Smoke Tests` ||
-      c.name === `${specName} - Contract Tests`
-    )
-    .map(c => ({
-      uid: c.uid,
-      type: c.name.includes('Smoke') ? 'smoke' :
-            c.name.includes('Contract') ? 'contract' : 'main'
-    }));
+    .filter(c => typeByName.has(c.name))
+    .map(c => ({ uid: c.uid, type: typeByName.get(c.name) }));
 
   if (relevantCollections.length === 0) {
     logger.info('    No matching collections found');
@@ -228,7 +510,8 @@ async function runRepoSync(specPath, outputDir, config, includeEnvs = true, dryR
   const collections = await repoSync.exportCollections(
     specName,
     relevantCollections,
-    outputDir
+    outputDir,
+    exportOptions
   );
 
   // Export environments
@@ -243,7 +526,7 @@ async function runRepoSync(specPath, outputDir, config, includeEnvs = true, dryR
       .map(e => ({ uid: e.uid, name: e.name }));
 
     if (relevantEnvs.length > 0) {
-      environments = await repoSync.exportEnvironments(specName, relevantEnvs, outputDir);
+      environments = await repoSync.exportEnvironments(specName, relevantEnvs, outputDir, exportOptions);
     } else {
       logger.info('    No matching environments found');
     }
@@ -277,8 +560,15 @@ addCommonOptions(reverseCmd)
   .option('--strategy <strategy>', 'Conflict resolution: spec-wins, collection-wins, interactive')
   .option('--output <path>', 'Output path for updated spec')
   .option('--no-tests', 'Skip syncing tests as vendor extensions')
+  .option('--record-decisions <file>', 'Record interactive conflict decisions to a file (implies --strategy interactive)')
+  .option('--replay-decisions <file>', 'Replay recorded conflict decisions without prompting (implies --strategy interactive)')
+  .option('--baseline <provider>', 'Merge base: auto, git or file')
+  .option('--pr', 'Commit the changes to a new branch and open a pull request (reverseSync.autoCreatePR)')
+  .option('--no-pr', 'Write the changes into the spec in place')
+  .option('--pr-provider <provider>', 'Pull request provider: none, github or gitlab')
   .action(async (options) => {
-    const config = getConfig(options);
+    // --output is the updated spec path here, not the repo output directory
+    const config = getConfig({ ...options, output: undefined });
     validateConfig(config);
 
     // Use spec from CLI or config
@@ -288,7 +578,8 @@ addCommonOptions(reverseCmd)
       process.exit(1);
     }
 
-    const strategy = options.strategy || config.reverseSync.conflictStrategy;
+    const usesDecisions = Boolean(options.recordDecisions || options.replayDecisions);
+    const strategy = options.strategy || (usesDecisions ? 'interactive' : config.reverseSync.conflictStrategy);
     const dryRun = options.dryRun || config.dryRun;
     const includeTests = options.tests !== undefined ? options.tests : config.reverseSync.includeTests;
 
@@ -299,20 +590,38 @@ addCommonOptions(reverseCmd)
       logger.info(`Using config: ${config._configPath}`);
     }
 
-    const client = new SpecHubClient(config._apiKey, config.workspace);
-    const reverseSync = new ReverseSync(client, {
-      conflictStrategy: strategy,
-      storeTestsAsExtension: includeTests
-    });
+    const client = createClient(config);
 
-    const result = await reverseSync.reverseSync(
-      specPath,
-      options.collection,
-      {
-        dryRun: dryRun,
-        outputPath: options.output
-      }
-    );
+    let result;
+    try {
+      const prWorkflow = dryRun ? null : createPullRequestWorkflow(config);
+      prWorkflow?.assertReady(specPath);
+
+      const reverseSync = new ReverseSync(client, {
+        conflictStrategy: strategy,
+        storeTestsAsExtension: includeTests,
+        ...getFieldRules(config),
+        ...getBaselineOptions(config, config.repoSync.outputDir || '.')
+      });
+
+      result = await reverseSync.reverseSync(
+        specPath,
+        options.collection,
+        {
+          dryRun: dryRun,
+          outputPath: options.output,
+          recordDecisions: options.recordDecisions,
+          replayDecisions: options.replayDecisions,
+          // The branch keeps the original; no backup files to clean up
+          noBackup: Boolean(prWorkflow)
+        }
+      );
+
+      result.pullRequest = await openReverseSyncPullRequest(prWorkflow, result, specPath, options.collection);
+    } catch (error) {
+      logger.error(`Reverse sync failed: ${error.message}`);
+      process.exit(1);
+    }
 
     if (result.status === 'dry-run') {
       logger.info('\nDry Run Results:');
@@ -333,10 +642,11 @@ const bidiCmd = program
   .alias('bidi')
   .description('Full bidirectional sync workflow');
 
-addCommonOptions(bidiCmd)
-  .option('-o, --output <dir>', 'Repo output directory')
+addMultiSpecOptions(addCommonOptions(bidiCmd))
+  .option('-o, --output <dir>', 'Repo output directory (with --all: base directory, one subdirectory per spec)')
   .option('--auto-merge', 'Automatically apply safe changes', false)
   .option('--strategy <strategy>', 'Conflict resolution strategy')
+  .option('--baseline <provider>', 'Merge base for auto-merge: auto, git or file')
   .action(async (options) => {
     const config = getConfig(options);
     validateConfig(config);
@@ -348,6 +658,18 @@ addCommonOptions(bidiCmd)
       logger.info(`Using config: ${config._configPath}`);
     }
 
+    const outputDir = options.output || config.repoSync.outputDir || '.';
+    const bidiOptions = {
+      dryRun: options.dryRun || config.dryRun,
+      autoMerge: options.autoMerge !== undefined ? options.autoMerge : config.bidirectional.autoMerge,
+      strategy: options.strategy || config.reverseSync.conflictStrategy
+    };
+
+    if (options.all) {
+      await runForAllSpecs(config, options, entry => runBidirectional(entry.path, getSpecOutputDir(entry, outputDir), config, bidiOptions));
+      return;
+    }
+
     // Use spec from CLI or config
     const specPath = options.spec || config.spec;
     if (!specPath) {
@@ -355,105 +677,337 @@ addCommonOptions(bidiCmd)
       process.exit(1);
     }
 
-    const client = new SpecHubClient(config._apiKey, config.workspace);
-    const outputDir = options.output || config.repoSync.outputDir || '.';
-    const dryRun = options.dryRun || config.dryRun;
-    const autoMerge = options.autoMerge !== undefined ? options.autoMerge : config.bidirectional.autoMerge;
-
-    // Stage 1: Forward sync
-    logger.info('\n[Stage 1] Forward Sync (Spec -> Postman)');
-    logger.info('-'.repeat(40));
-
-    let forwardResult;
     try {
-      forwardResult = await forwardSync({
-        spec: specPath,
-        workspaceId: config.workspace,
-        apiKey: config._apiKey,
-        testLevel: config.forwardSync.testLevel,
-        dryRun: dryRun
-      });
+      await runBidirectional(specPath, outputDir, config, bidiOptions);
     } catch (error) {
-      logger.error('Forward sync failed:', error.message);
+      logger.error(error.message);
       process.exit(1);
     }
+  });
 
-    // Stage 2: Repo sync
-    logger.info('\n[Stage 2] Repo Sync (Postman -> Files)');
-    logger.info('-'.repeat(40));
-
-    if (!dryRun) {
-      await runRepoSync(specPath, outputDir, config);
-    } else {
-      logger.info('  Skipped (dry-run mode)');
-    }
+/**
+ * Run the forward, repo and reverse-check stages for one spec
+ * @param {string} specPath - Spec file
+ * @param {string} outputDir - Repo output directory
+ * @param {Object} config - Loaded config
+ * @param {Object} options - { dryRun, autoMerge, strategy }
+ */
+async function runBidirectional(specPath, outputDir, config, { dryRun, autoMerge, strategy }) {
+  const client = createClient(config);
+
+  // Stage 1: Forward sync
+  logger.info('\n[Stage 1] Forward Sync (Spec -> Postman)');
+  logger.info('-'.repeat(40));
+
+  try {
+    await forwardSync({
+      spec: specPath,
+      workspaceId: config.workspace,
+      apiKey: config._apiKey,
+      testLevel: config.forwardSync.testLevel,
+      dryRun: dryRun,
+      changelog: config.forwardSync.changelog,
+      rateLimiter,
+      config
+    });
+  } catch (error) {
+    throw new Error(`Forward sync failed: ${error.message}`);
+  }
 
-    // Stage 3: Check for reverse sync and execute if auto-merge
-    logger.info('\n[Stage 3] Reverse Sync Check');
-    logger.info('-'.repeat(40));
+  // Stage 2: Repo sync
+  logger.info('\n[Stage 2] Repo Sync (Postman -> Files)');
+  logger.info('-'.repeat(40));
 
-    const repoSync = new RepoSync(client);
-    const status = await repoSync.getStatus(outputDir);
+  if (!dryRun) {
+    await runRepoSync(specPath, outputDir, config);
+  } else {
+    logger.info('  Skipped (dry-run mode)');
+  }
 
-    if (status.needsSync) {
-      logger.info('  Changes detected in Postman');
-      logger.info(`    Collections: ${status.changes.collections.length}`);
-      logger.info(`    Environments: ${status.changes.environments.length}`);
+  // Stage 3: Check for reverse sync and execute if auto-merge
+  logger.info('\n[Stage 3] Reverse Sync Check');
+  logger.info('-'.repeat(40));
 
-      if (autoMerge && !dryRun) {
-        logger.info('\n  Auto-merging safe changes...');
+  const repoSync = new RepoSync(client);
+  const status = await repoSync.getStatus(outputDir, {
+    collectionNames: await getExpectedCollectionNames(specPath, config)
+  });
 
-        const strategy = options.strategy || config.reverseSync.conflictStrategy;
-        const reverseSync = new ReverseSync(client, {
-          conflictStrategy: strategy,
-          storeTestsAsExtension: config.reverseSync.includeTests
-        });
+  if (status.needsSync) {
+    logger.info('  Changes detected in Postman');
+    logger.info(`    Collections: ${status.changes.collections.length}`);
+    logger.info(`    Environments: ${status.changes.environments.length}`);
 
-        // Get the main collection UID from manifest
-        const manifest = repoSync.loadManifest(outputDir);
-        const mainCollectionUid = Object.keys(manifest.collections).find(
-          uid => manifest.collections[uid].type === 'main'
-        );
+    if (autoMerge && !dryRun) {
+      logger.info('\n  Auto-merging safe changes...');
 
-        if (mainCollectionUid) {
-          logger.info(`  Syncing from collection: ${mainCollectionUid}`);
+      const prWorkflow = createPullRequestWorkflow(config);
+      prWorkflow?.assertReady(specPath);
 
-          const result = await reverseSync.reverseSync(
-            specPath,
-            mainCollectionUid,
-            { dryRun: false }
-          );
+      const reverseSync = new ReverseSync(client, {
+        conflictStrategy: strategy,
+        storeTestsAsExtension: config.reverseSync.includeTests,
+        ...getFieldRules(config),
+        ...getBaselineOptions(config, outputDir)
+      });
 
-          logger.info(`\n  Reverse sync complete:`);
-          logger.info(`    Applied: ${result.applied?.length || 0} changes`);
-          logger.info(`    Skipped: ${result.skipped?.length || 0} changes`);
+      // Get the main collection UID from manifest
+      const manifest = repoSync.loadManifest(outputDir);
+      const mainCollectionUid = Object.keys(manifest.collections).find(
+        uid => manifest.collections[uid].type === 'main'
+      );
 
-          if (result.status === 'synced') {
-            // Re-export to repo after reverse sync
-            logger.info('\n  Re-exporting to repo...');
-            await runRepoSync(specPath, outputDir, config);
-          }
-        } else {
-          logger.info('  No main collection found in manifest');
-        }
-      } else if (!autoMerge) {
-        logger.info('\n  Run with --auto-merge to apply safe changes');
-        logger.info('  Or run reverse sync manually:');
+      if (mainCollectionUid) {
+        logger.info(`  Syncing from collection: ${mainCollectionUid}`);
 
-        const manifest = repoSync.loadManifest(outputDir);
-        const mainCollectionUid = Object.keys(manifest.collections).find(
-          uid => manifest.collections[uid].type === 'main'
+        const result = await reverseSync.reverseSync(
+          specPath,
+          mainCollectionUid,
+          { dryRun: false, noBackup: Boolean(prWorkflow) }
         );
 
-        if (mainCollectionUid) {
-          logger.info(`    spec-sync reverse --spec ${specPath} --collection ${mainCollectionUid}`);
+        logger.info(`\n  Reverse sync complete:`);
+        logger.info(`    Applied: ${result.applied?.length || 0} changes`);
+        logger.info(`    Skipped: ${result.skipped?.length || 0} changes`);
+
+        await openReverseSyncPullRequest(prWorkflow, result, specPath, mainCollectionUid);
+
+        if (result.status === 'synced') {
+          // Re-export to repo after reverse sync
+          logger.info('\n  Re-exporting to repo...');
+          await runRepoSync(specPath, outputDir, config);
         }
+      } else {
+        logger.info('  No main collection found in manifest');
       }
-    } else {
-      logger.info('  No changes detected - in sync');
+    } else if (!autoMerge) {
+      logger.info('\n  Run with --auto-merge to apply safe changes');
+      logger.info('  Or run reverse sync manually:');
+
+      const manifest = repoSync.loadManifest(outputDir);
+      const mainCollectionUid = Object.keys(manifest.collections).find(
+        uid => manifest.collections[uid].type === 'main'
+      );
+
+      if (mainCollectionUid) {
+        logger.info(`    spec-sync reverse --spec ${specPath} --collection ${mainCollectionUid}`);
+      }
+    }
+  } else {
+    logger.info('  No changes detected - in sync');
+  }
+
+  logger.info('\nBidirectional sync complete');
+}
+
+// ============================================================
+// FORK WORKFLOW COMMANDS
+// ============================================================
+
+/**
+ * Fork workflow from the forkWorkflow config (exits when it is disabled)
+ */
+function createForkWorkflow(config, client) {
+  if (!config.forkWorkflow.enabled) {
+    logger.error('The fork workflow is disabled. Set forkWorkflow.enabled in sync.config.json');
+    process.exit(1);
+  }
+
+  return new ForkWorkflow(client, {
+    forkNamePattern: config.forkWorkflow.forkNamePattern,
+    targetWorkspace: config.forkWorkflow.targetWorkspace,
+    requireReviewers: config.forkWorkflow.requireReviewers,
+    fieldRules: getFieldRules(config)
+  });
+}
+
+/**
+ * Main collection UID from --collection or the sync manifest
+ */
+function resolveMainCollection(options, config, client) {
+  if (options.collection) return options.collection;
+
+  const outputDir = options.output || config.repoSync.outputDir || '.';
+  const manifest = new RepoSync(client).loadManifest(outputDir);
+  const mainCollectionUid = Object.keys(manifest.collections).find(
+    uid => manifest.collections[uid].type === 'main'
+  );
+
+  if (!mainCollectionUid) {
+    logger.error(`No main collection in the sync manifest under ${outputDir}. Use --collection <uid> or run "spec-sync repo" first`);
+    process.exit(1);
+  }
+  return mainCollectionUid;
+}
+
+/**
+ * Add the options shared by the pr subcommands
+ */
+function addPullRequestOptions(cmd) {
+  return cmd
+    .option('-C, --collection <uid>', 'Main collection UID (default: from the sync manifest)')
+    .option('-o, --output <dir>', 'Repo output directory holding the sync manifest')
+    .option('-w, --workspace <id>', 'Postman workspace ID')
+    .option('-k, --api-key <key>', 'Postman API key')
+    .option('--api-url <url>', 'Postman API base URL (postmanApi.baseUrl)')
+    .option('--record-cassette <file>', 'Record Postman API requests and responses to a cassette file')
+    .option('--replay-cassette <file>', 'Replay Postman API responses from a cassette file')
+    .option('-c, --config <path>', 'Path to sync.config.json');
+}
+
+/**
+ * Print a pull request review: classified changes, approvals and verdict
+ */
+function printReview(review, pullRequestId) {
+  const { changes, approvals } = review;
+
+  logger.info(`\nPull request ${pullRequestId}: ${review.pullRequest.title || '(untitled)'}`);
+  logger.info(`  Fork: ${review.sourceUid}`);
+  logger.info('\n  Changes:');
+  logger.info(`    Safe to sync: ${changes.safeToSync.length}`);
+  logger.info(`    Needs review: ${changes.needsReview.length}`);
+  logger.info(`    Blocked: ${changes.blocked.length}`);
+  logger.info(`    Tests: ${changes.tests.length}`);
+
+  for (const blocked of changes.blocked.slice(0, 10)) {
+    logger.info(`      - ${blocked.path}: ${blocked.reason} (${blocked.rule})`);
+  }
+  if (changes.blocked.length > 10) {
+    logger.info(`      ... and ${changes.blocked.length - 10} more`);
+  }
+
+  if (approvals.approved.length + approvals.missing.length > 0) {
+    logger.info('\n  Required reviewers:');
+    logger.info(`    Approved: ${approvals.approved.join(', ') || 'none'}`);
+    logger.info(`    Waiting: ${approvals.missing.join(', ') || 'none'}`);
+  }
+
+  if (review.mergeable) {
+    logger.info('\n  Ready to merge');
+  } else {
+    logger.info('\n  Not ready to merge:');
+    for (const reason of review.reasons) {
+      logger.info(`    - ${reason}`);
     }
+  }
+}
+
+const forkCmd = program
+  .command('fork')
+  .description('Fork the main collection so collection edits go through a pull request');
+
+addCommonOptions(forkCmd)
+  .option('-C, --collection <uid>', 'Main collection UID (default: from the sync manifest)')
+  .option('-o, --output <dir>', 'Repo output directory holding the sync manifest')
+  .option('--target-workspace <id>', 'Workspace for the fork (forkWorkflow.targetWorkspace)')
+  .action(async (options) => {
+    const config = getConfig(options);
+    validateConfig(config);
+
+    const client = createClient(config);
+    const workflow = createForkWorkflow(config, client);
+    const collectionUid = resolveMainCollection(options, config, client);
+    const specPath = options.spec || config.spec;
 
-    logger.info('\nBidirectional sync complete');
+    try {
+      const api = specPath ? await parseSpec(specPath) : {};
+      const context = createNamingContext(config, api, specPath);
+
+      if (options.dryRun || config.dryRun) {
+        logger.info(`Would fork ${collectionUid} as "${workflow.getForkLabel(context)}"`);
+        return;
+      }
+
+      const fork = await workflow.fork(collectionUid, context);
+      logger.info('\nEdit the fork in Postman and open a pull request, then run:');
+      logger.info(`  spec-sync pr list --collection ${collectionUid}`);
+      return fork;
+    } catch (error) {
+      logger.error(`Fork failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+const prCmd = program
+  .command('pr')
+  .description('Review and merge pull requests from collection forks');
+
+addPullRequestOptions(prCmd.command('list'))
+  .description('List pull requests into the main collection')
+  .option('--status <status>', 'open, merged or declined', 'open')
+  .action(async (options) => {
+    const config = getConfig(options);
+    validateConfig(config);
+
+    const client = createClient(config);
+    const workflow = createForkWorkflow(config, client);
+    const collectionUid = resolveMainCollection(options, config, client);
+
+    try {
+      const pullRequests = await workflow.listPullRequests(collectionUid, options.status);
+      if (pullRequests.length === 0) {
+        logger.info(`No ${options.status} pull requests into ${collectionUid}`);
+        return;
+      }
+
+      for (const pr of pullRequests) {
+        const source = pr.source?.forkName || pr.source?.name || getSourceCollection(pr);
+        logger.info(`${pr.id}  ${pr.title || '(untitled)'}  [${pr.status || options.status}]  from ${source}`);
+      }
+    } catch (error) {
+      logger.error(`Listing pull requests failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+addPullRequestOptions(prCmd.command('review'))
+  .description('Classify a pull request\'s changes with the reverse sync rules and check approvals')
+  .argument('<id>', 'Pull request ID')
+  .action(async (pullRequestId, options) => {
+    const config = getConfig(options);
+    validateConfig(config);
+
+    const client = createClient(config);
+    const workflow = createForkWorkflow(config, client);
+    const collectionUid = resolveMainCollection(options, config, client);
+
+    try {
+      const review = await workflow.review(collectionUid, pullRequestId);
+      printReview(review, pullRequestId);
+
+      if (review.mergeable && config.forkWorkflow.autoMergeApproved) {
+        logger.info('\n  Merging (forkWorkflow.autoMergeApproved)...');
+        await client.mergePullRequest(collectionUid, pullRequestId);
+        logger.info(`  Merged pull request ${pullRequestId}`);
+      }
+    } catch (error) {
+      logger.error(`Review failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+addPullRequestOptions(prCmd.command('merge'))
+  .description('Merge a pull request when nothing is blocked and required reviewers have approved')
+  .argument('<id>', 'Pull request ID')
+  .action(async (pullRequestId, options) => {
+    const config = getConfig(options);
+    validateConfig(config);
+
+    const client = createClient(config);
+    const workflow = createForkWorkflow(config, client);
+    const collectionUid = resolveMainCollection(options, config, client);
+
+    try {
+      const review = await workflow.merge(collectionUid, pullRequestId);
+      printReview(review, pullRequestId);
+    } catch (error) {
+      if (error instanceof ForkWorkflowError) {
+        logger.error(error.message);
+      } else {
+        logger.error(`Merge failed: ${error.message}`);
+      }
+      process.exit(1);
+    }
   });
 
 // ============================================================
@@ -464,14 +1018,20 @@ program
   .command('status')
   .description('Show sync status and detect drift')
   .option('-s, --spec <path>', 'Path to OpenAPI spec')
-  .option('-o, --output <dir>', 'Repo output directory')
+  .option('-o, --output <dir>', 'Repo output directory (with --all: base directory, one subdirectory per spec)')
   .option('-w, --workspace <id>', 'Postman workspace ID')
   .option('-k, --api-key <key>', 'Postman API key')
+  .option('--api-url <url>', 'Postman API base URL (postmanApi.baseUrl)')
+  .option('--record-cassette <file>', 'Record Postman API requests and responses to a cassette file')
+  .option('--replay-cassette <file>', 'Replay Postman API responses from a cassette file')
   .option('-c, --config <path>', 'Path to sync.config.json')
+  .option('--env <name>', 'Value for {{env}} in collection name patterns')
+  .option('--all', 'Show status for every entry in the specs map of sync.config.json')
+  .option('--concurrency <n>', 'Number of specs to check at once with --all', String(DEFAULT_CONCURRENCY))
   .action(async (options) => {
     const config = getConfig(options);
 
-    if (!config.workspace || !config._apiKey) {
+    if (!config.workspace || (!config._apiKey && !isReplayingCassette(config))) {
       logger.error('Error: Workspace ID and API key required');
       process.exit(1);
     }
@@ -483,41 +1043,518 @@ program
       logger.info(`Using config: ${config._configPath}`);
     }
 
-    const client = new SpecHubClient(config._apiKey, config.workspace);
+    const client = createClient(config);
     const outputDir = options.output || config.repoSync.outputDir || '.';
     const repoSync = new RepoSync(client);
 
+    if (options.all) {
+      // Fetch concurrently, print one spec at a time so output doesn't interleave
+      await runForAllSpecs(config, options, async (entry) => {
+        const specOutputDir = getSpecOutputDir(entry, outputDir);
+        if (!fs.existsSync(path.join(specOutputDir, config.repoSync.manifest.filename))) {
+          throw new Error(`No sync manifest in ${specOutputDir}. Run "spec-sync repo --all" first.`);
+        }
+        const status = await repoSync.getStatus(specOutputDir, {
+          collectionNames: await getExpectedCollectionNames(entry.path, config)
+        });
+        logger.info(`\n[${entry.name}] ${specOutputDir}`);
+        printStatus(status, entry.path, config);
+        return status;
+      });
+      return;
+    }
+
+    try {
+      const specPath = options.spec || config.spec;
+      const status = await repoSync.getStatus(outputDir, {
+        collectionNames: await getExpectedCollectionNames(specPath, config)
+      });
+      printStatus(status, specPath, config);
+    } catch (error) {
+      if (error.message.includes('manifest')) {
+        logger.info('\nNo sync manifest found. Run "spec-sync repo" first.');
+      } else {
+        logger.error(`Error: ${error.message}`);
+      }
+    }
+  });
+
+/**
+ * Print the sync status of one repo output directory
+ */
+function printStatus(status, specPath, config) {
+  logger.info(`\nLast Sync: ${status.lastSync || 'Never'}`);
+  logger.info(`Spec: ${status.specPath || specPath || 'Not configured'}`);
+  logger.info(`Workspace: ${status.workspaceId || config.workspace}`);
+  logger.info(`\nTracked Collections: ${status.trackedCollections}`);
+  logger.info(`Tracked Environments: ${status.trackedEnvironments}`);
+
+  if (status.needsSync) {
+    logger.info('\nChanges Detected:');
+
+    for (const coll of status.changes.collections) {
+      logger.info(`  Collection: ${coll.name} (${coll.change})`);
+    }
+
+    for (const env of status.changes.environments) {
+      logger.info(`  Environment: ${env.name} (${env.change})`);
+    }
+
+    logger.info('\nRun "spec-sync repo" to export changes');
+    logger.info('Run "spec-sync bidi --auto-merge" to sync bidirectionally');
+  } else {
+    logger.info('\nStatus: In sync');
+  }
+}
+
+// ============================================================
+// RUN COMMAND
+// ============================================================
+
+program
+  .command('run')
+  .description('Run exported collections locally without the Postman CLI')
+  .argument('[collections...]', 'Collection files (default: all exported *.collection.json)')
+  .option('-e, --environment <file>', 'Environment file to run against')
+  .option('--env-var <key=value>', 'Override an environment variable (repeatable)', (pair, pairs) => [...pairs, pair], [])
+  .option('--folder <name>', 'Only run requests inside this folder')
+  .option('--timeout <ms>', 'Per-request timeout in milliseconds', '30000')
+  .option('-r, --reporters <list>', 'Comma-separated reporters: cli, junit, json, html', 'cli')
+  .option('--reporter-junit-export <path>', 'JUnit XML output path', DEFAULT_REPORT_PATHS.junit)
+  .option('--reporter-json-export <path>', 'JSON results output path', DEFAULT_REPORT_PATHS.json)
+  .option('--reporter-html-export <path>', 'HTML report output path', DEFAULT_REPORT_PATHS.html)
+  .option('-s, --spec <path>', 'OpenAPI spec used to group the HTML report by tag')
+  .option('-o, --output <dir>', 'Repo output directory')
+  .option('-c, --config <path>', 'Path to sync.config.json')
+  .action(async (collectionFiles, options) => {
+    const config = getConfig(options);
+    const reporters = options.reporters.split(',').map(r => r.trim()).filter(Boolean);
+
+    const unknown = reporters.filter(r => !['cli', 'junit', 'json', 'html'].includes(r));
+    if (unknown.length > 0) {
+      logger.error(`Unknown reporter: ${unknown.join(', ')}. Use 'cli', 'junit', 'json', or 'html'.`);
+      process.exit(1);
+    }
+
+    logger.info('\nLocal Collection Run');
+    logger.info('='.repeat(50));
+
+    const files = collectionFiles.length > 0 ? collectionFiles : findExportedCollections(options, config);
+
+    if (files.length === 0) {
+      logger.error('No collections to run. Pass collection files or run "spec-sync repo" first.');
+      process.exit(1);
+    }
+
+    let failed = false;
+    const runs = [];
+
     try {
-      const status = await repoSync.getStatus(outputDir);
+      const runner = new CollectionRunner({
+        timeout: parseInt(options.timeout, 10),
+        folder: options.folder || null
+      });
 
-      logger.info(`\nLast Sync: ${status.lastSync || 'Never'}`);
-      logger.info(`Spec: ${status.specPath || config.spec || 'Not configured'}`);
-      logger.info(`Workspace: ${status.workspaceId || config.workspace}`);
-      logger.info(`\nTracked Collections: ${status.trackedCollections}`);
-      logger.info(`Tracked Environments: ${status.trackedEnvironments}`);
+      const environment = options.environment ? runner.loadEnvironment(options.environment) : {};
+      for (const pair of options.envVar) {
+        const separator = pair.indexOf('=');
+        if (separator < 1) {
+          logger.error(`Invalid --env-var "${pair}", expected key=value`);
+          process.exit(1);
+        }
+        environment[pair.slice(0, separator)] = pair.slice(separator + 1);
+      }
+
+      for (const file of files) {
+        const run = await runner.runCollection(runner.loadCollection(file), environment);
+        runs.push(run);
 
-      if (status.needsSync) {
-        logger.info('\nChanges Detected:');
+        logger.info(`\n${run.name}`);
+        for (const request of reporters.includes('cli') ? run.requests : []) {
+          const requestFailed = request.error || request.tests.some(test => !test.passed);
+          const label = [...request.folders, request.name].join(' / ');
+          const outcome = request.error ? request.error : `${request.code} ${request.status}, ${request.responseTime}ms`;
+          logger.info(`  ${requestFailed ? '[FAIL]' : '[PASS]'} ${request.method} ${label} (${outcome})`);
 
-        for (const coll of status.changes.collections) {
-          logger.info(`  Collection: ${coll.name} (${coll.change})`);
+          for (const test of request.tests) {
+            logger.info(`      ${test.passed ? '+' : 'x'} ${test.name}${test.error ? `: ${test.error}` : ''}`);
+          }
         }
 
-        for (const env of status.changes.environments) {
-          logger.info(`  Environment: ${env.name} (${env.change})`);
+        const { stats } = run;
+        logger.info(`  Requests: ${stats.requests} (${stats.failedRequests} failed)  Tests: ${stats.passed}/${stats.tests} passed`);
+        failed = failed || stats.failedRequests > 0;
+      }
+
+      const reportOptions = {};
+      const specPath = options.spec || config.spec;
+      if (reporters.includes('html') && specPath) {
+        try {
+          reportOptions.tagsByKey = getTagsByKey(await parseSpec(specPath));
+        } catch (error) {
+          logger.warn(`Could not read spec for tag grouping, grouping by folder: ${error.message}`);
         }
+      }
 
-        logger.info('\nRun "spec-sync repo" to export changes');
-        logger.info('Run "spec-sync bidi --auto-merge" to sync bidirectionally');
-      } else {
-        logger.info('\nStatus: In sync');
+      const exportPaths = {
+        junit: options.reporterJunitExport,
+        json: options.reporterJsonExport,
+        html: options.reporterHtmlExport
+      };
+
+      for (const type of reporters.filter(r => r !== 'cli')) {
+        const filePath = exportPaths[type];
+        writeReport(type, runs, filePath, reportOptions);
+        logger.info(`\n${type} report: ${filePath}`);
       }
     } catch (error) {
-      if (error.message.includes('manifest')) {
-        logger.info('\nNo sync manifest found. Run "spec-sync repo" first.');
+      logger.error(`Run failed: ${error.message}`);
+      process.exit(1);
+    }
+
+    if (failed) {
+      process.exit(1);
+    }
+  });
+
+// ============================================================
+// MOCK COMMAND
+// ============================================================
+
+program
+  .command('mock')
+  .description('Start a local mock server that serves responses from the spec')
+  .option('-s, --spec <path>', 'Path to OpenAPI spec')
+  .option('-p, --port <port>', 'Port to listen on', '4010')
+  .option('--host <host>', 'Host to bind', '127.0.0.1')
+  .option('--no-validate', 'Skip request validation (parameters, body, credentials)')
+  .option('-c, --config <path>', 'Path to sync.config.json')
+  .action(async (options) => {
+    const config = getConfig(options);
+
+    const specPath = options.spec || config.spec;
+    if (!specPath) {
+      logger.error('Spec file path is required. Use --spec, set SPEC_FILE env var, or configure in sync.config.json');
+      process.exit(1);
+    }
+
+    let mock;
+    let url;
+    try {
+      mock = new MockServer(await parseSpec(specPath), {
+        port: parseInt(options.port, 10),
+        host: options.host,
+        validateRequests: options.validate
+      });
+      url = await mock.start();
+    } catch (error) {
+      logger.error(`Mock server failed: ${error.message}`);
+      process.exit(1);
+    }
+
+    logger.info('\nMock Server');
+    logger.info('='.repeat(50));
+    logger.info(`Spec: ${specPath}`);
+    logger.info(`Listening on ${url}${mock.basePath ? ` (also under ${mock.basePath})` : ''}`);
+    logger.info('Send "Prefer: code=<status>" to select an alternate response');
+    logger.info(`Run tests against it with: spec-sync run --env-var baseUrl=${url}\n`);
+
+    const shutdown = async () => {
+      await mock.stop();
+      process.exit(0);
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+  });
+
+// ============================================================
+// FAKE POSTMAN API COMMAND
+// ============================================================
+
+program
+  .command('fake-api')
+  .description('Start a local fake Postman API with in-memory state for offline syncs')
+  .option('-p, --port <port>', 'Port to listen on', '4011')
+  .option('--host <host>', 'Host to bind', '127.0.0.1')
+  .option('--generation-delay <ms>', 'Delay before collection generations and syncs complete', '200')
+  .action(async (options) => {
+    const fake = new FakePostmanApi({
+      port: parseInt(options.port, 10),
+      host: options.host,
+      generationDelay: parseInt(options.generationDelay, 10)
+    });
+
+    let url;
+    try {
+      url = await fake.start();
+    } catch (error) {
+      logger.error(`Fake API failed to start: ${error.message}`);
+      process.exit(1);
+    }
+
+    logger.info('\nFake Postman API');
+    logger.info('='.repeat(50));
+    logger.info(`Listening on ${url} (state is in memory and lost on exit)`);
+    logger.info(`Point syncs at it with: POSTMAN_API_BASE_URL=${url} (any API key and workspace ID work)\n`);
+
+    const shutdown = async () => {
+      await fake.stop();
+      process.exit(0);
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+  });
+
+// ============================================================
+// COVERAGE COMMAND
+// ============================================================
+
+program
+  .command('coverage')
+  .description('Report which spec operations have requests, tests, asserted status codes and exercised parameters')
+  .argument('[collections...]', 'Collection files (default: all exported *.collection.json)')
+  .option('-s, --spec <path>', 'Path to OpenAPI spec')
+  .option('--collection <uid>', 'Analyze a Spec Hub collection instead of exported files (repeatable)', (uid, uids) => [...uids, uid], [])
+  .option('--format <format>', 'Output format: table, json', 'table')
+  .option('--json-export <path>', 'Also write the JSON report to a file')
+  .option('--min-coverage <percent>', 'Fail when fewer than this percentage of operations have tests')
+  .option('-o, --output <dir>', 'Repo output directory')
+  .option('-w, --workspace <id>', 'Postman workspace ID')
+  .option('-k, --api-key <key>', 'Postman API key')
+  .option('--api-url <url>', 'Postman API base URL (postmanApi.baseUrl)')
+  .option('--record-cassette <file>', 'Record Postman API requests and responses to a cassette file')
+  .option('--replay-cassette <file>', 'Replay Postman API responses from a cassette file')
+  .option('-c, --config <path>', 'Path to sync.config.json')
+  .action(async (collectionFiles, options) => {
+    const config = getConfig(options);
+
+    const specPath = options.spec || config.spec;
+    if (!specPath) {
+      logger.error('Spec file path is required. Use --spec, set SPEC_FILE env var, or configure in sync.config.json');
+      process.exit(1);
+    }
+
+    if (!['table', 'json'].includes(options.format)) {
+      logger.error(`Invalid --format "${options.format}". Use 'table' or 'json'.`);
+      process.exit(1);
+    }
+
+    const minCoverage = options.minCoverage === undefined ? null : parseFloat(options.minCoverage);
+    if (Number.isNaN(minCoverage)) {
+      logger.error(`Invalid --min-coverage "${options.minCoverage}", expected a percentage`);
+      process.exit(1);
+    }
+
+    let report;
+    try {
+      const collections = [];
+      if (options.collection.length > 0) {
+        validateConfig(config);
+        const client = createClient(config);
+        for (const uid of options.collection) {
+          const data = await client.getCollection(uid);
+          if (!data?.collection) {
+            logger.error(`Collection ${uid} not found or has no data`);
+            process.exit(1);
+          }
+          collections.push(data.collection);
+        }
       } else {
-        logger.error(`Error: ${error.message}`);
+        const files = collectionFiles.length > 0 ? collectionFiles : findExportedCollections(options, config);
+        if (files.length === 0) {
+          logger.error('No collections to analyze. Pass collection files, --collection <uid>, or run "spec-sync repo" first.');
+          process.exit(1);
+        }
+        for (const file of files) {
+          collections.push(JSON.parse(fs.readFileSync(file, 'utf8')));
+        }
+      }
+
+      report = analyzeCoverage(await parseSpec(specPath), collections);
+
+      if (options.jsonExport) {
+        fs.mkdirSync(path.dirname(options.jsonExport), { recursive: true });
+        fs.writeFileSync(options.jsonExport, JSON.stringify(report, null, 2) + '\n');
+      }
+    } catch (error) {
+      logger.error(`Coverage failed: ${error.message}`);
+      process.exit(1);
+    }
+
+    const { summary } = report;
+
+    if (options.format === 'json') {
+      process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+    } else {
+      logger.info('\nAPI Coverage');
+      logger.info('='.repeat(50));
+      logger.info(`\n${formatCoverageTable(report)}\n`);
+      logger.info(`Operations tested: ${summary.tested}/${summary.operations} (${summary.coverage}%)`);
+      logger.info(`Operations with requests: ${summary.withRequests}/${summary.operations}`);
+      logger.info(`Status codes asserted: ${summary.statusCodes.asserted}/${summary.statusCodes.documented} (${summary.statusCodes.coverage}%)`);
+      logger.info(`Parameters exercised: ${summary.parameters.exercised}/${summary.parameters.documented} (${summary.parameters.coverage}%)`);
+
+      if (report.unmatched.length > 0) {
+        logger.info(`\nRequests not in the spec: ${report.unmatched.join(', ')}`);
+      }
+      if (options.jsonExport) {
+        logger.info(`\nJSON report: ${options.jsonExport}`);
+      }
+    }
+
+    if (minCoverage !== null && summary.coverage < minCoverage) {
+      logger.error(`Coverage ${summary.coverage}% is below the minimum of ${minCoverage}%`);
+      process.exit(1);
+    }
+  });
+
+// ============================================================
+// DIFF COMMAND
+// ============================================================
+
+/**
+ * Load the base spec from a file, a git ref (same path as head) or ref:path
+ */
+async function loadBaseSpec(base, headPath) {
+  if (fs.existsSync(base)) {
+    return parseSpec(base);
+  }
+
+  const object = base.includes(':')
+    ? base
+    : `${base}:./${path.relative(process.cwd(), headPath).split(path.sep).join('/')}`;
+
+  let content;
+  try {
+    content = execFileSync('git', ['show', object], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+  } catch (error) {
+    throw new Error(`Base "${base}" is not a file and git could not read ${object}: ${(error.stderr || error.message).trim()}`);
+  }
+
+  return parseSpecContent(content, object);
+}
+
+program
+  .command('diff')
+  .description('Compare two spec versions and classify breaking changes')
+  .requiredOption('-b, --base <ref|file>', 'Base spec: a file, a git ref (reads the head path at that ref), or ref:path')
+  .option('-H, --head <file>', 'Head spec file (default: configured spec)')
+  .option('--format <format>', 'Output format: text, json', 'text')
+  .option('--fail-on-breaking', 'Exit with status 1 when breaking changes are found (overrides ci.failOnBreaking)')
+  .option('--no-fail-on-breaking', 'Never fail on breaking changes')
+  .option('-c, --config <path>', 'Path to sync.config.json')
+  .action(async (options) => {
+    const config = getConfig(options);
+
+    const headPath = options.head || config.spec;
+    if (!headPath) {
+      logger.error('Head spec is required. Use --head, set SPEC_FILE env var, or configure in sync.config.json');
+      process.exit(1);
+    }
+
+    if (!['text', 'json'].includes(options.format)) {
+      logger.error(`Invalid --format "${options.format}". Use 'text' or 'json'.`);
+      process.exit(1);
+    }
+
+    let result;
+    try {
+      const [baseApi, headApi] = await Promise.all([loadBaseSpec(options.base, headPath), parseSpec(headPath)]);
+      result = diffSpecs(baseApi, headApi);
+    } catch (error) {
+      logger.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+
+    const { failOnBreaking } = config.ci;
+    // An explicit --fail-on-breaking turns the check on even when ci.checkBreakingChanges is off
+    const checkBreakingChanges = config.ci.checkBreakingChanges || options.failOnBreaking === true;
+
+    if (options.format === 'json') {
+      process.stdout.write(JSON.stringify(result, null, 2) + '\n');
+    } else {
+      logger.info('\nSpec Diff');
+      logger.info('='.repeat(50));
+      logger.info(`Base: ${options.base}`);
+      logger.info(`Head: ${headPath}`);
+
+      if (checkBreakingChanges) {
+        logger.info(`\nBreaking changes (${result.breaking.length}):`);
+        for (const change of result.breaking) {
+          logger.info(`  x ${formatChange(change)}`);
+        }
       }
+
+      const others = checkBreakingChanges ? result.nonBreaking : [...result.breaking, ...result.nonBreaking];
+      logger.info(`\n${checkBreakingChanges ? 'Non-breaking changes' : 'Changes'} (${others.length}):`);
+      for (const change of others) {
+        logger.info(`  - ${formatChange(change)}`);
+      }
+
+      if (!checkBreakingChanges) {
+        logger.info('\nBreaking change checks are disabled (ci.checkBreakingChanges: false)');
+      }
+    }
+
+    if (checkBreakingChanges && result.breaking.length > 0) {
+      if (failOnBreaking) {
+        logger.error(`${result.breaking.length} breaking change(s) found`);
+        process.exit(1);
+      }
+      if (options.format === 'text') {
+        logger.warn(`${result.breaking.length} breaking change(s) found (ci.failOnBreaking is off)`);
+      }
+    }
+  });
+
+// ============================================================
+// CHANGELOG COMMAND
+// ============================================================
+
+program
+  .command('changelog')
+  .description('Generate a changelog of operations, parameters, schemas and response codes between two spec versions')
+  .requiredOption('-b, --base <ref|file>', 'Base spec: a file, a git ref (reads the head path at that ref), or ref:path')
+  .option('-H, --head <file>', 'Head spec file (default: configured spec)')
+  .option('--format <format>', 'Output format: markdown, json', 'markdown')
+  .option('--output-file <file>', 'Write the changelog to a file instead of stdout')
+  .option('-c, --config <path>', 'Path to sync.config.json')
+  .action(async (options) => {
+    const config = getConfig(options);
+
+    const headPath = options.head || config.spec;
+    if (!headPath) {
+      logger.error('Head spec is required. Use --head, set SPEC_FILE env var, or configure in sync.config.json');
+      process.exit(1);
+    }
+
+    if (!['markdown', 'json'].includes(options.format)) {
+      logger.error(`Invalid --format "${options.format}". Use 'markdown' or 'json'.`);
+      process.exit(1);
+    }
+
+    let changelog;
+    try {
+      const [baseApi, headApi] = await Promise.all([loadBaseSpec(options.base, headPath), parseSpec(headPath)]);
+      changelog = generateChangelog(baseApi, headApi);
+    } catch (error) {
+      logger.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+
+    const output = options.format === 'json'
+      ? JSON.stringify(changelog, null, 2) + '\n'
+      : formatChangelogMarkdown(changelog);
+
+    if (options.outputFile) {
+      fs.mkdirSync(path.dirname(path.resolve(options.outputFile)), { recursive: true });
+      fs.writeFileSync(options.outputFile, output);
+      logger.success(`Changelog written to ${options.outputFile}`);
+      if (!changelog.versionChanged) {
+        logger.warn(`info.version is unchanged (${changelog.toVersion})`);
+      }
+    } else {
+      process.stdout.write(output);
     }
   });
 
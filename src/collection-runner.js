@@ -0,0 +1,771 @@
+#!/usr/bin/env node
+
+/**
+ * Collection Runner
+ *
+ * Executes exported Postman collections (v2.1 JSON) in-process, without the
+ * Postman CLI. Pre-request and test scripts run in a `vm` sandbox exposing the
+ * subset of the `pm` API used by generated tests:
+ * - pm.test / pm.expect (chai)
+ * - pm.response (code, headers, json(), text(), to.have.status/header/jsonSchema)
+ * - pm.environment / pm.collectionVariables / pm.variables
+ * - pm.request; in pre-request scripts, edits to headers, query parameters and
+ *   path variables (upsert/remove) apply to the request about to be sent
+ * - pm.sendRequest (callback style; the request waits for it), btoa/atob
+ *
+ * Variable precedence follows Postman: local > environment > collection.
+ */
+
+import fs from 'fs';
+import vm from 'vm';
+import crypto from 'crypto';
+import { expect } from 'chai';
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import { createLogger } from './logger.js';
+import { generateTestKeyFromRequest } from './test-generator.js';
+
+const logger = createLogger({ name: 'collection-runner' });
+
+const DEFAULT_CONFIG = {
+  timeout: 30000,       // Per-request timeout (ms)
+  scriptTimeout: 5000,  // Per-script timeout (ms)
+  folder: null          // Only run requests inside this folder
+};
+
+const DEFAULT_RESPONSE_TIME_THRESHOLD = 2000; // Matches the generated tests' default
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+addFormats(ajv);
+
+// Compiled jsonSchema validators. Scripts rebuild their schema literals on
+// every run, so the compiled function is also shared by schema text.
+const validators = new WeakMap();
+const validatorsBySource = new Map();
+
+/**
+ * Compile a response schema once
+ * @param {Object|boolean} schema - JSON Schema passed to pm.response.to.have.jsonSchema
+ * @returns {Function} Ajv validate function
+ */
+function getValidator(schema) {
+  if (typeof schema !== 'object' || schema === null) return ajv.compile(schema);
+
+  let validate = validators.get(schema);
+  if (!validate) {
+    const source = JSON.stringify(schema);
+    validate = validatorsBySource.get(source);
+    if (!validate) {
+      validate = ajv.compile(schema);
+      validatorsBySource.set(source, validate);
+    }
+    validators.set(schema, validate);
+  }
+  return validate;
+}
+
+/**
+ * Simple key/value variable scope (environment, collection, local)
+ */
+class VariableScope {
+  constructor(values = {}) {
+    this.values = new Map(Object.entries(values));
+  }
+
+  get(key) {
+    return this.values.get(key);
+  }
+
+  set(key, value) {
+    this.values.set(key, value);
+  }
+
+  unset(key) {
+    this.values.delete(key);
+  }
+
+  has(key) {
+    return this.values.has(key);
+  }
+
+  clear() {
+    this.values.clear();
+  }
+
+  toObject() {
+    return Object.fromEntries(this.values);
+  }
+}
+
+/**
+ * Dynamic variables supported in {{$name}} placeholders
+ */
+const DYNAMIC_VARIABLES = {
+  $guid: () => crypto.randomUUID(),
+  $randomUUID: () => crypto.randomUUID(),
+  $timestamp: () => String(Math.floor(Date.now() / 1000)),
+  $isoTimestamp: () => new Date().toISOString(),
+  $randomInt: () => String(Math.floor(Math.random() * 1001))
+};
+
+export class CollectionRunner {
+  constructor(config = {}) {
+    this.config = { ...DEFAULT_CONFIG, ...config };
+  }
+
+  /**
+   * Load a collection file (exported JSON or { collection } API envelope)
+   * @param {string} filePath - Path to collection JSON
+   * @returns {Object} Postman collection
+   */
+  loadCollection(filePath) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const collection = data.collection || data;
+
+    if (!Array.isArray(collection.item)) {
+      throw new Error(`Not a Postman collection: ${filePath}`);
+    }
+
+    return collection;
+  }
+
+  /**
+   * Load an environment file into a plain key/value map (enabled values only)
+   * @param {string} filePath - Path to environment JSON
+   * @returns {Object} Variable values
+   */
+  loadEnvironment(filePath) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const environment = data.environment || data;
+    const values = {};
+
+    for (const variable of environment.values || []) {
+      if (variable.enabled === false) continue;
+      values[variable.key] = variable.value;
+    }
+
+    return values;
+  }
+
+  /**
+   * Run every request in a collection in order
+   * @param {Object} collection - Postman collection
+   * @param {Object} environment - Environment values
+   * @returns {Promise<Object>} { name, startedAt, duration, responseTimeThreshold, requests, stats }
+   */
+  async runCollection(collection, environment = {}) {
+    const startedAt = new Date();
+    const scopes = {
+      environment: new VariableScope(environment),
+      collection: new VariableScope(Object.fromEntries(
+        (collection.variable || []).filter(v => v.disabled !== true).map(v => [v.key, v.value])
+      ))
+    };
+
+    const requests = [];
+    const entries = this.flattenItems(collection.item, [collection]);
+
+    for (const { item, ancestors, folders } of entries) {
+      if (this.config.folder && !folders.includes(this.config.folder)) continue;
+      requests.push(await this.runItem(item, ancestors, folders, scopes));
+    }
+
+    const threshold = parseInt(
+      scopes.environment.get('RESPONSE_TIME_THRESHOLD') ?? scopes.collection.get('RESPONSE_TIME_THRESHOLD'),
+      10
+    );
+
+    return {
+      name: collection.info?.name || 'Untitled collection',
+      startedAt: startedAt.toISOString(),
+      duration: Date.now() - startedAt.getTime(),
+      responseTimeThreshold: Number.isNaN(threshold) ? DEFAULT_RESPONSE_TIME_THRESHOLD : threshold,
+      requests,
+      stats: this.getStats(requests)
+    };
+  }
+
+  /**
+   * Flatten folders into request items, keeping the chain of ancestors
+   * @returns {Array} Entries: { item, ancestors, folders }
+   */
+  flattenItems(items, ancestors, folders = []) {
+    const entries = [];
+
+    for (const item of items || []) {
+      if (!item) continue;
+
+      if (Array.isArray(item.item)) {
+        entries.push(...this.flattenItems(item.item, [...ancestors, item], [...folders, item.name]));
+      } else if (item.request) {
+        entries.push({ item, ancestors, folders });
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Run a single request item: pre-request scripts, request, test scripts
+   * @returns {Promise<Object>} Request result
+   */
+  async runItem(item, ancestors, folders, scopes) {
+    const result = {
+      key: generateTestKeyFromRequest(item.request),
+      name: item.name,
+      folders,
+      method: (item.request.method || 'GET').toUpperCase(),
+      url: null,
+      code: null,
+      status: null,
+      responseTime: null,
+      tests: [],
+      error: null,
+      responseBody: null
+    };
+
+    const local = new VariableScope();
+    // Pre-request scripts edit a copy; the collection stays as loaded
+    const draft = JSON.parse(JSON.stringify(item.request));
+    const context = { ...scopes, local, item, draft, request: null, response: null };
+
+    try {
+      for (const script of this.getScripts([...ancestors, item], 'prerequest')) {
+        await this.runScript(script, context, result, 'prerequest');
+      }
+
+      const request = this.buildRequest(item, ancestors, context);
+      context.request = request;
+      result.url = request.url;
+
+      context.response = await this.sendRequest(request);
+      result.code = context.response.code;
+      result.status = context.response.status;
+      result.responseTime = context.response.responseTime;
+
+      for (const script of this.getScripts([...ancestors, item], 'test')) {
+        await this.runScript(script, context, result, 'test');
+      }
+    } catch (error) {
+      result.error = error.message;
+    }
+
+    // Keep the body of failing responses for reports
+    if (context.response && result.tests.some(test => !test.passed)) {
+      result.responseBody = context.response.body;
+    }
+
+    return result;
+  }
+
+  /**
+   * Collect scripts for an event from collection, folders and item (in that order)
+   * @returns {Array<string>} Script sources
+   */
+  getScripts(chain, listen) {
+    return chain
+      .flatMap(node => node.event || [])
+      .filter(event => event.listen === listen && !event.disabled)
+      .map(event => {
+        const exec = event.script?.exec;
+        return Array.isArray(exec) ? exec.join('\n') : (exec || '');
+      })
+      .filter(source => source.trim().length > 0);
+  }
+
+  /**
+   * Resolve {{variables}} in a string using local > environment > collection
+   * @param {string} text - Text with placeholders
+   * @param {Object} context - Run context with scopes
+   * @returns {string} Resolved text
+   */
+  resolveVariables(text, context) {
+    if (typeof text !== 'string') return text;
+
+    let resolved = text;
+    // Nested placeholders ({{a}} -> "{{b}}") resolve over a few passes
+    for (let depth = 0; depth < 10 && /\{\{[^{}]+\}\}/.test(resolved); depth++) {
+      const next = resolved.replace(/\{\{([^{}]+)\}\}/g, (match, name) => {
+        const value = this.lookupVariable(name.trim(), context);
+        return value === undefined ? match : String(value);
+      });
+      if (next === resolved) break;
+      resolved = next;
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Look up a variable across scopes
+   * @returns {*} Value or undefined
+   */
+  lookupVariable(name, context) {
+    if (DYNAMIC_VARIABLES[name]) return DYNAMIC_VARIABLES[name]();
+
+    for (const scope of [context.local, context.environment, context.collection]) {
+      if (scope?.has(name)) return scope.get(name);
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Build a fetch-ready request from a Postman request item
+   * @returns {Object} { method, url, headers, body }
+   */
+  buildRequest(item, ancestors, context) {
+    const source = context.draft || item.request;
+    const method = (source.method || 'GET').toUpperCase();
+    const headers = {};
+
+    for (const header of source.header || []) {
+      if (header.disabled) continue;
+      headers[header.key] = this.resolveVariables(header.value, context);
+    }
+
+    let url = this.resolveVariables(this.getRawUrl(source.url), context);
+    if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(url)) {
+      url = `http://${url}`;
+    }
+
+    const body = this.buildBody(source.body, headers, context);
+    const auth = this.getEffectiveAuth(item, ancestors);
+    url = this.applyAuth(auth, url, headers, context);
+
+    return { method, url, headers, body };
+  }
+
+  /**
+   * Get the raw URL with path variables (:name) substituted
+   * @param {string|Object} url - Postman URL
+   * @returns {string} Raw URL (placeholders unresolved)
+   */
+  getRawUrl(url) {
+    if (!url) return '';
+    if (typeof url === 'string') return url;
+
+    let raw = url.raw;
+    if (!raw) {
+      const host = Array.isArray(url.host) ? url.host.join('.') : (url.host || '');
+      const pathPart = Array.isArray(url.path) ? url.path.join('/') : (url.path || '');
+      const query = (url.query || []).filter(q => !q.disabled).map(q => `${q.key}=${q.value ?? ''}`).join('&');
+      raw = `${url.protocol ? `${url.protocol}://` : ''}${host}/${pathPart}${query ? `?${query}` : ''}`;
+    }
+
+    // Path variables only appear before the query string
+    const [base, ...rest] = raw.split('?');
+    const substituted = (url.variable || []).reduce(
+      (result, variable) => result.replace(new RegExp(`/:${variable.key}(?=/|$)`, 'g'), `/${variable.value ?? ''}`),
+      base
+    );
+
+    return [substituted, ...rest].join('?');
+  }
+
+  /**
+   * Build the request body and default Content-Type
+   * @returns {string|URLSearchParams|FormData|undefined} Body
+   */
+  buildBody(body, headers, context) {
+    if (!body || body.disabled) return undefined;
+
+    const hasContentType = Object.keys(headers).some(key => key.toLowerCase() === 'content-type');
+    const setContentType = value => {
+      if (!hasContentType) headers['Content-Type'] = value;
+    };
+
+    switch (body.mode) {
+      case 'raw':
+        if (body.options?.raw?.language === 'json') setContentType('application/json');
+        return this.resolveVariables(body.raw || '', context);
+      case 'urlencoded':
+        return new URLSearchParams((body.urlencoded || [])
+          .filter(field => !field.disabled)
+          .map(field => [field.key, this.resolveVariables(field.value ?? '', context)]));
+      case 'formdata': {
+        const form = new FormData();
+        for (const field of body.formdata || []) {
+          if (field.disabled || field.type === 'file') continue;
+          form.append(field.key, this.resolveVariables(field.value ?? '', context));
+        }
+        return form;
+      }
+      case 'graphql':
+        setContentType('application/json');
+        return JSON.stringify({
+          query: this.resolveVariables(body.graphql?.query || '', context),
+          variables: JSON.parse(this.resolveVariables(body.graphql?.variables || '{}', context))
+        });
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * Find the auth that applies to an item (item, then nearest folder, then collection)
+   * @returns {Object|null} Postman auth object
+   */
+  getEffectiveAuth(item, ancestors) {
+    const chain = [item.request, ...[...ancestors].reverse()];
+
+    for (const node of chain) {
+      if (node?.auth && node.auth.type !== 'inherit') {
+        return node.auth.type === 'noauth' ? null : node.auth;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Apply bearer, basic or API key auth
+   * @returns {string} URL (API keys may go in the query string)
+   */
+  applyAuth(auth, url, headers, context) {
+    if (!auth) return url;
+
+    const param = key => {
+      const params = auth[auth.type];
+      const value = Array.isArray(params) ? params.find(p => p.key === key)?.value : params?.[key];
+      return this.resolveVariables(value ?? '', context);
+    };
+
+    switch (auth.type) {
+      case 'bearer':
+        headers.Authorization = `Bearer ${param('token')}`;
+        return url;
+      case 'basic':
+        headers.Authorization = `Basic ${Buffer.from(`${param('username')}:${param('password')}`).toString('base64')}`;
+        return url;
+      case 'apikey': {
+        const key = param('key');
+        const value = param('value');
+        if (param('in') === 'query') {
+          const separator = url.includes('?') ? '&' : '?';
+          return `${url}${separator}${encodeURIComponent(key)}=${encodeURIComponent(value)}`;
+        }
+        headers[key] = value;
+        return url;
+      }
+      default:
+        logger.warn(`Unsupported auth type "${auth.type}", sending request without auth`);
+        return url;
+    }
+  }
+
+  /**
+   * Send a request and capture the response
+   * @returns {Promise<Object>} { code, status, headers, body, responseTime }
+   */
+  async sendRequest(request) {
+    const started = performance.now();
+
+    const response = await fetch(request.url, {
+      method: request.method,
+      headers: request.headers,
+      body: ['GET', 'HEAD'].includes(request.method) ? undefined : request.body,
+      redirect: 'follow',
+      signal: AbortSignal.timeout(this.config.timeout)
+    });
+    const body = await response.text();
+
+    return {
+      code: response.status,
+      status: response.statusText,
+      headers: [...response.headers.entries()],
+      body,
+      responseTime: Math.round(performance.now() - started)
+    };
+  }
+
+  /**
+   * Send a pm.sendRequest request (Postman request options or a URL)
+   * @returns {Promise<Object>} { code, status, headers, body, responseTime }
+   */
+  async sendScriptRequest(options, context) {
+    const source = typeof options === 'string' ? { url: options } : (options || {});
+    const method = (source.method || 'GET').toUpperCase();
+    const headers = {};
+
+    const entries = Array.isArray(source.header)
+      ? source.header.filter(header => !header.disabled).map(header => [header.key, header.value])
+      : Object.entries(source.header || {});
+    for (const [key, value] of entries) {
+      headers[key] = this.resolveVariables(String(value ?? ''), context);
+    }
+
+    const url = this.resolveVariables(this.getRawUrl(source.url), context);
+    const body = this.buildBody(source.body, headers, context);
+
+    return this.sendRequest({ method, url, headers, body });
+  }
+
+  /**
+   * Run one script in the sandbox, recording pm.test results
+   */
+  async runScript(source, context, result, eventName) {
+    const pending = [];
+    const pm = this.createPm(context, result, pending, eventName);
+
+    const sandbox = vm.createContext({
+      pm,
+      btoa,
+      atob,
+      console: {
+        log: (...args) => logger.debug(args.join(' ')),
+        info: (...args) => logger.debug(args.join(' ')),
+        warn: (...args) => logger.warn(args.join(' ')),
+        error: (...args) => logger.error(args.join(' '))
+      }
+    });
+
+    try {
+      new vm.Script(source, { filename: `${context.item.name} (${eventName})` })
+        .runInContext(sandbox, { timeout: this.config.scriptTimeout });
+    } catch (error) {
+      result.tests.push({ name: `${eventName} script error`, passed: false, error: error.message });
+    }
+
+    await Promise.all(pending);
+  }
+
+  /**
+   * Create the `pm` object for a script execution
+   */
+  createPm(context, result, pending, eventName) {
+    const variables = {
+      get: key => this.lookupVariable(key, context),
+      set: (key, value) => context.local.set(key, value),
+      unset: key => context.local.unset(key),
+      has: key => this.lookupVariable(key, context) !== undefined,
+      replaceIn: text => this.resolveVariables(text, context),
+      toObject: () => ({
+        ...context.collection.toObject(),
+        ...context.environment.toObject(),
+        ...context.local.toObject()
+      })
+    };
+
+    const record = (name, error) => {
+      result.tests.push({ name, passed: !error, error: error ? error.message : null });
+    };
+
+    const pm = {
+      info: { requestName: context.item.name, eventName, iteration: 0 },
+      environment: context.environment,
+      collectionVariables: context.collection,
+      variables,
+      expect,
+      test: (name, fn) => {
+        try {
+          const returned = fn();
+          if (returned && typeof returned.then === 'function') {
+            pending.push(returned.then(() => record(name, null), error => record(name, error)));
+            return;
+          }
+          record(name, null);
+        } catch (error) {
+          record(name, error);
+        }
+      },
+      sendRequest: (options, callback = () => {}) => {
+        pending.push(this.sendScriptRequest(options, context)
+          .then(raw => [null, createResponse(raw)], error => [error, null])
+          .then(([error, response]) => callback(error, response))
+          .catch(error => record(`${eventName} script error`, error)));
+      }
+    };
+
+    if (eventName === 'prerequest') {
+      pm.request = createDraftRequest(context.draft);
+    } else if (context.request) {
+      pm.request = {
+        url: context.request.url,
+        method: context.request.method,
+        headers: createHeaderList(Object.entries(context.request.headers)),
+        body: context.request.body
+      };
+    }
+
+    if (context.response) {
+      pm.response = createResponse(context.response);
+    }
+
+    return pm;
+  }
+
+  /**
+   * Summarize request results
+   * @returns {Object} Counts of requests and tests
+   */
+  getStats(requests) {
+    const tests = requests.flatMap(request => request.tests);
+
+    return {
+      requests: requests.length,
+      failedRequests: requests.filter(request => request.error || request.tests.some(test => !test.passed)).length,
+      tests: tests.length,
+      passed: tests.filter(test => test.passed).length,
+      failed: tests.filter(test => !test.passed).length
+    };
+  }
+}
+
+/**
+ * Case-insensitive header list with Postman's get/has/toObject
+ */
+function createHeaderList(entries) {
+  const find = name => entries.find(([key]) => key.toLowerCase() === String(name).toLowerCase());
+
+  return {
+    get: name => find(name)?.[1],
+    has: name => find(name) !== undefined,
+    toObject: () => Object.fromEntries(entries.map(([key, value]) => [key.toLowerCase(), value])),
+    all: () => entries.map(([key, value]) => ({ key, value }))
+  };
+}
+
+/**
+ * List of { key, value } entries with Postman's PropertyList get/one/upsert/remove
+ * @param {Array} list - Entries, edited in place
+ * @param {Object} options - { ignoreCase, onChange }
+ */
+function createPropertyList(list, { ignoreCase = false, onChange = () => {} } = {}) {
+  const normalize = key => ignoreCase ? String(key).toLowerCase() : String(key);
+  const matches = name => entry => normalize(entry.key) === normalize(name);
+
+  return {
+    one: name => list.find(matches(name)),
+    get: name => list.find(matches(name))?.value,
+    has: name => list.some(matches(name)),
+    add: entry => {
+      list.push({ ...entry });
+      onChange();
+    },
+    upsert: entry => {
+      const existing = list.find(matches(entry.key));
+      if (existing) {
+        Object.assign(existing, entry);
+      } else {
+        list.push({ ...entry });
+      }
+      onChange();
+    },
+    remove: name => {
+      for (let index = list.length - 1; index >= 0; index--) {
+        if (matches(name)(list[index])) list.splice(index, 1);
+      }
+      onChange();
+    },
+    all: () => list.map(entry => ({ ...entry })),
+    toObject: () => Object.fromEntries(list.filter(entry => !entry.disabled).map(entry => [entry.key, entry.value]))
+  };
+}
+
+/**
+ * Create pm.request for pre-request scripts over the copy of the request to send
+ * @param {Object} draft - Postman request, edited in place
+ */
+function createDraftRequest(draft) {
+  if (!draft.url || typeof draft.url === 'string') {
+    draft.url = { raw: draft.url || '' };
+  }
+  const url = draft.url;
+  if (!Array.isArray(url.query)) {
+    const queryString = typeof url.raw === 'string' ? url.raw.split('?')[1] : '';
+    url.query = (queryString || '').split('&').filter(Boolean).map(pair => {
+      const [key, value = ''] = pair.split('=');
+      return { key, value };
+    });
+  }
+  url.variable = url.variable || [];
+  draft.header = draft.header || [];
+
+  // Keep the raw URL's query string in step with the parameter list
+  const syncRawQuery = () => {
+    if (typeof url.raw !== 'string') return;
+    const queryString = url.query.filter(param => !param.disabled).map(param => `${param.key}=${param.value ?? ''}`).join('&');
+    url.raw = url.raw.split('?')[0] + (queryString ? `?${queryString}` : '');
+  };
+
+  return {
+    method: (draft.method || 'GET').toUpperCase(),
+    auth: draft.auth,
+    body: draft.body,
+    headers: createPropertyList(draft.header, { ignoreCase: true }),
+    url: {
+      query: createPropertyList(url.query, { onChange: syncRawQuery }),
+      variables: createPropertyList(url.variable)
+    }
+  };
+}
+
+/**
+ * Create pm.response, including the pm.response.to assertion chain
+ */
+function createResponse(raw) {
+  const headers = createHeaderList(raw.headers);
+  const json = () => JSON.parse(raw.body);
+  const codeClass = Math.floor(raw.code / 100);
+
+  const response = {
+    code: raw.code,
+    status: raw.status,
+    headers,
+    responseTime: raw.responseTime,
+    responseSize: Buffer.byteLength(raw.body),
+    json,
+    text: () => raw.body
+  };
+
+  const be = {};
+  const defineCheck = (name, check) => Object.defineProperty(be, name, { get: check, enumerable: true });
+  defineCheck('ok', () => expect(raw.code, 'expected response to be ok').to.be.within(200, 299));
+  defineCheck('success', () => expect(codeClass, 'expected response to be a success').to.equal(2));
+  defineCheck('clientError', () => expect(codeClass, 'expected response to be a client error').to.equal(4));
+  defineCheck('serverError', () => expect(codeClass, 'expected response to be a server error').to.equal(5));
+  defineCheck('error', () => expect(codeClass, 'expected response to be an error').to.be.oneOf([4, 5]));
+  defineCheck('notFound', () => expect(raw.code, 'expected response to be not found').to.equal(404));
+  defineCheck('json', () => {
+    expect(() => json(), 'expected response body to be valid JSON').to.not.throw();
+  });
+
+  response.to = {
+    be,
+    have: {
+      status: expected => {
+        if (typeof expected === 'number') {
+          expect(raw.code, 'expected response to have status code').to.equal(expected);
+        } else {
+          expect(raw.status, 'expected response to have status reason').to.equal(expected);
+        }
+      },
+      header: (name, value) => {
+        expect(headers.has(name), `expected response to have header ${name}`).to.be.true;
+        if (value !== undefined) {
+          expect(headers.get(name)).to.equal(value);
+        }
+      },
+      body: expected => {
+        if (expected === undefined) {
+          expect(raw.body, 'expected response to have a body').to.not.be.empty;
+        } else {
+          expect(raw.body).to.equal(expected);
+        }
+      },
+      jsonBody: () => {
+        expect(() => json(), 'expected response body to be valid JSON').to.not.throw();
+      },
+      jsonSchema: schema => {
+        const validate = getValidator(schema);
+        const valid = validate(json());
+        expect(valid, `Response does not match schema: ${ajv.errorsText(validate.errors)}`).to.be.true;
+      }
+    }
+  };
+
+  return response;
+}
+
+export default CollectionRunner;
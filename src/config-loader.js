@@ -9,6 +9,11 @@
 
 import fs from 'fs';
 import path from 'path';
+import { execFileSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import Ajv from 'ajv';
+
+const SCHEMA_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'sync.config.schema.json');
 
 const DEFAULT_CONFIG = {
   version: '1.0',
@@ -17,6 +22,14 @@ const DEFAULT_CONFIG = {
   // Spec configuration
   spec: null,
 
+  // Postman API endpoint (point baseUrl at a FakePostmanApi to work offline)
+  postmanApi: {
+    baseUrl: 'https://api.getpostman.com',
+    pollInterval: 2000,
+    // Record or replay API traffic: { mode: 'record' | 'replay', path }
+    cassette: null
+  },
+
   // Logging configuration
   logging: {
     level: 'info',  // debug, info, warn, error, silent
@@ -27,7 +40,8 @@ const DEFAULT_CONFIG = {
   // Forward sync configuration
   forwardSync: {
     testLevel: 'all',
-    exportToRepo: false
+    exportToRepo: false,
+    changelog: false
   },
 
   // Reverse sync configuration
@@ -37,7 +51,15 @@ const DEFAULT_CONFIG = {
     storeTestsAs: 'x-postman-tests',
     autoCreatePR: true,
     prLabels: ['auto-generated', 'documentation'],
-    includeTests: true
+    pr: {
+      provider: 'none',
+      remote: 'origin',
+      branchPrefix: 'reverse-sync'
+    },
+    includeTests: true,
+    baseline: {
+      provider: 'auto'
+    }
   },
 
   // Repo sync configuration
@@ -79,8 +101,15 @@ const DEFAULT_CONFIG = {
   // Global options
   dryRun: false,
 
+  // Values for {{env}} and {{branch}} in collection name patterns and tags
+  // (branch is detected from CI variables or git when not set)
+  env: null,
+  branch: null,
+
   forkWorkflow: {
     enabled: true,
+    forkNamePattern: '{{spec.info.title}} - Team Fork',
+    targetWorkspace: null,
     autoMergeApproved: false,
     requireReviewers: []
   },
@@ -176,6 +205,9 @@ export function loadConfig(cliOptions = {}) {
   const fileConfig = loadConfigFile(configPath);
 
   if (fileConfig) {
+    if (fileConfig.reverseSync) {
+      validateReverseSyncConfig(fileConfig.reverseSync, configPath);
+    }
     config = deepMerge(config, fileConfig);
     config._configPath = configPath;
   }
@@ -191,6 +223,17 @@ export function loadConfig(cliOptions = {}) {
   if (process.env.SPEC_FILE) {
     config.spec = process.env.SPEC_FILE;
   }
+
+  if (process.env.POSTMAN_API_BASE_URL) {
+    config.postmanApi.baseUrl = process.env.POSTMAN_API_BASE_URL;
+  }
+
+  if (process.env.POSTMAN_CASSETTE) {
+    config.postmanApi.cassette = {
+      mode: process.env.POSTMAN_CASSETTE_MODE || 'replay',
+      path: process.env.POSTMAN_CASSETTE
+    };
+  }
   
   // Forward sync options
   if (process.env.TEST_LEVEL) {
@@ -229,6 +272,19 @@ export function loadConfig(cliOptions = {}) {
     config.dryRun = process.env.DRY_RUN === 'true';
   }
 
+  if (process.env.SYNC_ENV) {
+    config.env = process.env.SYNC_ENV;
+  }
+
+  if (process.env.SYNC_BRANCH) {
+    config.branch = process.env.SYNC_BRANCH;
+  }
+
+  // CI options
+  if (process.env.FAIL_ON_BREAKING) {
+    config.ci.failOnBreaking = process.env.FAIL_ON_BREAKING === 'true';
+  }
+
   // Logging options
   if (process.env.LOG_LEVEL) {
     config.logging.level = process.env.LOG_LEVEL.toLowerCase();
@@ -247,6 +303,16 @@ export function loadConfig(cliOptions = {}) {
     config.spec = cliOptions.spec;
   }
 
+  if (cliOptions.apiUrl) {
+    config.postmanApi.baseUrl = cliOptions.apiUrl;
+  }
+
+  if (cliOptions.recordCassette) {
+    config.postmanApi.cassette = { mode: 'record', path: cliOptions.recordCassette };
+  } else if (cliOptions.replayCassette) {
+    config.postmanApi.cassette = { mode: 'replay', path: cliOptions.replayCassette };
+  }
+
   if (cliOptions.output) {
     config.repoSync.outputDir = cliOptions.output;
   }
@@ -254,6 +320,22 @@ export function loadConfig(cliOptions = {}) {
   if (cliOptions.strategy) {
     config.reverseSync.conflictStrategy = cliOptions.strategy;
   }
+
+  if (cliOptions.pr !== undefined) {
+    config.reverseSync.autoCreatePR = cliOptions.pr;
+  }
+
+  if (cliOptions.prProvider) {
+    config.reverseSync.pr = { ...config.reverseSync.pr, provider: cliOptions.prProvider };
+  }
+
+  if (cliOptions.baseline) {
+    config.reverseSync.baseline = { ...config.reverseSync.baseline, provider: cliOptions.baseline };
+  }
+
+  if (cliOptions.targetWorkspace) {
+    config.forkWorkflow.targetWorkspace = cliOptions.targetWorkspace;
+  }
   
   if (cliOptions.testLevel) {
     config.forwardSync.testLevel = cliOptions.testLevel;
@@ -262,6 +344,10 @@ export function loadConfig(cliOptions = {}) {
   if (cliOptions.exportToRepo !== undefined) {
     config.forwardSync.exportToRepo = cliOptions.exportToRepo;
   }
+
+  if (cliOptions.changelog !== undefined) {
+    config.forwardSync.changelog = cliOptions.changelog;
+  }
   
   if (cliOptions.autoMerge !== undefined) {
     config.bidirectional.autoMerge = cliOptions.autoMerge;
@@ -279,12 +365,73 @@ export function loadConfig(cliOptions = {}) {
     config.reverseSync.includeTests = cliOptions.tests;
   }
 
+  if (cliOptions.env) {
+    config.env = cliOptions.env;
+  }
+
+  if (cliOptions.failOnBreaking !== undefined) {
+    config.ci.failOnBreaking = cliOptions.failOnBreaking;
+  }
+
   // Store API key separately (never in config file)
   config._apiKey = cliOptions.apiKey || process.env.POSTMAN_API_KEY;
 
   return config;
 }
 
+let reverseSyncValidator = null;
+
+/**
+ * Validate reverseSync against sync.config.schema.json, so mistyped
+ * allowedFields / blockedFields / requireApprovalFor patterns fail at load time
+ * instead of silently matching nothing
+ * @param {Object} reverseSync - reverseSync section of the config file
+ * @param {string} configPath - Config file, for the error message
+ * @throws {Error} Listing every invalid entry
+ */
+export function validateReverseSyncConfig(reverseSync, configPath = 'sync.config.json') {
+  if (!reverseSyncValidator) {
+    const ajv = new Ajv({ allErrors: true, strict: false });
+    ajv.addSchema(JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8')), 'sync-config');
+    reverseSyncValidator = ajv.getSchema('sync-config#/definitions/reverseSyncConfig');
+  }
+
+  if (reverseSyncValidator(reverseSync)) return;
+
+  const problems = reverseSyncValidator.errors.map(error => {
+    const location = `reverseSync${error.instancePath.replace(/\/(\d+)/g, '[$1]').replace(/\//g, '.')}`;
+    if (error.keyword === 'pattern') {
+      const value = error.instancePath.split('/').slice(1).reduce((obj, key) => obj?.[key], reverseSync);
+      return `${location} "${value}" is not a dot-delimited field pattern (e.g. "components.schemas", "paths.*.*.summary")`;
+    }
+    return `${location} ${error.message}`;
+  });
+
+  throw new Error(`Invalid config in ${configPath}:\n  - ${problems.join('\n  - ')}`);
+}
+
+/**
+ * SpecHubClient options from the postmanApi config
+ * @param {Object} config - Loaded config (forward sync may pass a partial one)
+ * @returns {Object} { baseUrl, pollInterval, cassette }
+ */
+export function getClientOptions(config) {
+  return {
+    baseUrl: config.postmanApi?.baseUrl,
+    pollInterval: config.postmanApi?.pollInterval,
+    cassette: config.postmanApi?.cassette || undefined
+  };
+}
+
+/**
+ * Whether Postman API responses are replayed from a cassette (no API key needed)
+ * @param {Object} config - Loaded config
+ * @returns {boolean}
+ */
+export function isReplayingCassette(config) {
+  return config.postmanApi?.cassette?.mode === 'replay';
+}
+
 /**
  * Get spec configuration from loaded config
  */
@@ -297,7 +444,8 @@ export function getSpecConfig(config, specPath) {
   const specName = path.basename(specPath, path.extname(specPath));
 
   for (const [key, specConfig] of Object.entries(config.specs)) {
-    if (specConfig.path === specPath || key === specName) {
+    if (specConfig.path === specPath || key === specName ||
+        (specConfig.path && path.resolve(specConfig.path) === path.resolve(specPath))) {
       return specConfig;
     }
   }
@@ -306,35 +454,119 @@ export function getSpecConfig(config, specPath) {
 }
 
 /**
- * Get collection naming pattern
+ * List every entry of the specs map with its key as name
+ * @param {Object} config - Loaded config
+ * @returns {Array<Object>} [{ name, path, collections, outputDir }], in config order
  */
-export function getCollectionName(config, specTitle, collectionType) {
-  const specConfig = config.specs ? Object.values(config.specs)[0] : null;
-  const pattern = specConfig?.collections?.[collectionType]?.namePattern;
+export function getSpecEntries(config) {
+  return Object.entries(config.specs || {}).map(([name, specConfig]) => ({ name, ...specConfig }));
+}
 
-  if (!pattern) {
-    // Default naming
-    switch (collectionType) {
-      case 'main':
-        return specTitle;
-      case 'smoke':
-        return `${specTitle} - Smoke Tests`;
-      case 'contract':
-        return `${specTitle} - Contract Tests`;
-      default:
-        return specTitle;
-    }
+// Collection types generated by forward sync, in generation order
+export const COLLECTION_TYPES = ['main', 'smoke', 'contract', 'negative', 'scenario'];
+
+const DEFAULT_NAME_PATTERNS = {
+  main: '{{spec.info.title}}',
+  smoke: '{{spec.info.title}} - Smoke Tests',
+  contract: '{{spec.info.title}} - Contract Tests',
+  negative: '{{spec.info.title}} - Negative Tests',
+  scenario: '{{spec.info.title}} - Scenario Tests'
+};
+
+/**
+ * Current branch from CI variables, falling back to git
+ * @returns {string|null} Branch name, or null outside a git checkout
+ */
+export function detectBranch() {
+  const fromEnv = process.env.GITHUB_HEAD_REF || process.env.GITHUB_REF_NAME || process.env.CI_COMMIT_REF_NAME;
+  if (fromEnv) return fromEnv;
+
+  try {
+    const branch = execFileSync('git', ['rev-parse', '--abbrev-ref', 'HEAD'], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+    return branch && branch !== 'HEAD' ? branch : null;
+  } catch {
+    return null;
   }
+}
 
-  return pattern.replace('{{spec.info.title}}', specTitle);
+/**
+ * Build the values available to name patterns for one spec
+ * @param {Object} config - Loaded config
+ * @param {Object} api - Parsed spec
+ * @param {string} specPath - Spec file path (selects the specs map entry)
+ * @returns {Object} { spec, specPath, env, branch }
+ */
+export function createNamingContext(config, api, specPath = null) {
+  const context = { spec: { info: api.info || {} }, specPath, env: config.env || null };
+  let branch = config.branch || undefined;
+
+  // Only run git when a pattern actually uses {{branch}}
+  Object.defineProperty(context, 'branch', {
+    enumerable: true,
+    get: () => (branch === undefined ? (branch = detectBranch()) : branch)
+  });
+
+  return context;
+}
+
+/**
+ * Render a pattern with {{spec.info.title}}, {{spec.info.version}}, {{env}} and {{branch}}
+ * @param {string} pattern - Pattern such as "{{spec.info.title}} ({{env}})"
+ * @param {Object} context - From createNamingContext
+ * @returns {string} Rendered text
+ * @throws {Error} When a placeholder has no value
+ */
+export function renderNamePattern(pattern, context) {
+  return pattern.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (placeholder, key) => {
+    const value = key.split('.').reduce((obj, part) => obj?.[part], context);
+    if (value === undefined || value === null || value === '') {
+      throw new Error(`Name pattern "${pattern}" uses ${placeholder}, which has no value (set env/branch in sync.config.json, SYNC_ENV, SYNC_BRANCH or --env)`);
+    }
+    return String(value);
+  });
+}
+
+/**
+ * Get the configured collections for the spec in the naming context
+ */
+function getCollectionsConfig(config, context) {
+  const specConfig = context.specPath ? getSpecConfig(config, context.specPath) : null;
+  return specConfig?.collections || {};
+}
+
+/**
+ * Get collection name from the spec's namePattern (or the default pattern)
+ * @param {Object} config - Loaded config
+ * @param {string} collectionType - main, smoke, contract, negative or scenario
+ * @param {Object} context - From createNamingContext
+ * @returns {string} Collection name
+ */
+export function getCollectionName(config, collectionType, context) {
+  const pattern = getCollectionsConfig(config, context)[collectionType]?.namePattern ||
+    DEFAULT_NAME_PATTERNS[collectionType] || DEFAULT_NAME_PATTERNS.main;
+
+  return renderNamePattern(pattern, context);
+}
+
+/**
+ * Get collection names for every type, keyed by type
+ * @param {Object} config - Loaded config
+ * @param {Object} context - From createNamingContext
+ * @returns {Object} { main: 'Task API', smoke: 'Task API - Smoke Tests', ... }
+ */
+export function getCollectionNames(config, context) {
+  return Object.fromEntries(COLLECTION_TYPES.map(type => [type, getCollectionName(config, type, context)]));
 }
 
 /**
- * Get collection tags
+ * Get collection tags (patterns are rendered like names)
+ * @param {Object} config - Loaded config
+ * @param {string} collectionType - main, smoke, contract, negative or scenario
+ * @param {Object} context - From createNamingContext
+ * @returns {Array<string>} Tags
  */
-export function getCollectionTags(config, collectionType) {
-  const specConfig = config.specs ? Object.values(config.specs)[0] : null;
-  const tags = specConfig?.collections?.[collectionType]?.tags;
+export function getCollectionTags(config, collectionType, context) {
+  const tags = getCollectionsConfig(config, context)[collectionType]?.tags;
 
   if (!tags) {
     // Default tags
@@ -345,12 +577,16 @@ export function getCollectionTags(config, collectionType) {
         return ['generated', 'smoke'];
       case 'contract':
         return ['generated', 'contract'];
+      case 'negative':
+        return ['generated', 'negative'];
+      case 'scenario':
+        return ['generated', 'scenario'];
       default:
         return ['generated'];
     }
   }
 
-  return tags;
+  return tags.map(tag => renderNamePattern(tag, context));
 }
 
 export { DEFAULT_CONFIG };
@@ -0,0 +1,314 @@
+#!/usr/bin/env node
+
+/**
+ * Conflict Resolver - interactive resolution for reverse sync
+ *
+ * Used by the `interactive` conflict strategy. For each change that needs
+ * review (a conflict with a local edit, or a field in requireApprovalFor) it
+ * shows the base, local and remote values side by side and asks:
+ *
+ *   l = keep local    r = take remote    e = edit inline    s = skip
+ *   L / R / S         = same choice for the rest of this operation
+ *
+ * Decisions can be recorded to a JSON file and replayed later without a
+ * terminal (e.g. in CI). A recorded decision only applies while the remote
+ * value is unchanged; it is keyed by the change path and a hash of that value.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import readline from 'readline/promises';
+import { SpecMerge } from './spec-merge.js';
+
+export const RESOLUTION = {
+  LOCAL: 'local',
+  REMOTE: 'remote',
+  EDIT: 'edit',
+  SKIP: 'skip'
+};
+
+export const DECISIONS_VERSION = '1.0';
+
+const CHOICES = {
+  l: RESOLUTION.LOCAL,
+  r: RESOLUTION.REMOTE,
+  e: RESOLUTION.EDIT,
+  s: RESOLUTION.SKIP
+};
+
+const Colors = {
+  RESET: '\x1b[0m',
+  RED: '\x1b[31m',
+  GREEN: '\x1b[32m',
+  YELLOW: '\x1b[33m',
+  BOLD: '\x1b[1m'
+};
+
+const ABSENT = '(absent)';
+
+// ============================================================
+// Helpers
+// ============================================================
+
+/**
+ * Short hash of a value, used to match recorded decisions to changes
+ * @param {*} value - Any JSON value (undefined for deletions)
+ * @returns {string} 12-character hex hash
+ */
+export function valueHash(value) {
+  return crypto
+    .createHash('sha256')
+    .update(value === undefined ? ABSENT : JSON.stringify(value))
+    .digest('hex')
+    .substring(0, 12);
+}
+
+/**
+ * Operation a change belongs to, for "apply to all in this operation"
+ * e.g. "paths./tasks.get.responses.200.description" -> "GET /tasks"
+ * @param {Array} parts - Path parts from SpecMerge.parsePath
+ * @returns {string} Operation label
+ */
+export function getOperationKey(parts) {
+  if (parts[0] === 'paths' && parts.length >= 3) {
+    return `${String(parts[2]).toUpperCase()} ${parts[1]}`;
+  }
+  if (parts[0] === 'components' && parts.length >= 3) {
+    return `components.${parts[1]}.${parts[2]}`;
+  }
+  return String(parts[0]);
+}
+
+/**
+ * Render values as columns, coloring lines that differ from the first column
+ * @param {Array<Object>} columns - [{ title, value }], the first is the base
+ * @param {Object} options - { width, colors }
+ * @returns {string} Side-by-side text
+ */
+export function formatSideBySide(columns, options = {}) {
+  const width = options.width || 120;
+  const colors = options.colors ?? false;
+  const gap = ' | ';
+  const columnWidth = Math.max(12, Math.floor((width - gap.length * (columns.length - 1)) / columns.length));
+  const lineColors = [Colors.RED, Colors.YELLOW, Colors.GREEN];
+
+  const columnLines = columns.map(column => (column.value === undefined
+    ? [ABSENT]
+    : (typeof column.value === 'string' ? column.value : JSON.stringify(column.value, null, 2)).split('\n')));
+  const baseLines = new Set(columnLines[0]);
+  const otherLines = new Set(columnLines.slice(1).flat());
+
+  const fit = (text) => (text.length > columnWidth ? `${text.slice(0, columnWidth - 1)}~` : text.padEnd(columnWidth));
+  const paint = (text, index, line) => {
+    // Base lines missing from the other columns, and new lines in the others
+    const changed = index === 0 ? !otherLines.has(line) : !baseLines.has(line);
+    return colors && changed ? `${lineColors[index] || Colors.GREEN}${text}${Colors.RESET}` : text;
+  };
+
+  const header = columns.map(column => fit(column.title)).join(gap).trimEnd();
+  const rows = [colors ? `${Colors.BOLD}${header}${Colors.RESET}` : header, columns.map(() => '-'.repeat(columnWidth)).join(gap)];
+  const height = Math.max(...columnLines.map(lines => lines.length));
+
+  for (let i = 0; i < height; i++) {
+    rows.push(columnLines.map((lines, index) => (i < lines.length ? paint(fit(lines[i]), index, lines[i]) : fit(''))).join(gap).trimEnd());
+  }
+
+  return rows.join('\n');
+}
+
+/**
+ * Parse a value typed during inline edit: JSON if it parses, else a string
+ */
+export function parseEditedValue(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * Load recorded decisions
+ * @param {string} filePath - Decisions file
+ * @returns {Array<Object>} [{ path, remoteHash, choice, value }]
+ */
+export function loadDecisions(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Decisions file not found: ${filePath}`);
+  }
+
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(data.decisions)) {
+    throw new Error(`Invalid decisions file ${filePath}: missing "decisions" array`);
+  }
+
+  return data.decisions;
+}
+
+/**
+ * Write decisions, replacing earlier entries for the same change
+ * @param {string} filePath - Decisions file
+ * @param {Array<Object>} decisions - New decisions
+ */
+export function saveDecisions(filePath, decisions) {
+  const existing = fs.existsSync(filePath) ? loadDecisions(filePath) : [];
+  const key = (decision) => `${decision.path}|${decision.remoteHash}`;
+  const merged = new Map(existing.map(decision => [key(decision), decision]));
+
+  for (const decision of decisions) {
+    merged.set(key(decision), decision);
+  }
+
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify({
+    version: DECISIONS_VERSION,
+    decisions: [...merged.values()]
+  }, null, 2) + '\n');
+}
+
+// ============================================================
+// ConflictResolver
+// ============================================================
+
+export class ConflictResolver {
+  /**
+   * @param {Object} options
+   * @param {Array<Object>} options.decisions - Recorded decisions to replay
+   * @param {boolean} options.interactive - Prompt for changes without a recorded decision
+   * @param {stream.Readable} options.input - Prompt input (default stdin)
+   * @param {stream.Writable} options.output - Prompt output (default stdout)
+   * @param {boolean} options.colors - Color the side-by-side diff
+   */
+  constructor(options = {}) {
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stdout;
+    this.interactive = options.interactive ?? Boolean(this.input.isTTY);
+    this.colors = options.colors ?? Boolean(this.output.isTTY);
+    this.width = options.width || this.output.columns || 120;
+    this.decisions = options.decisions || [];
+    this.recorded = [];
+    this.specMerge = new SpecMerge();
+  }
+
+  /**
+   * Resolve changes that need review
+   * @param {Array<Object>} changes - needsReview changes from ChangeDetector
+   * @param {Object} specs - { baseSpec, localSpec } for the side-by-side view
+   * @returns {Promise<Array<Object>>} Changes with `resolution` set (and
+   *   `newValue` replaced for edits); unresolved changes have no resolution
+   */
+  async resolve(changes, specs = {}) {
+    const operationChoices = new Map();
+    const resolved = [];
+    let rl = null;
+
+    try {
+      for (const [index, change] of changes.entries()) {
+        const parts = this.specMerge.parsePath(change.path);
+        const operation = getOperationKey(parts);
+        const remoteHash = valueHash(change.kind === 'D' ? undefined : change.newValue);
+
+        let decision = this.findDecision(change.path, remoteHash);
+
+        if (!decision && operationChoices.has(operation)) {
+          decision = { choice: operationChoices.get(operation) };
+        }
+
+        if (!decision && this.interactive) {
+          rl = rl || readline.createInterface({ input: this.input, output: this.output });
+          decision = await this.prompt(rl, change, {
+            index,
+            total: changes.length,
+            operation,
+            base: this.getValue(specs.baseSpec, parts),
+            local: this.getValue(specs.localSpec, parts)
+          });
+          if (decision.applyToOperation) {
+            operationChoices.set(operation, decision.choice);
+          }
+        }
+
+        if (!decision) {
+          resolved.push(change);
+          continue;
+        }
+
+        const result = { ...change, resolution: decision.choice };
+        if (decision.choice === RESOLUTION.EDIT) {
+          result.kind = 'E';
+          result.newValue = decision.value;
+        }
+
+        this.recorded.push({
+          path: change.path,
+          remoteHash,
+          choice: decision.choice,
+          ...(decision.choice === RESOLUTION.EDIT && { value: decision.value })
+        });
+        resolved.push(result);
+      }
+    } finally {
+      rl?.close();
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Recorded decision for a change, if the remote value is unchanged
+   */
+  findDecision(changePath, remoteHash) {
+    return this.decisions.find(decision => decision.path === changePath && decision.remoteHash === remoteHash) || null;
+  }
+
+  /**
+   * Read a value from a spec by parsed path
+   */
+  getValue(spec, parts) {
+    return parts.reduce((obj, part) => (obj === undefined || obj === null ? undefined : obj[part]), spec);
+  }
+
+  /**
+   * Ask how to resolve one change
+   * @returns {Promise<Object>} { choice, value, applyToOperation }
+   */
+  async prompt(rl, change, context) {
+    const why = change.requiresApproval ? `requires approval (${change.rule})` : 'changed locally and in Postman';
+    const remote = change.kind === 'D' ? undefined : change.newValue;
+
+    this.output.write(`\n[${context.index + 1}/${context.total}] ${change.path}\n  ${why}\n\n`);
+    this.output.write(formatSideBySide([
+      { title: 'base', value: context.base },
+      { title: 'local (spec)', value: context.local },
+      { title: 'remote (Postman)', value: remote }
+    ], { width: this.width, colors: this.colors }) + '\n\n');
+
+    for (;;) {
+      const answer = (await rl.question(`[l]ocal, [r]emote, [e]dit, [s]kip (L/R/S: all in ${context.operation}) > `)).trim();
+      const choice = CHOICES[answer.toLowerCase()];
+      const applyToOperation = answer.length === 1 && answer !== answer.toLowerCase();
+
+      if (!choice || (choice === RESOLUTION.EDIT && applyToOperation)) {
+        this.output.write('  Enter l, r, e or s (L, R or S to apply to the whole operation)\n');
+        continue;
+      }
+
+      if (choice === RESOLUTION.EDIT) {
+        const text = await rl.question('  New value (JSON, or plain text for a string) > ');
+        return { choice, value: parseEditedValue(text) };
+      }
+
+      return { choice, applyToOperation };
+    }
+  }
+
+  /**
+   * Decisions made or replayed in this run
+   */
+  getRecordedDecisions() {
+    return this.recorded;
+  }
+}
+
+export default ConflictResolver;
@@ -0,0 +1,291 @@
+#!/usr/bin/env node
+
+/**
+ * Coverage Analyzer
+ *
+ * Maps Postman collection requests back to spec operations and reports, per
+ * operation from extractEndpoints:
+ * - whether any request item targets it, and whether one has a test script
+ * - which documented status codes the test scripts assert
+ * - which documented parameters (and request body) the requests exercise
+ *
+ * Requests are matched on the method|path keys from generateTestKey.
+ */
+
+import { extractEndpoints, getBasePath } from './parser.js';
+import { generateTestKey, generateTestKeyFromRequest } from './test-generator.js';
+
+/**
+ * Assertions recognized in test scripts, mapped to the status codes they check
+ */
+const STATUS_ASSERTIONS = [
+  { pattern: /\.to\.have\.status\(\s*(\d{3})\s*\)/g, codes: match => [match[1]] },
+  { pattern: /response\.code\)\.to\.(?:be\.)?oneOf\(\s*\[([^\]]*)\]/g, codes: match => match[1].match(/\d{3}/g) || [] },
+  { pattern: /response\.code\)\.to\.(?:be\.)?(?:equal|eql|eq)\(\s*(\d{3})\s*\)/g, codes: match => [match[1]] },
+  { pattern: /response\.code\)\.to\.be\.within\(\s*([1-5])00\s*,\s*\1\d\d\s*\)/g, codes: match => [`${match[1]}XX`] },
+  { pattern: /response\.to\.be\.(ok|success|notFound|clientError|serverError)\b/g, codes: match => [SHORTHAND_CODES[match[1]]] }
+];
+
+const SHORTHAND_CODES = {
+  ok: '200',
+  success: '2XX',
+  notFound: '404',
+  clientError: '4XX',
+  serverError: '5XX'
+};
+
+const PARAMETER_LOCATIONS = ['path', 'query', 'header'];
+
+/**
+ * Analyze how well collections cover a spec
+ * @param {Object} api - Parsed OpenAPI spec
+ * @param {Array<Object>} collections - Postman collections (v2.1 JSON, not wrapped in { collection })
+ * @returns {Object} { summary, operations, unmatched }
+ */
+export function analyzeCoverage(api, collections) {
+  const endpoints = extractEndpoints(api);
+  const basePath = getBasePath(api);
+  const operationKeys = new Set(endpoints.map(e => generateTestKey(e.method, e.path)));
+  const itemsByKey = new Map();
+  const unmatched = new Set();
+
+  for (const collection of collections) {
+    for (const item of flattenRequestItems(collection.item || [])) {
+      let key = generateTestKeyFromRequest(item.request);
+
+      // Collections whose URLs include the server path (e.g. /v1/tasks)
+      if (!operationKeys.has(key) && basePath) {
+        const [method, path] = key.split('|');
+        if (path.startsWith(`${basePath}/`)) {
+          key = `${method}|${path.slice(basePath.length)}`;
+        }
+      }
+
+      if (!operationKeys.has(key)) {
+        unmatched.add(key);
+        continue;
+      }
+
+      if (!itemsByKey.has(key)) itemsByKey.set(key, []);
+      itemsByKey.get(key).push(item);
+    }
+  }
+
+  const operations = endpoints.map(endpoint => analyzeOperation(endpoint, itemsByKey.get(generateTestKey(endpoint.method, endpoint.path)) || []));
+
+  return {
+    summary: summarize(operations),
+    operations,
+    unmatched: [...unmatched].sort()
+  };
+}
+
+/**
+ * Coverage for a single operation
+ * @param {Object} endpoint - Endpoint from extractEndpoints
+ * @param {Array} items - Request items targeting the endpoint
+ * @returns {Object} Operation coverage
+ */
+function analyzeOperation(endpoint, items) {
+  const scripts = items.map(getTestScript).filter(script => script.trim() !== '');
+
+  const documentedCodes = Object.keys(endpoint.responses).filter(code => code !== 'default');
+  const assertedCodes = new Set(scripts.flatMap(extractAssertedStatusCodes));
+  const coveredCodes = documentedCodes.filter(code => isStatusCovered(code, assertedCodes));
+
+  const documentedParams = getDocumentedParameters(endpoint);
+  const exercised = new Set(items.flatMap(getExercisedParameters));
+  const coveredParams = documentedParams.filter(param => exercised.has(param.toLowerCase()));
+
+  return {
+    key: generateTestKey(endpoint.method, endpoint.path),
+    method: endpoint.method,
+    path: endpoint.path,
+    name: endpoint.name,
+    tags: endpoint.tags,
+    requests: items.length,
+    tested: scripts.length > 0,
+    statusCodes: {
+      documented: documentedCodes,
+      asserted: [...assertedCodes].sort(),
+      missing: documentedCodes.filter(code => !coveredCodes.includes(code))
+    },
+    parameters: {
+      documented: documentedParams,
+      exercised: coveredParams,
+      missing: documentedParams.filter(param => !coveredParams.includes(param))
+    }
+  };
+}
+
+/**
+ * Extract the status codes a test script asserts
+ * @param {string} script - Test script source
+ * @returns {Array<string>} Codes such as '200' or ranges such as '2XX'
+ */
+export function extractAssertedStatusCodes(script) {
+  const codes = [];
+
+  for (const { pattern, codes: toCodes } of STATUS_ASSERTIONS) {
+    for (const match of script.matchAll(pattern)) {
+      codes.push(...toCodes(match));
+    }
+  }
+
+  return [...new Set(codes)];
+}
+
+/**
+ * A documented code is covered by an exact assertion or a matching range
+ */
+function isStatusCovered(code, asserted) {
+  const upper = code.toUpperCase();
+  if (asserted.has(upper)) return true;
+
+  if (/^[1-5]XX$/.test(upper)) {
+    return [...asserted].some(assertedCode => assertedCode.charAt(0) === upper.charAt(0));
+  }
+
+  return asserted.has(`${upper.charAt(0)}XX`);
+}
+
+/**
+ * Documented parameters as `in.name`, plus `body` when a request body exists
+ */
+function getDocumentedParameters(endpoint) {
+  const params = new Set();
+
+  for (const param of endpoint.parameters) {
+    if (PARAMETER_LOCATIONS.includes(param.in)) {
+      params.add(`${param.in}.${param.name}`);
+    }
+  }
+  if (endpoint.requestBody) {
+    params.add('body');
+  }
+
+  return [...params];
+}
+
+/**
+ * Parameters a request item sends, lowercased as `in.name`
+ */
+function getExercisedParameters(item) {
+  const request = item.request || {};
+  const url = typeof request.url === 'object' && request.url !== null ? request.url : {};
+  const params = [];
+
+  for (const segment of url.path || []) {
+    if (typeof segment === 'string' && segment.startsWith(':')) {
+      params.push(`path.${segment.slice(1)}`);
+    }
+  }
+  for (const query of url.query || []) {
+    if (!query.disabled) params.push(`query.${query.key}`);
+  }
+  if (typeof request.url === 'string') {
+    for (const [key] of new URLSearchParams(request.url.split('?')[1] || '')) {
+      params.push(`query.${key}`);
+    }
+    for (const match of request.url.matchAll(/\/:([^/?#]+)/g)) {
+      params.push(`path.${match[1]}`);
+    }
+  }
+  for (const header of request.header || []) {
+    if (!header.disabled) params.push(`header.${header.key}`);
+  }
+  if (request.body && request.body.mode) {
+    params.push('body');
+  }
+
+  return params.map(param => param.toLowerCase());
+}
+
+/**
+ * Test script source of an item, joined across exec lines
+ */
+function getTestScript(item) {
+  return (item.event || [])
+    .filter(event => event.listen === 'test')
+    .map(event => {
+      const exec = event.script?.exec;
+      return Array.isArray(exec) ? exec.join('\n') : exec || '';
+    })
+    .join('\n');
+}
+
+/**
+ * Request items in a collection, depth first
+ */
+function flattenRequestItems(items) {
+  return items.flatMap(item => (Array.isArray(item.item) ? flattenRequestItems(item.item) : item.request ? [item] : []));
+}
+
+/**
+ * Totals and percentages across operations
+ */
+function summarize(operations) {
+  const count = (list, field) => list.reduce((sum, op) => sum + op[field], 0);
+  const withRequests = operations.filter(op => op.requests > 0).length;
+  const tested = operations.filter(op => op.tested).length;
+
+  const statusCodes = operations.map(op => ({
+    documented: op.statusCodes.documented.length,
+    covered: op.statusCodes.documented.length - op.statusCodes.missing.length
+  }));
+  const parameters = operations.map(op => ({
+    documented: op.parameters.documented.length,
+    covered: op.parameters.exercised.length
+  }));
+
+  return {
+    operations: operations.length,
+    withRequests,
+    tested,
+    coverage: percentage(tested, operations.length),
+    statusCodes: {
+      documented: count(statusCodes, 'documented'),
+      asserted: count(statusCodes, 'covered'),
+      coverage: percentage(count(statusCodes, 'covered'), count(statusCodes, 'documented'))
+    },
+    parameters: {
+      documented: count(parameters, 'documented'),
+      exercised: count(parameters, 'covered'),
+      coverage: percentage(count(parameters, 'covered'), count(parameters, 'documented'))
+    }
+  };
+}
+
+function percentage(part, total) {
+  return total === 0 ? 100 : Math.round((part / total) * 1000) / 10;
+}
+
+/**
+ * Format a coverage report as a plain-text table
+ * @param {Object} report - Result of analyzeCoverage
+ * @returns {string} Table
+ */
+export function formatCoverageTable(report) {
+  const rows = report.operations.map(op => [
+    op.method,
+    op.path,
+    String(op.requests),
+    op.tested ? 'yes' : 'no',
+    `${op.statusCodes.documented.length - op.statusCodes.missing.length}/${op.statusCodes.documented.length}`,
+    op.statusCodes.missing.join(', ') || '-',
+    `${op.parameters.exercised.length}/${op.parameters.documented.length}`,
+    op.parameters.missing.join(', ') || '-'
+  ]);
+  const header = ['Method', 'Path', 'Requests', 'Tested', 'Codes', 'Unasserted', 'Params', 'Unexercised'];
+
+  const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => row[i].length)));
+  const line = cells => cells.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+
+  return [line(header), line(widths.map(width => '-'.repeat(width))), ...rows.map(line)].join('\n');
+}
+
+export default {
+  analyzeCoverage,
+  extractAssertedStatusCodes,
+  formatCoverageTable
+};
@@ -0,0 +1,884 @@
+#!/usr/bin/env node
+
+/**
+ * Fake Postman API
+ *
+ * A local stand-in for https://api.getpostman.com that implements the
+ * endpoints SpecHubClient uses, with in-memory state:
+ * - Specs and spec files (multi-file specs are joined by relative $refs)
+ * - Collection generation and synchronization from specs, completed
+ *   asynchronously after `generationDelay` ms like Spec Hub's background tasks
+ * - Collections, collection tags and OpenAPI transformations
+ * - Environments
+ * - Forks and pull requests
+ *
+ * Point a client at it with SpecHubClient's `baseUrl` option (or
+ * postmanApi.baseUrl / POSTMAN_API_BASE_URL) to run the forward, repo,
+ * reverse and bidirectional flows offline.
+ *
+ * Generated collections follow Spec Hub's "Tags" folder strategy. The
+ * OpenAPI transformation returns the spec the collection was generated from,
+ * with request names, descriptions and added or removed requests applied, so
+ * edits made to a collection flow back through reverse sync.
+ */
+
+import http from 'http';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import {
+  extractEndpoints,
+  parseSpecContent,
+  buildRequestBodyExample,
+  convertPathParams,
+  getBaseUrl
+} from './parser.js';
+import { loadMultiFileSpec } from './multi-file-spec.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger({ name: 'fake-postman-api' });
+
+const DEFAULT_CONFIG = {
+  port: 4011,
+  host: '127.0.0.1',
+  apiKey: null,          // Accept any non-empty X-Api-Key when null
+  owner: '10000000',
+  generationDelay: 200,  // ms before generations and synchronizations complete
+  pageSize: 0            // Page size for list endpoints (0 = no pagination)
+};
+
+const COLLECTION_SCHEMA = 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json';
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'];
+
+export class FakePostmanApiError extends Error {
+  constructor(status, name, message) {
+    super(message);
+    this.name = 'FakePostmanApiError';
+    this.status = status;
+    this.errorName = name;
+  }
+}
+
+function notFound(resource, id) {
+  return new FakePostmanApiError(404, 'instanceNotFoundError', `${resource} ${id} not found`);
+}
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(data === null ? '' : JSON.stringify(data));
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// ============================================================
+// Spec -> Collection
+// ============================================================
+
+/**
+ * Request name Spec Hub gives an operation
+ */
+function getRequestName(operation, method, specPath) {
+  return operation.summary || operation.operationId || `${method.toUpperCase()} ${specPath}`;
+}
+
+function buildRequestItem(endpoint) {
+  const pathParams = endpoint.parameters.filter(p => p.in === 'path');
+  const queryParams = endpoint.parameters.filter(p => p.in === 'query');
+  const headerParams = endpoint.parameters.filter(p => p.in === 'header');
+  const postmanPath = convertPathParams(endpoint.path);
+  const body = buildRequestBodyExample(endpoint.requestBody);
+
+  const request = {
+    method: endpoint.method,
+    header: [
+      ...headerParams.map(p => ({ key: p.name, value: '', description: p.description })),
+      ...(body !== null ? [{ key: 'Content-Type', value: 'application/json' }] : [])
+    ],
+    url: {
+      raw: `{{baseUrl}}${postmanPath}`,
+      host: ['{{baseUrl}}'],
+      path: postmanPath.split('/').filter(Boolean),
+      ...(queryParams.length > 0 && {
+        query: queryParams.map(p => ({ key: p.name, value: '', description: p.description, disabled: !p.required }))
+      }),
+      ...(pathParams.length > 0 && {
+        variable: pathParams.map(p => ({ key: p.name, value: '', description: p.description }))
+      })
+    }
+  };
+
+  if (endpoint.description) {
+    request.description = endpoint.description;
+  }
+  if (body !== null) {
+    request.body = { mode: 'raw', raw: JSON.stringify(body, null, 2), options: { raw: { language: 'json' } } };
+  }
+
+  return { name: getRequestName(endpoint.raw, endpoint.method, endpoint.path), request, response: [] };
+}
+
+/**
+ * Build a v2.1 collection from a dereferenced spec
+ * @param {Object} api - Dereferenced spec
+ * @param {string} name - Collection name
+ * @param {Object} options - { folderStrategy: 'Tags' (default) or 'Paths' for no folders }
+ * @returns {Object} Collection (info, item, variable)
+ */
+export function generateCollection(api, name, options = {}) {
+  const items = [];
+  const folders = new Map();
+
+  for (const endpoint of extractEndpoints(api)) {
+    const item = buildRequestItem(endpoint);
+    const tag = endpoint.raw.tags?.[0];
+
+    if (options.folderStrategy === 'Paths' || !tag) {
+      items.push(item);
+      continue;
+    }
+
+    if (!folders.has(tag)) {
+      const description = api.tags?.find(t => t.name === tag)?.description;
+      const folder = { name: tag, item: [], ...(description && { description }) };
+      folders.set(tag, folder);
+      items.push(folder);
+    }
+    folders.get(tag).item.push(item);
+  }
+
+  return {
+    info: {
+      name,
+      ...(api.info?.description && { description: api.info.description }),
+      schema: COLLECTION_SCHEMA
+    },
+    item: items,
+    variable: [{ key: 'baseUrl', value: getBaseUrl(api) }]
+  };
+}
+
+// ============================================================
+// Collection -> OpenAPI
+// ============================================================
+
+function collectRequests(items, folder = null, requests = []) {
+  for (const item of items || []) {
+    if (Array.isArray(item.item)) {
+      collectRequests(item.item, item, requests);
+    } else if (item.request) {
+      requests.push({ item, folder });
+    }
+  }
+  return requests;
+}
+
+function getRequestPath(request) {
+  const url = request.url;
+  const segments = typeof url === 'string'
+    ? url.replace(/^\{\{[^}]+\}\}/, '').replace(/^https?:\/\/[^/]+/, '').split('?')[0].split('/')
+    : url?.path || [];
+
+  return '/' + segments.filter(Boolean).map(s => s.replace(/^:(.+)$/, '{$1}')).join('/');
+}
+
+function getDescription(value) {
+  return typeof value === 'object' && value !== null ? value.content : value;
+}
+
+/**
+ * OpenAPI transformation of a collection
+ * Starts from the spec the collection was generated from (when there is one)
+ * and applies request names (summary), descriptions, and added or removed
+ * requests.
+ * @param {Object} collection - v2.1 collection
+ * @param {Object} sourceSpec - Spec as uploaded (external $refs inlined), or null
+ * @returns {Object} OpenAPI document
+ */
+export function transformCollection(collection, sourceSpec = null) {
+  const spec = clone(sourceSpec) || {
+    openapi: '3.0.3',
+    info: { title: collection.info?.name || 'Untitled', version: '1.0.0' },
+    paths: {}
+  };
+  spec.paths = spec.paths || {};
+
+  const description = getDescription(collection.info?.description);
+  if (description !== undefined && description !== spec.info.description) {
+    spec.info.description = description;
+  }
+
+  const seen = new Set();
+  for (const { item, folder } of collectRequests(collection.item)) {
+    const method = (item.request.method || 'GET').toLowerCase();
+    const specPath = getRequestPath(item.request);
+    seen.add(`${method} ${specPath}`);
+
+    spec.paths[specPath] = spec.paths[specPath] || {};
+    const operation = spec.paths[specPath][method] || (spec.paths[specPath][method] = { responses: {} });
+
+    if (item.name !== getRequestName(operation, method, specPath)) {
+      operation.summary = item.name;
+    }
+
+    const requestDescription = getDescription(item.request.description ?? item.description);
+    if (requestDescription !== undefined && requestDescription !== operation.description) {
+      operation.description = requestDescription;
+    }
+
+    const folderDescription = getDescription(folder?.description);
+    const tag = spec.tags?.find(t => t.name === folder?.name);
+    if (tag && folderDescription !== undefined && folderDescription !== tag.description) {
+      tag.description = folderDescription;
+    }
+  }
+
+  // Requests deleted from the collection
+  for (const [specPath, pathItem] of Object.entries(spec.paths)) {
+    for (const method of HTTP_METHODS) {
+      if (pathItem[method] && !seen.has(`${method} ${specPath}`)) {
+        delete pathItem[method];
+      }
+    }
+    if (!HTTP_METHODS.some(method => pathItem[method])) {
+      delete spec.paths[specPath];
+    }
+  }
+
+  return spec;
+}
+
+// ============================================================
+// FakePostmanApi
+// ============================================================
+
+export class FakePostmanApi {
+  /**
+   * @param {Object} options - { port, host, apiKey, owner, generationDelay, pageSize }
+   */
+  constructor(options = {}) {
+    this.config = { ...DEFAULT_CONFIG, ...options };
+    this.specs = new Map();
+    this.collections = new Map();
+    this.environments = new Map();
+    this.pullRequests = new Map();
+    this.requests = [];
+    this.timers = new Set();
+    this.lastTimestamp = 0;
+    this.server = null;
+    this.routes = this.buildRoutes();
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<string>} Base URL of the running server
+   */
+  start() {
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        logger.error(`Fake API request failed: ${error.message}`);
+        sendJson(res, 500, { error: { name: 'serverError', message: error.message } });
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.config.port, this.config.host, () => {
+        const { port } = this.server.address();
+        this.url = `http://${this.config.host}:${port}`;
+        resolve(this.url);
+      });
+    });
+  }
+
+  /**
+   * Stop listening and cancel pending generations
+   * @returns {Promise<void>}
+   */
+  stop() {
+    for (const timer of this.timers) clearTimeout(timer);
+    this.timers.clear();
+
+    if (!this.server) return Promise.resolve();
+    return new Promise(resolve => {
+      this.server.close(() => resolve());
+      this.server.closeAllConnections();
+    });
+  }
+
+  /**
+   * Strictly increasing ISO timestamps, so every update changes updatedAt
+   */
+  now() {
+    this.lastTimestamp = Math.max(Date.now(), this.lastTimestamp + 1);
+    return new Date(this.lastTimestamp).toISOString();
+  }
+
+  /**
+   * Run a background task after generationDelay
+   */
+  schedule(task) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      task().catch(error => logger.error(`Fake API task failed: ${error.message}`));
+    }, this.config.generationDelay);
+    this.timers.add(timer);
+  }
+
+  // ----------------------------------------------------------
+  // Request handling
+  // ----------------------------------------------------------
+
+  buildRoutes() {
+    return [
+      ['GET', '/specs', this.listSpecs],
+      ['POST', '/specs', this.createSpec],
+      ['DELETE', '/specs/:specId', this.deleteSpec],
+      ['GET', '/specs/:specId/files', this.listSpecFiles],
+      ['POST', '/specs/:specId/files', this.createSpecFile],
+      ['GET', '/specs/:specId/files/:filePath', this.getSpecFile],
+      ['PATCH', '/specs/:specId/files/:filePath', this.updateSpecFile],
+      ['GET', '/specs/:specId/generations/collection', this.listGeneratedCollections],
+      ['POST', '/specs/:specId/generations/collection', this.generateCollection],
+      ['GET', '/collections', this.listCollections],
+      ['POST', '/collections/fork/:collectionId', this.forkCollection],
+      ['GET', '/collections/:collectionId', this.getCollection],
+      ['PUT', '/collections/:collectionId', this.updateCollection],
+      ['DELETE', '/collections/:collectionId', this.deleteCollection],
+      ['PUT', '/collections/:collectionId/synchronizations', this.syncCollection],
+      ['GET', '/collections/:collectionId/transformations', this.transformCollection],
+      ['GET', '/collections/:collectionId/tags', this.getTags],
+      ['PUT', '/collections/:collectionId/tags', this.updateTags],
+      ['GET', '/collections/:collectionId/forks', this.listForks],
+      ['GET', '/collections/:collectionId/pull-requests', this.listPullRequests],
+      ['POST', '/collections/:collectionId/pull-requests', this.createPullRequest],
+      ['PUT', '/collections/:collectionId/pull-requests/:pullRequestId', this.updatePullRequest],
+      ['POST', '/collections/:collectionId/pull-requests/:pullRequestId/merge', this.mergePullRequest],
+      ['GET', '/pull-requests/:pullRequestId', this.getPullRequest],
+      ['GET', '/environments', this.listEnvironments],
+      ['POST', '/environments', this.createEnvironment],
+      ['GET', '/environments/:environmentId', this.getEnvironment],
+      ['PUT', '/environments/:environmentId', this.updateEnvironment]
+    ].map(([method, pattern, handler]) => ({ method, segments: pattern.split('/').filter(Boolean), handler: handler.bind(this) }));
+  }
+
+  matchRoute(method, pathname) {
+    const segments = pathname.split('/').filter(Boolean);
+
+    for (const route of this.routes) {
+      if (route.method !== method || route.segments.length !== segments.length) continue;
+
+      const params = {};
+      const matches = route.segments.every((segment, i) => {
+        if (segment.startsWith(':')) {
+          params[segment.substring(1)] = decodeURIComponent(segments[i]);
+          return true;
+        }
+        return segment === segments[i];
+      });
+
+      if (matches) return { handler: route.handler, params };
+    }
+    return null;
+  }
+
+  async handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+
+    this.requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams) });
+
+    const apiKey = req.headers['x-api-key'];
+    if (!apiKey || (this.config.apiKey && apiKey !== this.config.apiKey)) {
+      sendJson(res, 401, { error: { name: 'AuthenticationError', message: 'Invalid API Key. Every request requires a valid API Key to be sent.' } });
+      return;
+    }
+
+    const route = this.matchRoute(req.method, url.pathname);
+    if (!route) {
+      sendJson(res, 404, { error: { name: 'notFound', message: `No route for ${req.method} ${url.pathname}` } });
+      return;
+    }
+
+    try {
+      const body = raw ? JSON.parse(raw) : {};
+      const [status, data] = await route.handler({ params: route.params, query: url.searchParams, body });
+      sendJson(res, status, data);
+    } catch (error) {
+      if (!(error instanceof FakePostmanApiError)) throw error;
+      sendJson(res, error.status, { error: { name: error.errorName, message: error.message } });
+    }
+  }
+
+  /**
+   * One page of a list, with meta.nextCursor when pageSize is set
+   */
+  paginate(items, query) {
+    const offset = parseInt(query.get('cursor') || '0', 10);
+    if (!this.config.pageSize) {
+      return { items, meta: { nextCursor: null } };
+    }
+
+    const end = offset + this.config.pageSize;
+    return { items: items.slice(offset, end), meta: { nextCursor: end < items.length ? String(end) : null } };
+  }
+
+  inWorkspace(entity, query, param = 'workspace') {
+    const workspace = query.get(param);
+    return !workspace || entity.workspace === workspace;
+  }
+
+  // ----------------------------------------------------------
+  // Specs
+  // ----------------------------------------------------------
+
+  findSpec(specId) {
+    const spec = this.specs.get(specId);
+    if (!spec) throw notFound('Spec', specId);
+    return spec;
+  }
+
+  specSummary(spec) {
+    return { id: spec.id, name: spec.name, type: spec.type, createdAt: spec.createdAt, updatedAt: spec.updatedAt };
+  }
+
+  listSpecs({ query }) {
+    const specs = [...this.specs.values()].filter(spec => this.inWorkspace(spec, query, 'workspaceId'));
+    const page = this.paginate(specs, query);
+    return [200, { specs: page.items.map(spec => this.specSummary(spec)), meta: page.meta }];
+  }
+
+  createSpec({ query, body }) {
+    if (!body.name || !Array.isArray(body.files) || body.files.length === 0) {
+      throw new FakePostmanApiError(400, 'paramMissingError', 'name and files are required');
+    }
+
+    const timestamp = this.now();
+    const spec = {
+      id: randomUUID(),
+      name: body.name,
+      type: body.type || 'openapi:3',
+      workspace: query.get('workspaceId'),
+      createdAt: timestamp,
+      updatedAt: timestamp,
+      files: new Map(body.files.map(file => [file.path, { path: file.path, content: file.content, type: file.type || 'DEFAULT' }]))
+    };
+    if (body.files.length === 1) {
+      spec.files.get(body.files[0].path).type = 'ROOT';
+    }
+
+    this.specs.set(spec.id, spec);
+    return [201, this.specSummary(spec)];
+  }
+
+  deleteSpec({ params }) {
+    this.findSpec(params.specId);
+    this.specs.delete(params.specId);
+    return [204, null];
+  }
+
+  listSpecFiles({ params }) {
+    const spec = this.findSpec(params.specId);
+    return [200, { files: [...spec.files.values()].map(({ path: filePath, type }) => ({ path: filePath, type })) }];
+  }
+
+  createSpecFile({ params, body }) {
+    const spec = this.findSpec(params.specId);
+    spec.files.set(body.path, { path: body.path, content: body.content, type: body.type || 'DEFAULT' });
+    spec.updatedAt = this.now();
+    return [201, { path: body.path, type: body.type || 'DEFAULT' }];
+  }
+
+  getSpecFile({ params }) {
+    const file = this.findSpec(params.specId).files.get(params.filePath);
+    if (!file) throw notFound('File', params.filePath);
+    return [200, { ...file }];
+  }
+
+  updateSpecFile({ params, body }) {
+    const spec = this.findSpec(params.specId);
+    const file = spec.files.get(params.filePath);
+    if (!file) throw notFound('File', params.filePath);
+
+    file.content = body.content;
+    spec.updatedAt = this.now();
+    return [200, { path: file.path, type: file.type }];
+  }
+
+  /**
+   * Spec with relative $refs between its files inlined (internal $refs kept)
+   */
+  loadSpecDocument(spec) {
+    const files = [...spec.files.values()];
+    const root = files.find(file => file.type === 'ROOT') || files[0];
+    const specDir = path.resolve('/', 'specs', spec.id);
+
+    return loadMultiFileSpec(path.join(specDir, root.path), {
+      readFile: absolutePath => spec.files.get(path.relative(specDir, absolutePath).split(path.sep).join('/'))?.content ?? null
+    }).spec;
+  }
+
+  /**
+   * Collection content generated from a spec's current files
+   */
+  async buildFromSpec(spec, name, options = {}) {
+    const sourceSpec = this.loadSpecDocument(spec);
+    const api = await parseSpecContent(JSON.stringify(sourceSpec), `spec ${spec.id}`, { validate: false });
+    return { sourceSpec, data: generateCollection(api, name, options) };
+  }
+
+  listGeneratedCollections({ params }) {
+    this.findSpec(params.specId);
+    const collections = [...this.collections.values()]
+      .filter(collection => collection.generatedFrom === params.specId)
+      .map(collection => ({ id: collection.id, name: collection.name, uid: collection.uid }));
+    return [200, { collections }];
+  }
+
+  generateCollection({ params, body }) {
+    const spec = this.findSpec(params.specId);
+    if (!body.name) {
+      throw new FakePostmanApiError(400, 'paramMissingError', 'name is required');
+    }
+
+    const taskId = randomUUID();
+    this.schedule(async () => {
+      const { sourceSpec, data } = await this.buildFromSpec(spec, body.name, body.options);
+      this.addCollection({ name: body.name, workspace: spec.workspace, data, sourceSpec, generatedFrom: spec.id, options: body.options });
+    });
+
+    return [202, { taskId, url: `/specs/${spec.id}/tasks/${taskId}` }];
+  }
+
+  // ----------------------------------------------------------
+  // Collections
+  // ----------------------------------------------------------
+
+  /**
+   * Add a collection to the workspace (also used by tests to seed state)
+   * @param {Object} collection - { name, workspace, data, sourceSpec, generatedFrom, options, fork }
+   * @returns {Object} Stored collection
+   */
+  addCollection({ name, workspace = null, data = {}, sourceSpec = null, generatedFrom = null, options = {}, fork = null }) {
+    const id = randomUUID();
+    const timestamp = this.now();
+    const collection = {
+      id,
+      uid: `${this.config.owner}-${id}`,
+      name,
+      workspace,
+      createdAt: timestamp,
+      updatedAt: timestamp,
+      data: { ...clone(data), info: { ...data.info, name, schema: COLLECTION_SCHEMA } },
+      sourceSpec,
+      generatedFrom,
+      options,
+      fork,
+      tags: [],
+      syncing: false
+    };
+
+    this.collections.set(collection.uid, collection);
+    return collection;
+  }
+
+  /**
+   * Find a collection by UID or ID (spec generations only report IDs)
+   */
+  findCollection(collectionId) {
+    const collection = this.collections.get(collectionId) ||
+      [...this.collections.values()].find(c => c.id === collectionId);
+    if (!collection) throw notFound('Collection', collectionId);
+    return collection;
+  }
+
+  collectionSummary(collection) {
+    return {
+      id: collection.id,
+      uid: collection.uid,
+      name: collection.name,
+      owner: this.config.owner,
+      createdAt: collection.createdAt,
+      updatedAt: collection.updatedAt,
+      ...(collection.fork && { fork: { ...collection.fork } })
+    };
+  }
+
+  listCollections({ query }) {
+    const collections = [...this.collections.values()].filter(collection => this.inWorkspace(collection, query));
+    const page = this.paginate(collections, query);
+    return [200, { collections: page.items.map(collection => this.collectionSummary(collection)), meta: page.meta }];
+  }
+
+  getCollection({ params }) {
+    const collection = this.findCollection(params.collectionId);
+    if (collection.syncing) {
+      throw new FakePostmanApiError(423, 'collectionLocked', `Collection ${collection.uid} is being synchronized`);
+    }
+
+    const data = clone(collection.data);
+    data.info = { _postman_id: collection.id, ...data.info, updatedAt: collection.updatedAt };
+    return [200, { collection: data }];
+  }
+
+  updateCollection({ params, body }) {
+    const collection = this.findCollection(params.collectionId);
+    if (!body.collection?.info) {
+      throw new FakePostmanApiError(400, 'malformedRequestError', 'collection.info is required');
+    }
+
+    collection.name = body.collection.info.name || collection.name;
+    collection.data = clone(body.collection);
+    collection.data.info = { ...collection.data.info, name: collection.name };
+    delete collection.data.info._postman_id;
+    delete collection.data.info.updatedAt;
+    collection.updatedAt = this.now();
+
+    return [200, { collection: { id: collection.id, name: collection.name, uid: collection.uid } }];
+  }
+
+  deleteCollection({ params }) {
+    const collection = this.findCollection(params.collectionId);
+    this.collections.delete(collection.uid);
+    return [200, { collection: { id: collection.id, uid: collection.uid } }];
+  }
+
+  syncCollection({ params, query }) {
+    const collection = this.findCollection(params.collectionId);
+    const spec = this.findSpec(query.get('specId') || collection.generatedFrom);
+
+    collection.syncing = true;
+    this.schedule(async () => {
+      try {
+        const { sourceSpec, data } = await this.buildFromSpec(spec, collection.name, collection.options);
+        collection.data = data;
+        collection.sourceSpec = sourceSpec;
+        collection.generatedFrom = spec.id;
+        collection.updatedAt = this.now();
+      } finally {
+        collection.syncing = false;
+      }
+    });
+
+    return [202, { taskId: randomUUID() }];
+  }
+
+  transformCollection({ params, query }) {
+    const collection = this.findCollection(params.collectionId);
+    if ((query.get('format') || 'openapi3') !== 'openapi3') {
+      throw new FakePostmanApiError(400, 'invalidParamError', 'Only format=openapi3 is supported');
+    }
+
+    return [200, { output: JSON.stringify(transformCollection(collection.data, collection.sourceSpec)) }];
+  }
+
+  getTags({ params }) {
+    return [200, { tags: clone(this.findCollection(params.collectionId).tags) }];
+  }
+
+  updateTags({ params, body }) {
+    const collection = this.findCollection(params.collectionId);
+    collection.tags = (body.tags || []).map(tag => ({ slug: tag.slug }));
+    return [200, { tags: clone(collection.tags) }];
+  }
+
+  // ----------------------------------------------------------
+  // Forks and pull requests
+  // ----------------------------------------------------------
+
+  forkCollection({ params, query, body }) {
+    const parent = this.findCollection(params.collectionId);
+    if (!body.label) {
+      throw new FakePostmanApiError(400, 'paramMissingError', 'label is required');
+    }
+
+    const fork = this.addCollection({
+      name: parent.name,
+      workspace: query.get('workspace') || parent.workspace,
+      data: parent.data,
+      sourceSpec: clone(parent.sourceSpec),
+      fork: { label: body.label, createdAt: this.now(), from: parent.uid }
+    });
+
+    return [200, { collection: { ...this.collectionSummary(fork), fork: { ...fork.fork } } }];
+  }
+
+  listForks({ params }) {
+    const parent = this.findCollection(params.collectionId);
+    const forks = [...this.collections.values()]
+      .filter(collection => collection.fork?.from === parent.uid)
+      .map(collection => ({ forkId: collection.uid, forkName: collection.fork.label, createdAt: collection.fork.createdAt }));
+    return [200, { forks }];
+  }
+
+  findPullRequest(pullRequestId) {
+    const pullRequest = this.pullRequests.get(pullRequestId);
+    if (!pullRequest) throw notFound('Pull request', pullRequestId);
+    return pullRequest;
+  }
+
+  createPullRequest({ params, body }) {
+    const destination = this.findCollection(params.collectionId);
+    const source = this.findCollection(body.source);
+    if (source.fork?.from !== destination.uid) {
+      throw new FakePostmanApiError(400, 'invalidParamError', `${source.uid} is not a fork of ${destination.uid}`);
+    }
+
+    const timestamp = this.now();
+    const pullRequest = {
+      id: randomUUID(),
+      title: body.title,
+      description: body.description || '',
+      status: 'open',
+      sourceId: source.uid,
+      destinationId: destination.uid,
+      reviewers: (body.reviewers || []).map(reviewer => ({ id: String(reviewer), status: 'pending' })),
+      createdBy: this.config.owner,
+      createdAt: timestamp,
+      updatedAt: timestamp
+    };
+
+    this.pullRequests.set(pullRequest.id, pullRequest);
+    return [200, clone(pullRequest)];
+  }
+
+  listPullRequests({ params, query }) {
+    const destination = this.findCollection(params.collectionId);
+    const status = query.get('status');
+
+    const data = [...this.pullRequests.values()]
+      .filter(pr => pr.destinationId === destination.uid && (!status || pr.status === status))
+      .map(pr => {
+        const source = this.collections.get(pr.sourceId);
+        return {
+          id: pr.id,
+          title: pr.title,
+          description: pr.description,
+          status: pr.status,
+          createdBy: pr.createdBy,
+          createdAt: pr.createdAt,
+          updatedAt: pr.updatedAt,
+          source: { id: pr.sourceId, name: source?.name, forkName: source?.fork?.label, exists: Boolean(source) },
+          destination: { id: destination.uid, name: destination.name, exists: true }
+        };
+      });
+
+    return [200, { data }];
+  }
+
+  getPullRequest({ params }) {
+    return [200, clone(this.findPullRequest(params.pullRequestId))];
+  }
+
+  /**
+   * Record a review on a pull request (reviews have no public endpoint)
+   * @param {string} pullRequestId - Pull request ID
+   * @param {Object} reviewer - { id, username, name }
+   * @param {string} status - approved, pending or declined
+   */
+  reviewPullRequest(pullRequestId, reviewer, status = 'approved') {
+    const pullRequest = this.findPullRequest(pullRequestId);
+    const existing = pullRequest.reviewers.find(r => r.id === String(reviewer.id));
+
+    if (existing) {
+      Object.assign(existing, reviewer, { id: String(reviewer.id), status });
+    } else {
+      pullRequest.reviewers.push({ ...reviewer, id: String(reviewer.id), status });
+    }
+    pullRequest.updatedAt = this.now();
+  }
+
+  updatePullRequest({ params, body }) {
+    const pullRequest = this.findPullRequest(params.pullRequestId);
+    if (pullRequest.destinationId !== this.findCollection(params.collectionId).uid) {
+      throw notFound('Pull request', params.pullRequestId);
+    }
+
+    if (body.status === 'declined') {
+      if (pullRequest.status !== 'open') {
+        throw new FakePostmanApiError(400, 'invalidStateError', `Pull request is ${pullRequest.status}`);
+      }
+      pullRequest.status = 'declined';
+    }
+    for (const field of ['title', 'description']) {
+      if (body[field] !== undefined) pullRequest[field] = body[field];
+    }
+    pullRequest.updatedAt = this.now();
+
+    return [200, clone(pullRequest)];
+  }
+
+  mergePullRequest({ params }) {
+    const pullRequest = this.findPullRequest(params.pullRequestId);
+    const destination = this.findCollection(params.collectionId);
+    if (pullRequest.destinationId !== destination.uid) {
+      throw notFound('Pull request', params.pullRequestId);
+    }
+    if (pullRequest.status !== 'open') {
+      throw new FakePostmanApiError(400, 'invalidStateError', `Pull request is ${pullRequest.status}`);
+    }
+
+    const source = this.findCollection(pullRequest.sourceId);
+    destination.data = { ...clone(source.data), info: { ...clone(source.data.info), name: destination.name } };
+    destination.updatedAt = this.now();
+    pullRequest.status = 'merged';
+    pullRequest.updatedAt = destination.updatedAt;
+
+    return [200, clone(pullRequest)];
+  }
+
+  // ----------------------------------------------------------
+  // Environments
+  // ----------------------------------------------------------
+
+  findEnvironment(environmentId) {
+    const environment = this.environments.get(environmentId) ||
+      [...this.environments.values()].find(e => e.id === environmentId);
+    if (!environment) throw notFound('Environment', environmentId);
+    return environment;
+  }
+
+  listEnvironments({ query }) {
+    const environments = [...this.environments.values()].filter(environment => this.inWorkspace(environment, query));
+    const page = this.paginate(environments, query);
+    const summaries = page.items.map(({ id, uid, name, createdAt, updatedAt }) => ({ id, uid, name, owner: this.config.owner, createdAt, updatedAt }));
+    return [200, { environments: summaries, meta: page.meta }];
+  }
+
+  createEnvironment({ query, body }) {
+    if (!body.environment?.name) {
+      throw new FakePostmanApiError(400, 'paramMissingError', 'environment.name is required');
+    }
+
+    const id = randomUUID();
+    const timestamp = this.now();
+    const environment = {
+      id,
+      uid: `${this.config.owner}-${id}`,
+      name: body.environment.name,
+      workspace: query.get('workspace'),
+      values: clone(body.environment.values || []),
+      createdAt: timestamp,
+      updatedAt: timestamp
+    };
+
+    this.environments.set(environment.uid, environment);
+    return [200, { environment: { id, uid: environment.uid, name: environment.name } }];
+  }
+
+  getEnvironment({ params }) {
+    const { id, name, values, createdAt, updatedAt } = this.findEnvironment(params.environmentId);
+    return [200, { environment: { id, name, owner: this.config.owner, values: clone(values), isPublic: false, createdAt, updatedAt } }];
+  }
+
+  updateEnvironment({ params, body }) {
+    const environment = this.findEnvironment(params.environmentId);
+    environment.name = body.environment?.name || environment.name;
+    environment.values = clone(body.environment?.values || environment.values);
+    environment.updatedAt = this.now();
+    return [200, { environment: { id: environment.id, uid: environment.uid, name: environment.name } }];
+  }
+}
+
+export default FakePostmanApi;
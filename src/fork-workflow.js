@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+
+/**
+ * Postman Fork Workflow
+ *
+ * Collection edits go through a fork instead of the main collection:
+ * 1. `spec-sync fork` forks the main collection (named by forkNamePattern,
+ *    optionally into forkWorkflow.targetWorkspace)
+ * 2. The team edits the fork in Postman and opens a pull request
+ * 3. `spec-sync pr review` classifies the fork's changes with the reverse sync
+ *    rules and checks the required reviewers have approved
+ * 4. `spec-sync pr merge` merges only when nothing is blocked and every
+ *    required reviewer has approved
+ *
+ * The fork's diff is the parent collection compared with the fork, both
+ * converted to OpenAPI, so a change is blocked exactly when reverse sync
+ * would block it.
+ */
+
+import { ChangeDetector } from './change-detector.js';
+import { renderNamePattern } from './config-loader.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger({ name: 'fork-workflow' });
+
+export const DEFAULT_FORK_NAME_PATTERN = '{{spec.info.title}} - Team Fork';
+
+export class ForkWorkflowError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ForkWorkflowError';
+  }
+}
+
+/**
+ * Fork collection UID of a pull request
+ * The collection list and single pull request endpoints use different shapes.
+ */
+export function getSourceCollection(pullRequest) {
+  const source = pullRequest.source ?? pullRequest.sourceId;
+  return typeof source === 'object' && source !== null ? source.id || source.uid : source;
+}
+
+/**
+ * Required reviewers who have and haven't approved a pull request
+ * Reviewers match by user ID, username or name.
+ * @param {Object} pullRequest - Pull request with reviewers [{ id, username, name, status }]
+ * @param {Array<string>} requiredReviewers - forkWorkflow.requireReviewers
+ * @returns {Object} { approved, missing }
+ */
+export function checkApprovals(pullRequest, requiredReviewers = []) {
+  const approvers = (pullRequest.reviewers || [])
+    .filter(reviewer => reviewer.status === 'approved')
+    .flatMap(reviewer => [reviewer.id, reviewer.username, reviewer.name].filter(Boolean).map(String));
+
+  const approved = requiredReviewers.filter(reviewer => approvers.includes(String(reviewer)));
+  const missing = requiredReviewers.filter(reviewer => !approvers.includes(String(reviewer)));
+
+  return { approved, missing };
+}
+
+// ============================================================
+// ForkWorkflow
+// ============================================================
+
+export class ForkWorkflow {
+  /**
+   * @param {Object} client - SpecHubClient
+   * @param {Object} config
+   * @param {string} config.forkNamePattern - Fork label pattern (rendered like collection names)
+   * @param {string} config.targetWorkspace - Workspace for forks (default: the client's workspace)
+   * @param {Array<string>} config.requireReviewers - Reviewers who must approve before merging
+   * @param {Object} config.fieldRules - reverseSync allowedFields, blockedFields and requireApprovalFor
+   */
+  constructor(client, config = {}) {
+    this.client = client;
+    this.forkNamePattern = config.forkNamePattern || DEFAULT_FORK_NAME_PATTERN;
+    this.targetWorkspace = config.targetWorkspace || null;
+    this.requireReviewers = config.requireReviewers || [];
+    this.changeDetector = new ChangeDetector(config.fieldRules || {});
+  }
+
+  /**
+   * Fork label for a spec
+   * @param {Object} context - Naming context (createNamingContext)
+   * @returns {string} Label
+   */
+  getForkLabel(context) {
+    return renderNamePattern(this.forkNamePattern, context);
+  }
+
+  /**
+   * Fork the main collection
+   * @param {string} collectionUid - Main collection UID
+   * @param {Object} context - Naming context for forkNamePattern
+   * @returns {Promise<Object>} { uid, label, workspace }
+   */
+  async fork(collectionUid, context) {
+    const label = this.getForkLabel(context);
+    const workspace = this.targetWorkspace || this.client.workspaceId;
+
+    const result = await this.client.forkCollection(collectionUid, label, workspace);
+    const uid = result.collection?.uid || result.collection?.id;
+    logger.info(`Forked ${collectionUid} as "${label}" (${uid}) in workspace ${workspace}`);
+
+    return { uid, label, workspace };
+  }
+
+  /**
+   * Pull requests into the main collection
+   * @param {string} collectionUid - Main collection UID
+   * @param {string} status - open, merged or declined
+   * @returns {Promise<Array>} Pull requests
+   */
+  async listPullRequests(collectionUid, status = 'open') {
+    return this.client.getPullRequests(collectionUid, status);
+  }
+
+  /**
+   * Classify a pull request's changes and check its approvals
+   * @param {string} collectionUid - Main collection UID (PR destination)
+   * @param {string} pullRequestId - Pull request ID
+   * @returns {Promise<Object>} { pullRequest, sourceUid, changes, approvals, mergeable, reasons }
+   */
+  async review(collectionUid, pullRequestId) {
+    const pullRequest = await this.client.getPullRequest(pullRequestId);
+    const sourceUid = getSourceCollection(pullRequest);
+    if (!sourceUid) {
+      throw new ForkWorkflowError(`Pull request ${pullRequestId} has no source collection`);
+    }
+
+    const [parentSpec, forkSpec] = await Promise.all([
+      this.client.getCollectionAsOpenApi(collectionUid),
+      this.client.getCollectionAsOpenApi(sourceUid)
+    ]);
+
+    // The parent is both base and current: only the fork has changed
+    const changes = this.changeDetector.detectChanges(parentSpec, parentSpec, forkSpec);
+    const approvals = checkApprovals(pullRequest, this.requireReviewers);
+
+    const reasons = [];
+    if (pullRequest.status && pullRequest.status !== 'open') {
+      reasons.push(`Pull request is ${pullRequest.status}`);
+    }
+    if (changes.blocked.length > 0) {
+      reasons.push(`${changes.blocked.length} blocked change(s) would not reverse-sync into the spec`);
+    }
+    if (approvals.missing.length > 0) {
+      reasons.push(`Waiting for approval from: ${approvals.missing.join(', ')}`);
+    }
+
+    return {
+      pullRequest,
+      sourceUid,
+      changes,
+      approvals,
+      mergeable: reasons.length === 0,
+      reasons
+    };
+  }
+
+  /**
+   * Merge a pull request after review
+   * @param {string} collectionUid - Main collection UID (PR destination)
+   * @param {string} pullRequestId - Pull request ID
+   * @returns {Promise<Object>} Review result
+   * @throws {ForkWorkflowError} When the review finds blocked changes or missing approvals
+   */
+  async merge(collectionUid, pullRequestId) {
+    const review = await this.review(collectionUid, pullRequestId);
+    if (!review.mergeable) {
+      throw new ForkWorkflowError(`Pull request ${pullRequestId} can't be merged:\n  ${review.reasons.join('\n  ')}`);
+    }
+
+    await this.client.mergePullRequest(collectionUid, pullRequestId);
+    logger.info(`Merged pull request ${pullRequestId} into ${collectionUid}`);
+
+    return review;
+  }
+}
+
+export default {
+  DEFAULT_FORK_NAME_PATTERN,
+  ForkWorkflowError,
+  ForkWorkflow,
+  checkApprovals,
+  getSourceCollection
+};
@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+
+/**
+ * Generated Script Regions
+ *
+ * Generated test code is fenced by markers inside a request's test script:
+ *
+ *   // <generated checksum="1a2b3c4d">
+ *   {
+ *   ...generated assertions...
+ *   }
+ *   // </generated>
+ *   ...hand-written assertions...
+ *
+ * Re-injection replaces only the fenced region, so assertions testers add in
+ * Postman outside it survive forward sync. The generated code sits in a block,
+ * so its const declarations (status, contentType, ...) cannot clash with
+ * names in the hand-written code of the same script. The checksum covers the
+ * region's lines as generated, block included, which shows when someone
+ * edited inside the region (those edits are replaced, with a warning).
+ *
+ * Scripts from before markers existed are recognized by the generated header
+ * comment and replaced whole.
+ */
+
+import { createHash } from 'crypto';
+
+export const GENERATED_START = '// <generated';
+export const GENERATED_END = '// </generated>';
+
+// Block scope around the generated lines
+const BLOCK_START = '{';
+const BLOCK_END = '}';
+
+// First lines of unfenced scripts written by earlier versions of the test generator
+const LEGACY_GENERATED_HEADER = /^\/\/ (?:(?:Smoke|Contract) tests for: |Default (?:smoke|contract) tests$)/;
+
+const START_PATTERN = /^\s*\/\/ <generated(?:\s+checksum="([0-9a-f]+)")?\s*>\s*$/;
+const END_PATTERN = /^\s*\/\/ <\/generated>\s*$/;
+
+/**
+ * Short checksum of region lines
+ * @param {Array<string>} lines - Lines between the markers
+ * @returns {string} 8 hex characters
+ */
+export function checksumLines(lines) {
+  return createHash('sha256').update(lines.join('\n')).digest('hex').slice(0, 8);
+}
+
+/**
+ * Fence generated lines with markers, in a block
+ * @param {Array<string>} lines - Generated script lines
+ * @returns {Array<string>} Lines with start and end markers
+ */
+export function wrapGeneratedRegion(lines) {
+  const block = [BLOCK_START, ...lines, BLOCK_END];
+  return [`${GENERATED_START} checksum="${checksumLines(block)}">`, ...block, GENERATED_END];
+}
+
+/**
+ * Locate the generated region of a script
+ * @param {Array<string>} lines - Script lines
+ * @returns {Object|null} { start, end, lines, body, checksum, terminated } with
+ *   the marker line indexes, the lines between the markers and the generated
+ *   lines without their block (regions from before blocks have none), or
+ *   null without a start marker
+ */
+export function findGeneratedRegion(lines) {
+  const start = lines.findIndex(line => START_PATTERN.test(line));
+  if (start === -1) {
+    return null;
+  }
+
+  const checksum = lines[start].match(START_PATTERN)[1] || null;
+  const offset = lines.slice(start + 1).findIndex(line => END_PATTERN.test(line));
+  const terminated = offset !== -1;
+  const end = terminated ? start + 1 + offset : lines.length - 1;
+  const regionLines = lines.slice(start + 1, terminated ? end : lines.length);
+  const inBlock = regionLines.length >= 2 && regionLines[0] === BLOCK_START && regionLines.at(-1) === BLOCK_END;
+  const body = inBlock ? regionLines.slice(1, -1) : regionLines;
+
+  return { start, end, lines: regionLines, body, checksum, terminated };
+}
+
+/**
+ * Whether an unfenced script was written whole by an earlier generator version
+ * @param {Array<string>} lines - Script lines
+ * @returns {boolean}
+ */
+export function isLegacyGeneratedScript(lines) {
+  return lines.length > 0 && LEGACY_GENERATED_HEADER.test(lines[0]);
+}
+
+/**
+ * Generated lines of a script: the fenced region, or a whole legacy script
+ * @param {Array<string>} lines - Script lines
+ * @returns {Array<string>|null} Region body, or null when nothing was generated
+ */
+export function extractGeneratedLines(lines) {
+  const region = findGeneratedRegion(lines);
+  if (region) {
+    return region.body;
+  }
+  return isLegacyGeneratedScript(lines) ? lines : null;
+}
+
+/**
+ * Replace the generated region of a script, keeping everything around it
+ * Scripts without a region get it prepended, except legacy generated scripts,
+ * which are replaced.
+ * @param {Array<string>} existing - Current script lines (empty for none)
+ * @param {Array<string>} generated - New generated lines (unfenced)
+ * @returns {Object} { lines, edited, terminated } - edited when the old region
+ *   no longer matched its checksum; terminated false when its end marker was missing
+ */
+export function mergeGeneratedRegion(existing, generated) {
+  const wrapped = wrapGeneratedRegion(generated);
+  const region = findGeneratedRegion(existing);
+
+  if (region) {
+    const edited = region.checksum !== null && region.checksum !== checksumLines(region.lines);
+    return {
+      lines: [...existing.slice(0, region.start), ...wrapped, ...existing.slice(region.end + 1)],
+      edited,
+      terminated: region.terminated
+    };
+  }
+
+  if (existing.length === 0 || isLegacyGeneratedScript(existing)) {
+    return { lines: wrapped, edited: false, terminated: true };
+  }
+
+  return { lines: [...wrapped, '', ...existing], edited: false, terminated: true };
+}
+
+export default {
+  GENERATED_START,
+  GENERATED_END,
+  checksumLines,
+  extractGeneratedLines,
+  findGeneratedRegion,
+  isLegacyGeneratedScript,
+  mergeGeneratedRegion,
+  wrapGeneratedRegion
+};
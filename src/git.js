@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+
+/**
+ * Git Helpers
+ *
+ * Thin wrappers around the local git CLI, shared by the git baseline provider
+ * and the reverse sync pull request workflow.
+ */
+
+import { execFileSync } from 'child_process';
+
+/**
+ * Run git and return its stdout
+ * @param {Array<string>} args - git arguments
+ * @param {string} cwd - Working directory
+ * @returns {string} stdout (untrimmed, e.g. file content from `git show`)
+ * @throws {Error} When git exits non-zero (error.stderr holds its message)
+ */
+export function git(args, cwd) {
+  return execFileSync('git', args, {
+    cwd,
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'pipe'],
+    maxBuffer: 64 * 1024 * 1024
+  });
+}
+
+/**
+ * Top-level directory of the git checkout containing a directory
+ * @param {string} dir - Directory
+ * @returns {string|null} Repo root, or null outside a git checkout
+ */
+export function getRepoRoot(dir) {
+  try {
+    return git(['rev-parse', '--show-toplevel'], dir).trim();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Checked-out branch
+ * @param {string} dir - Directory in the checkout
+ * @returns {string|null} Branch name, or null for a detached HEAD
+ */
+export function getCurrentBranch(dir) {
+  const branch = git(['rev-parse', '--abbrev-ref', 'HEAD'], dir).trim();
+  return branch === 'HEAD' ? null : branch;
+}
+
+/**
+ * Default branch: origin/HEAD when the remote has one, else main or master
+ * @param {string} dir - Directory in the checkout
+ * @returns {string|null} Branch ref, e.g. "origin/main"
+ */
+export function detectDefaultBranch(dir) {
+  try {
+    return git(['symbolic-ref', '--short', 'refs/remotes/origin/HEAD'], dir).trim();
+  } catch {
+    // No remote HEAD - try local branch names
+  }
+
+  for (const branch of ['main', 'master']) {
+    try {
+      git(['rev-parse', '--verify', '--quiet', `refs/heads/${branch}`], dir);
+      return branch;
+    } catch {
+      // Not present
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Files among `files` with uncommitted changes (including untracked files)
+ * @param {Array<string>} files - File paths
+ * @param {string} dir - Directory in the checkout
+ * @returns {Array<string>} `git status --porcelain` lines
+ */
+export function getUncommittedChanges(files, dir) {
+  return git(['status', '--porcelain', '--', ...files], dir).split('\n').filter(Boolean);
+}
+
+export default {
+  git,
+  getRepoRoot,
+  getCurrentBranch,
+  detectDefaultBranch,
+  getUncommittedChanges
+};
@@ -0,0 +1,517 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Server
+ *
+ * Serves an OpenAPI spec over HTTP without a live backend:
+ * - Responses use the documented `example`/`examples`, or values synthesized
+ *   from the schema via getExample()
+ * - Requests are validated against path/query/header parameters, security
+ *   requirements and the `requestBody` schema (documented 400/422 on failure)
+ * - `Prefer: code=404` selects an alternate documented response and
+ *   `Prefer: example=<name>` a named example
+ *
+ * Paths are served both at the root and under the first server URL's path
+ * (e.g. /v1/tasks for https://api.example.com/v1).
+ */
+
+import http from 'http';
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import { extractEndpoints, getBasePath, getExample, toJsonSchema } from './parser.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger({ name: 'mock-server' });
+
+const DEFAULT_CONFIG = {
+  port: 4010,
+  host: '127.0.0.1',
+  validateRequests: true
+};
+
+const VALIDATION_ERROR_CODES = ['400', '422'];
+const AUTH_ERROR_CODES = ['401', '403'];
+
+// Query, path and header values arrive as strings
+const parameterAjv = new Ajv({ allErrors: true, strict: false, coerceTypes: 'array' });
+const bodyAjv = new Ajv({ allErrors: true, strict: false });
+addFormats(parameterAjv);
+addFormats(bodyAjv);
+
+export class MockServer {
+  /**
+   * @param {Object} api - Parsed OpenAPI spec (from parseSpec)
+   * @param {Object} options - { port, host, validateRequests }
+   */
+  constructor(api, options = {}) {
+    this.api = api;
+    this.config = { ...DEFAULT_CONFIG, ...options };
+    this.routes = buildRoutes(api);
+    this.basePath = getBasePath(api);
+    this.server = null;
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<string>} Base URL of the running server
+   */
+  start() {
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        logger.error(`Mock request failed: ${error.message}`);
+        sendJson(res, 500, { error: 'Internal Server Error', message: error.message });
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.config.port, this.config.host, () => {
+        const { port } = this.server.address();
+        resolve(`http://${this.config.host}:${port}`);
+      });
+    });
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  stop() {
+    if (!this.server) return Promise.resolve();
+
+    return new Promise(resolve => {
+      this.server.close(() => resolve());
+      this.server.closeAllConnections();
+      this.server = null;
+    });
+  }
+
+  /**
+   * Handle one HTTP request
+   */
+  async handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const body = await readBody(req);
+    const result = this.respond({
+      method: req.method,
+      path: url.pathname,
+      query: url.searchParams,
+      headers: req.headers,
+      body
+    });
+
+    logger.info(`${req.method} ${url.pathname} -> ${result.code}`);
+    for (const error of result.validationErrors || []) {
+      logger.info(`    ${error}`);
+    }
+
+    res.writeHead(result.code, result.headers);
+    res.end(result.body);
+  }
+
+  /**
+   * Build the mock response for a request (transport independent)
+   * @param {Object} request - { method, path, query: URLSearchParams, headers, body: string }
+   * @returns {Object} { code, headers, body, validationErrors }
+   */
+  respond(request) {
+    const pathname = this.basePath && request.path.startsWith(`${this.basePath}/`)
+      ? request.path.slice(this.basePath.length)
+      : request.path;
+
+    const candidates = this.routes.filter(route => route.pattern.test(pathname));
+    if (candidates.length === 0) {
+      return errorResponse(404, 'Not Found', `No path in the spec matches ${pathname}`);
+    }
+
+    const method = request.method.toUpperCase();
+    const route = candidates.find(r => r.method === method);
+    if (!route) {
+      const result = errorResponse(405, 'Method Not Allowed', `${method} is not documented for ${pathname}`);
+      result.headers.Allow = candidates.map(r => r.method).join(', ');
+      return result;
+    }
+
+    const prefer = parsePreferHeader(request.headers.prefer);
+    const pathParams = route.pattern.exec(pathname).groups || {};
+
+    // An explicit code is a request for that response, valid input or not
+    if (!prefer.code && this.config.validateRequests) {
+      if (!hasCredentials(route.security, this.api.components?.securitySchemes || {}, request)) {
+        const code = pickDocumentedCode(route.responses, AUTH_ERROR_CODES) || '401';
+        return this.buildResponse(route, code, prefer, ['Missing credentials required by the security scheme']);
+      }
+
+      const errors = validateRequest(route, { ...request, pathParams });
+      if (errors.length > 0) {
+        let code = pickDocumentedCode(route.responses, VALIDATION_ERROR_CODES) || '400';
+        if (errors.unsupportedMediaType) code = '415';
+        if (errors.malformedPath) code = '400';
+        return this.buildResponse(route, code, prefer, errors);
+      }
+    }
+
+    const code = prefer.code || pickSuccessCode(route.responses);
+    return this.buildResponse(route, code, prefer);
+  }
+
+  /**
+   * Build a response from the documented response for a status code
+   * @param {Object} route - Route
+   * @param {string} code - Status code (exact, range such as 4XX, or 'default')
+   * @param {Object} prefer - Parsed Prefer header
+   * @param {Array} validationErrors - Request validation errors, if any
+   * @returns {Object} { code, headers, body, validationErrors }
+   */
+  buildResponse(route, code, prefer, validationErrors = null) {
+    const responseKey = findResponseKey(route.responses, code);
+
+    if (!responseKey) {
+      if (validationErrors) {
+        const statusCode = parseInt(code, 10);
+        const error = http.STATUS_CODES[statusCode] || 'Error';
+        return { ...errorResponse(statusCode, error, 'Request does not match the spec', validationErrors), validationErrors };
+      }
+      return errorResponse(500, 'No Mock Response', `No ${code} response documented for ${route.method} ${route.path}`);
+    }
+
+    const response = route.responses[responseKey];
+    const statusCode = toStatusCode(code, responseKey);
+    const headers = {};
+
+    for (const [name, header] of Object.entries(response.headers || {})) {
+      const value = header.example ?? getExample(header.schema);
+      if (value !== undefined) headers[name] = String(value);
+    }
+
+    const [contentType, media] = pickMediaType(response.content);
+    if (!contentType || statusCode === 204) {
+      return { code: statusCode, headers, body: '', validationErrors };
+    }
+
+    const example = pickExample(media, prefer.example);
+    headers['Content-Type'] = contentType;
+    const body = typeof example === 'string' && !contentType.includes('json')
+      ? example
+      : JSON.stringify(example ?? null);
+
+    return { code: statusCode, headers, body, validationErrors };
+  }
+}
+
+/**
+ * Build routes (one per operation) with path regexes and compiled validators
+ * Literal segments are matched before templated ones (/tasks/search before /tasks/{id}).
+ * @param {Object} api - Parsed OpenAPI spec
+ * @returns {Array} Routes
+ */
+function buildRoutes(api) {
+  const routes = extractEndpoints(api).map(endpoint => {
+    const parameters = dedupeParameters(endpoint.parameters).map(param => ({
+      name: param.name,
+      in: param.in,
+      required: param.required === true || param.in === 'path',
+      isArray: param.schema?.type === 'array',
+      validate: param.schema
+        ? parameterAjv.compile({ type: 'object', properties: { value: toJsonSchema(param.schema) } })
+        : null
+    }));
+
+    const bodyValidators = {};
+    for (const [contentType, media] of Object.entries(endpoint.requestBody?.content || {})) {
+      if (media.schema) {
+        bodyValidators[contentType] = bodyAjv.compile(toJsonSchema(toRequestSchema(media.schema)));
+      }
+    }
+
+    const paramNames = [];
+    const source = endpoint.path.split(/(\{[^}]+\})/).map(part => {
+      const match = part.match(/^\{([^}]+)\}$/);
+      if (!match) return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      paramNames.push(match[1]);
+      return `(?<p${paramNames.length - 1}>[^/]+)`;
+    }).join('');
+
+    return {
+      method: endpoint.method,
+      path: endpoint.path,
+      pattern: new RegExp(`^${source}/?$`),
+      paramNames,
+      parameters,
+      requestBody: endpoint.requestBody,
+      bodyValidators,
+      responses: endpoint.responses,
+      security: endpoint.security
+    };
+  });
+
+  return routes.sort((a, b) => a.paramNames.length - b.paramNames.length);
+}
+
+/**
+ * Request form of a body schema: readOnly properties are only sent by the
+ * server, so they are neither required nor accepted in requests
+ * @param {Object} schema - Dereferenced OpenAPI schema
+ * @param {Set} ancestors - Schemas on the current path (cycle guard)
+ * @returns {Object} Schema without readOnly properties
+ */
+function toRequestSchema(schema, ancestors = new Set()) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema) || ancestors.has(schema)) {
+    return schema;
+  }
+
+  const nextAncestors = new Set(ancestors).add(schema);
+  const convert = subSchema => toRequestSchema(subSchema, nextAncestors);
+  const result = { ...schema };
+
+  if (schema.properties) {
+    const writable = Object.entries(schema.properties).filter(([, property]) => property?.readOnly !== true);
+    result.properties = Object.fromEntries(writable.map(([name, property]) => [name, convert(property)]));
+    if (Array.isArray(schema.required)) {
+      result.required = schema.required.filter(name => name in result.properties || !(name in schema.properties));
+    }
+  }
+  if (schema.items) {
+    result.items = Array.isArray(schema.items) ? schema.items.map(convert) : convert(schema.items);
+  }
+  if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+    result.additionalProperties = convert(schema.additionalProperties);
+  }
+  for (const key of ['allOf', 'anyOf', 'oneOf']) {
+    if (Array.isArray(schema[key])) result[key] = schema[key].map(convert);
+  }
+
+  return result;
+}
+
+/**
+ * Operation parameters override path-level ones with the same name and location
+ */
+function dedupeParameters(parameters) {
+  const byKey = new Map();
+  for (const param of parameters) {
+    byKey.set(`${param.in}:${param.name}`, param);
+  }
+  return [...byKey.values()];
+}
+
+/**
+ * Validate a request against a route's parameters and request body
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+function validateRequest(route, request) {
+  const errors = [];
+  let pathValues;
+  try {
+    pathValues = Object.fromEntries(
+      route.paramNames.map((name, index) => [name, decodeURIComponent(request.pathParams[`p${index}`])])
+    );
+  } catch {
+    errors.push(`Malformed percent-encoding in path ${request.path}`);
+    errors.malformedPath = true;
+    return errors;
+  }
+
+  for (const param of route.parameters) {
+    let value;
+    switch (param.in) {
+      case 'path':
+        value = pathValues[param.name];
+        break;
+      case 'query':
+        value = param.isArray ? request.query.getAll(param.name) : request.query.get(param.name);
+        if (param.isArray && value.length === 0) value = null;
+        break;
+      case 'header':
+        value = request.headers[param.name.toLowerCase()];
+        break;
+      default:
+        continue;
+    }
+
+    if (value === null || value === undefined) {
+      if (param.required) errors.push(`Missing required ${param.in} parameter "${param.name}"`);
+      continue;
+    }
+
+    if (param.validate && !param.validate({ value })) {
+      errors.push(...formatAjvErrors(param.validate.errors, `${param.in} parameter "${param.name}"`));
+    }
+  }
+
+  const requestBody = route.requestBody;
+  if (!requestBody?.content) return errors;
+
+  if (!request.body) {
+    if (requestBody.required) errors.push('Missing required request body');
+    return errors;
+  }
+
+  const contentType = (request.headers['content-type'] || 'application/json').split(';')[0].trim().toLowerCase();
+  const documentedType = Object.keys(requestBody.content).find(type => mediaTypeMatches(type, contentType));
+  if (!documentedType) {
+    errors.push(`Content-Type ${contentType} is not one of: ${Object.keys(requestBody.content).join(', ')}`);
+    errors.unsupportedMediaType = true;
+    return errors;
+  }
+
+  const validate = route.bodyValidators[documentedType];
+  if (!validate) return errors;
+
+  let body = request.body;
+  if (contentType.includes('json')) {
+    try {
+      body = JSON.parse(request.body);
+    } catch (error) {
+      errors.push(`Request body is not valid JSON: ${error.message}`);
+      return errors;
+    }
+  } else if (contentType === 'application/x-www-form-urlencoded') {
+    body = Object.fromEntries(new URLSearchParams(request.body));
+  }
+
+  if (!validate(body)) {
+    errors.push(...formatAjvErrors(validate.errors, 'request body'));
+  }
+
+  return errors;
+}
+
+function formatAjvErrors(errors, subject) {
+  return (errors || []).map(error => {
+    const location = error.instancePath.replace(/^\/value/, '');
+    return `Invalid ${subject}${location ? ` at ${location}` : ''}: ${error.message}`;
+  });
+}
+
+/**
+ * Check that at least one security requirement has its credentials present
+ * Only presence is checked; any token is accepted.
+ */
+function hasCredentials(requirements, schemes, request) {
+  if (!requirements || requirements.length === 0) return true;
+
+  const authorization = request.headers.authorization || '';
+  const cookies = request.headers.cookie || '';
+
+  const satisfied = name => {
+    const scheme = schemes[name];
+    if (scheme?.type === 'apiKey') {
+      if (scheme.in === 'query') return request.query.has(scheme.name);
+      if (scheme.in === 'cookie') return cookies.split(';').some(c => c.trim().startsWith(`${scheme.name}=`));
+      return request.headers[scheme.name.toLowerCase()] !== undefined;
+    }
+    if (scheme?.type === 'http' && scheme.scheme) {
+      return authorization.toLowerCase().startsWith(`${scheme.scheme.toLowerCase()} `);
+    }
+    // oauth2, openIdConnect and undeclared schemes send an Authorization header
+    return authorization !== '';
+  };
+
+  return requirements.some(requirement => Object.keys(requirement).every(satisfied));
+}
+
+/**
+ * Parse `Prefer: code=404, example=notFound`
+ * @returns {{code: string|undefined, example: string|undefined}}
+ */
+function parsePreferHeader(value) {
+  const prefer = {};
+  for (const part of (value || '').split(/[,;]/)) {
+    const [key, ...rest] = part.split('=');
+    if (rest.length > 0) prefer[key.trim()] = rest.join('=').trim().replace(/^"|"$/g, '');
+  }
+  return { code: prefer.code, example: prefer.example };
+}
+
+/**
+ * Pick the lowest documented 2xx code, falling back to the first documented one
+ */
+function pickSuccessCode(responses) {
+  const codes = Object.keys(responses);
+  const success = codes.filter(code => /^2(\d\d|XX)$/i.test(code)).sort();
+  return success[0] || codes.find(code => code !== 'default') || 'default';
+}
+
+function pickDocumentedCode(responses, candidates) {
+  return candidates.find(code => responses[code]);
+}
+
+/**
+ * Find the response key for a code: exact, then range (4XX), then default
+ */
+function findResponseKey(responses, code) {
+  if (responses[code]) return code;
+
+  const range = `${String(code).charAt(0)}XX`;
+  const rangeKey = Object.keys(responses).find(key => key.toUpperCase() === range);
+  if (rangeKey) return rangeKey;
+
+  return responses.default ? 'default' : null;
+}
+
+/**
+ * Concrete status code for a requested code and the response it resolved to
+ */
+function toStatusCode(code, responseKey) {
+  if (/^\d{3}$/.test(code)) return parseInt(code, 10);
+  if (/^\d{3}$/.test(responseKey)) return parseInt(responseKey, 10);
+  if (/^[1-5]XX$/i.test(code)) return parseInt(code.charAt(0), 10) * 100;
+  return code === 'default' && /^[1-5]XX$/i.test(responseKey) ? parseInt(responseKey.charAt(0), 10) * 100 : 200;
+}
+
+/**
+ * Prefer JSON content, otherwise the first documented media type
+ */
+function pickMediaType(content) {
+  if (!content) return [null, null];
+
+  const types = Object.keys(content);
+  const type = types.find(t => t === 'application/json') || types.find(t => t.includes('json')) || types[0];
+  return type ? [type, content[type]] : [null, null];
+}
+
+/**
+ * Pick the response example: named example, media example, first example, schema
+ */
+function pickExample(media, name) {
+  const examples = media?.examples || {};
+
+  if (name && examples[name]) return examples[name].value;
+  if (media?.example !== undefined) return media.example;
+
+  const first = Object.values(examples)[0];
+  if (first && first.value !== undefined) return first.value;
+
+  return getExample(media?.schema);
+}
+
+function mediaTypeMatches(documented, actual) {
+  if (documented === '*/*' || documented === actual) return true;
+  const [type, subtype] = documented.split('/');
+  return subtype === '*' && actual.startsWith(`${type}/`);
+}
+
+function errorResponse(code, error, message, details) {
+  const body = { error, message };
+  if (details) body.details = [...details];
+  return { code, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) };
+}
+
+function sendJson(res, code, payload) {
+  if (res.headersSent) return res.end();
+  res.writeHead(code, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(payload));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+export default MockServer;
@@ -0,0 +1,253 @@
+#!/usr/bin/env node
+
+/**
+ * Multi-File Specs
+ *
+ * Specs split across files joined by relative $refs, e.g.
+ *
+ *   openapi.yaml       paths: { /tasks: { $ref: 'paths/tasks.yaml' } }
+ *   paths/tasks.yaml   get: { responses: { 200: { ... $ref: '../schemas/task.yaml' } } }
+ *
+ * loadMultiFileSpec inlines the external refs so the spec can be diffed as one
+ * document, and keeps a source map from every inlined location to the file and
+ * JSON path that defines it. splitSpec uses that map to turn an edited copy of
+ * the inlined spec back into per-file documents, leaving the $refs in place.
+ *
+ * Refs within the root file (#/components/...) and URL refs are left as-is.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import { deepDiff } from './change-detector.js';
+
+// ============================================================
+// Helpers
+// ============================================================
+
+/**
+ * Whether a file path is YAML (by extension)
+ */
+export function isYamlFile(filePath) {
+  return /\.ya?ml$/i.test(filePath);
+}
+
+/**
+ * Split a $ref into its file and JSON pointer parts
+ * e.g. "../schemas/task.yaml#/Task" -> { file: '../schemas/task.yaml', pointer: ['Task'] }
+ * @param {string} ref - $ref value
+ * @returns {Object|null} { file, pointer } (file is '' for a ref within the
+ *   same file), or null for URL refs
+ */
+export function parseRef(ref) {
+  if (/^[a-z][a-z0-9+.-]*:/i.test(ref)) return null;
+
+  const hashIndex = ref.indexOf('#');
+  const file = hashIndex === -1 ? ref : ref.slice(0, hashIndex);
+  const fragment = hashIndex === -1 ? '' : ref.slice(hashIndex + 1);
+
+  return {
+    file: decodeURIComponent(file),
+    pointer: fragment.split('/').slice(1).map(part => decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~'))
+  };
+}
+
+function readFromDisk(absolutePath) {
+  return fs.existsSync(absolutePath) ? fs.readFileSync(absolutePath, 'utf8') : null;
+}
+
+function parseDocument(absolutePath, content) {
+  // JSON_SCHEMA, as in SpecMerge.readSpec, so YAML can't run code
+  return isYamlFile(absolutePath) ? yaml.load(content, { schema: yaml.JSON_SCHEMA }) : JSON.parse(content);
+}
+
+function toRelative(rootDir, absolutePath) {
+  return path.relative(rootDir, absolutePath).split(path.sep).join('/');
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function getAt(value, parts) {
+  return parts.reduce((obj, part) => (obj === undefined || obj === null ? undefined : obj[part]), value);
+}
+
+function setAt(target, parts, value) {
+  const parent = getAt(target, parts.slice(0, -1));
+  parent[parts[parts.length - 1]] = value;
+}
+
+function isPrefix(prefix, parts) {
+  return prefix.length <= parts.length && prefix.every((part, i) => String(part) === String(parts[i]));
+}
+
+// ============================================================
+// Loading
+// ============================================================
+
+/**
+ * Load a spec and every file it references, with external $refs inlined
+ * @param {string} rootPath - Root spec file
+ * @param {Object} options - { readFile }: (absolutePath) => content or null
+ *   when missing, to read files from elsewhere (e.g. a git commit)
+ * @returns {Object} {
+ *   spec: inlined spec,
+ *   rootFile: root file path relative to its directory,
+ *   files: Map of relative path -> { path, absolutePath, content, document },
+ *   sources: [{ path, file, pointer, ref, parent }] - `path` in the inlined
+ *     spec is defined at `pointer` in `file`; `ref` is the $ref object it
+ *     replaced and `parent` the index of the enclosing source (-1 for the root)
+ * }
+ */
+export function loadMultiFileSpec(rootPath, options = {}) {
+  const readFile = options.readFile || readFromDisk;
+  const rootAbsolute = path.resolve(rootPath);
+  const rootDir = path.dirname(rootAbsolute);
+  const files = new Map();
+  const sources = [];
+
+  const load = (absolutePath, referrer) => {
+    const relative = toRelative(rootDir, absolutePath);
+    if (!files.has(relative)) {
+      if (relative.startsWith('../')) {
+        throw new Error(`$ref from ${referrer} points outside the spec directory: ${relative}`);
+      }
+      const content = readFile(absolutePath);
+      if (content === null) {
+        throw new Error(`$ref from ${referrer} not found: ${relative}`);
+      }
+      files.set(relative, { path: relative, absolutePath, content, document: parseDocument(absolutePath, content) });
+    }
+    return files.get(relative);
+  };
+
+  const root = load(rootAbsolute, rootPath);
+
+  const resolve = (node, file, specPath, stack, sourceIndex) => {
+    if (Array.isArray(node)) {
+      return node.map((item, i) => resolve(item, file, [...specPath, i], stack, sourceIndex));
+    }
+    if (!node || typeof node !== 'object') return node;
+
+    const ref = typeof node.$ref === 'string' ? parseRef(node.$ref) : null;
+    // "#/..." is only external when it appears in a referenced file
+    if (ref && (ref.file !== '' || file !== root)) {
+      const target = ref.file ? load(path.resolve(path.dirname(file.absolutePath), ref.file), file.path) : file;
+      const key = `${target.path}#/${ref.pointer.join('/')}`;
+
+      // Circular refs stay as $refs
+      if (!stack.includes(key)) {
+        const value = getAt(target.document, ref.pointer);
+        if (value === undefined) {
+          throw new Error(`Cannot resolve $ref "${node.$ref}" in ${file.path}`);
+        }
+        sources.push({ path: specPath, file: target.path, pointer: ref.pointer, ref: node, parent: sourceIndex });
+        return resolve(value, target, specPath, [...stack, key], sources.length - 1);
+      }
+    }
+
+    return Object.fromEntries(Object.entries(node).map(([key, value]) => [
+      key,
+      resolve(value, file, [...specPath, key], stack, sourceIndex)
+    ]));
+  };
+
+  sources.push({ path: [], file: root.path, pointer: [], ref: null, parent: -1 });
+  const spec = resolve(root.document, root, [], [`${root.path}#/`], 0);
+
+  return { spec, rootFile: root.path, files, sources };
+}
+
+/**
+ * Files referenced by a spec, for upload next to the root file
+ * Paths are relative to the root file's directory, as Spec Hub resolves them.
+ * @param {string} rootPath - Root spec file
+ * @returns {Array<Object>} [{ path, content }], empty for a single-file spec
+ */
+export function collectReferencedFiles(rootPath) {
+  const { rootFile, files, sources } = loadMultiFileSpec(rootPath);
+
+  // Spec Hub stores the root as index.yaml/index.json, so refs to it by name would break
+  const backRef = sources.find((source, index) => index > 0 && source.file === rootFile);
+  if (backRef) {
+    throw new Error(`${sources[backRef.parent].file} references the root file ${rootFile}; move the referenced definitions into a separate file`);
+  }
+
+  return [...files.values()]
+    .filter(file => file.path !== rootFile)
+    .map(file => ({ path: file.path, content: file.content }));
+}
+
+// ============================================================
+// Source mapping
+// ============================================================
+
+/**
+ * File and location that define a path of the inlined spec
+ * @param {Object} specFiles - Result of loadMultiFileSpec
+ * @param {Array} parts - Path parts, e.g. from SpecMerge.parsePath
+ * @returns {Object} { file, path } with path as parts within that file
+ */
+export function locateSource(specFiles, parts) {
+  let best = specFiles.sources[0];
+
+  for (const source of specFiles.sources) {
+    if (source.path.length > best.path.length && isPrefix(source.path, parts)) {
+      best = source;
+    }
+  }
+
+  return { file: best.file, path: [...best.pointer, ...parts.slice(best.path.length)] };
+}
+
+/**
+ * Split an edited copy of the inlined spec back into per-file documents
+ * A file referenced from several places takes the edits of whichever
+ * location changed.
+ * @param {Object} spec - Edited inlined spec
+ * @param {Object} specFiles - Result of loadMultiFileSpec for the original
+ * @returns {Map<string, Object>} Relative path -> document, changed files only
+ */
+export function splitSpec(spec, specFiles) {
+  const documents = new Map([...specFiles.files].map(([file, { document }]) => [file, clone(document)]));
+
+  specFiles.sources.forEach((source, index) => {
+    const value = getAt(spec, source.path);
+    // Removed along with the location that referenced it
+    if (value === undefined) return;
+
+    let fileValue = clone(value);
+    for (const child of specFiles.sources.filter(s => s.parent === index)) {
+      const relative = child.path.slice(source.path.length);
+      if (getAt(fileValue, relative) === undefined) continue;
+
+      if (relative.length === 0) {
+        fileValue = clone(child.ref);
+      } else {
+        setAt(fileValue, relative, clone(child.ref));
+      }
+    }
+
+    const original = getAt(specFiles.files.get(source.file).document, source.pointer);
+    if (deepDiff(original, fileValue).length === 0) return;
+
+    if (source.pointer.length === 0) {
+      documents.set(source.file, fileValue);
+    } else {
+      setAt(documents.get(source.file), source.pointer, fileValue);
+    }
+  });
+
+  return new Map([...documents].filter(([file, document]) =>
+    deepDiff(specFiles.files.get(file).document, document).length > 0));
+}
+
+export default {
+  isYamlFile,
+  parseRef,
+  loadMultiFileSpec,
+  collectReferencedFiles,
+  locateSource,
+  splitSpec
+};
@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+
+/**
+ * Multi-Spec Orchestration
+ *
+ * Runs a command for every entry of the `specs` map in sync.config.json with
+ * bounded concurrency, and summarizes per-spec success or failure.
+ *
+ * Postman API calls from concurrent specs share one RateLimiter (see
+ * createClient in cli.js), so concurrency only overlaps the waiting time of
+ * collection generation and file I/O; it never exceeds the request budget.
+ */
+
+import path from 'path';
+
+export const DEFAULT_CONCURRENCY = 3;
+
+/**
+ * Map items through an async worker with at most `limit` running at once
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent workers
+ * @param {Function} worker - async (item, index) => result
+ * @returns {Promise<Array>} Results in item order
+ */
+export async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function drain() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  const workers = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workers }, drain));
+
+  return results;
+}
+
+/**
+ * Run a task for each spec entry, capturing failures instead of stopping
+ * @param {Array<Object>} entries - Spec entries from getSpecEntries
+ * @param {Function} task - async (entry) => result
+ * @param {Object} options - { concurrency, logger }
+ * @returns {Promise<Array<Object>>} [{ name, path, status, result, error, duration }]
+ */
+export async function runForSpecs(entries, task, options = {}) {
+  const concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+  const logger = options.logger;
+
+  return runWithConcurrency(entries, concurrency, async (entry) => {
+    const startedAt = Date.now();
+    logger?.info(`\n[${entry.name}] Starting (${entry.path})`);
+
+    try {
+      const result = await task(entry);
+      logger?.success(`[${entry.name}] Done`);
+      return { name: entry.name, path: entry.path, status: 'success', result, duration: Date.now() - startedAt };
+    } catch (error) {
+      logger?.error(`[${entry.name}] Failed: ${error.message}`);
+      return { name: entry.name, path: entry.path, status: 'failed', error: error.message, duration: Date.now() - startedAt };
+    }
+  });
+}
+
+/**
+ * Repo output directory for one spec: its own outputDir or <outputDir>/<name>
+ * Each spec needs its own directory so manifests don't overwrite each other.
+ * @param {Object} entry - Spec entry
+ * @param {string} outputDir - Base repo output directory
+ * @returns {string} Directory
+ */
+export function getSpecOutputDir(entry, outputDir) {
+  return entry.outputDir || path.join(outputDir, entry.name);
+}
+
+/**
+ * Format the combined summary of a multi-spec run
+ * @param {Array<Object>} results - Results of runForSpecs
+ * @returns {string} Summary lines
+ */
+export function formatSpecSummary(results) {
+  const nameWidth = Math.max(4, ...results.map(r => r.name.length));
+  const pathWidth = Math.max(4, ...results.map(r => r.path.length));
+
+  const lines = results.map(r => [
+    r.status === 'success' ? '[OK]  ' : '[FAIL]',
+    r.name.padEnd(nameWidth),
+    r.path.padEnd(pathWidth),
+    `${(r.duration / 1000).toFixed(1)}s`.padStart(7),
+    r.error || ''
+  ].join('  ').trimEnd());
+
+  const failed = results.filter(r => r.status === 'failed').length;
+  lines.push('', `${results.length - failed} succeeded, ${failed} failed`);
+
+  return lines.join('\n');
+}
+
+export default {
+  DEFAULT_CONCURRENCY,
+  runWithConcurrency,
+  runForSpecs,
+  getSpecOutputDir,
+  formatSpecSummary
+};
@@ -247,6 +247,45 @@ export async function parseSpec(specPath, options = {}) {
   }
 }
 
+/**
+ * Parse an OpenAPI spec from its YAML or JSON text (e.g. a file at a git ref)
+ * Only internal $refs can be resolved, as there is no file to resolve against.
+ * @param {string} content - Spec document text
+ * @param {string} label - Name used in error messages (e.g. "main:specs/api.yaml")
+ * @param {Object} options - Parsing options
+ * @param {boolean} options.validate - Whether to validate the spec (default: true)
+ * @returns {Promise<Object>} Parsed and dereferenced OpenAPI spec
+ */
+export async function parseSpecContent(content, label, options = {}) {
+  const { validate = true } = options;
+
+  try {
+    const document = YAML.parse(content);
+    if (!document || typeof document !== 'object') {
+      throw new ParserError(`Spec ${label} is empty or not an object`, ParserErrorCode.PARSE_ERROR);
+    }
+
+    const api = await SwaggerParser.dereference(document, {
+      dereference: {
+        circular: 'ignore'
+      }
+    });
+
+    if (validate) {
+      validateOpenApiVersion(api);
+      validateRequiredFields(api);
+    }
+
+    return api;
+  } catch (error) {
+    if (error instanceof ParserError) {
+      throw error;
+    }
+
+    throw formatParseError(error, label);
+  }
+}
+
 /**
  * Extract endpoints from parsed OpenAPI spec
  * @param {Object} api - Parsed OpenAPI spec
@@ -348,6 +387,115 @@ export function getRequiredFields(schema) {
   return [];
 }
 
+/**
+ * Formats the Postman sandbox validator understands. Anything else
+ * (int32, binary, password, ...) is dropped so compilation doesn't fail.
+ */
+const JSON_SCHEMA_FORMATS = new Set([
+  'date', 'date-time', 'time', 'email', 'hostname', 'ipv4', 'ipv6',
+  'uri', 'uri-reference', 'uuid', 'regex'
+]);
+
+/**
+ * OpenAPI-only keywords and annotations that have no effect on validation
+ */
+const NON_VALIDATION_KEYWORDS = new Set([
+  'nullable', 'example', 'examples', 'xml', 'externalDocs',
+  'discriminator', 'deprecated', 'title', 'description', 'default',
+  'readOnly', 'writeOnly'
+]);
+
+/**
+ * Convert a dereferenced OpenAPI schema object into plain JSON Schema
+ * (draft-07) suitable for pm.response.to.have.jsonSchema().
+ *
+ * Handles `nullable`, boolean exclusiveMinimum/exclusiveMaximum and
+ * unsupported formats. Circular or unresolved $refs become permissive {}.
+ * @param {Object} schema - OpenAPI schema object
+ * @param {Set} ancestors - Schemas on the current path (cycle guard)
+ * @returns {Object} JSON Schema object
+ */
+export function toJsonSchema(schema, ancestors = new Set()) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    return {};
+  }
+
+  // Unresolved (circular) refs and cyclic object graphs validate anything
+  if (schema.$ref || ancestors.has(schema)) {
+    return {};
+  }
+
+  const nextAncestors = new Set(ancestors).add(schema);
+  const convert = (subSchema) => toJsonSchema(subSchema, nextAncestors);
+  const result = {};
+
+  for (const [key, value] of Object.entries(schema)) {
+    if (NON_VALIDATION_KEYWORDS.has(key) || key.startsWith('x-')) {
+      continue;
+    }
+
+    switch (key) {
+      case 'properties':
+      case 'patternProperties':
+        result[key] = {};
+        for (const [propName, propSchema] of Object.entries(value || {})) {
+          result[key][propName] = convert(propSchema);
+        }
+        break;
+      case 'additionalProperties':
+        result[key] = typeof value === 'boolean' ? value : convert(value);
+        break;
+      case 'items':
+        result[key] = Array.isArray(value) ? value.map(convert) : convert(value);
+        break;
+      case 'allOf':
+      case 'anyOf':
+      case 'oneOf':
+        result[key] = (value || []).map(convert);
+        break;
+      case 'not':
+        result[key] = convert(value);
+        break;
+      case 'format':
+        if (JSON_SCHEMA_FORMATS.has(value)) {
+          result[key] = value;
+        }
+        break;
+      case 'exclusiveMinimum':
+      case 'exclusiveMaximum':
+        // OpenAPI 3.0 uses booleans modifying minimum/maximum
+        if (typeof value === 'number') {
+          result[key] = value;
+        }
+        break;
+      default:
+        result[key] = value;
+    }
+  }
+
+  if (schema.exclusiveMinimum === true && schema.minimum !== undefined) {
+    result.exclusiveMinimum = schema.minimum;
+    delete result.minimum;
+  }
+  if (schema.exclusiveMaximum === true && schema.maximum !== undefined) {
+    result.exclusiveMaximum = schema.maximum;
+    delete result.maximum;
+  }
+
+  if (schema.nullable === true) {
+    if (typeof result.type === 'string') {
+      result.type = [result.type, 'null'];
+      if (Array.isArray(result.enum) && !result.enum.includes(null)) {
+        result.enum = [...result.enum, null];
+      }
+    } else if (!Array.isArray(result.type)) {
+      return { anyOf: [result, { type: 'null' }] };
+    }
+  }
+
+  return result;
+}
+
 /**
  * Get example value for a schema
  * @param {Object} schema - JSON Schema object
@@ -439,15 +587,34 @@ export function getBaseUrl(api) {
   return 'https://api.example.com';
 }
 
+/**
+ * Extract the path prefix of the first server URL (e.g. /v1)
+ * @param {Object} api - Parsed OpenAPI spec
+ * @returns {string} Path prefix without trailing slash, or '' for root
+ */
+export function getBasePath(api) {
+  const serverUrl = api.servers?.[0]?.url;
+  if (!serverUrl) return '';
+
+  try {
+    return new URL(serverUrl, 'http://localhost').pathname.replace(/\/$/, '');
+  } catch {
+    return '';
+  }
+}
+
 export default {
   parseSpec,
+  parseSpecContent,
   extractEndpoints,
   getResponseSchema,
   getRequiredFields,
+  toJsonSchema,
   getExample,
   buildRequestBodyExample,
   convertPathParams,
   getBaseUrl,
+  getBasePath,
   ParserError,
   ParserErrorCode
 };
@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+
+/**
+ * Pull Request Providers
+ *
+ * Open a pull (or merge) request for a branch that has already been pushed.
+ * Used by the reverse sync pull request workflow (pull-request.js).
+ *
+ *   github  GitHub REST API (POST /repos/{owner}/{repo}/pulls)
+ *   gitlab  GitLab REST API (POST /projects/{id}/merge_requests)
+ *   none    Nothing to open: prints the branch for a manual PR
+ *
+ * apiUrl can point at GitHub Enterprise, a self-hosted GitLab or a local fake
+ * server in tests. Tokens are read from GITHUB_TOKEN / GITLAB_TOKEN.
+ */
+
+import { createLogger } from './logger.js';
+
+const logger = createLogger({ name: 'pr-provider' });
+
+export const PR_PROVIDERS = ['none', 'github', 'gitlab'];
+
+export class PullRequestError extends Error {
+  constructor(message, status = null) {
+    super(message);
+    this.name = 'PullRequestError';
+    this.status = status;
+  }
+}
+
+/**
+ * JSON request with a provider-specific auth header
+ */
+async function requestJson(label, url, { method = 'GET', headers = {}, body = null } = {}) {
+  logger.debug(`${label} request: ${method} ${url}`);
+
+  const response = await fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json', Accept: 'application/json', ...headers },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  const text = await response.text();
+  let data = {};
+  try {
+    data = text ? JSON.parse(text) : {};
+  } catch {
+    data = { message: text };
+  }
+
+  if (!response.ok) {
+    throw new PullRequestError(`${label} ${method} ${new URL(url).pathname} failed (${response.status}): ${data.message || data.error || text}`, response.status);
+  }
+
+  return data;
+}
+
+// ============================================================
+// Providers
+// ============================================================
+
+export class GitHubPRProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.repository - "owner/repo" (default GITHUB_REPOSITORY)
+   * @param {string} options.token - Token with pull request write access (default GITHUB_TOKEN)
+   * @param {string} options.apiUrl - API base URL (default https://api.github.com)
+   */
+  constructor(options = {}) {
+    this.name = 'github';
+    this.requiresPush = true;
+    this.repository = options.repository || process.env.GITHUB_REPOSITORY;
+    this.token = options.token || process.env.GITHUB_TOKEN;
+    this.apiUrl = (options.apiUrl || 'https://api.github.com').replace(/\/$/, '');
+
+    if (!this.repository) {
+      throw new PullRequestError('GitHub repository is required: set reverseSync.pr.repository ("owner/repo") or GITHUB_REPOSITORY');
+    }
+    if (!this.token) {
+      throw new PullRequestError('GitHub token is required: set GITHUB_TOKEN');
+    }
+  }
+
+  request(method, endpoint, body = null) {
+    return requestJson('GitHub', `${this.apiUrl}${endpoint}`, {
+      method,
+      body,
+      headers: {
+        Authorization: `Bearer ${this.token}`,
+        Accept: 'application/vnd.github+json',
+        'X-GitHub-Api-Version': '2022-11-28'
+      }
+    });
+  }
+
+  /**
+   * @param {Object} pr - { branch, baseBranch, title, body, labels }
+   * @returns {Promise<Object>} { url, number }
+   */
+  async createPullRequest({ branch, baseBranch, title, body, labels = [] }) {
+    const pull = await this.request('POST', `/repos/${this.repository}/pulls`, {
+      title,
+      head: branch,
+      base: baseBranch,
+      body
+    });
+
+    // Labels go through the issues API
+    if (labels.length > 0) {
+      await this.request('POST', `/repos/${this.repository}/issues/${pull.number}/labels`, { labels });
+    }
+
+    return { url: pull.html_url, number: pull.number };
+  }
+}
+
+export class GitLabPRProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.repository - Project path or ID (default CI_PROJECT_ID)
+   * @param {string} options.token - Token with api scope (default GITLAB_TOKEN)
+   * @param {string} options.apiUrl - API base URL (default CI_API_V4_URL or https://gitlab.com/api/v4)
+   */
+  constructor(options = {}) {
+    this.name = 'gitlab';
+    this.requiresPush = true;
+    this.repository = options.repository || process.env.CI_PROJECT_ID;
+    this.token = options.token || process.env.GITLAB_TOKEN;
+    this.apiUrl = (options.apiUrl || process.env.CI_API_V4_URL || 'https://gitlab.com/api/v4').replace(/\/$/, '');
+
+    if (!this.repository) {
+      throw new PullRequestError('GitLab project is required: set reverseSync.pr.repository ("group/project" or ID) or CI_PROJECT_ID');
+    }
+    if (!this.token) {
+      throw new PullRequestError('GitLab token is required: set GITLAB_TOKEN');
+    }
+  }
+
+  /**
+   * @param {Object} pr - { branch, baseBranch, title, body, labels }
+   * @returns {Promise<Object>} { url, number }
+   */
+  async createPullRequest({ branch, baseBranch, title, body, labels = [] }) {
+    const project = encodeURIComponent(this.repository);
+    const mergeRequest = await requestJson('GitLab', `${this.apiUrl}/projects/${project}/merge_requests`, {
+      method: 'POST',
+      headers: { 'PRIVATE-TOKEN': this.token },
+      body: {
+        source_branch: branch,
+        target_branch: baseBranch,
+        title,
+        description: body,
+        labels: labels.join(',')
+      }
+    });
+
+    return { url: mergeRequest.web_url, number: mergeRequest.iid };
+  }
+}
+
+export class NoopPRProvider {
+  constructor() {
+    this.name = 'none';
+    this.requiresPush = false;
+  }
+
+  async createPullRequest({ branch, baseBranch }) {
+    logger.info(`    Branch ${branch} is ready - push it and open a pull request against ${baseBranch}`);
+    return { url: null, number: null };
+  }
+}
+
+/**
+ * Create the provider named in reverseSync.pr.provider
+ * @param {Object} options - { provider, repository, apiUrl, token }
+ * @returns {Object} Provider with createPullRequest()
+ */
+export function createPRProvider(options = {}) {
+  const provider = options.provider || 'none';
+
+  switch (provider) {
+    case 'github':
+      return new GitHubPRProvider(options);
+    case 'gitlab':
+      return new GitLabPRProvider(options);
+    case 'none':
+      return new NoopPRProvider();
+    default:
+      throw new PullRequestError(`Unknown PR provider "${provider}" (expected ${PR_PROVIDERS.join(', ')})`);
+  }
+}
+
+export default {
+  PR_PROVIDERS,
+  PullRequestError,
+  GitHubPRProvider,
+  GitLabPRProvider,
+  NoopPRProvider,
+  createPRProvider
+};
@@ -0,0 +1,205 @@
+#!/usr/bin/env node
+
+/**
+ * Reverse Sync Pull Requests
+ *
+ * Instead of leaving reverse-synced edits in the working tree, the workflow:
+ * 1. Checks the spec files have no uncommitted changes (before the sync)
+ * 2. Creates a local branch from HEAD and commits the written files, with a
+ *    message summarizing applied, skipped and blocked changes
+ * 3. Switches back to the original branch, so the working tree is unchanged
+ * 4. Pushes the branch (for providers that need it) and hands off to the
+ *    PR provider (see pr-providers.js)
+ */
+
+import path from 'path';
+import { git, getRepoRoot, getCurrentBranch, detectDefaultBranch, getUncommittedChanges } from './git.js';
+import { loadMultiFileSpec } from './multi-file-spec.js';
+import { NoopPRProvider, PullRequestError } from './pr-providers.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger({ name: 'pull-request' });
+
+// Longest list of changes written per section
+const MAX_LISTED_CHANGES = 50;
+
+// Branch switching is serialized, as --all runs specs concurrently in one checkout
+let gitQueue = Promise.resolve();
+
+// ============================================================
+// Messages
+// ============================================================
+
+/**
+ * Branch name for a reverse sync, e.g. "reverse-sync/api-20240501-134502"
+ * @param {string} specPath - Spec file
+ * @param {string} prefix - Branch prefix
+ * @param {Date} date - Sync time
+ * @returns {string} Branch name
+ */
+export function createBranchName(specPath, prefix = 'reverse-sync', date = new Date()) {
+  const spec = path.basename(specPath, path.extname(specPath)).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  const stamp = date.toISOString().replace(/[-:]/g, '').replace('T', '-').substring(0, 15);
+  return `${prefix}/${spec || 'spec'}-${stamp}`;
+}
+
+function listChanges(changes, describe, markdown) {
+  const lines = changes.slice(0, MAX_LISTED_CHANGES).map(change =>
+    `- ${markdown ? `\`${change.path}\`` : change.path}${describe(change) ? `: ${describe(change)}` : ''}`);
+
+  if (changes.length > MAX_LISTED_CHANGES) {
+    lines.push(`- ... and ${changes.length - MAX_LISTED_CHANGES} more`);
+  }
+  return lines;
+}
+
+/**
+ * Title and body for the commit and pull request
+ * @param {Object} result - ReverseSync.reverseSync result
+ * @param {Object} context - { specPath, specTitle, collectionName, collectionUid }
+ * @param {Object} options - { markdown }: headings and code spans for a PR body
+ * @returns {Object} { title, body }
+ */
+export function formatPullRequest(result, context, options = {}) {
+  const markdown = options.markdown ?? false;
+  const applied = result.applied || [];
+  const skipped = result.skipped || [];
+  const blocked = result.changes?.blocked || [];
+
+  const title = `Reverse sync ${applied.length} change${applied.length === 1 ? '' : 's'} from Postman${context.specTitle ? ` into ${context.specTitle}` : ''}`;
+
+  const sections = [
+    ['Applied', applied, change => change.rule],
+    ['Skipped', skipped, change => change.reason],
+    ['Blocked', blocked, change => `${change.reason}${change.rule ? ` (${change.rule})` : ''}`]
+  ];
+
+  const lines = [
+    `Collection: ${context.collectionName ? `${context.collectionName} (${context.collectionUid})` : context.collectionUid}`,
+    `Spec: ${context.specPath}`
+  ];
+
+  for (const [heading, changes, describe] of sections) {
+    if (changes.length === 0) continue;
+    lines.push('', markdown ? `### ${heading} (${changes.length})` : `${heading} (${changes.length}):`);
+    if (markdown) lines.push('');
+    lines.push(...listChanges(changes, describe, markdown));
+  }
+
+  return { title, body: lines.join('\n') };
+}
+
+// ============================================================
+// PullRequestWorkflow
+// ============================================================
+
+export class PullRequestWorkflow {
+  /**
+   * @param {Object} options
+   * @param {Object} options.provider - PR provider (default: no-op)
+   * @param {string} options.remote - Remote to push to (default origin)
+   * @param {string} options.baseBranch - PR target (default: the current branch)
+   * @param {string} options.branchPrefix - Branch name prefix (default reverse-sync)
+   * @param {Array<string>} options.labels - PR labels (reverseSync.prLabels)
+   */
+  constructor(options = {}) {
+    this.provider = options.provider || new NoopPRProvider();
+    this.remote = options.remote || 'origin';
+    this.baseBranch = options.baseBranch || null;
+    this.branchPrefix = options.branchPrefix || 'reverse-sync';
+    this.labels = options.labels || [];
+  }
+
+  /**
+   * Check a spec can be synced onto a branch: it is in a git checkout and
+   * none of its files has uncommitted changes (they would be swept into the
+   * commit and then vanish from the working tree)
+   * @param {string} specPath - Root spec file
+   * @throws {PullRequestError} When the spec is not ready
+   */
+  assertReady(specPath) {
+    const dir = path.dirname(path.resolve(specPath));
+    if (!getRepoRoot(dir)) {
+      throw new PullRequestError(`${specPath} is not in a git checkout; use --no-pr to write the changes in place`);
+    }
+
+    const files = [...loadMultiFileSpec(specPath).files.values()].map(file => file.absolutePath);
+    const dirty = getUncommittedChanges(files, dir);
+    if (dirty.length > 0) {
+      throw new PullRequestError(`Spec files have uncommitted changes - commit or stash them first, or use --no-pr:\n  ${dirty.join('\n  ')}`);
+    }
+  }
+
+  /**
+   * Commit the written files on a new branch and open a pull request
+   * @param {Object} result - ReverseSync.reverseSync result with writtenFiles
+   * @param {Object} context - { specPath, specTitle, collectionName, collectionUid }
+   * @returns {Promise<Object|null>} { branch, commit, baseBranch, url, number }, or null
+   *   when the written files are unchanged (e.g. every conflict resolved spec-wins)
+   */
+  async open(result, context) {
+    const dir = path.dirname(path.resolve(context.specPath));
+    const files = (result.writtenFiles || []).filter(file => getUncommittedChanges([path.resolve(file)], dir).length > 0);
+
+    if (files.length === 0) {
+      logger.info('    No file changes to commit, skipping pull request');
+      return null;
+    }
+
+    const baseBranch = (this.baseBranch || getCurrentBranch(dir) || detectDefaultBranch(dir) || 'main').replace(/^origin\//, '');
+    const branch = createBranchName(context.specPath, this.branchPrefix);
+    const message = formatPullRequest(result, context);
+
+    const committed = gitQueue.then(() => this.commitToBranch(dir, branch, files, `${message.title}\n\n${message.body}`));
+    gitQueue = committed.catch(() => {});
+    const commit = await committed;
+    logger.info(`    Committed ${files.length} file(s) to branch ${branch} (${commit.substring(0, 8)})`);
+
+    if (this.provider.requiresPush) {
+      git(['push', '-q', this.remote, `${branch}:refs/heads/${branch}`], dir);
+      logger.info(`    Pushed ${branch} to ${this.remote}`);
+    }
+
+    const pr = formatPullRequest(result, context, { markdown: true });
+    const created = await this.provider.createPullRequest({
+      branch,
+      baseBranch,
+      title: pr.title,
+      body: pr.body,
+      labels: this.labels
+    });
+
+    if (created.url) {
+      logger.info(`    Pull request: ${created.url}`);
+    }
+
+    return { branch, commit, baseBranch, ...created };
+  }
+
+  /**
+   * Commit files on a new branch from HEAD, then switch back
+   * @returns {string} Commit SHA
+   */
+  commitToBranch(dir, branch, files, message) {
+    const original = getCurrentBranch(dir) || git(['rev-parse', 'HEAD'], dir).trim();
+
+    git(['checkout', '-q', '-b', branch], dir);
+    let commit = null;
+    try {
+      git(['add', '--', ...files.map(file => path.resolve(file))], dir);
+      git(['commit', '-q', '-m', message], dir);
+      commit = git(['rev-parse', 'HEAD'], dir).trim();
+    } finally {
+      git(['checkout', '-q', original], dir);
+      if (!commit) git(['branch', '-q', '-D', branch], dir);
+    }
+
+    return commit;
+  }
+}
+
+export default {
+  createBranchName,
+  formatPullRequest,
+  PullRequestWorkflow
+};
@@ -8,13 +8,17 @@
  * - Deterministic output (sorted keys)
  * - Volatile fields removed (_postman_id, timestamps)
  * - Secrets redacted in environments
- * - Manifest tracking for change detection
+ * - Manifest tracking for change detection (and the spec commit used as
+ *   the reverse sync merge base)
+ * - Templated export paths (filenamePattern), with files moved when the
+ *   pattern changes (the manifest records the pattern they were written with)
  */
 
 import fs from 'fs';
 import path from 'path';
 import crypto from 'crypto';
 import { createLogger } from './logger.js';
+import { getSpecCommit } from './baseline-provider.js';
 
 const logger = createLogger({ name: 'repo-sync' });
 
@@ -22,11 +26,77 @@ const DEFAULT_CONFIG = {
   collectionsDir: 'postman/collections',
   environmentsDir: 'postman/environments',
   manifestFile: 'postman/.sync-manifest.json',
+  collectionFilenamePattern: '{{slug}}-{{type}}.collection.json',
+  environmentFilenamePattern: '{{slug}}-{{server}}.environment.json',
   indent: 2,
   sortKeys: true,
   dryRun: false
 };
 
+// Tokens each filenamePattern may use
+const FILENAME_TOKENS = {
+  collection: ['slug', 'type', 'version'],
+  environment: ['slug', 'server', 'version']
+};
+
+/**
+ * Render an export path from a filenamePattern
+ *
+ * Empty tokens are dropped together with one adjacent separator, so
+ * "{{slug}}-{{type}}" gives "task-api" for the main collection (empty type).
+ * Patterns may contain "/" for nested directories; a directory level that
+ * renders empty (e.g. "{{version}}/" for a spec without info.version) is
+ * dropped. The ".collection.json" / ".environment.json" suffix is appended
+ * when the pattern omits it.
+ *
+ * @param {string} pattern - e.g. "{{version}}/{{slug}}-{{type}}.collection.json"
+ * @param {Object} tokens - Token values (already filesystem-safe)
+ * @param {string} entityType - 'collection' or 'environment'
+ * @returns {string} Relative path using "/" separators
+ * @throws {Error} On unknown tokens or paths that escape the export directory
+ */
+export function renderFilenamePattern(pattern, tokens, entityType) {
+  const allowed = FILENAME_TOKENS[entityType];
+
+  if (path.isAbsolute(pattern) || /^[A-Za-z]:/.test(pattern)) {
+    throw new Error(`${entityType} filenamePattern "${pattern}" must be relative to the ${entityType}s directory`);
+  }
+
+  let rendered = pattern.replace(/([-_.]?)\{\{\s*(\w+)\s*\}\}/g, (match, separator, token) => {
+    if (!allowed.includes(token)) {
+      throw new Error(`Unknown token {{${token}}} in ${entityType} filenamePattern "${pattern}". Use ${allowed.map(t => `{{${t}}}`).join(', ')}`);
+    }
+    return tokens[token] ? `${separator}${tokens[token]}` : '';
+  });
+
+  const suffix = `.${entityType}.json`;
+  if (!rendered.endsWith(suffix)) {
+    rendered += suffix;
+  }
+
+  const segments = rendered.split(/[\\/]/)
+    .map(segment => segment.replace(/^[-_]+/, ''))
+    .filter(Boolean);
+  if (segments.some(segment => segment === '.' || segment === '..') || segments[segments.length - 1] === suffix) {
+    throw new Error(`${entityType} filenamePattern "${pattern}" renders to an invalid path: ${rendered}`);
+  }
+
+  return segments.join('/');
+}
+
+// Variables whose values are redacted from exports
+const SECRET_KEY_PATTERN = /^(api[_-]?key|token|secret|password|auth|bearer|credential|private)/i;
+
+/**
+ * Whether an environment variable holds a secret (secret type or a
+ * credential-like key)
+ * @param {Object} variable - Environment value { key, value, type }
+ * @returns {boolean}
+ */
+export function isSecretVariable(variable) {
+  return variable?.type === 'secret' || SECRET_KEY_PATTERN.test(variable?.key || '');
+}
+
 export class RepoSync {
   constructor(client, config = {}) {
     this.client = client;
@@ -38,9 +108,11 @@ export class RepoSync {
    * @param {string} specName - Name of the spec (for filename generation)
    * @param {Array} collectionUids - Array of {uid, type} objects
    * @param {string} outputDir - Base output directory
+   * @param {Object} options - { version } for {{version}} in the filename pattern
    */
-  async exportCollections(specName, collectionUids, outputDir) {
+  async exportCollections(specName, collectionUids, outputDir, options = {}) {
     const collectionsDir = path.join(outputDir, this.config.collectionsDir);
+    const manifest = this.loadManifest(outputDir);
     
     if (!this.config.dryRun) {
       fs.mkdirSync(collectionsDir, { recursive: true });
@@ -53,8 +125,9 @@ export class RepoSync {
         const collection = await this.client.getCollection(uid);
         const normalized = this.normalizeCollection(collection.collection);
 
-        const filename = this.generateFilename(specName, type, 'collection');
+        const filename = this.generateFilename(specName, type, 'collection', options);
         const filepath = path.join(collectionsDir, filename);
+        this.moveExportedFile(collectionsDir, this.getPreviousFilename(manifest, 'collection', manifest.collections[uid]), filename);
 
         if (!this.config.dryRun) {
           this.writeJsonFile(filepath, normalized);
@@ -83,9 +156,11 @@ export class RepoSync {
    * @param {string} specName - Name of the spec
    * @param {Array} environmentUids - Array of {uid, name} objects
    * @param {string} outputDir - Base output directory
+   * @param {Object} options - { version } for {{version}} in the filename pattern
    */
-  async exportEnvironments(specName, environmentUids, outputDir) {
+  async exportEnvironments(specName, environmentUids, outputDir, options = {}) {
     const envsDir = path.join(outputDir, this.config.environmentsDir);
+    const manifest = this.loadManifest(outputDir);
     
     if (!this.config.dryRun) {
       fs.mkdirSync(envsDir, { recursive: true });
@@ -98,8 +173,9 @@ export class RepoSync {
         const envData = await this.client.getEnvironment(uid);
         const sanitized = this.sanitizeEnvironment(envData.environment);
 
-        const filename = `${this.slugify(name)}.environment.json`;
+        const filename = this.generateEnvironmentFilename(specName, name, options);
         const filepath = path.join(envsDir, filename);
+        this.moveExportedFile(envsDir, this.getPreviousFilename(manifest, 'environment', manifest.environments[uid]), filename);
 
         if (!this.config.dryRun) {
           this.writeJsonFile(filepath, sanitized);
@@ -157,11 +233,8 @@ export class RepoSync {
     delete sanitized.updatedAt;
     delete sanitized.isPublic;
 
-    // Secret value patterns to redact
-    const secretPatterns = /^(api[_-]?key|token|secret|password|auth|bearer|credential|private)/i;
-
     for (const variable of sanitized.values || []) {
-      if (variable.type === 'secret' || secretPatterns.test(variable.key)) {
+      if (isSecretVariable(variable)) {
         variable.value = '';
         variable._redacted = true;
       }
@@ -326,12 +399,105 @@ export class RepoSync {
   }
 
   /**
-   * Generate consistent filename
+   * Generate consistent collection filename from the collection filenamePattern
+   * @param {string} specName - Spec title
+   * @param {string} type - Collection type ({{type}} is empty for 'main')
+   * @param {string} entityType - 'collection'
+   * @param {Object} options - { version }
+   */
+  generateFilename(specName, type, entityType, options = {}) {
+    return renderFilenamePattern(this.config.collectionFilenamePattern, {
+      slug: this.slugify(specName),
+      type: type === 'main' ? '' : type,
+      version: this.sanitizeVersion(options.version)
+    }, entityType);
+  }
+
+  /**
+   * Generate environment filename from the environment filenamePattern
+   * {{server}} is the environment name without the leading spec title.
+   * @param {string} specName - Spec title
+   * @param {string} envName - Environment name, e.g. "Task API - Staging server"
+   * @param {Object} options - { version }
    */
-  generateFilename(specName, type, entityType) {
+  generateEnvironmentFilename(specName, envName, options = {}) {
     const slug = this.slugify(specName);
-    const typeSuffix = type === 'main' ? '' : `-${type}`;
-    return `${slug}${typeSuffix}.${entityType}.json`;
+    const envSlug = this.slugify(envName);
+    const server = envSlug.startsWith(`${slug}-`) ? envSlug.slice(slug.length + 1) : envSlug;
+
+    return renderFilenamePattern(this.config.environmentFilenamePattern, {
+      slug: envSlug === server ? '' : slug,
+      server,
+      version: this.sanitizeVersion(options.version)
+    }, 'environment');
+  }
+
+  /**
+   * Keep a version usable as a path segment (e.g. "1.2.0-beta")
+   */
+  sanitizeVersion(version) {
+    return version ? String(version).replace(/[^A-Za-z0-9._-]+/g, '-').replace(/^[-.]+|[-.]+$/g, '') : '';
+  }
+
+  /**
+   * Filename to move an export from, when the filenamePattern changed since
+   * the manifest entry was written. A new {{version}} with the same pattern
+   * is a new file, so older versions are kept.
+   * @param {Object} manifest - Sync manifest
+   * @param {string} entityType - 'collection' or 'environment'
+   * @param {Object} entry - Manifest entry for the collection or environment
+   * @returns {string|null} Previous filename
+   */
+  getPreviousFilename(manifest, entityType, entry) {
+    const key = `${entityType}FilenamePattern`;
+    // Manifests written before patterns were recorded used the default
+    const recorded = manifest.filenamePatterns?.[entityType] ?? DEFAULT_CONFIG[key];
+    return recorded === this.config[key] ? null : entry?.filename || null;
+  }
+
+  /**
+   * Move a file exported under a previous filename (pattern change) to its
+   * new path, so it is renamed rather than orphaned
+   * @param {string} baseDir - Collections or environments directory
+   * @param {string} previousFilename - Filename recorded in the manifest
+   * @param {string} filename - New filename
+   * @returns {boolean} Whether a file was (or would be) moved
+   */
+  moveExportedFile(baseDir, previousFilename, filename) {
+    if (!previousFilename || previousFilename === filename) return false;
+
+    const from = path.resolve(baseDir, previousFilename);
+    if (!from.startsWith(`${path.resolve(baseDir)}${path.sep}`)) {
+      logger.warn(`Not moving ${previousFilename}: the manifest path is outside ${baseDir}`);
+      return false;
+    }
+    if (!fs.existsSync(from)) return false;
+
+    if (this.config.dryRun) {
+      logger.info(`Would move: ${previousFilename} -> ${filename}`);
+      return true;
+    }
+
+    const to = path.join(baseDir, filename);
+    fs.mkdirSync(path.dirname(to), { recursive: true });
+    fs.renameSync(from, to);
+    this.removeEmptyDirs(path.dirname(from), baseDir);
+    logger.info(`Moved: ${previousFilename} -> ${filename}`);
+
+    return true;
+  }
+
+  /**
+   * Remove directories left empty by a move, up to (not including) baseDir
+   */
+  removeEmptyDirs(dir, baseDir) {
+    const base = path.resolve(baseDir);
+    let current = path.resolve(dir);
+
+    while (current.startsWith(`${base}${path.sep}`) && fs.readdirSync(current).length === 0) {
+      fs.rmdirSync(current);
+      current = path.dirname(current);
+    }
   }
 
   /**
@@ -393,8 +559,19 @@ export class RepoSync {
 
     manifest.lastSync = new Date().toISOString();
     manifest.specPath = syncResult.specPath;
+    // Commit of the exported spec, the merge base for the git baseline provider
+    manifest.specCommit = syncResult.specPath ? getSpecCommit(syncResult.specPath) : null;
     manifest.workspaceId = this.client.workspaceId;
 
+    // Patterns the exported files were written with, to detect pattern changes
+    manifest.filenamePatterns = { ...manifest.filenamePatterns };
+    if (syncResult.collections?.length > 0) {
+      manifest.filenamePatterns.collection = this.config.collectionFilenamePattern;
+    }
+    if (syncResult.environments?.length > 0) {
+      manifest.filenamePatterns.environment = this.config.environmentFilenamePattern;
+    }
+
     // Update collection entries
     for (const coll of syncResult.collections || []) {
       manifest.collections[coll.uid] = {
@@ -431,9 +608,12 @@ export class RepoSync {
    * Check for changes by comparing updatedAt timestamps
    * Detects new, modified, and deleted items
    * @param {string} outputDir - Directory containing manifest
+   * @param {object} options - { collectionNames }: only untracked collections
+   *   with these names are reported as new (default: all untracked collections)
    * @returns {object} Change detection results
    */
-  async detectChanges(outputDir) {
+  async detectChanges(outputDir, options = {}) {
+    const { collectionNames = null } = options;
     const manifest = this.loadManifest(outputDir);
     const changes = {
       collections: [],
@@ -454,6 +634,7 @@ export class RepoSync {
       const tracked = manifest.collections[coll.uid];
 
       if (!tracked) {
+        if (collectionNames && !collectionNames.has(coll.name)) continue;
         changes.collections.push({ uid: coll.uid, name: coll.name, change: 'new' });
         changes.hasChanges = true;
       } else if (tracked.updatedAt !== coll.updatedAt) {
@@ -566,10 +747,12 @@ export class RepoSync {
 
   /**
    * Get sync status summary
+   * @param {string} outputDir - Directory containing manifest
+   * @param {object} options - Passed to detectChanges
    */
-  async getStatus(outputDir) {
+  async getStatus(outputDir, options = {}) {
     const manifest = this.loadManifest(outputDir);
-    const changes = await this.detectChanges(outputDir);
+    const changes = await this.detectChanges(outputDir, options);
 
     return {
       lastSync: manifest.lastSync,
@@ -0,0 +1,328 @@
+#!/usr/bin/env node
+
+/**
+ * Run Reporters
+ *
+ * Turns CollectionRunner results into files for CI and humans:
+ * - junit: JUnit XML (one testsuite per request, one testcase per assertion)
+ * - json:  Results keyed by the stable method|path keys from generateTestKey
+ * - html:  Self-contained report grouped by OpenAPI tag
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { extractEndpoints } from './parser.js';
+import { generateTestKey } from './test-generator.js';
+
+/**
+ * Default export paths per reporter
+ */
+export const DEFAULT_REPORT_PATHS = {
+  junit: 'reports/junit.xml',
+  json: 'reports/results.json',
+  html: 'reports/report.html'
+};
+
+const MAX_BODY_LENGTH = 20000;
+
+/**
+ * Map stable endpoint keys to their OpenAPI tags
+ * @param {Object} api - Parsed OpenAPI spec
+ * @returns {Map<string, Array<string>>} Tags by method|path key
+ */
+export function getTagsByKey(api) {
+  const tagsByKey = new Map();
+
+  for (const endpoint of extractEndpoints(api)) {
+    tagsByKey.set(generateTestKey(endpoint.method, endpoint.path), endpoint.tags);
+  }
+
+  return tagsByKey;
+}
+
+/**
+ * Sum stats across collection runs
+ * @param {Array} runs - Results from CollectionRunner.runCollection
+ * @returns {Object} Totals
+ */
+export function summarizeRuns(runs) {
+  const totals = { collections: runs.length, requests: 0, failedRequests: 0, tests: 0, passed: 0, failed: 0 };
+
+  for (const run of runs) {
+    for (const field of ['requests', 'failedRequests', 'tests', 'passed', 'failed']) {
+      totals[field] += run.stats[field];
+    }
+  }
+
+  return totals;
+}
+
+/**
+ * Generate a JUnit XML report
+ * @param {Array} runs - Results from CollectionRunner.runCollection
+ * @returns {string} XML document
+ */
+export function generateJUnitReport(runs) {
+  const totals = summarizeRuns(runs);
+  const errors = runs.reduce((sum, run) => sum + run.requests.filter(request => request.error).length, 0);
+  const totalTime = runs.reduce((sum, run) => sum + run.duration, 0) / 1000;
+
+  const lines = [];
+  lines.push('<?xml version="1.0" encoding="UTF-8"?>');
+  lines.push(`<testsuites name="spec-sync run" tests="${totals.tests + errors}" failures="${totals.failed}" errors="${errors}" time="${totalTime.toFixed(3)}">`);
+
+  for (const run of runs) {
+    for (const request of run.requests) {
+      const suiteName = [run.name, ...request.folders, request.name].join(' / ');
+      const failures = request.tests.filter(test => !test.passed).length;
+      const time = ((request.responseTime || 0) / 1000).toFixed(3);
+
+      lines.push(`  <testsuite name="${escapeXml(suiteName)}" tests="${request.tests.length + (request.error ? 1 : 0)}" failures="${failures}" errors="${request.error ? 1 : 0}" time="${time}" timestamp="${run.startedAt}">`);
+
+      if (request.error) {
+        lines.push(`    <testcase name="${escapeXml(request.name)}" classname="${escapeXml(request.key)}" time="${time}">`);
+        lines.push(`      <error message="${escapeXml(request.error)}" type="RequestError"/>`);
+        lines.push('    </testcase>');
+      }
+
+      for (const test of request.tests) {
+        if (test.passed) {
+          lines.push(`    <testcase name="${escapeXml(test.name)}" classname="${escapeXml(request.key)}" time="0.000"/>`);
+          continue;
+        }
+
+        lines.push(`    <testcase name="${escapeXml(test.name)}" classname="${escapeXml(request.key)}" time="0.000">`);
+        lines.push(`      <failure message="${escapeXml(test.error)}" type="AssertionFailure">${escapeXml(formatFailureDetail(request, test))}</failure>`);
+        lines.push('    </testcase>');
+      }
+
+      lines.push('  </testsuite>');
+    }
+  }
+
+  lines.push('</testsuites>');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Generate a JSON report keyed by method|path
+ * @param {Array} runs - Results from CollectionRunner.runCollection
+ * @returns {Object} { summary, results }
+ */
+export function generateJsonReport(runs) {
+  const results = {};
+
+  for (const run of runs) {
+    for (const request of run.requests) {
+      results[request.key] = results[request.key] || [];
+      results[request.key].push({
+        collection: run.name,
+        name: request.name,
+        folders: request.folders,
+        method: request.method,
+        url: request.url,
+        code: request.code,
+        status: request.status,
+        responseTime: request.responseTime,
+        responseTimeThreshold: run.responseTimeThreshold,
+        passed: !request.error && request.tests.every(test => test.passed),
+        error: request.error,
+        tests: request.tests,
+        responseBody: request.responseBody
+      });
+    }
+  }
+
+  return {
+    summary: {
+      ...summarizeRuns(runs),
+      startedAt: runs[0]?.startedAt || null
+    },
+    results
+  };
+}
+
+/**
+ * Generate a self-contained HTML report grouped by OpenAPI tag
+ * @param {Array} runs - Results from CollectionRunner.runCollection
+ * @param {Object} options - { tagsByKey } from getTagsByKey (falls back to top-level folder)
+ * @returns {string} HTML document
+ */
+export function generateHtmlReport(runs, options = {}) {
+  const tagsByKey = options.tagsByKey || new Map();
+  const totals = summarizeRuns(runs);
+  const groups = new Map();
+
+  for (const run of runs) {
+    for (const request of run.requests) {
+      const tag = tagsByKey.get(request.key)?.[0] || request.folders[0] || 'Untagged';
+      if (!groups.has(tag)) groups.set(tag, []);
+      groups.get(tag).push({ run, request });
+    }
+  }
+
+  const sections = [...groups.entries()].map(([tag, entries]) => {
+    const failed = entries.filter(({ request }) => isFailed(request)).length;
+    const rows = entries.map(({ run, request }) => renderRequest(run, request)).join('\n');
+    return `<section>
+  <h2>${escapeHtml(tag)} <span class="count">${entries.length - failed}/${entries.length} passed</span></h2>
+${rows}
+</section>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Contract Test Report</title>
+<style>
+  body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2rem; color: #1f2328; }
+  h1 { margin-bottom: 0.25rem; }
+  .summary { display: flex; gap: 1.5rem; margin: 1rem 0 2rem; }
+  .summary div { padding: 0.5rem 1rem; border-radius: 6px; background: #f6f8fa; }
+  h2 .count { font-size: 0.9rem; font-weight: normal; color: #59636e; }
+  details { border: 1px solid #d1d9e0; border-radius: 6px; margin: 0.5rem 0; padding: 0.5rem 0.75rem; }
+  details.fail { border-color: #cf222e; }
+  summary { cursor: pointer; }
+  .badge { display: inline-block; min-width: 3rem; text-align: center; border-radius: 4px; color: #fff; font-size: 0.8rem; padding: 0 0.25rem; }
+  .pass .badge { background: #1a7f37; }
+  .fail .badge { background: #cf222e; }
+  .method { font-weight: bold; margin: 0 0.5rem; }
+  .key, .meta { color: #59636e; font-size: 0.85rem; margin-left: 0.5rem; }
+  .slow { color: #cf222e; font-weight: bold; }
+  ul { list-style: none; padding-left: 1rem; }
+  li.passed::before { content: "\\2713 "; color: #1a7f37; }
+  li.failed::before { content: "\\2717 "; color: #cf222e; }
+  .error { color: #cf222e; }
+  pre { background: #f6f8fa; padding: 0.75rem; overflow: auto; max-height: 24rem; }
+</style>
+</head>
+<body>
+<h1>Contract Test Report</h1>
+<p class="meta">${escapeHtml(runs.map(run => run.name).join(', '))} &middot; ${escapeHtml(runs[0]?.startedAt || '')}</p>
+<div class="summary">
+  <div>Requests: <strong>${totals.requests}</strong> (${totals.failedRequests} failed)</div>
+  <div>Assertions: <strong>${totals.passed}/${totals.tests}</strong> passed</div>
+</div>
+${sections}
+</body>
+</html>
+`;
+}
+
+/**
+ * Write a report of the given type to disk
+ * @param {string} type - 'junit', 'json' or 'html'
+ * @param {Array} runs - Results from CollectionRunner.runCollection
+ * @param {string} filePath - Destination path
+ * @param {Object} options - Reporter options (tagsByKey for html)
+ */
+export function writeReport(type, runs, filePath, options = {}) {
+  let content;
+  switch (type) {
+    case 'junit':
+      content = generateJUnitReport(runs);
+      break;
+    case 'json':
+      content = JSON.stringify(generateJsonReport(runs), null, 2) + '\n';
+      break;
+    case 'html':
+      content = generateHtmlReport(runs, options);
+      break;
+    default:
+      throw new Error(`Unknown reporter: ${type}. Use 'cli', 'junit', 'json', or 'html'.`);
+  }
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+}
+
+/**
+ * Render one request as a collapsible block (failures start expanded)
+ */
+function renderRequest(run, request) {
+  const failed = isFailed(request);
+  const slow = request.responseTime !== null && request.responseTime > run.responseTimeThreshold;
+  const timing = request.responseTime === null
+    ? ''
+    : `<span class="meta${slow ? ' slow' : ''}">${request.responseTime} ms / ${run.responseTimeThreshold} ms</span>`;
+  const outcome = request.error
+    ? `<span class="meta error">${escapeHtml(request.error)}</span>`
+    : `<span class="meta">${request.code} ${escapeHtml(request.status || '')}</span>`;
+
+  const assertions = request.tests.map(test => test.passed
+    ? `    <li class="passed">${escapeHtml(test.name)}</li>`
+    : `    <li class="failed">${escapeHtml(test.name)} <span class="error">${escapeHtml(test.error || '')}</span></li>`
+  ).join('\n');
+
+  const body = request.responseBody !== null && request.responseBody !== undefined
+    ? `\n  <pre>${escapeHtml(formatBody(request.responseBody))}</pre>`
+    : '';
+
+  return `<details class="${failed ? 'fail' : 'pass'}"${failed ? ' open' : ''}>
+  <summary><span class="badge">${failed ? 'FAIL' : 'PASS'}</span><span class="method">${request.method}</span>${escapeHtml(request.name)}<span class="key">${escapeHtml(request.key)}</span>${outcome}${timing}</summary>
+  <ul>
+${assertions}
+  </ul>${body}
+</details>`;
+}
+
+function isFailed(request) {
+  return Boolean(request.error) || request.tests.some(test => !test.passed);
+}
+
+/**
+ * Pretty-print JSON bodies and cap their length
+ */
+function formatBody(body) {
+  let formatted = body;
+  try {
+    formatted = JSON.stringify(JSON.parse(body), null, 2);
+  } catch {
+    // Not JSON, show as-is
+  }
+
+  return formatted.length > MAX_BODY_LENGTH
+    ? `${formatted.slice(0, MAX_BODY_LENGTH)}\n... (${formatted.length - MAX_BODY_LENGTH} more characters)`
+    : formatted;
+}
+
+/**
+ * Failure detail for JUnit: request line, status and (truncated) body
+ */
+function formatFailureDetail(request, test) {
+  const lines = [`${request.method} ${request.url}`, `Status: ${request.code} ${request.status || ''}`.trim(), test.error];
+  if (request.responseBody) {
+    lines.push('', formatBody(request.responseBody));
+  }
+  return lines.join('\n');
+}
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+export default {
+  DEFAULT_REPORT_PATHS,
+  getTagsByKey,
+  summarizeRuns,
+  generateJUnitReport,
+  generateJsonReport,
+  generateHtmlReport,
+  writeReport
+};
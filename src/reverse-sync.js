@@ -9,12 +9,18 @@
  * 3. Detect and classify changes
  * 4. Apply allowed changes back to spec
  * 5. Store tests as vendor extensions
+ *
+ * Specs split across files by relative $refs are diffed as one document, and
+ * each edit is written to the file that defines it (see multi-file-spec.js).
  */
 
 import fs from 'fs';
 import path from 'path';
 import { ChangeDetector, CHANGE_DIRECTION } from './change-detector.js';
 import { SpecMerge } from './spec-merge.js';
+import { loadMultiFileSpec, locateSource, splitSpec } from './multi-file-spec.js';
+import { ConflictResolver, loadDecisions, saveDecisions } from './conflict-resolver.js';
+import { createBaselineProvider } from './baseline-provider.js';
 import { createLogger } from './logger.js';
 
 const logger = createLogger({ name: 'reverse-sync' });
@@ -27,18 +33,30 @@ export class ReverseSync {
       autoMergeDescriptions: config.autoMergeDescriptions ?? true,
       autoMergeExamples: config.autoMergeExamples ?? true,
       storeTestsAsExtension: config.storeTestsAsExtension ?? true,
+      baseline: config.baseline || 'auto',
       baselineDir: config.baselineDir || '.sync-baselines',
       ...config
     };
-    this.changeDetector = new ChangeDetector();
+    this.changeDetector = new ChangeDetector({
+      allowedFields: this.config.allowedFields,
+      blockedFields: this.config.blockedFields,
+      requireApprovalFor: this.config.requireApprovalFor
+    });
     this.specMerge = new SpecMerge(this.config);
+    this.baselineProvider = config.baselineProvider || createBaselineProvider({
+      provider: this.config.baseline,
+      baselineDir: this.config.baselineDir,
+      manifestPath: this.config.manifestPath,
+      defaultBranch: this.config.defaultBranch
+    });
   }
 
   /**
    * Main entry: Analyze and optionally apply reverse sync
    * @param {string} specPath - Path to local OpenAPI spec
    * @param {string} collectionUid - Collection UID to sync from
-   * @param {object} options - Options (dryRun, outputPath)
+   * @param {object} options - Options (dryRun, outputPath, recordDecisions,
+   *   replayDecisions: decisions files for the interactive strategy)
    */
   async reverseSync(specPath, collectionUid, options = {}) {
     logger.info('\nReverse Sync: Postman -> OpenAPI Spec');
@@ -46,8 +64,13 @@ export class ReverseSync {
 
     // Step 1: Load local spec
     logger.info('\n[1] Loading local spec...');
-    const localSpec = this.specMerge.readSpec(specPath);
+    const specFiles = loadMultiFileSpec(specPath);
+    const localSpec = specFiles.spec;
+    const multiFile = specFiles.files.size > 1;
     logger.info(`    Loaded: ${localSpec.info?.title} v${localSpec.info?.version}`);
+    if (multiFile) {
+      logger.info(`    Files: ${specFiles.files.size} (joined by $ref)`);
+    }
 
     // Step 2: Get Postman collection
     logger.info('\n[2] Fetching collection from Postman...');
@@ -80,6 +103,10 @@ export class ReverseSync {
       changes = this.extractChangesFromCollection(baseSpec, localSpec, collection.collection);
     }
 
+    if (multiFile) {
+      this.annotateSources(changes, specFiles);
+    }
+
     this.printChangeSummary(changes);
 
     // Step 6: Return analysis if dry-run
@@ -97,15 +124,18 @@ export class ReverseSync {
     if (changes.blocked.length > 0) {
       logger.info('\n    Blocked changes detected (structural changes cannot reverse-sync):');
       for (const blocked of changes.blocked.slice(0, 5)) {
-        logger.info(`      - ${blocked.path}: ${blocked.reason}`);
+        logger.info(`      - ${blocked.path}: ${blocked.reason} (${blocked.rule})`);
       }
       if (changes.blocked.length > 5) {
         logger.info(`      ... and ${changes.blocked.length - 5} more`);
       }
     }
 
-    // Step 8: Apply safe changes
-    if (changes.safeToSync.length === 0 && changes.tests.length === 0) {
+    // Step 8: Resolve changes that need review (prompts with the interactive strategy)
+    const reviewed = await this.resolveConflicts(changes.needsReview, baseSpec, localSpec, options);
+
+    // Step 9: Apply safe and reviewed changes
+    if (changes.safeToSync.length === 0 && reviewed.length === 0 && changes.tests.length === 0) {
       logger.info('\n    No changes to apply');
       return { status: 'no-changes', changes };
     }
@@ -114,10 +144,10 @@ export class ReverseSync {
     const mergeResult = this.specMerge.mergeSpecs(
       localSpec,
       remoteSpec || localSpec,
-      changes.safeToSync
+      [...changes.safeToSync, ...reviewed]
     );
 
-    // Step 9: Store tests as vendor extension if configured
+    // Step 10: Store tests as vendor extension if configured
     if (this.config.storeTestsAsExtension && collection.collection) {
       const testsApplied = this.applyTestsAsExtensions(
         mergeResult.spec,
@@ -128,32 +158,127 @@ export class ReverseSync {
       }
     }
 
-    // Step 10: Write updated spec
+    // Step 11: Write updated spec
     const outputPath = options.outputPath || specPath;
 
-    // Backup original if modifying in place
-    if (outputPath === specPath && !options.noBackup) {
-      const backupPath = this.specMerge.backupSpec(specPath);
-      logger.info(`    Backup created: ${backupPath}`);
-    }
+    let writtenFiles;
+    if (multiFile) {
+      writtenFiles = this.writeSpecFiles(mergeResult.spec, specFiles, outputPath, {
+        backup: outputPath === specPath && !options.noBackup
+      });
+      logger.info(`\n    Updated: ${writtenFiles.length > 0 ? writtenFiles.join(', ') : 'no files'}`);
+    } else {
+      // Backup original if modifying in place
+      if (outputPath === specPath && !options.noBackup) {
+        const backupPath = this.specMerge.backupSpec(specPath);
+        logger.info(`    Backup created: ${backupPath}`);
+      }
 
-    this.specMerge.writeSpec(mergeResult.spec, outputPath);
-    logger.info(`\n    Updated: ${outputPath}`);
+      this.specMerge.writeSpec(mergeResult.spec, outputPath, { sourcePath: specPath });
+      writtenFiles = [outputPath];
+      logger.info(`\n    Updated: ${outputPath}`);
+    }
     logger.info(`    Applied: ${mergeResult.applied.length} changes`);
     logger.info(`    Skipped: ${mergeResult.skipped.length} changes`);
 
-    // Step 11: Save new baseline for future 3-way merges
+    // Step 12: Save new baseline for future 3-way merges (file provider)
     await this.saveBaseline(specPath, mergeResult.spec);
 
     return {
       status: 'synced',
+      specTitle: localSpec.info?.title,
+      collectionName: collection.collection?.info?.name,
       changes,
       applied: mergeResult.applied,
       skipped: mergeResult.skipped,
-      outputPath
+      outputPath,
+      writtenFiles
     };
   }
 
+  /**
+   * Resolve needsReview changes for the interactive strategy
+   * Other strategies return the changes as-is and SpecMerge applies the strategy.
+   * @param {Array} changes - needsReview changes
+   * @param {object} baseSpec - Baseline spec
+   * @param {object} localSpec - Current repo spec
+   * @param {object} options - { recordDecisions, replayDecisions }
+   * @returns {Promise<Array>} Changes with resolutions
+   */
+  async resolveConflicts(changes, baseSpec, localSpec, options = {}) {
+    if (changes.length === 0 || this.config.conflictStrategy !== 'interactive') {
+      return changes;
+    }
+
+    const resolver = new ConflictResolver({
+      decisions: options.replayDecisions ? loadDecisions(options.replayDecisions) : []
+    });
+
+    if (!resolver.interactive && !options.replayDecisions) {
+      throw new Error('Interactive conflict resolution needs a terminal. Record decisions locally with --record-decisions <file> and replay them in CI with --replay-decisions <file>');
+    }
+
+    logger.info(`\n    Resolving ${changes.length} change(s) that need review...`);
+    const resolved = await resolver.resolve(changes, { baseSpec, localSpec });
+
+    const unresolved = resolved.filter(change => !change.resolution);
+    if (unresolved.length > 0) {
+      logger.warn(`    ${unresolved.length} change(s) have no recorded decision and will be skipped:`);
+      for (const change of unresolved) {
+        logger.warn(`      - ${change.path}`);
+      }
+    }
+
+    if (options.recordDecisions) {
+      saveDecisions(options.recordDecisions, resolver.getRecordedDecisions());
+      logger.info(`    Decisions recorded: ${options.recordDecisions}`);
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Record the file and location that define each change (multi-file specs)
+   * e.g. paths./tasks.get.summary -> { file: 'paths/tasks.yaml', path: 'get.summary' }
+   */
+  annotateSources(changes, specFiles) {
+    for (const change of Object.values(changes).flat()) {
+      const source = locateSource(specFiles, this.specMerge.parsePath(change.path));
+      change.source = { file: source.file, path: source.path.join('.') };
+    }
+  }
+
+  /**
+   * Write a merged multi-file spec back to the files it came from
+   * The root file goes to outputPath; referenced files keep their paths
+   * relative to it. Only files with changes are written.
+   * @param {object} spec - Merged spec with external refs inlined
+   * @param {object} specFiles - loadMultiFileSpec result for the local spec
+   * @param {string} outputPath - Root file output path
+   * @param {object} options - { backup }: back up files before overwriting
+   * @returns {Array<string>} Written file paths
+   */
+  writeSpecFiles(spec, specFiles, outputPath, options = {}) {
+    const outputDir = path.dirname(outputPath);
+    const written = [];
+
+    for (const [file, document] of splitSpec(spec, specFiles)) {
+      const source = specFiles.files.get(file);
+      const target = file === specFiles.rootFile ? outputPath : path.join(outputDir, file);
+
+      if (options.backup) {
+        const backupPath = this.specMerge.backupSpec(source.absolutePath);
+        logger.info(`    Backup created: ${backupPath}`);
+      }
+
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      this.specMerge.writeSpec(document, target, { sourcePath: source.absolutePath });
+      written.push(target);
+    }
+
+    return written;
+  }
+
   /**
    * Print change summary
    */
@@ -167,47 +292,30 @@ export class ReverseSync {
     if (summary.hasConflicts) {
       logger.info('      (!) Conflicts detected');
     }
-  }
 
-  /**
-   * Load baseline spec for 3-way merge
-   */
-  async loadBaseline(specPath) {
-    const baselinePath = this.getBaselinePath(specPath);
-
-    if (fs.existsSync(baselinePath)) {
-      try {
-        const content = fs.readFileSync(baselinePath, 'utf8');
-        return JSON.parse(content);
-      } catch (error) {
-        logger.info(`    Could not load baseline: ${error.message}`);
+    const rules = Object.entries(summary.byRule).sort((a, b) => b[1] - a[1]);
+    if (rules.length > 0) {
+      logger.info('    Classified by:');
+      for (const [rule, count] of rules) {
+        logger.info(`      ${count} x ${rule}`);
       }
     }
-
-    return null;
   }
 
   /**
-   * Save baseline spec after successful sync
+   * Load baseline spec for 3-way merge
    */
-  async saveBaseline(specPath, spec) {
-    const baselinePath = this.getBaselinePath(specPath);
-    const baselineDir = path.dirname(baselinePath);
-
-    fs.mkdirSync(baselineDir, { recursive: true });
-    fs.writeFileSync(baselinePath, JSON.stringify(spec, null, 2));
+  async loadBaseline(specPath) {
+    const baseline = await this.baselineProvider.load(specPath);
+    logger.info(`    Baseline: ${baseline ? baseline.source : 'none (changes are compared with the local spec)'}`);
+    return baseline?.spec || null;
   }
 
   /**
-   * Get baseline file path for a spec
+   * Save baseline spec after successful sync (a no-op for the git provider)
    */
-  getBaselinePath(specPath) {
-    const specName = path.basename(specPath, path.extname(specPath));
-    return path.join(
-      path.dirname(specPath),
-      this.config.baselineDir,
-      `${specName}.baseline.json`
-    );
+  async saveBaseline(specPath, spec) {
+    return this.baselineProvider.save(specPath, spec);
   }
 
   /**
@@ -252,14 +360,26 @@ export class ReverseSync {
         }
 
         if (item.description) {
-          changes.safeToSync.push({
-            path: `paths.${urlPath}.${method}.description`,
+          const descriptionPath = `paths.${urlPath}.${method}.description`;
+          const classification = this.changeDetector.classifyChange(descriptionPath);
+          const change = {
+            path: descriptionPath,
             kind: 'E',
             newValue: item.description,
-            direction: CHANGE_DIRECTION.BIDIRECTIONAL,
-            reason: 'Request description',
-            hasConflict: false
-          });
+            direction: classification.direction,
+            reason: classification.reason,
+            rule: classification.rule,
+            hasConflict: false,
+            requiresApproval: classification.requiresApproval || false
+          };
+
+          if (classification.direction !== CHANGE_DIRECTION.BIDIRECTIONAL) {
+            changes.blocked.push(change);
+          } else if (change.requiresApproval) {
+            changes.needsReview.push(change);
+          } else {
+            changes.safeToSync.push(change);
+          }
         }
 
         // Extract test scripts
@@ -272,6 +392,7 @@ export class ReverseSync {
               newValue: testEvents,
               direction: CHANGE_DIRECTION.COLLECTION_ONLY,
               reason: 'Test scripts',
+              rule: 'built-in: test or script content',
               hasConflict: false
             });
           }
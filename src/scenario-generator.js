@@ -0,0 +1,341 @@
+#!/usr/bin/env node
+
+/**
+ * Scenario Generator
+ *
+ * Builds multi-step workflow scenarios from an OpenAPI spec:
+ * - OpenAPI `links` chain operations, passing values via runtime expressions
+ * - CRUD inference groups POST /items -> GET/PUT/PATCH /items/{id}
+ *   -> actions on /items/{id}/... -> DELETE /items/{id}
+ *
+ * Each step captures values from its response into collection variables so
+ * later steps address the resource that was actually created. Scenarios that
+ * create a resource end by deleting it when the spec documents a DELETE.
+ */
+
+import { extractEndpoints, getResponseSchema } from './parser.js';
+import { generateTestKey } from './test-generator.js';
+
+/**
+ * First line of every scenario step script, used to recognize generated items
+ */
+export const SCENARIO_SCRIPT_MARKER = '// Scenario step:';
+
+/**
+ * Prefix for captured collection variables. Environments define example
+ * values for path parameters and would otherwise shadow captured ones.
+ */
+const VARIABLE_PREFIX = 'scenario_';
+
+/**
+ * Generate scenarios for a spec, link-based first, then inferred CRUD flows
+ * @param {Object} api - Parsed OpenAPI spec
+ * @returns {Array} Scenarios: { name, steps: [{ key, name, captures, parameters, cleanup, script }] }
+ */
+export function generateScenariosForSpec(api) {
+  const endpoints = extractEndpoints(api);
+  const scenarios = [
+    ...buildLinkScenarios(endpoints),
+    ...buildCrudScenarios(endpoints)
+  ];
+
+  for (const scenario of scenarios) {
+    for (const step of scenario.steps) {
+      step.script = generateStepScript(step);
+    }
+  }
+
+  return scenarios;
+}
+
+/**
+ * Build one scenario per operation whose responses declare links
+ * Linked operations are followed transitively in declaration order.
+ * @param {Array} endpoints - Endpoints from extractEndpoints
+ * @returns {Array} Scenarios
+ */
+function buildLinkScenarios(endpoints) {
+  const byOperationId = new Map(endpoints.filter(e => e.raw.operationId).map(e => [e.raw.operationId, e]));
+  const linkTargets = new Set();
+
+  for (const endpoint of endpoints) {
+    for (const link of getLinks(endpoint)) {
+      const target = resolveLinkTarget(link, byOperationId, endpoints);
+      if (target) linkTargets.add(target);
+    }
+  }
+
+  const scenarios = [];
+
+  // Start from operations that are not themselves reached by a link
+  for (const endpoint of endpoints) {
+    if (getLinks(endpoint).length === 0 || linkTargets.has(endpoint)) continue;
+
+    const steps = [];
+    const visited = new Set();
+    const queue = [{ endpoint, parameters: {} }];
+
+    while (queue.length > 0) {
+      const { endpoint: current, parameters } = queue.shift();
+      if (visited.has(current)) continue;
+      visited.add(current);
+
+      const step = createStep(current, parameters);
+      steps.push(step);
+
+      for (const link of getLinks(current)) {
+        const target = resolveLinkTarget(link, byOperationId, endpoints);
+        if (!target || visited.has(target)) continue;
+
+        const targetParameters = {};
+        for (const [rawName, expression] of Object.entries(link.parameters || {})) {
+          const name = rawName.replace(/^(path|query|header|cookie)\./, '');
+          const variable = addCapture(step, name, expression, parameters);
+          if (variable) targetParameters[name] = variable;
+        }
+        queue.push({ endpoint: target, parameters: targetParameters });
+      }
+    }
+
+    const cleanup = findCleanupStep(endpoint, endpoints, steps);
+    if (cleanup) steps.push(cleanup);
+
+    scenarios.push({ name: `Links from ${endpoint.raw.operationId || endpoint.name}`, steps });
+  }
+
+  return scenarios;
+}
+
+/**
+ * Build a lifecycle scenario for each collection path with a POST and an item path
+ * @param {Array} endpoints - Endpoints from extractEndpoints
+ * @returns {Array} Scenarios
+ */
+function buildCrudScenarios(endpoints) {
+  const scenarios = [];
+
+  for (const create of endpoints) {
+    if (create.method !== 'POST' || /\{[^}]+\}$/.test(create.path)) continue;
+
+    // Operations with links already start a link scenario
+    if (getLinks(create).length > 0) continue;
+
+    const itemGroup = findItemPath(create.path, endpoints);
+    if (!itemGroup) continue;
+
+    const { itemPath, param } = itemGroup;
+    const onItem = method => endpoints.find(e => e.path === itemPath && e.method === method);
+
+    const first = createStep(create, {});
+    const variable = addCapture(first, param, `$response.body#/${getIdentifierField(create, param)}`, {});
+    const parameters = { [param]: variable };
+
+    const steps = [first];
+    for (const method of ['GET', 'PUT', 'PATCH']) {
+      const endpoint = onItem(method);
+      if (endpoint) steps.push(createStep(endpoint, parameters));
+    }
+
+    // Actions on the item (e.g. POST /tasks/{taskId}/complete) need no other ids
+    for (const endpoint of endpoints) {
+      const subPath = endpoint.path.startsWith(`${itemPath}/`) ? endpoint.path.slice(itemPath.length) : null;
+      if (subPath && !subPath.includes('{')) {
+        steps.push(createStep(endpoint, parameters));
+      }
+    }
+
+    const remove = onItem('DELETE');
+    if (remove) {
+      steps.push({ ...createStep(remove, parameters), cleanup: true });
+    }
+
+    const resource = create.path.split('/').filter(Boolean).pop();
+    scenarios.push({ name: `${resource} lifecycle`, steps });
+  }
+
+  return scenarios;
+}
+
+/**
+ * Find the item path (`/tasks/{taskId}`) belonging to a collection path (`/tasks`)
+ * @returns {{itemPath: string, param: string}|null}
+ */
+function findItemPath(collectionPath, endpoints) {
+  for (const endpoint of endpoints) {
+    const match = endpoint.path.match(/^(.*)\/\{([^}]+)\}$/);
+    if (match && match[1] === collectionPath) {
+      return { itemPath: endpoint.path, param: match[2] };
+    }
+  }
+  return null;
+}
+
+/**
+ * Pick the response body field holding the created resource's identifier
+ * Prefers a field named like the path parameter, then `id`.
+ */
+function getIdentifierField(create, param) {
+  const successCode = Object.keys(create.responses).find(code => code.startsWith('2'));
+  const properties = getResponseSchema(create.responses, successCode)?.schema?.properties || {};
+
+  if (properties[param]) return param;
+  return 'id';
+}
+
+/**
+ * Find the DELETE that removes what a scenario's first step created
+ * @returns {Object|null} Cleanup step or null
+ */
+function findCleanupStep(source, endpoints, steps) {
+  if (source.method !== 'POST') return null;
+
+  const itemGroup = findItemPath(source.path, endpoints);
+  if (!itemGroup) return null;
+
+  const remove = endpoints.find(e => e.path === itemGroup.itemPath && e.method === 'DELETE');
+  if (!remove || steps.some(step => step.key === generateTestKey(remove.method, remove.path))) return null;
+
+  const [first] = steps;
+  const variable = first.captures.find(capture => capture.parameter === itemGroup.param)?.variable ||
+    addCapture(first, itemGroup.param, `$response.body#/${getIdentifierField(source, itemGroup.param)}`, {});
+
+  return { ...createStep(remove, { [itemGroup.param]: variable }), cleanup: true };
+}
+
+/**
+ * Get the links declared on an endpoint's success responses
+ */
+function getLinks(endpoint) {
+  return Object.entries(endpoint.responses || {})
+    .filter(([code]) => code.startsWith('2'))
+    .flatMap(([, response]) => Object.values(response?.links || {}));
+}
+
+/**
+ * Resolve a link's target operation by operationId or local operationRef
+ * @returns {Object|null} Target endpoint
+ */
+function resolveLinkTarget(link, byOperationId, endpoints) {
+  if (link.operationId) {
+    return byOperationId.get(link.operationId) || null;
+  }
+
+  // Local refs only: #/paths/~1tasks~1{taskId}/get
+  const match = (link.operationRef || '').match(/^#\/paths\/([^/]+)\/([a-z]+)$/);
+  if (!match) return null;
+
+  const path = match[1].replace(/~1/g, '/').replace(/~0/g, '~');
+  return endpoints.find(e => e.path === path && e.method === match[2].toUpperCase()) || null;
+}
+
+/**
+ * Register a capture on a step for a runtime expression
+ * @param {Object} step - Step producing the value
+ * @param {string} parameter - Parameter the value feeds
+ * @param {*} expression - Runtime expression or constant
+ * @param {Object} stepParameters - Variables already bound for this step
+ * @returns {string|null} Collection variable holding the value
+ */
+function addCapture(step, parameter, expression, stepParameters) {
+  const variable = `${VARIABLE_PREFIX}${parameter}`;
+
+  if (typeof expression !== 'string' || !expression.startsWith('$')) {
+    step.captures.push({ parameter, variable, value: expression });
+    return variable;
+  }
+
+  const bodyMatch = expression.match(/^\$response\.body#(\/.*)?$/);
+  if (bodyMatch) {
+    step.captures.push({ parameter, variable, pointer: bodyMatch[1] || '' });
+    return variable;
+  }
+
+  const headerMatch = expression.match(/^\$response\.header\.(.+)$/);
+  if (headerMatch) {
+    step.captures.push({ parameter, variable, header: headerMatch[1] });
+    return variable;
+  }
+
+  // Same value the step was called with
+  const requestMatch = expression.match(/^\$request\.path\.(.+)$/);
+  if (requestMatch) {
+    return stepParameters[requestMatch[1]] || null;
+  }
+
+  return null;
+}
+
+/**
+ * Create a scenario step for an endpoint
+ * @param {Object} endpoint - Endpoint object from parser
+ * @param {Object} parameters - Map of parameter name to collection variable
+ * @returns {Object} Step
+ */
+function createStep(endpoint, parameters) {
+  return {
+    key: generateTestKey(endpoint.method, endpoint.path),
+    name: endpoint.name,
+    method: endpoint.method,
+    path: endpoint.path,
+    successCodes: Object.keys(endpoint.responses || {}).filter(code => code.startsWith('2')),
+    parameters: { ...parameters },
+    captures: [],
+    cleanup: false
+  };
+}
+
+/**
+ * Generate the test script for a scenario step
+ * @param {Object} step - Scenario step
+ * @returns {Array} Test script lines
+ */
+function generateStepScript(step) {
+  const tests = [];
+
+  tests.push(`${SCENARIO_SCRIPT_MARKER} ${step.method} ${step.path}`);
+  tests.push(step.cleanup
+    ? `// Cleanup - removes the resource created earlier in this scenario`
+    : `// Runs in scenario order; captured values feed later steps`);
+  tests.push('');
+
+  if (step.successCodes.length > 0) {
+    tests.push(`pm.test(${JSON.stringify(`${step.name} succeeded`)}, function () {`);
+    if (step.successCodes.some(code => !/^\d+$/.test(code))) {
+      tests.push(`    pm.expect(pm.response.code).to.be.within(200, 299);`);
+    } else {
+      tests.push(`    pm.expect(pm.response.code).to.be.oneOf([${step.successCodes.join(', ')}]);`);
+    }
+    tests.push(`});`);
+  }
+
+  for (const capture of step.captures) {
+    tests.push('');
+    tests.push(`pm.test(${JSON.stringify(`Captured ${capture.parameter}`)}, function () {`);
+    if ('value' in capture) {
+      tests.push(`    const value = ${JSON.stringify(capture.value)};`);
+    } else if (capture.header) {
+      tests.push(`    const value = pm.response.headers.get(${JSON.stringify(capture.header)});`);
+    } else {
+      tests.push(`    const value = ${JSON.stringify(capture.pointer)}.split("/").slice(1).reduce(function (node, token) {`);
+      tests.push(`        return node === undefined || node === null ? undefined : node[token.replace(/~1/g, "/").replace(/~0/g, "~")];`);
+      tests.push(`    }, pm.response.json());`);
+    }
+    tests.push(`    pm.expect(value, ${JSON.stringify(`No value for ${capture.parameter}`)}).to.not.be.undefined;`);
+    tests.push(`    pm.collectionVariables.set(${JSON.stringify(capture.variable)}, value);`);
+    tests.push(`});`);
+  }
+
+  if (step.cleanup) {
+    tests.push('');
+    for (const variable of new Set(Object.values(step.parameters))) {
+      tests.push(`pm.collectionVariables.unset(${JSON.stringify(variable)});`);
+    }
+  }
+
+  return tests;
+}
+
+export default {
+  SCENARIO_SCRIPT_MARKER,
+  generateScenariosForSpec
+};
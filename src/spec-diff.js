@@ -0,0 +1,424 @@
+#!/usr/bin/env node
+
+/**
+ * Spec Diff - breaking change detection between two spec versions
+ *
+ * Compares two parsed (dereferenced) OpenAPI specs operation by operation and
+ * classifies each change from an API consumer's point of view:
+ *
+ * Breaking:
+ * - operation removed, success response removed
+ * - required parameter / request property / request body added
+ * - enum narrowed in a parameter or request body, widened in a response
+ * - oneOf/anyOf branch added to a response or removed from a request
+ * - response field removed or no longer required
+ * - type change that rejects old requests or returns unexpected types
+ *
+ * Non-breaking: additions, optional parameters, widened request types,
+ * documentation and other schema edits (found with deepDiff).
+ */
+
+import { deepDiff, ChangeDetector } from './change-detector.js';
+import { extractEndpoints } from './parser.js';
+
+export const ChangeSeverity = {
+  BREAKING: 'breaking',
+  NON_BREAKING: 'non-breaking'
+};
+
+const { BREAKING, NON_BREAKING } = ChangeSeverity;
+
+/**
+ * Diff two specs
+ * @param {Object} baseApi - Parsed spec before the change
+ * @param {Object} headApi - Parsed spec after the change
+ * @returns {Object} { breaking, nonBreaking, summary }
+ */
+export function diffSpecs(baseApi, headApi) {
+  const changes = [];
+  const baseOps = indexOperations(baseApi);
+  const headOps = indexOperations(headApi);
+
+  for (const [signature, base] of baseOps) {
+    const head = headOps.get(signature);
+    const operation = `${base.method} ${base.path}`;
+
+    if (!head) {
+      changes.push(createChange('operation-removed', BREAKING, operation, null, 'Operation removed'));
+      continue;
+    }
+
+    changes.push(...diffOperation(base, head, operation));
+  }
+
+  for (const [signature, head] of headOps) {
+    if (!baseOps.has(signature)) {
+      changes.push(createChange('operation-added', NON_BREAKING, `${head.method} ${head.path}`, null, 'Operation added'));
+    }
+  }
+
+  const breaking = changes.filter(change => change.severity === BREAKING);
+  const nonBreaking = changes.filter(change => change.severity === NON_BREAKING);
+
+  return {
+    breaking,
+    nonBreaking,
+    summary: {
+      breaking: breaking.length,
+      nonBreaking: nonBreaking.length,
+      operationsAdded: changes.filter(change => change.rule === 'operation-added').length,
+      operationsRemoved: changes.filter(change => change.rule === 'operation-removed').length
+    }
+  };
+}
+
+/**
+ * Index operations by method and path shape ({param} names don't matter)
+ */
+function indexOperations(api) {
+  const operations = new Map();
+  for (const endpoint of extractEndpoints(api)) {
+    operations.set(`${endpoint.method} ${endpoint.path.replace(/\{[^}]+\}/g, '{}')}`, endpoint);
+  }
+  return operations;
+}
+
+/**
+ * Diff one operation present in both specs
+ * @returns {Array} Changes
+ */
+function diffOperation(base, head, operation) {
+  const changes = [];
+  const add = (rule, severity, location, message) => {
+    changes.push(createChange(rule, severity, operation, location, message));
+  };
+
+  diffParameters(base, head, add);
+  diffRequestBody(base.requestBody, head.requestBody, add);
+  diffResponses(base.responses, head.responses, add);
+
+  // Anything the semantic rules did not explain is reported, not classified
+  const detector = new ChangeDetector();
+  const rawChanges = deepDiff(base.raw, head.raw).map(change => change.path.join('.'));
+  const documentation = rawChanges.filter(path => detector.isEnrichmentWithinStructure(`.${path}`));
+
+  if (documentation.length > 0) {
+    add('documentation-changed', NON_BREAKING, null, `Documentation changed (${documentation.length} field${documentation.length === 1 ? '' : 's'})`);
+  }
+  if (changes.length === 0 && rawChanges.length > documentation.length) {
+    const other = rawChanges.filter(path => !documentation.includes(path));
+    add('operation-modified', NON_BREAKING, null, `Modified: ${summarizePaths(other)}`);
+  }
+
+  return changes;
+}
+
+/**
+ * Parameters are matched by location and name; path parameters by position
+ */
+function diffParameters(base, head, add) {
+  const baseParams = indexParameters(base);
+  const headParams = indexParameters(head);
+
+  for (const [key, baseParam] of baseParams) {
+    const headParam = headParams.get(key);
+    const location = `${baseParam.in} parameter "${baseParam.name}"`;
+
+    if (!headParam) {
+      add('parameter-removed', NON_BREAKING, location, 'Parameter removed');
+      continue;
+    }
+
+    if (!isRequired(baseParam) && isRequired(headParam)) {
+      add('parameter-became-required', BREAKING, location, 'Parameter is now required');
+    }
+
+    compareSchemas(baseParam.schema, headParam.schema, 'request', { location, field: '' }, add);
+  }
+
+  for (const [key, headParam] of headParams) {
+    if (baseParams.has(key)) continue;
+
+    const location = `${headParam.in} parameter "${headParam.name}"`;
+    if (isRequired(headParam)) {
+      add('required-parameter-added', BREAKING, location, 'Required parameter added');
+    } else {
+      add('optional-parameter-added', NON_BREAKING, location, 'Optional parameter added');
+    }
+  }
+}
+
+function indexParameters(endpoint) {
+  const pathParams = [...endpoint.path.matchAll(/\{([^}]+)\}/g)].map(match => match[1]);
+  const params = new Map();
+
+  for (const param of endpoint.parameters) {
+    if (param.in === 'path') {
+      params.set(`path:${pathParams.indexOf(param.name)}`, param);
+    } else {
+      const name = param.in === 'header' ? param.name.toLowerCase() : param.name;
+      params.set(`${param.in}:${name}`, param);
+    }
+  }
+
+  return params;
+}
+
+function isRequired(param) {
+  return param.required === true || param.in === 'path';
+}
+
+function diffRequestBody(base, head, add) {
+  if (!head) {
+    if (base) add('request-body-removed', NON_BREAKING, 'request body', 'Request body removed');
+    return;
+  }
+
+  if (head.required && !base?.required) {
+    add('request-body-required', BREAKING, 'request body', base ? 'Request body is now required' : 'Required request body added');
+  }
+  if (!base) return;
+
+  for (const [mediaType, baseMedia] of Object.entries(base.content || {})) {
+    const headMedia = head.content?.[mediaType];
+    if (!headMedia) {
+      add('request-media-type-removed', BREAKING, `request body (${mediaType})`, `Media type ${mediaType} no longer accepted`);
+      continue;
+    }
+    compareSchemas(baseMedia.schema, headMedia.schema, 'request', { location: 'request body', field: '' }, add);
+  }
+}
+
+function diffResponses(base, head, add) {
+  for (const [code, baseResponse] of Object.entries(base)) {
+    const headResponse = head[code];
+    const location = `response ${code}`;
+
+    if (!headResponse) {
+      const success = /^2/.test(code);
+      add('response-removed', success ? BREAKING : NON_BREAKING, location, 'Response removed');
+      continue;
+    }
+
+    for (const [mediaType, baseMedia] of Object.entries(baseResponse.content || {})) {
+      const headMedia = headResponse.content?.[mediaType];
+      if (!headMedia) {
+        add('response-media-type-removed', BREAKING, `${location} (${mediaType})`, `Media type ${mediaType} no longer returned`);
+        continue;
+      }
+      compareSchemas(baseMedia.schema, headMedia.schema, 'response', { location: `${location} body`, field: '' }, add);
+    }
+  }
+
+  for (const code of Object.keys(head)) {
+    if (!base[code]) {
+      add('response-added', NON_BREAKING, `response ${code}`, 'Response added');
+    }
+  }
+}
+
+/**
+ * Compare two schemas from the point of view of the side that sends them
+ * Requests must keep accepting what clients send; responses must keep
+ * returning what clients read.
+ * @param {Object} base - Schema before
+ * @param {Object} head - Schema after
+ * @param {string} direction - 'request' or 'response'
+ * @param {Object} at - { location, field } where field is a path such as data[].id
+ * @param {Function} add - Change collector
+ * @param {Set} seen - Cycle guard
+ */
+function compareSchemas(base, head, direction, at, add, seen = new Set()) {
+  if (!base || !head || typeof base !== 'object' || typeof head !== 'object') return;
+  if (seen.has(base)) return;
+  seen = new Set(seen).add(base);
+  const location = describe(at);
+
+  base = mergeAllOf(base);
+  head = mergeAllOf(head);
+
+  const baseTypes = getTypes(base);
+  const headTypes = getTypes(head);
+  if (baseTypes && headTypes && !sameTypes(baseTypes, headTypes)) {
+    // Requests may accept more types, responses may return fewer
+    const safe = direction === 'request' ? containsTypes(headTypes, baseTypes) : containsTypes(baseTypes, headTypes);
+    add('type-changed', safe ? NON_BREAKING : BREAKING, location, `Type changed from ${baseTypes.join('|')} to ${headTypes.join('|')}`);
+    return;
+  }
+
+  compareEnums(base, head, direction, location, add);
+
+  const readOnlyKey = direction === 'request' ? 'readOnly' : 'writeOnly';
+  const baseProps = visibleProperties(base, readOnlyKey);
+  const headProps = visibleProperties(head, readOnlyKey);
+  const baseRequired = new Set(base.required || []);
+  const headRequired = new Set(head.required || []);
+
+  for (const name of Object.keys(baseProps)) {
+    const field = { ...at, field: at.field ? `${at.field}.${name}` : name };
+    const fieldLocation = describe(field);
+
+    if (!headProps[name]) {
+      if (direction === 'response') {
+        add('response-field-removed', BREAKING, fieldLocation, 'Response field removed');
+      } else {
+        add('request-field-removed', NON_BREAKING, fieldLocation, 'Request field removed');
+      }
+      continue;
+    }
+
+    if (direction === 'response' && baseRequired.has(name) && !headRequired.has(name)) {
+      add('response-field-optional', BREAKING, fieldLocation, 'Response field is no longer required');
+    }
+    if (direction === 'request' && !baseRequired.has(name) && headRequired.has(name)) {
+      add('required-field-added', BREAKING, fieldLocation, 'Request field is now required');
+    }
+
+    compareSchemas(baseProps[name], headProps[name], direction, field, add, seen);
+  }
+
+  for (const name of Object.keys(headProps)) {
+    if (baseProps[name]) continue;
+
+    const fieldLocation = describe({ ...at, field: at.field ? `${at.field}.${name}` : name });
+    if (direction === 'request' && headRequired.has(name)) {
+      add('required-field-added', BREAKING, fieldLocation, 'Required request field added');
+    } else {
+      add(`${direction}-field-added`, NON_BREAKING, fieldLocation, `${direction === 'request' ? 'Optional request' : 'Response'} field added`);
+    }
+  }
+
+  if (base.items && head.items) {
+    compareSchemas(base.items, head.items, direction, { ...at, field: `${at.field}[]` }, add, seen);
+  }
+
+  compareBranches(base, head, direction, at, add, seen);
+}
+
+/**
+ * oneOf/anyOf: branches are compared by position; new response branches and
+ * removed request branches break clients that only handle the old shapes
+ */
+function compareBranches(base, head, direction, at, add, seen) {
+  for (const keyword of ['oneOf', 'anyOf']) {
+    if (!Array.isArray(base[keyword]) || !Array.isArray(head[keyword])) continue;
+
+    const branchAt = index => ({ ...at, field: at.field ? `${at.field}.${keyword}[${index}]` : `${keyword}[${index}]` });
+    const shared = Math.min(base[keyword].length, head[keyword].length);
+
+    for (let i = 0; i < shared; i++) {
+      compareSchemas(base[keyword][i], head[keyword][i], direction, branchAt(i), add, seen);
+    }
+    for (let i = shared; i < head[keyword].length; i++) {
+      add(`${keyword}-branch-added`, direction === 'response' ? BREAKING : NON_BREAKING, describe(branchAt(i)), `${keyword} branch added`);
+    }
+    for (let i = shared; i < base[keyword].length; i++) {
+      add(`${keyword}-branch-removed`, direction === 'request' ? BREAKING : NON_BREAKING, describe(branchAt(i)), `${keyword} branch removed`);
+    }
+  }
+}
+
+/**
+ * Enums: removing values breaks requests; adding values breaks responses
+ */
+function compareEnums(base, head, direction, location, add) {
+  if (!Array.isArray(head.enum)) return;
+
+  if (!Array.isArray(base.enum)) {
+    if (direction === 'request') {
+      add('enum-narrowed', BREAKING, location, `Values restricted to ${formatValues(head.enum)}`);
+    }
+    return;
+  }
+
+  const removed = base.enum.filter(value => !head.enum.some(v => JSON.stringify(v) === JSON.stringify(value)));
+  const added = head.enum.filter(value => !base.enum.some(v => JSON.stringify(v) === JSON.stringify(value)));
+
+  if (removed.length > 0) {
+    add('enum-narrowed', direction === 'request' ? BREAKING : NON_BREAKING, location, `Enum values removed: ${formatValues(removed)}`);
+  }
+  if (added.length > 0) {
+    add('enum-widened', direction === 'response' ? BREAKING : NON_BREAKING, location, `Enum values added: ${formatValues(added)}`);
+  }
+}
+
+/**
+ * Fold allOf members into one schema (properties and required are merged)
+ */
+function mergeAllOf(schema) {
+  if (!Array.isArray(schema.allOf)) return schema;
+
+  const merged = { ...schema, properties: { ...(schema.properties || {}) }, required: [...(schema.required || [])] };
+  delete merged.allOf;
+
+  for (const member of schema.allOf.map(mergeAllOf)) {
+    Object.assign(merged.properties, member.properties || {});
+    merged.required.push(...(member.required || []));
+    if (!merged.type && member.type) merged.type = member.type;
+    if (!merged.enum && member.enum) merged.enum = member.enum;
+    if (!merged.items && member.items) merged.items = member.items;
+  }
+
+  return merged;
+}
+
+/**
+ * Declared types, including null for OAS 3.0 `nullable`
+ * @returns {Array<string>|null} Types, or null when the schema has none
+ */
+function getTypes(schema) {
+  if (!schema.type) return null;
+
+  const types = Array.isArray(schema.type) ? [...schema.type] : [schema.type];
+  if (schema.nullable === true && !types.includes('null')) types.push('null');
+  return types.sort();
+}
+
+function sameTypes(a, b) {
+  return a.length === b.length && a.every((type, i) => type === b[i]);
+}
+
+/**
+ * Whether `outer` accepts every value of `inner` (number includes integer)
+ */
+function containsTypes(outer, inner) {
+  return inner.every(type => outer.includes(type) || (type === 'integer' && outer.includes('number')));
+}
+
+function visibleProperties(schema, hiddenFlag) {
+  return Object.fromEntries(
+    Object.entries(schema.properties || {}).filter(([, prop]) => prop?.[hiddenFlag] !== true)
+  );
+}
+
+function describe({ location, field }) {
+  return field ? `${location} field "${field}"` : location;
+}
+
+function formatValues(values) {
+  return values.map(value => JSON.stringify(value)).join(', ');
+}
+
+function summarizePaths(paths) {
+  const shown = paths.slice(0, 3).join(', ');
+  return paths.length > 3 ? `${shown} and ${paths.length - 3} more` : shown;
+}
+
+function createChange(rule, severity, operation, location, message) {
+  return { rule, severity, operation, location, message };
+}
+
+/**
+ * Format a change as a single line
+ * @param {Object} change - Change from diffSpecs
+ * @returns {string} e.g. "GET /tasks - query parameter \"status\": Enum values removed: \"completed\""
+ */
+export function formatChange(change) {
+  return `${change.operation}${change.location ? ` - ${change.location}` : ''}: ${change.message}`;
+}
+
+export default {
+  ChangeSeverity,
+  diffSpecs,
+  formatChange
+};
@@ -10,9 +10,14 @@
 import fs from 'fs';
 import vm from 'vm';
 import { createLogger } from './logger.js';
+import { Cassette, CassetteMismatchError, openCassette } from './cassette.js';
+import { NEGATIVE_SCRIPT_MARKER, generateTestKeyFromRequest } from './test-generator.js';
+import { SCENARIO_SCRIPT_MARKER } from './scenario-generator.js';
+import { findGeneratedRegion, mergeGeneratedRegion } from './generated-region.js';
 
 const POSTMAN_API_BASE = 'https://api.getpostman.com';
 const DEFAULT_TIMEOUT = 30000; // 30 seconds
+const DEFAULT_POLL_INTERVAL = 2000; // First wait for generations and syncs
 const DEFAULT_MAX_RPM = 250; // Conservative buffer below Postman's 300 RPM limit
 
 // Create logger instance
@@ -20,9 +25,10 @@ const logger = createLogger({ name: 'spec-hub-client' });
 
 /**
  * Token bucket rate limiter for Postman API
- * Ensures we stay under the 300 RPM limit
+ * Ensures we stay under the 300 RPM limit. Clients that run concurrently
+ * (e.g. one per spec) should share a single instance via options.rateLimiter.
  */
-class RateLimiter {
+export class RateLimiter {
   constructor(rpm = DEFAULT_MAX_RPM) {
     this.tokens = rpm;
     this.lastRefill = Date.now();
@@ -83,14 +89,42 @@ export class NotFoundError extends Error {
 }
 
 class SpecHubClient {
+  /**
+   * @param {string} apiKey - Postman API key
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} options - timeout, maxRetries, retryDelay, maxRetryDelay,
+   *   rateLimiter/maxRpm, baseUrl (default https://api.getpostman.com, e.g. a
+   *   local FakePostmanApi), pollInterval (first wait when polling for
+   *   collection generation and sync, in ms) and cassette (a Cassette or
+   *   { mode, path } to record or replay API traffic)
+   */
   constructor(apiKey, workspaceId, options = {}) {
     this.apiKey = apiKey;
     this.workspaceId = workspaceId;
+    this.baseUrl = (options.baseUrl || POSTMAN_API_BASE).replace(/\/$/, '');
+    this.pollInterval = options.pollInterval ?? DEFAULT_POLL_INTERVAL;
     this.timeout = options.timeout || DEFAULT_TIMEOUT;
     this.maxRetries = options.maxRetries || 3;
     this.retryDelay = options.retryDelay || 1000; // Base delay in ms
     this.maxRetryDelay = options.maxRetryDelay || 30000; // Max delay in ms
-    this.rateLimiter = new RateLimiter(options.maxRpm || DEFAULT_MAX_RPM);
+    this.rateLimiter = options.rateLimiter || new RateLimiter(options.maxRpm || DEFAULT_MAX_RPM);
+    this.cassette = options.cassette instanceof Cassette
+      ? options.cassette
+      : options.cassette?.mode ? openCassette(options.cassette.path, options.cassette.mode) : null;
+  }
+
+  /**
+   * Whether responses come from a cassette instead of the API
+   */
+  get replaying() {
+    return this.cassette?.replaying === true;
+  }
+
+  /**
+   * Current time as an ISO string (the recorded time while replaying)
+   */
+  now() {
+    return this.cassette ? this.cassette.now() : new Date().toISOString();
   }
 
   /**
@@ -132,6 +166,7 @@ class SpecHubClient {
         
         // Don't retry on 4xx errors (client errors)
         if (error instanceof AuthenticationError ||
+            error instanceof CassetteMismatchError ||
             (error.message && error.message.match(/API Error 4\d{2}/))) {
           throw error;
         }
@@ -168,10 +203,12 @@ class SpecHubClient {
    * @param {object} options - Additional options (timeout)
    */
   async request(method, endpoint, body = null, options = {}) {
-    // Acquire rate limit token before making request
-    await this.rateLimiter.acquire();
+    // Acquire rate limit token before making request (replays make no API calls)
+    if (!this.replaying) {
+      await this.rateLimiter.acquire();
+    }
 
-    const url = `${POSTMAN_API_BASE}${endpoint}`;
+    const url = `${this.baseUrl}${endpoint}`;
     const timeout = options.timeout || this.timeout;
 
     // Create AbortController for timeout
@@ -193,9 +230,15 @@ class SpecHubClient {
 
     try {
       logger.debug(`API request: ${method} ${endpoint}`);
-      const response = await fetch(url, fetchOptions);
+      const response = this.replaying
+        ? this.cassette.replay(method, endpoint, body)
+        : await fetch(url, fetchOptions);
       clearTimeout(timeoutId);
 
+      if (this.cassette?.mode === 'record') {
+        await this.cassette.record({ method, endpoint, headers: fetchOptions.headers, body }, response.clone());
+      }
+
       let data;
       const contentType = response.headers.get('content-type') || '';
       
@@ -313,13 +356,48 @@ class SpecHubClient {
     return yamlIndicators.some(pattern => pattern.test(trimmed));
   }
 
+  /**
+   * Root file path used for a spec's content in Spec Hub
+   * @param {string} specContent - Raw spec content
+   * @returns {string} 'index.yaml' or 'index.json'
+   */
+  getSpecFilePath(specContent) {
+    return this.detectYamlFormat(specContent) ? 'index.yaml' : 'index.json';
+  }
+
+  /**
+   * Get the content of a file in a Spec Hub spec
+   * @param {string} specId - Spec ID
+   * @param {string} filePath - File path, e.g. from getSpecFilePath
+   * @returns {Promise<string>} File content
+   */
+  async getSpecFile(specId, filePath) {
+    const result = await this.request('GET', `/specs/${specId}/files/${encodeURIComponent(filePath)}`);
+    return result.content ?? result.file?.content ?? '';
+  }
+
+  /**
+   * List the files of a Spec Hub spec
+   * @param {string} specId - Spec ID
+   * @returns {Promise<Array<Object>>} [{ path, type, ... }]
+   */
+  async listSpecFiles(specId) {
+    const result = await this.request('GET', `/specs/${specId}/files`);
+    return result.files || [];
+  }
+
   /**
    * Upload or update spec in Spec Hub
    * Properly detects OpenAPI version and format
+   * @param {string} name - Spec name
+   * @param {string|Object} specContent - Root file content
+   * @param {string} specId - Existing spec ID (null to create)
+   * @param {Array<Object>} files - Files referenced by the root file, as
+   *   [{ path, content }] with paths relative to it (multi-file specs)
+   * @returns {Promise<string>} Spec ID
    */
-  async uploadSpec(name, specContent, specId = null) {
+  async uploadSpec(name, specContent, specId = null, files = []) {
     const version = this.detectOpenApiVersion(specContent);
-    const isYaml = this.detectYamlFormat(specContent);
     
     // Determine the type and file path
     // Postman API uses format like "openapi:3" or "openapi:3_1"
@@ -327,29 +405,43 @@ class SpecHubClient {
                  version === '2.0' ? 'openapi:2' : 'openapi:3';
     
     // Use appropriate file extension
-    const filePath = isYaml ? 'index.yaml' : 'index.json';
+    const filePath = this.getSpecFilePath(specContent);
     
     // Ensure content is a string
     const contentStr = typeof specContent === 'string' 
       ? specContent 
       : JSON.stringify(specContent, null, 2);
 
+    const multiFile = files.length > 0;
     const payload = {
       name,
       type,
       files: [
         {
           path: filePath,
-          content: contentStr
-        }
+          content: contentStr,
+          ...(multiFile && { type: 'ROOT' })
+        },
+        ...files.map(file => ({ path: file.path, content: file.content, type: 'DEFAULT' }))
       ]
     };
 
     if (specId) {
       // Update existing spec
-      await this.request('PATCH', `/specs/${specId}/files/${filePath}`, {
+      await this.request('PATCH', `/specs/${specId}/files/${encodeURIComponent(filePath)}`, {
         content: contentStr
       });
+
+      if (multiFile) {
+        const existing = new Set((await this.listSpecFiles(specId)).map(file => file.path));
+        for (const file of files) {
+          if (existing.has(file.path)) {
+            await this.request('PATCH', `/specs/${specId}/files/${encodeURIComponent(file.path)}`, { content: file.content });
+          } else {
+            await this.request('POST', `/specs/${specId}/files`, { path: file.path, content: file.content, type: 'DEFAULT' });
+          }
+        }
+      }
       return specId;
     } else {
       // Create new spec
@@ -415,7 +507,7 @@ class SpecHubClient {
     logger.info(`Generating new collection: ${name}`);
 
     // Record timestamp before generation to avoid race conditions
-    const generationStartTime = new Date().toISOString();
+    const generationStartTime = this.now();
 
     const payload = {
       name,
@@ -460,7 +552,7 @@ class SpecHubClient {
    * Wait for collection sync to complete with exponential backoff
    */
   async waitForCollectionSync(collectionUid, maxAttempts = 15) {
-    let delay = 2000; // Start with 2 seconds
+    let delay = this.pollInterval; // Start with 2 seconds by default
     
     for (let i = 0; i < maxAttempts; i++) {
       await this.sleep(delay);
@@ -493,8 +585,8 @@ class SpecHubClient {
    */
   async waitForCollectionGeneration(name, maxAttempts = 15, createdAfter = null) {
     // Default to 5 seconds ago if no timestamp provided
-    const threshold = createdAfter || new Date(Date.now() - 5000).toISOString();
-    let delay = 2000; // Start with 2 seconds
+    const threshold = createdAfter || new Date(Date.parse(this.now()) - 5000).toISOString();
+    let delay = this.pollInterval; // Start with 2 seconds by default
 
     for (let i = 0; i < maxAttempts; i++) {
       await this.sleep(delay);
@@ -551,9 +643,12 @@ class SpecHubClient {
   }
 
   /**
-   * Sleep utility for async delays
+   * Sleep utility for async delays (no wait while replaying a cassette)
    */
   sleep(ms) {
+    if (this.replaying) {
+      return Promise.resolve();
+    }
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
@@ -606,34 +701,7 @@ class SpecHubClient {
    * @returns {string} Stable key
    */
   generateTestKeyFromItem(request) {
-    const method = (request.method || 'get').toLowerCase();
-    
-    // Extract path from URL
-    let path = '/';
-    const url = request.url;
-    
-    if (typeof url === 'string') {
-      // Handle Postman variable syntax
-      const urlStr = url.replace(/\{\{[^}]+\}\}/g, '');
-      try {
-        path = new URL(urlStr).pathname || '/';
-      } catch {
-        // Fallback: extract path manually
-        path = urlStr.replace(/^https?:\/\/[^\/]+/, '') || '/';
-      }
-    } else if (url && typeof url === 'object') {
-      if (url.path && Array.isArray(url.path)) {
-        path = '/' + url.path.join('/');
-      } else if (url.pathname) {
-        path = url.pathname;
-      }
-    }
-    
-    // Normalize path
-    path = path.replace(/\/{2,}/g, '/');
-    if (!path.startsWith('/')) path = '/' + path;
-    
-    return `${method}|${path}`;
+    return generateTestKeyFromRequest(request);
   }
 
   /**
@@ -652,6 +720,8 @@ class SpecHubClient {
 
   /**
    * Recursively add test scripts to collection items
+   * Generated code goes in a marked region of the item's test script (see
+   * generated-region.js), so hand-written tests and pre-request scripts stay.
    * @returns {number} Number of test scripts injected
    */
   addTestsToItems(items, testScripts, injectedCount = 0) {
@@ -690,27 +760,415 @@ class SpecHubClient {
           continue;
         }
 
-        item.event = item.event || [];
+        this.mergeGeneratedScript(item, 'test', scriptLines, stableKey);
+        injectedCount++;
+      }
+    }
+
+    return injectedCount;
+  }
 
-        // Remove existing test events
-        item.event = item.event.filter(e => e.listen !== 'test');
+  /**
+   * Write generated lines into the marked region of an item's script
+   * The event of that kind holding the region (or the first one) is updated,
+   * so hand-written code around the region and other events stay.
+   * @param {object} item - Request item
+   * @param {string} listen - Event kind: test or prerequest
+   * @param {Array<string>} scriptLines - Generated lines (unfenced)
+   * @param {string} key - Stable key, for warnings
+   */
+  mergeGeneratedScript(item, listen, scriptLines, key) {
+    item.event = item.event || [];
+
+    const events = item.event.filter(e => e.listen === listen);
+    const existingEvent = events.find(e => findGeneratedRegion(this.getScriptLines(e))) || events[0];
+    const existingLines = existingEvent ? this.getScriptLines(existingEvent) : [];
+    const merged = mergeGeneratedRegion(existingLines, scriptLines);
+    const label = listen === 'test' ? 'tests' : 'pre-request code';
+
+    if (merged.edited) {
+      logger.warn(`Manual edits inside the generated ${listen} block of "${item.name}" were replaced. Keep custom ${label} outside // <generated> ... // </generated>`, {
+        key
+      });
+    } else if (!merged.terminated) {
+      logger.warn(`Generated ${listen} block of "${item.name}" had no // </generated> marker; replaced it through the end of the script`, {
+        key
+      });
+    }
 
-        // Add new test event
-        item.event.push({
-          listen: 'test',
-          script: {
-            type: 'text/javascript',
-            exec: scriptLines
-          }
-        });
+    if (existingEvent) {
+      existingEvent.script = { ...existingEvent.script, type: 'text/javascript', exec: merged.lines };
+    } else {
+      item.event.push({
+        listen,
+        script: {
+          type: 'text/javascript',
+          exec: merged.lines
+        }
+      });
+    }
+  }
 
-        injectedCount++;
+  /**
+   * Add pre-request scripts to collection requests
+   * @param {string} collectionUid - Collection UID
+   * @param {Object} preRequestScripts - Map of endpoint keys to script lines
+   * @returns {Promise<Object>} { success, injected }
+   */
+  async addPreRequestScripts(collectionUid, preRequestScripts) {
+    const collectionData = await this.getCollection(collectionUid);
+
+    if (!collectionData?.collection) {
+      throw new Error(`Collection ${collectionUid} not found or has no data`);
+    }
+
+    const collection = collectionData.collection;
+
+    if (!Array.isArray(collection.item)) {
+      logger.warn(`Collection ${collectionUid} has no items to add pre-request scripts to`);
+      return { success: true, injected: 0 };
+    }
+
+    const injectedCount = this.addPreRequestsToItems(collection.item, preRequestScripts);
+
+    await this.updateCollection(collectionUid, collection);
+
+    return { success: true, injected: injectedCount };
+  }
+
+  /**
+   * Recursively add pre-request scripts to collection items
+   * Unlike tests there is no default script: requests the spec does not
+   * describe are left alone. Negative and scenario items get the script of
+   * the request they were cloned from.
+   * @returns {number} Number of pre-request scripts injected
+   */
+  addPreRequestsToItems(items, preRequestScripts, injectedCount = 0) {
+    if (!Array.isArray(items)) {
+      return injectedCount;
+    }
+
+    for (const item of items) {
+      if (!item) continue;
+
+      if (Array.isArray(item.item)) {
+        injectedCount = this.addPreRequestsToItems(item.item, preRequestScripts, injectedCount);
+        continue;
+      }
+
+      if (!item.request?.method || !item.request?.url) {
+        continue;
       }
+
+      const stableKey = this.generateTestKeyFromItem(item.request);
+      const script = preRequestScripts[stableKey];
+      if (!script) {
+        continue;
+      }
+
+      const scriptLines = Array.isArray(script) ? script : script.split('\n');
+      if (!this.validateScriptSyntax(scriptLines.join('\n'))) {
+        logger.warn(`Invalid script syntax for item "${item.name}", skipping pre-request injection`, {
+          key: stableKey
+        });
+        continue;
+      }
+
+      this.mergeGeneratedScript(item, 'prerequest', scriptLines, stableKey);
+      injectedCount++;
     }
 
     return injectedCount;
   }
 
+  /**
+   * Lines of an event's script (exec may be an array or a string)
+   * @param {object} event - Collection item event
+   * @returns {Array<string>} Script lines
+   */
+  getScriptLines(event) {
+    const exec = event.script?.exec;
+    if (Array.isArray(exec)) return exec;
+    return typeof exec === 'string' && exec !== '' ? exec.split('\n') : [];
+  }
+
+  /**
+   * Replace collection requests with their negative test cases
+   * Each matched request becomes a folder holding one invalid variant per case;
+   * requests without cases are removed so the collection only runs negatives.
+   * @param {string} collectionUid - Collection UID
+   * @param {Object} negativeCases - Map of endpoint keys to negative cases
+   * @returns {Promise<Object>} { success, injected }
+   */
+  async addNegativeTestCases(collectionUid, negativeCases) {
+    const collectionData = await this.getCollection(collectionUid);
+
+    if (!collectionData?.collection) {
+      throw new Error(`Collection ${collectionUid} not found or has no data`);
+    }
+
+    const collection = collectionData.collection;
+
+    if (!Array.isArray(collection.item)) {
+      logger.warn(`Collection ${collectionUid} has no items to derive negative tests from`);
+      return { success: true, injected: 0 };
+    }
+
+    const { items, count } = this.buildNegativeItems(collection.item, negativeCases);
+    collection.item = items;
+
+    await this.updateCollection(collectionUid, collection);
+
+    return { success: true, injected: count };
+  }
+
+  /**
+   * Recursively build negative test items from collection items
+   * Items generated by a previous run are dropped and regenerated.
+   * @returns {{items: Array, count: number}} New items and number of cases
+   */
+  buildNegativeItems(items, negativeCases) {
+    const result = [];
+    let count = 0;
+
+    for (const item of items) {
+      if (!item) continue;
+
+      if (Array.isArray(item.item)) {
+        const nested = this.buildNegativeItems(item.item, negativeCases);
+        if (nested.items.length > 0) {
+          result.push({ ...item, item: nested.items });
+          count += nested.count;
+        }
+        continue;
+      }
+
+      if (!item.request?.method || !item.request?.url) {
+        continue;
+      }
+
+      if (this.isGeneratedItem(item)) {
+        continue;
+      }
+
+      const cases = negativeCases[this.generateTestKeyFromItem(item.request)];
+      if (!cases?.length) {
+        continue;
+      }
+
+      result.push({
+        name: item.name,
+        item: cases.map(negativeCase => this.createNegativeItem(item, negativeCase))
+      });
+      count += cases.length;
+    }
+
+    return { items: result, count };
+  }
+
+  /**
+   * Create a request item for one negative case from a generated request
+   * @param {object} item - Spec Hub-generated request item
+   * @param {object} negativeCase - Case from generateNegativeCasesForSpec
+   * @returns {object} Postman request item
+   */
+  createNegativeItem(item, negativeCase) {
+    const request = JSON.parse(JSON.stringify(item.request));
+
+    if (negativeCase.body !== undefined) {
+      request.body = {
+        mode: 'raw',
+        raw: JSON.stringify(negativeCase.body, null, 2),
+        options: { raw: { language: 'json' } }
+      };
+    }
+
+    if (negativeCase.query) {
+      request.url = this.applyQueryOverrides(request.url, negativeCase.query);
+    }
+
+    if (negativeCase.noAuth) {
+      request.auth = { type: 'noauth' };
+    }
+
+    // Keep pre-request scripts, replace tests with the negative assertion
+    const event = (item.event || []).filter(e => e.listen !== 'test');
+    event.push({
+      listen: 'test',
+      script: {
+        type: 'text/javascript',
+        exec: negativeCase.script
+      }
+    });
+
+    return { name: negativeCase.name, request, event };
+  }
+
+  /**
+   * Replace collection requests with ordered scenario folders
+   * Steps are cloned from the generated requests, with path parameters bound
+   * to the collection variables that earlier steps capture.
+   * @param {string} collectionUid - Collection UID
+   * @param {Array} scenarios - Scenarios from generateScenariosForSpec
+   * @returns {Promise<Object>} { success, injected }
+   */
+  async addScenarioSteps(collectionUid, scenarios) {
+    const collectionData = await this.getCollection(collectionUid);
+
+    if (!collectionData?.collection) {
+      throw new Error(`Collection ${collectionUid} not found or has no data`);
+    }
+
+    const collection = collectionData.collection;
+    const requestItems = this.indexRequestItems(collection.item || []);
+
+    const folders = [];
+    let count = 0;
+
+    for (const scenario of scenarios) {
+      const missing = scenario.steps.find(step => !requestItems.has(step.key));
+      if (missing) {
+        logger.warn(`Skipping scenario "${scenario.name}": no request for ${missing.key}`);
+        continue;
+      }
+
+      folders.push({
+        name: scenario.name,
+        item: scenario.steps.map(step => this.createScenarioItem(requestItems.get(step.key), step))
+      });
+      count += scenario.steps.length;
+    }
+
+    // Declare captured variables so runs start from a clean slate
+    const captured = new Set(scenarios.flatMap(scenario =>
+      scenario.steps.flatMap(step => step.captures.map(capture => capture.variable))
+    ));
+    collection.variable = [
+      ...(collection.variable || []).filter(variable => !captured.has(variable.key)),
+      ...[...captured].map(key => ({ key, value: '' }))
+    ];
+    collection.item = folders;
+
+    await this.updateCollection(collectionUid, collection);
+
+    return { success: true, injected: count };
+  }
+
+  /**
+   * Index Spec Hub-generated request items by stable key
+   * Items created by a previous negative or scenario run are ignored.
+   * @returns {Map<string, object>} Request items by method|path key
+   */
+  indexRequestItems(items, index = new Map()) {
+    for (const item of items) {
+      if (!item) continue;
+
+      if (Array.isArray(item.item)) {
+        this.indexRequestItems(item.item, index);
+        continue;
+      }
+
+      if (!item.request?.method || !item.request?.url || this.isGeneratedItem(item)) {
+        continue;
+      }
+
+      const key = this.generateTestKeyFromItem(item.request);
+      if (!index.has(key)) {
+        index.set(key, item);
+      }
+    }
+
+    return index;
+  }
+
+  /**
+   * Check whether an item was produced by negative or scenario generation
+   * @param {object} item - Collection item
+   * @returns {boolean} True for generated items
+   */
+  isGeneratedItem(item) {
+    return (item.event || []).some(e => {
+      const firstLine = e.listen === 'test' ? e.script?.exec?.[0] : null;
+      return typeof firstLine === 'string' &&
+        (firstLine.startsWith(NEGATIVE_SCRIPT_MARKER) || firstLine.startsWith(SCENARIO_SCRIPT_MARKER));
+    });
+  }
+
+  /**
+   * Create a request item for one scenario step
+   * @param {object} item - Spec Hub-generated request item
+   * @param {object} step - Step from generateScenariosForSpec
+   * @returns {object} Postman request item
+   */
+  createScenarioItem(item, step) {
+    const request = JSON.parse(JSON.stringify(item.request));
+    const url = typeof request.url === 'string' ? { raw: request.url } : request.url;
+
+    const bindings = Object.entries(step.parameters);
+    const pathParams = new Set((step.path.match(/\{([^}]+)\}/g) || []).map(param => param.slice(1, -1)));
+
+    url.variable = [...(url.variable || [])];
+    for (const [name, variable] of bindings) {
+      if (!pathParams.has(name)) continue;
+      url.variable = url.variable.filter(v => v.key !== name);
+      url.variable.push({ key: name, value: `{{${variable}}}` });
+    }
+
+    const queryBindings = Object.fromEntries(bindings.filter(([name]) => !pathParams.has(name))
+      .map(([name, variable]) => [name, `{{${variable}}}`]));
+    request.url = Object.keys(queryBindings).length > 0 ? this.applyQueryOverrides(url, queryBindings) : url;
+
+    // Keep pre-request scripts, replace tests with the step assertions
+    const event = (item.event || []).filter(e => e.listen !== 'test');
+    event.push({
+      listen: 'test',
+      script: {
+        type: 'text/javascript',
+        exec: step.script
+      }
+    });
+
+    return { name: step.cleanup ? `${step.name} (cleanup)` : step.name, request, event };
+  }
+
+  /**
+   * Set or remove query parameters on a Postman URL
+   * @param {string|object} url - Postman URL (string or object form)
+   * @param {Object} overrides - Parameter values; null removes the parameter
+   * @returns {object} Postman URL object
+   */
+  applyQueryOverrides(url, overrides) {
+    const urlObject = typeof url === 'string' ? { raw: url } : { ...url };
+
+    let query = Array.isArray(urlObject.query) ? [...urlObject.query] : [];
+    if (typeof url === 'string' && url.includes('?')) {
+      query = url.split('?')[1].split('&').filter(Boolean).map(pair => {
+        const [key, value = ''] = pair.split('=');
+        return { key, value };
+      });
+    }
+
+    for (const [key, value] of Object.entries(overrides)) {
+      if (value === null || value === undefined) {
+        query = query.filter(param => param.key !== key);
+      } else if (query.some(param => param.key === key)) {
+        query = query.map(param => param.key === key ? { ...param, value: String(value), disabled: false } : param);
+      } else {
+        query.push({ key, value: String(value) });
+      }
+    }
+
+    urlObject.query = query;
+
+    if (typeof urlObject.raw === 'string') {
+      const enabled = query.filter(param => !param.disabled);
+      const queryString = enabled.map(param => `${param.key}=${param.value ?? ''}`).join('&');
+      urlObject.raw = urlObject.raw.split('?')[0] + (queryString ? `?${queryString}` : '');
+    }
+
+    return urlObject;
+  }
+
   /**
    * Delete spec
    */
@@ -821,20 +1279,23 @@ class SpecHubClient {
   }
 
   /**
-   * Apply standard tags to a collection based on type
+   * Apply tags to a collection: configured tags, or the standard tags for its type
    * @param {string} collectionUid - Collection UID
-   * @param {string} type - Collection type: 'main', 'smoke', or 'contract'
+   * @param {string} type - Collection type: 'main', 'smoke', 'contract', 'negative', or 'scenario'
+   * @param {string[]|null} configuredTags - Tags from getCollectionTags (optional)
    */
-  async applyCollectionTags(collectionUid, type) {
+  async applyCollectionTags(collectionUid, type, configuredTags = null) {
     const tagMap = {
       'main': ['generated', 'docs'],
       'smoke': ['generated', 'smoke'],
-      'contract': ['generated', 'contract']
+      'contract': ['generated', 'contract'],
+      'negative': ['generated', 'negative'],
+      'scenario': ['generated', 'scenario']
     };
 
-    const tags = tagMap[type];
+    const tags = configuredTags || tagMap[type];
     if (!tags) {
-      throw new Error(`Unknown collection type: ${type}. Use 'main', 'smoke', or 'contract'.`);
+      throw new Error(`Unknown collection type: ${type}. Use 'main', 'smoke', 'contract', 'negative', or 'scenario'.`);
     }
 
     return this.updateCollectionTags(collectionUid, tags);
@@ -971,6 +1432,14 @@ class SpecHubClient {
     return result.pullRequests || result.data || [];
   }
 
+  /**
+   * Get a pull request with its reviewers and their review status
+   * @param {string} pullRequestId - Pull request ID
+   */
+  async getPullRequest(pullRequestId) {
+    return this.request('GET', `/pull-requests/${pullRequestId}`);
+  }
+
   /**
    * Merge a pull request
    * @param {string} collectionUid - Collection UID (PR destination)
@@ -3,21 +3,24 @@
 /**
  * Spec Hub Sync
  * 
- * Main orchestrator for the Spec Hub workflow:
+ * Main orchestrator for the Spec Hub workflow. Each run plans first (see
+ * sync-plan.js), then applies the plan:
  * 1. Parse OpenAPI spec
- * 2. Upload/update spec in Spec Hub
+ * 2. Upload/update spec in Spec Hub (with the files it $refs, if any)
  * 3. Generate docs collection (via Spec Hub) - no tests
  * 4. Generate smoke test collection (via Spec Hub + inject smoke tests)
  * 5. Generate contract test collection (via Spec Hub + inject contract tests)
- * 6. Upload environment
+ * 6. Generate negative test collection (via Spec Hub + derive invalid requests)
+ * 7. Generate scenario test collection (via Spec Hub + chain CRUD/link workflows)
+ * 8. Upload environment
  */
 
-import { parseSpec } from './parser.js';
-import { generateTestScriptsForSpec, TestLevel } from './test-generator.js';
-import { generateEnvironmentForServer } from './environment-generator.js';
+import { parseSpecContent } from './parser.js';
 import { SpecHubClient } from './spec-hub-client.js';
+import { createSyncPlan, applySyncPlan, formatSyncPlan, saveSyncPlan } from './sync-plan.js';
+import { loadConfig, getClientOptions, isReplayingCassette } from './config-loader.js';
+import { CHANGELOG_MARKER, generateChangelog, formatChangelogMarkdown, appendChangelogToDescription, setSpecDescription } from './changelog.js';
 import { createLogger, LogLevel } from './logger.js';
-import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -51,7 +54,8 @@ function parseArgs() {
     workspaceId: process.env.POSTMAN_WORKSPACE_ID || null,
     apiKey: process.env.POSTMAN_API_KEY || null,
     dryRun: process.env.DRY_RUN === 'true' || false,
-    testLevel: process.env.TEST_LEVEL || 'all', // 'smoke', 'contract', or 'all'
+    testLevel: process.env.TEST_LEVEL || 'all', // 'smoke', 'contract', 'negative', 'scenario', or 'all'
+    changelog: false,
     help: false
   };
 
@@ -79,6 +83,12 @@ function parseArgs() {
       case '-d':
         options.dryRun = true;
         break;
+      case '--changelog':
+        options.changelog = true;
+        break;
+      case '--plan':
+        options.planFile = args[++i];
+        break;
       case '--help':
       case '-h':
         options.help = true;
@@ -100,19 +110,21 @@ Options:
   --spec, -s        Path to OpenAPI spec file (required)
   --workspace, -w   Postman workspace ID (default: env.POSTMAN_WORKSPACE_ID)
   --api-key, -k     Postman API key (default: env.POSTMAN_API_KEY)
-  --test-level, -t  Test level to generate: smoke, contract, or all (default: all)
-  --dry-run, -d     Validate without uploading
+  --test-level, -t  Test level to generate: smoke, contract, negative, scenario, or all (default: all)
+  --dry-run, -d     Show the plan without changing anything
+  --plan <file>     Also save the plan to a file (apply it with: spec-sync apply <file>)
+  --changelog       Append a changelog to the spec description when info.version changes
   --help, -h        Show this help message
 
 Environment Variables:
   POSTMAN_API_KEY       Required - Your Postman API key
   POSTMAN_WORKSPACE_ID  Required - Target workspace ID
   SPEC_FILE             Path to OpenAPI spec file (alternative to --spec)
-  TEST_LEVEL            Test level: smoke, contract, or all (default: all)
-  DRY_RUN               Set to 'true' to validate without uploading
+  TEST_LEVEL            Test level: smoke, contract, negative, scenario, or all (default: all)
+  DRY_RUN               Set to 'true' to show the plan without uploading
 
 Examples:
-  # Generate all collections (docs + smoke + contract)
+  # Generate all collections (docs + smoke + contract + negative + scenario)
   node src/spec-hub-sync.js --spec specs/api.yaml
 
   # Generate only smoke tests
@@ -121,28 +133,50 @@ Examples:
   # Generate only contract tests
   node src/spec-hub-sync.js --spec specs/api.yaml --test-level contract
 
+  # Generate only negative tests
+  node src/spec-hub-sync.js --spec specs/api.yaml --test-level negative
+
+  # Generate only scenario tests
+  node src/spec-hub-sync.js --spec specs/api.yaml --test-level scenario
+
   # With explicit credentials
   node src/spec-hub-sync.js --spec specs/api.yaml --workspace <id> --api-key <key>
 
-  # Dry run (validate only)
-  node src/spec-hub-sync.js --spec specs/api.yaml --dry-run
+  # Publish what changed since the last upload in the Spec Hub description
+  node src/spec-hub-sync.js --spec specs/api.yaml --changelog
+
+  # Dry run (show what would change)
+  node src/spec-hub-sync.js --spec specs/api.yaml --dry-run --plan sync.plan.json
 `;
   // Use process.stdout for help text to maintain compatibility with JSON log streaming
   // Help text is user-facing documentation, not a log event
   process.stdout.write(helpText + '\n');
 }
 
-// Generate environments for each server
-function generateEnvironments(api) {
-  const servers = api.servers || [{ url: 'https://api.example.com', description: 'Default' }];
-  const environments = [];
-  
-  for (const server of servers) {
-    const env = generateEnvironmentForServer(api, server);
-    environments.push(env);
+// Append a changelog to info.description when info.version changed since the last upload.
+// Earlier changelog entries in the Spec Hub description are carried over.
+async function addChangelog(client, specId, specContent, api) {
+  try {
+    const previousContent = await client.getSpecFile(specId, client.getSpecFilePath(specContent));
+    const previousApi = await parseSpecContent(previousContent, `Spec Hub spec ${specId}`);
+    const previousDescription = previousApi.info?.description || '';
+
+    let entry = null;
+    if (previousApi.info?.version !== api.info?.version) {
+      const changelog = generateChangelog(previousApi, api);
+      entry = formatChangelogMarkdown(changelog, { headingLevel: 3 });
+      logSuccess(`Changelog: ${changelog.fromVersion} -> ${changelog.toVersion} (${changelog.summary.breaking} breaking)`);
+    } else if (!previousDescription.includes(CHANGELOG_MARKER)) {
+      logInfo('info.version unchanged - no changelog to add');
+      return specContent;
+    }
+
+    const description = appendChangelogToDescription(api.info?.description, previousDescription, entry);
+    return setSpecDescription(specContent, description);
+  } catch (error) {
+    logger.warn(`Could not generate changelog, uploading the spec without one: ${error.message}`);
+    return specContent;
   }
-  
-  return environments;
 }
 
 // Main sync function
@@ -157,7 +191,7 @@ async function sync(options) {
     process.exit(1);
   }
 
-  if (!options.apiKey) {
+  if (!options.apiKey && !isReplayingCassette(options.config || {})) {
     logError('Postman API key is required (--api-key or env.POSTMAN_API_KEY)');
     process.exit(1);
   }
@@ -169,150 +203,46 @@ async function sync(options) {
 
   const generateSmoke = options.testLevel === 'all' || options.testLevel === 'smoke';
   const generateContract = options.testLevel === 'all' || options.testLevel === 'contract';
+  const generateNegative = options.testLevel === 'all' || options.testLevel === 'negative';
+  const generateScenario = options.testLevel === 'all' || options.testLevel === 'scenario';
 
   logInfo(`Test level: ${options.testLevel}`);
   logInfo(`Generate smoke tests: ${generateSmoke}`);
-  logInfo(`Generate contract tests: ${generateContract}\n`);
+  logInfo(`Generate contract tests: ${generateContract}`);
+  logInfo(`Generate negative tests: ${generateNegative}`);
+  logInfo(`Generate scenario tests: ${generateScenario}\n`);
 
   if (options.dryRun) {
     logInfo('DRY RUN MODE - No changes will be made\n');
   }
 
-  // Initialize client
-  const client = new SpecHubClient(options.apiKey, options.workspaceId);
-
-  // Step 1: Parse OpenAPI spec
-  logStep('Step 1', 'Parsing OpenAPI spec');
-  const api = await parseSpec(options.spec);
-  const specName = api.info?.title || 'Untitled API';
-  logSuccess(`Parsed: ${specName} (${api.info?.version || 'unknown version'})`);
-
-  if (options.dryRun) {
-    logInfo('Dry run complete - spec is valid');
-    return;
-  }
-
-  // Step 2: Check for existing spec
-  logStep('Step 2', 'Checking for existing spec in Spec Hub');
-  let specId = null;
-  try {
-    const existingSpec = await client.findSpecByName(specName);
-    if (existingSpec) {
-      specId = existingSpec.id;
-      logInfo(`Found existing spec: ${specId}`);
-    } else {
-      logInfo('No existing spec found - will create new');
-    }
-  } catch (error) {
-    logInfo('Could not check for existing spec - will create new');
-  }
-
-  // Step 3: Upload spec to Spec Hub
-  logStep('Step 3', 'Uploading spec to Spec Hub');
-  const specContent = fs.readFileSync(options.spec, 'utf8');
-  specId = await client.uploadSpec(specName, specContent, specId);
-  logSuccess(`Spec uploaded: ${specId}`);
-
-  const generatedCollections = [];
-
-  // Step 4: Generate or sync main collection (always, no tests - for documentation)
-  logStep('Step 4', 'Generating/syncing main collection from Spec Hub');
-  const docsCollectionName = specName;  // Default/clean collection (no suffix)
-  let docsCollectionUid = null;
-  
-  // Main collection is critical - fail fast if it fails
-  docsCollectionUid = await client.generateOrSyncCollection(specId, docsCollectionName, {
-    enableOptionalParameters: true,
-    folderStrategy: 'Tags'
+  // Initialize client (postmanApi.baseUrl may point at a local fake API)
+  const config = options.config || {};
+  const client = new SpecHubClient(options.apiKey, options.workspaceId, { rateLimiter: options.rateLimiter, ...getClientOptions(config) });
+
+  // Plan: read-only, so a dry run shows exactly what would change
+  logStep('Plan', 'Comparing the spec with Spec Hub and the workspace');
+  const plan = await createSyncPlan(client, {
+    spec: options.spec,
+    testLevel: options.testLevel,
+    config,
+    prepareContent: options.changelog ? (specId, content, api) => addChangelog(client, specId, content, api) : null
   });
-  logSuccess(`Docs collection: ${docsCollectionUid}`);
-  generatedCollections.push({ name: docsCollectionName, uid: docsCollectionUid, type: 'main' });
-
-  // Apply tags (non-critical, continue on failure)
-  try {
-    await client.applyCollectionTags(docsCollectionUid, 'main');
-    logSuccess(`Tags applied: generated, docs`);
-  } catch (tagError) {
-    logInfo(`Note: Could not apply tags: ${tagError.message}`);
-  }
+  logInfo(formatSyncPlan(plan));
 
-  // Step 5: Generate or sync smoke test collection
-  if (generateSmoke) {
-    logStep('Step 5', 'Generating/syncing smoke test collection from Spec Hub');
-    const smokeCollectionName = `${specName} - Smoke Tests`;
-    const smokeCollectionUid = await client.generateOrSyncCollection(specId, smokeCollectionName, {
-      enableOptionalParameters: true,
-      folderStrategy: 'Tags'
-    });
-    logSuccess(`Smoke test collection: ${smokeCollectionUid}`);
-
-    logStep('Step 6', 'Generating and injecting smoke tests');
-    const smokeTestScripts = generateTestScriptsForSpec(api, TestLevel.SMOKE);
-    const smokeTestCount = Object.keys(smokeTestScripts).length - 1;
-    logInfo(`Generated ${smokeTestCount} smoke test scripts`);
-
-    await client.addTestScripts(smokeCollectionUid, smokeTestScripts);
-    logSuccess('Smoke tests injected into collection');
-    generatedCollections.push({ name: smokeCollectionName, uid: smokeCollectionUid, type: 'smoke' });
-
-    // Apply tags
-    try {
-      await client.applyCollectionTags(smokeCollectionUid, 'smoke');
-      logSuccess(`Tags applied: generated, smoke`);
-    } catch (tagError) {
-      logInfo(`Note: Could not apply tags: ${tagError.message}`);
-    }
+  if (options.planFile) {
+    saveSyncPlan(plan, options.planFile);
+    logSuccess(`Plan saved: ${options.planFile}`);
   }
 
-  // Step 6: Generate or sync contract test collection
-  if (generateContract) {
-    const contractStepNum = generateSmoke ? '7' : '5';
-    logStep(`Step ${contractStepNum}`, 'Generating/syncing contract test collection from Spec Hub');
-    const contractCollectionName = `${specName} - Contract Tests`;
-    const contractCollectionUid = await client.generateOrSyncCollection(specId, contractCollectionName, {
-      enableOptionalParameters: true,
-      folderStrategy: 'Tags'
-    });
-    logSuccess(`Contract test collection: ${contractCollectionUid}`);
-
-    const injectStepNum = generateSmoke ? '8' : '6';
-    logStep(`Step ${injectStepNum}`, 'Generating and injecting contract tests');
-    const contractTestScripts = generateTestScriptsForSpec(api, TestLevel.CONTRACT);
-    const contractTestCount = Object.keys(contractTestScripts).length - 1;
-    logInfo(`Generated ${contractTestCount} contract test scripts`);
-
-    await client.addTestScripts(contractCollectionUid, contractTestScripts);
-    logSuccess('Contract tests injected into collection');
-    generatedCollections.push({ name: contractCollectionName, uid: contractCollectionUid, type: 'contract' });
-
-    // Apply tags
-    try {
-      await client.applyCollectionTags(contractCollectionUid, 'contract');
-      logSuccess(`Tags applied: generated, contract`);
-    } catch (tagError) {
-      logInfo(`Note: Could not apply tags: ${tagError.message}`);
-    }
+  if (options.dryRun) {
+    logInfo('Dry run complete - no changes made');
+    return { specId: plan.spec.id, specName: plan.spec.name, collections: [], plan };
   }
 
-  // Step 7: Create/update environments (one per server)
-  const envStepNum = generateSmoke && generateContract ? '9' : generateSmoke || generateContract ? '7' : '5';
-  logStep(`Step ${envStepNum}`, 'Creating environments');
-  const environments = generateEnvironments(api);
-  
-  // Get existing environments
-  const existingEnvs = await client.request('GET', `/environments?workspace=${options.workspaceId}`);
-  
-  for (const environment of environments) {
-    const existingEnv = existingEnvs.environments?.find(e => e.name === environment.name);
-    
-    if (existingEnv) {
-      await client.request('PUT', `/environments/${existingEnv.uid}`, { environment });
-      logSuccess(`Environment updated: ${environment.name} (${existingEnv.uid})`);
-    } else {
-      const envResult = await client.request('POST', `/environments?workspace=${options.workspaceId}`, { environment });
-      logSuccess(`Environment created: ${environment.name} (${envResult.environment?.uid})`);
-    }
-  }
+  // Apply the plan just made (no staleness check needed)
+  const { specId, specName, collections: generatedCollections } = await applySyncPlan(client, plan, { verify: false });
+  const collectionNames = Object.fromEntries(generatedCollections.map(coll => [coll.type, coll.name]));
 
   // Summary
   logger.info('═══════════════════════════════════════════════════════════');
@@ -331,20 +261,27 @@ async function sync(options) {
   logger.info('  1. Open Postman and verify collections in workspace');
 
   if (generateSmoke) {
-    logger.info(`  2. Run smoke tests: postman collection run "${specName} - Smoke Tests"`);
+    logger.info(`  2. Run smoke tests: postman collection run "${collectionNames.smoke}"`);
   }
   if (generateContract) {
-    logger.info(`  3. Run contract tests: postman collection run "${specName} - Contract Tests"`);
+    logger.info(`  3. Run contract tests: postman collection run "${collectionNames.contract}"`);
+  }
+  if (generateNegative) {
+    logger.info(`  4. Run negative tests: postman collection run "${collectionNames.negative}"`);
+  }
+  if (generateScenario) {
+    logger.info(`  5. Run scenario tests: postman collection run "${collectionNames.scenario}"`);
   }
 
-  logger.info(`  4. On spec change, re-run: node src/spec-hub-sync.js --spec ${options.spec}`);
+  logger.info(`  6. On spec change, re-run: node src/spec-hub-sync.js --spec ${options.spec}`);
 
   logger.info('═══════════════════════════════════════════════════════════');
 
   return {
     specId,
     specName,
-    collections: generatedCollections
+    collections: generatedCollections,
+    plan
   };
 }
 
@@ -366,7 +303,8 @@ if (isMainModule) {
     process.exit(0);
   }
 
-  sync(options).catch(error => {
+  // Name patterns and tags come from sync.config.json when present
+  sync({ ...options, config: loadConfig({ spec: options.spec }) }).catch(error => {
     logError(`Sync failed: ${error.message}`);
     logger.error('Stack trace', error);
     process.exit(1);
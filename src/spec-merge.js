@@ -6,10 +6,19 @@
  * Handles 3-way merge for bidirectional sync between OpenAPI specs
  * and Postman collections. Only merges allowed fields (descriptions,
  * examples) while preserving structural integrity.
+ *
+ * With preserveFormatting (the default), YAML specs are written back by
+ * editing only the changed nodes of the original file, so comments, quoting,
+ * block scalars, anchors and key order survive a reverse sync.
  */
 
 import fs from 'fs';
 import yaml from 'js-yaml';
+import YAML from 'yaml';
+import { deepDiff } from './change-detector.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger({ name: 'spec-merge' });
 
 export class SpecMerge {
   constructor(options = {}) {
@@ -37,13 +46,19 @@ export class SpecMerge {
 
     // Apply only allowed changes
     for (const change of allowedChanges) {
-      // Skip conflicting changes based on strategy
-      if (change.hasConflict) {
-        if (this.options.conflictStrategy === 'spec-wins') {
-          skippedChanges.push({ ...change, reason: 'Conflict - spec wins' });
+      // Changes resolved by ConflictResolver (interactive strategy)
+      if (change.resolution === 'local' || change.resolution === 'skip') {
+        skippedChanges.push({ ...change, reason: change.resolution === 'local' ? 'Resolved - kept local' : 'Resolved - skipped' });
+        continue;
+      }
+
+      if (!change.resolution && (change.hasConflict || change.requiresApproval)) {
+        const skipReason = this.getUnresolvedSkipReason(change);
+        if (skipReason) {
+          skippedChanges.push({ ...change, reason: skipReason });
           continue;
         }
-        // collection-wins or interactive: apply the change
+        // collection-wins: apply the conflicting change
       }
 
       try {
@@ -64,6 +79,23 @@ export class SpecMerge {
     };
   }
 
+  /**
+   * Why an unresolved conflict or approval-required change is skipped
+   * @returns {string|null} Reason, or null when the strategy applies it
+   */
+  getUnresolvedSkipReason(change) {
+    if (this.options.conflictStrategy === 'interactive') {
+      return 'Unresolved - no decision';
+    }
+    if (change.hasConflict && this.options.conflictStrategy === 'spec-wins') {
+      return 'Conflict - spec wins';
+    }
+    if (change.requiresApproval) {
+      return 'Requires approval';
+    }
+    return null;
+  }
+
   /**
    * Apply a single change to the spec
    * @param {object} spec - Spec object to modify
@@ -288,9 +320,23 @@ export class SpecMerge {
 
   /**
    * Write spec back to file (preserving format)
+   * @param {object} spec - Merged spec
+   * @param {string} filePath - Output file
+   * @param {object} options - { sourcePath }: YAML file to edit in place of a
+   *   full re-serialization (default: filePath when it exists)
    */
-  writeSpec(spec, filePath) {
+  writeSpec(spec, filePath, options = {}) {
     const isYaml = filePath.endsWith('.yaml') || filePath.endsWith('.yml');
+    const sourcePath = options.sourcePath || filePath;
+
+    if (isYaml && this.options.preserveFormatting && fs.existsSync(sourcePath)) {
+      const { content: updated, failed } = this.editYamlContent(fs.readFileSync(sourcePath, 'utf8'), spec);
+      if (updated !== null) {
+        fs.writeFileSync(filePath, updated);
+        return;
+      }
+      logger.warn(`Could not preserve the formatting of ${filePath} (${failed}), rewriting the whole file`);
+    }
 
     const content = isYaml
       ? yaml.dump(spec, {
@@ -304,6 +350,78 @@ export class SpecMerge {
     fs.writeFileSync(filePath, content + '\n');
   }
 
+  /**
+   * Apply the differences between a YAML file and a spec as node edits
+   *
+   * Changed scalars are replaced in the source text in their original style,
+   * and keys added to or removed from block mappings are inserted or cut as
+   * text. Anything else (sequence items, flow collections, type changes) is
+   * edited through the yaml Document API, which keeps comments, anchors and
+   * ordering but normalizes spacing.
+   *
+   * @param {string} content - Original YAML text
+   * @param {object} spec - Spec to write
+   * @returns {string|null} Updated YAML, or null if it could not be produced
+   *   faithfully (the caller then re-serializes the whole spec)
+   */
+  updateYamlContent(content, spec) {
+    return this.editYamlContent(content, spec).content;
+  }
+
+  /**
+   * updateYamlContent, with the reason when the YAML can't be edited
+   * @returns {{content: string|null, failed: string|null}} Updated YAML, or
+   *   null and the change that could not be applied
+   */
+  editYamlContent(content, spec) {
+    const doc = YAML.parseDocument(content);
+    if (doc.errors.length > 0) return { content: null, failed: `YAML parse error: ${doc.errors[0].message}` };
+
+    const changes = deepDiff(doc.toJS(), spec);
+    if (changes.length === 0) return { content, failed: null };
+
+    const indentSeq = detectIndentSeq(doc, content);
+
+    // Pass 1: text splices against the original source
+    const splices = new Map();
+    const structural = [];
+
+    for (const change of changes) {
+      const splice = planYamlSplice(doc, content, change, indentSeq);
+
+      if (!splice) {
+        structural.push(change);
+      } else if (splices.has(splice.start) && splice.start === splice.end) {
+        // Several keys inserted at the same place keep their order
+        splices.get(splice.start).text += splice.text;
+      } else {
+        splices.set(splice.start, splice);
+      }
+    }
+
+    let updated = content;
+    for (const { start, end, text } of [...splices.values()].sort((a, b) => b.start - a.start)) {
+      updated = updated.slice(0, start) + text + updated.slice(end);
+    }
+
+    // Pass 2: everything else through the Document API
+    if (structural.length > 0) {
+      const updatedDoc = YAML.parseDocument(updated);
+      // Delete from the end so array indexes stay valid
+      for (const change of structural.reverse()) {
+        if (!applyYamlChange(updatedDoc, change.path, spec)) {
+          return { content: null, failed: `could not edit ${change.path.join('.')}` };
+        }
+      }
+      updated = updatedDoc.toString({ lineWidth: 0, flowCollectionPadding: false, indentSeq });
+    }
+
+    const [mismatch] = deepDiff(yaml.load(updated, { schema: yaml.JSON_SCHEMA }), spec);
+    return mismatch
+      ? { content: null, failed: `edited ${mismatch.path.join('.')} does not read back as written` }
+      : { content: updated, failed: null };
+  }
+
   /**
    * Create a backup of the spec before modifying
    */
@@ -314,4 +432,232 @@ export class SpecMerge {
   }
 }
 
+// ============================================================
+// YAML node editing helpers
+// ============================================================
+
+function isPrimitive(value) {
+  return value === null || ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+/**
+ * Key of a map pair as a string (response codes such as 200 are numeric keys)
+ */
+function pairKey(pair) {
+  return String(YAML.isScalar(pair.key) ? pair.key.value : pair.key);
+}
+
+/**
+ * Find the node at a path, following aliases to their anchored node
+ * @param {boolean} resolveLast - Also resolve an alias at the path itself
+ *   (false to edit the alias, leaving the anchored node and its other uses alone)
+ * @returns {Node|null} Node, or null if the path does not exist
+ */
+function findYamlNode(doc, pathParts, resolveLast = true) {
+  let node = doc.contents;
+
+  for (const part of pathParts) {
+    if (YAML.isAlias(node)) node = node.resolve(doc);
+
+    if (YAML.isMap(node)) {
+      node = node.items.find(pair => pairKey(pair) === String(part))?.value;
+    } else if (YAML.isSeq(node)) {
+      node = node.items[part];
+    } else {
+      return null;
+    }
+
+    if (node === undefined || node === null) return null;
+  }
+
+  return resolveLast && YAML.isAlias(node) ? node.resolve(doc) : node;
+}
+
+/**
+ * Indentation of the line a source offset is on ("- " counts as indentation)
+ */
+function lineIndentAt(content, offset) {
+  const lineStart = content.lastIndexOf('\n', offset - 1) + 1;
+  return content.slice(lineStart).match(/^[ -]*/)[0].length;
+}
+
+/**
+ * Offset of the start of the line after `offset` (end of content if none)
+ */
+function nextLineStart(content, offset) {
+  if (offset > 0 && content[offset - 1] === '\n') return offset;
+  const newline = content.indexOf('\n', offset);
+  return newline === -1 ? content.length : newline + 1;
+}
+
+/**
+ * Plan a text edit for one change, or null when it needs the Document API
+ * - scalar replaced by a scalar: replace the value text
+ * - key added to a block mapping: insert it after the last key
+ * - key removed from a block mapping: cut its lines
+ * @returns {object|null} { start, end, text } in original source offsets
+ */
+function planYamlSplice(doc, content, change, indentSeq) {
+  if (change.kind === 'E') {
+    const node = isPrimitive(change.rhs) ? findYamlNode(doc, change.path, false) : null;
+    // An alias to a scalar is replaced by the value, in the anchored node's style
+    const styleNode = YAML.isAlias(node) ? node.resolve(doc) : node;
+    const text = YAML.isScalar(styleNode) ? renderScalar(styleNode, change.rhs, content, node.range[0]) : null;
+    return text === null ? null : { start: node.range[0], end: node.range[1], text };
+  }
+
+  const parent = findYamlNode(doc, change.path.slice(0, -1));
+
+  if (YAML.isSeq(parent) && change.kind === 'N' && change.path[change.path.length - 1] === parent.items.length && parent.items.length > 0) {
+    return planSeqAppend(parent, content, change.rhs, indentSeq);
+  }
+
+  if (!YAML.isMap(parent) || parent.flow || parent.items.length === 0) return null;
+
+  const key = String(change.path[change.path.length - 1]);
+  const firstKey = parent.items[0].key;
+  const column = firstKey.range[0] - (content.lastIndexOf('\n', firstKey.range[0] - 1) + 1);
+
+  if (change.kind === 'N') {
+    const last = parent.items[parent.items.length - 1];
+    const at = nextLineStart(content, (last.value || last.key).range[2]);
+    const rendered = YAML.stringify({ [key]: change.rhs }, { lineWidth: 0, flowCollectionPadding: false, indentSeq });
+    const text = rendered.split('\n').map(line => (line ? `${' '.repeat(column)}${line}` : line)).join('\n');
+    return { start: at, end: at, text: at === content.length && !content.endsWith('\n') ? `\n${text}` : text };
+  }
+
+  if (change.kind === 'D') {
+    const pair = parent.items.find(item => pairKey(item) === key);
+    const lineStart = pair ? content.lastIndexOf('\n', pair.key.range[0] - 1) + 1 : -1;
+    // Only whole lines; "- key: value" would take the sequence item marker with it
+    if (!pair || content.slice(lineStart, pair.key.range[0]).trim() !== '') return null;
+    return { start: lineStart, end: nextLineStart(content, (pair.value || pair.key).range[2]), text: '' };
+  }
+
+  return null;
+}
+
+/**
+ * Source text for a new scalar value, in the style of the node it replaces
+ * @param {number} at - Offset the text is written at (an alias may differ from node)
+ * @returns {string|null} Text for the replaced range, or null
+ */
+function renderScalar(node, value, content, at = node.range[0]) {
+  if (typeof value !== 'string') {
+    return value === null ? 'null' : String(value);
+  }
+
+  const isBlock = node.type === YAML.Scalar.BLOCK_LITERAL || node.type === YAML.Scalar.BLOCK_FOLDED;
+
+  if (isBlock || value.includes('\n')) {
+    // Block scalars can't start with whitespace without an indentation indicator
+    if (/^[ \t]/.test(value)) return JSON.stringify(value);
+
+    const existing = isBlock && at === node.range[0] ? content.slice(node.range[0], node.range[1]).match(/\n( +)\S/) : null;
+    const indent = ' '.repeat(existing ? existing[1].length : lineIndentAt(content, at) + 2);
+    const folded = node.type === YAML.Scalar.BLOCK_FOLDED;
+    const body = value.replace(/\n+$/, '');
+    const trailing = value.length - body.length;
+    const chomp = trailing === 0 ? '-' : trailing === 1 ? '' : '+';
+    const lines = body.split('\n').flatMap((line, i) => (folded && i > 0 ? ['', line] : [line]));
+
+    const text = `${folded ? '>' : '|'}${chomp}\n` +
+      lines.map(line => (line ? `${indent}${line}` : '')).join('\n') + '\n' +
+      '\n'.repeat(Math.max(0, trailing - 1));
+
+    // A block node's range includes its final line break; a flow scalar's doesn't
+    return isBlock ? text : text.slice(0, -1);
+  }
+
+  if (node.type === YAML.Scalar.QUOTE_DOUBLE) return JSON.stringify(value);
+  if (node.type === YAML.Scalar.QUOTE_SINGLE) return `'${value.replace(/'/g, "''")}'`;
+
+  // Plain where YAML allows it, quoted otherwise
+  return YAML.stringify(value, { lineWidth: 0 }).trimEnd();
+}
+
+/**
+ * Set or delete the node at a path, creating missing parents from the spec
+ * @returns {boolean} Whether the change could be applied
+ */
+function applyYamlChange(doc, pathParts, spec) {
+  let parent = doc.contents;
+
+  for (let i = 0; i < pathParts.length; i++) {
+    if (YAML.isAlias(parent)) parent = parent.resolve(doc);
+
+    const part = pathParts[i];
+    const value = pathParts.slice(0, i + 1).reduce((obj, key) => obj?.[key], spec);
+    const isLast = i === pathParts.length - 1;
+
+    if (YAML.isMap(parent)) {
+      const pair = parent.items.find(item => pairKey(item) === String(part));
+
+      if (value === undefined) {
+        if (pair) parent.items.splice(parent.items.indexOf(pair), 1);
+        return true;
+      }
+      if (!pair) {
+        parent.items.push(doc.createPair(part, value));
+        return true;
+      }
+      if (isLast || !YAML.isCollection(pair.value) && !YAML.isAlias(pair.value)) {
+        pair.value = doc.createNode(value);
+        return true;
+      }
+      parent = pair.value;
+    } else if (YAML.isSeq(parent)) {
+      if (value === undefined) {
+        if (part < parent.items.length) parent.items.splice(part, 1);
+        return true;
+      }
+      if (isLast || part >= parent.items.length || !YAML.isCollection(parent.items[part]) && !YAML.isAlias(parent.items[part])) {
+        parent.items[part] = doc.createNode(value);
+        return true;
+      }
+      parent = parent.items[part];
+    } else {
+      return false;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Text edit appending an item to a sequence: "- item" after the last item of
+ * a block sequence, or ", item" inside a flow sequence (scalars only)
+ */
+function planSeqAppend(seq, content, value, indentSeq) {
+  const last = seq.items[seq.items.length - 1];
+  if (!last?.range) return null;
+
+  if (seq.flow) {
+    if (!isPrimitive(value)) return null;
+    const text = typeof value === 'string' && !/[,[\]{}\n]/.test(value) ? YAML.stringify(value, { lineWidth: 0 }).trimEnd() : JSON.stringify(value);
+    return { start: last.range[1], end: last.range[1], text: `, ${text}` };
+  }
+
+  const dash = content.lastIndexOf('-', seq.items[0].range[0]);
+  const column = dash - (content.lastIndexOf('\n', dash - 1) + 1);
+  const at = nextLineStart(content, last.range[2]);
+  const rendered = YAML.stringify([value], { lineWidth: 0, flowCollectionPadding: false, indentSeq });
+  const text = rendered.split('\n').map(line => (line ? `${' '.repeat(column)}${line}` : line)).join('\n');
+
+  return { start: at, end: at, text: at === content.length && !content.endsWith('\n') ? `\n${text}` : text };
+}
+
+/**
+ * Whether block sequences are indented under their key in the source,
+ * judged by which setting reproduces more of the original lines
+ */
+function detectIndentSeq(doc, content) {
+  const sourceLines = content.split('\n');
+  const matching = (indentSeq) => {
+    const lines = new Set(doc.toString({ lineWidth: 0, flowCollectionPadding: false, indentSeq }).split('\n'));
+    return sourceLines.filter(line => lines.has(line)).length;
+  };
+  return matching(true) >= matching(false);
+}
+
 export default SpecMerge;
@@ -0,0 +1,698 @@
+#!/usr/bin/env node
+
+/**
+ * Forward Sync Plan/Apply
+ *
+ * Forward sync runs in two phases:
+ * 1. plan: read the spec and the current Spec Hub/workspace state (read-only
+ *    API calls) and compute exactly what would change:
+ *    - which spec files would be created or patched
+ *    - which collections would be generated and which synchronized
+ *    - per request (or scenario), how many test scripts would be injected,
+ *      replaced or removed
+ *    - per request, which pre-request scripts (parameters and auth) would be
+ *      injected or replaced
+ *    - which environments would be created or updated, with value diffs
+ * 2. apply: execute a plan verbatim. The spec content, test and pre-request
+ *    scripts, negative cases, scenarios and environments all come from the plan.
+ *
+ * Plans can be saved to a file, reviewed, and applied later. A saved plan is
+ * refused when Spec Hub no longer matches the state it was made against
+ * (e.g. a collection it would generate now exists).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseSpec } from './parser.js';
+import {
+  generateTestScriptsForSpec,
+  generateNegativeCasesForSpec,
+  generatePreRequestScriptsForSpec,
+  TestLevel,
+  NEGATIVE_SCRIPT_MARKER
+} from './test-generator.js';
+import { generateScenariosForSpec, SCENARIO_SCRIPT_MARKER } from './scenario-generator.js';
+import { generateEnvironmentForServer } from './environment-generator.js';
+import { collectReferencedFiles } from './multi-file-spec.js';
+import { extractGeneratedLines } from './generated-region.js';
+import { COLLECTION_TYPES, createNamingContext, getCollectionNames, getCollectionTags } from './config-loader.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger({ name: 'sync-plan' });
+
+export const PLAN_VERSION = 1;
+export const DEFAULT_PLAN_FILE = 'sync.plan.json';
+
+// What each collection type gets after generation/sync
+const SCRIPT_KINDS = {
+  main: null,
+  smoke: 'tests',
+  contract: 'tests',
+  negative: 'negative',
+  scenario: 'scenarios'
+};
+
+const COLLECTION_OPTIONS = { enableOptionalParameters: true, folderStrategy: 'Tags' };
+const MASKED_VALUE = '********';
+
+export class SyncPlanError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SyncPlanError';
+  }
+}
+
+/**
+ * Collection types a test level syncs (the main collection always)
+ * @param {string} testLevel - smoke, contract, negative, scenario, all or none
+ * @returns {Array<string>} Collection types in sync order
+ */
+export function getPlannedTypes(testLevel) {
+  return COLLECTION_TYPES.filter(type => type === 'main' || testLevel === 'all' || testLevel === type);
+}
+
+// ============================================================
+// Diff Helpers
+// ============================================================
+
+function toLines(script) {
+  return Array.isArray(script) ? script : String(script).split('\n');
+}
+
+function isMarkedItem(item, marker) {
+  return (item.event || []).some(e =>
+    e.listen === 'test' && typeof e.script?.exec?.[0] === 'string' && e.script.exec[0].startsWith(marker));
+}
+
+function getTestScript(item) {
+  const test = (item.event || []).find(e => e.listen === 'test');
+  return test ? toLines(test.script?.exec || []) : null;
+}
+
+function forEachRequest(items, callback) {
+  for (const item of items || []) {
+    if (!item) continue;
+    if (Array.isArray(item.item)) {
+      forEachRequest(item.item, callback);
+    } else if (item.request?.method && item.request?.url) {
+      callback(item);
+    }
+  }
+}
+
+/**
+ * Compare the scripts a collection has with the scripts a plan would write
+ * @param {Map<string, Array>} existing - Key -> script line arrays now in the collection
+ * @param {Map<string, Array>} planned - Key -> script line arrays the plan writes
+ * @returns {Object} { inject, replace, unchanged, remove, items: [{ key, action, scripts }] }
+ */
+export function diffScripts(existing, planned) {
+  const diff = { inject: 0, replace: 0, unchanged: 0, remove: 0, items: [] };
+
+  for (const [key, scripts] of planned) {
+    const current = existing.get(key) || [];
+    let action;
+    if (current.length === 0) {
+      action = 'inject';
+    } else if (JSON.stringify(current) === JSON.stringify(scripts)) {
+      action = 'unchanged';
+    } else {
+      action = 'replace';
+    }
+    diff[action] += scripts.length;
+    diff.items.push({ key, action, scripts: scripts.length });
+  }
+
+  for (const [key, scripts] of existing) {
+    if (!planned.has(key) && scripts.length > 0) {
+      diff.remove += scripts.length;
+      diff.items.push({ key, action: 'remove', scripts: scripts.length });
+    }
+  }
+
+  return diff;
+}
+
+/**
+ * Scripts now in a collection, keyed like the planned payload for its kind
+ * @param {SpecHubClient} client - For stable request keys
+ * @param {Object} collection - Postman collection
+ * @param {string} kind - tests, negative or scenarios
+ * @returns {Map<string, Array>} Key -> script line arrays
+ */
+export function getExistingScripts(client, collection, kind) {
+  const existing = new Map();
+  const add = (key, script) => existing.set(key, [...(existing.get(key) || []), script]);
+
+  if (kind === 'scenarios') {
+    for (const folder of collection.item || []) {
+      const steps = Array.isArray(folder?.item) ? folder.item.filter(item => isMarkedItem(item, SCENARIO_SCRIPT_MARKER)) : [];
+      for (const step of steps) {
+        add(folder.name, getTestScript(step));
+      }
+    }
+    return existing;
+  }
+
+  forEachRequest(collection.item, item => {
+    const negative = isMarkedItem(item, NEGATIVE_SCRIPT_MARKER);
+    const key = client.generateTestKeyFromItem(item.request);
+    if (kind === 'negative' && negative) {
+      add(key, getTestScript(item));
+    } else if (kind === 'tests' && !negative && !isMarkedItem(item, SCENARIO_SCRIPT_MARKER)) {
+      // Only the generated region is compared; hand-written tests are kept
+      const generated = (item.event || [])
+        .filter(e => e.listen === 'test')
+        .map(e => extractGeneratedLines(toLines(e.script?.exec || [])))
+        .find(Boolean);
+      existing.set(key, generated ? [generated] : []);
+    }
+  });
+  return existing;
+}
+
+/**
+ * Generated pre-request scripts now in a collection
+ * Clones of a request (negative cases, scenario steps) share its key; the
+ * first generated region found counts.
+ * @param {SpecHubClient} client - For stable request keys
+ * @param {Object} collection - Postman collection
+ * @returns {Map<string, Array>} Key -> script line arrays (at most one)
+ */
+export function getExistingPreRequestScripts(client, collection) {
+  const existing = new Map();
+
+  forEachRequest(collection.item, item => {
+    const key = client.generateTestKeyFromItem(item.request);
+    if (existing.get(key)?.length) return;
+    const generated = (item.event || [])
+      .filter(e => e.listen === 'prerequest')
+      .map(e => extractGeneratedLines(toLines(e.script?.exec || [])))
+      .find(Boolean);
+    existing.set(key, generated ? [generated] : []);
+  });
+  return existing;
+}
+
+/**
+ * Pre-request scripts a collection gets, keyed like getExistingPreRequestScripts
+ * Negative and scenario collections only keep the requests their cases or
+ * steps are cloned from.
+ * @param {string} kind - Script kind of the collection (null for main)
+ * @param {Object|Array} payload - The collection's test payload
+ * @param {Object} preRequestScripts - From generatePreRequestScriptsForSpec
+ * @returns {Map<string, Array>} Key -> script line arrays
+ */
+export function getPlannedPreRequestScripts(kind, payload, preRequestScripts) {
+  let keys = Object.keys(preRequestScripts);
+  if (kind === 'negative') {
+    keys = keys.filter(key => payload[key]?.length > 0);
+  } else if (kind === 'scenarios') {
+    const steps = new Set(payload.flatMap(scenario => scenario.steps.map(step => step.key)));
+    keys = keys.filter(key => steps.has(key));
+  }
+  return new Map(keys.map(key => [key, [toLines(preRequestScripts[key])]]));
+}
+
+/**
+ * Scripts a collection payload writes, keyed like getExistingScripts
+ * @param {string} kind - tests, negative or scenarios
+ * @param {Object|Array} payload - Test scripts, negative cases or scenarios
+ * @returns {Map<string, Array>} Key -> script line arrays
+ */
+export function getPlannedScripts(kind, payload) {
+  if (kind === 'scenarios') {
+    return new Map(payload.map(scenario => [scenario.name, scenario.steps.map(step => toLines(step.script))]));
+  }
+  if (kind === 'negative') {
+    return new Map(Object.entries(payload)
+      .filter(([, cases]) => cases.length > 0)
+      .map(([key, cases]) => [key, cases.map(negativeCase => toLines(negativeCase.script))]));
+  }
+  // The default script only covers requests the spec doesn't describe
+  return new Map(Object.entries(payload)
+    .filter(([key]) => key !== 'default')
+    .map(([key, script]) => [key, [toLines(script)]]));
+}
+
+/**
+ * Value changes between an environment in the workspace and a planned one
+ * Secret values are masked.
+ * @param {Array} current - Current values [{ key, value, type }]
+ * @param {Array} planned - Planned values
+ * @returns {Array<Object>} [{ key, change: add|remove|update, from, to }]
+ */
+export function diffEnvironmentValues(current = [], planned = []) {
+  const show = variable => variable.type === 'secret' ? MASKED_VALUE : variable.value;
+  const currentByKey = new Map(current.map(variable => [variable.key, variable]));
+  const plannedByKey = new Map(planned.map(variable => [variable.key, variable]));
+  const changes = [];
+
+  for (const [key, variable] of plannedByKey) {
+    const existing = currentByKey.get(key);
+    if (!existing) {
+      changes.push({ key, change: 'add', to: show(variable) });
+    } else if (String(existing.value ?? '') !== String(variable.value ?? '')) {
+      changes.push({ key, change: 'update', from: show(existing), to: show(variable) });
+    }
+  }
+  for (const [key, variable] of currentByKey) {
+    if (!plannedByKey.has(key)) {
+      changes.push({ key, change: 'remove', from: show(variable) });
+    }
+  }
+
+  return changes;
+}
+
+// ============================================================
+// Plan
+// ============================================================
+
+function buildPayload(kind, api, type) {
+  switch (kind) {
+    case 'tests':
+      return generateTestScriptsForSpec(api, type === 'smoke' ? TestLevel.SMOKE : TestLevel.CONTRACT);
+    case 'negative':
+      return generateNegativeCasesForSpec(api);
+    case 'scenarios':
+      return generateScenariosForSpec(api);
+    default:
+      return null;
+  }
+}
+
+async function planSpec(client, specId, rootContent, referencedFiles) {
+  const rootPath = client.getSpecFilePath(rootContent);
+  const files = [{ path: rootPath, content: rootContent, root: true }, ...referencedFiles];
+
+  if (!specId) {
+    return { id: null, action: 'create', files: files.map(file => ({ ...file, action: 'create' })) };
+  }
+
+  const remotePaths = new Set((await client.listSpecFiles(specId)).map(file => file.path));
+  remotePaths.add(rootPath);
+
+  const planned = [];
+  for (const file of files) {
+    let action = 'create';
+    if (remotePaths.has(file.path)) {
+      const remote = await client.getSpecFile(specId, file.path);
+      action = remote === file.content ? 'unchanged' : 'update';
+    }
+    planned.push({ ...file, action });
+  }
+
+  const changed = planned.some(file => file.action !== 'unchanged');
+  return { id: specId, action: changed ? 'update' : 'unchanged', files: planned };
+}
+
+async function planCollection(client, type, name, tags, existing, api, preRequestScripts) {
+  const kind = SCRIPT_KINDS[type];
+  const payload = buildPayload(kind, api, type);
+  const plannedPreRequests = getPlannedPreRequestScripts(kind, payload, preRequestScripts);
+  const entry = {
+    type,
+    name,
+    action: existing ? 'sync' : 'generate',
+    uid: existing?.id || null,
+    tags,
+    kind,
+    scripts: null,
+    payload,
+    preRequestScripts: null,
+    preRequestPayload: Object.fromEntries([...plannedPreRequests].map(([key, [script]]) => [key, script]))
+  };
+
+  const collection = existing ? (await client.getCollection(existing.id))?.collection || {} : null;
+  if (kind) {
+    const current = collection ? getExistingScripts(client, collection, kind) : new Map();
+    entry.scripts = diffScripts(current, getPlannedScripts(kind, payload));
+  }
+  const currentPreRequests = collection ? getExistingPreRequestScripts(client, collection) : new Map();
+  entry.preRequestScripts = diffScripts(currentPreRequests, plannedPreRequests);
+
+  return entry;
+}
+
+async function planEnvironments(client, api) {
+  const servers = api.servers || [{ url: 'https://api.example.com', description: 'Default' }];
+  const existing = await client.getWorkspaceEnvironments();
+  const planned = [];
+
+  for (const server of servers) {
+    const environment = generateEnvironmentForServer(api, server);
+    const match = existing.find(e => e.name === environment.name);
+
+    if (!match) {
+      planned.push({ name: environment.name, action: 'create', uid: null, changes: diffEnvironmentValues([], environment.values), environment });
+      continue;
+    }
+
+    const current = (await client.getEnvironment(match.uid))?.environment?.values || [];
+    const changes = diffEnvironmentValues(current, environment.values);
+    planned.push({ name: environment.name, action: changes.length > 0 ? 'update' : 'unchanged', uid: match.uid, changes, environment });
+  }
+
+  return planned;
+}
+
+/**
+ * Compute a forward sync plan with read-only API calls
+ * @param {SpecHubClient} client - Spec Hub client for the target workspace
+ * @param {Object} options
+ * @param {string} options.spec - Root spec file
+ * @param {string} options.testLevel - smoke, contract, negative, scenario, all or none
+ * @param {Object} options.config - Loaded config (collection names and tags)
+ * @param {Function} options.prepareContent - Optional async (specId, content, api) => content,
+ *   e.g. to add a changelog to the uploaded spec
+ * @returns {Promise<Object>} Plan
+ */
+export async function createSyncPlan(client, options) {
+  const config = options.config || {};
+  const testLevel = options.testLevel || 'all';
+
+  const api = await parseSpec(options.spec);
+  const specName = api.info?.title || 'Untitled API';
+  const referencedFiles = collectReferencedFiles(options.spec);
+  logger.success(`Parsed: ${specName} (${api.info?.version || 'unknown version'})`);
+  if (referencedFiles.length > 0) {
+    logger.info(`Multi-file spec: ${referencedFiles.length} referenced file(s)`);
+  }
+
+  const naming = createNamingContext(config, api, options.spec);
+  const collectionNames = getCollectionNames(config, naming);
+
+  let specId = null;
+  try {
+    specId = (await client.findSpecByName(specName))?.id || null;
+  } catch (error) {
+    logger.info('Could not check for existing spec - will create new');
+  }
+
+  let content = fs.readFileSync(options.spec, 'utf8');
+  if (options.prepareContent && specId) {
+    content = await options.prepareContent(specId, content, api);
+  }
+
+  const spec = await planSpec(client, specId, content, referencedFiles);
+  const generated = spec.id ? await client.getSpecGeneratedCollections(spec.id) : [];
+
+  const preRequestScripts = generatePreRequestScriptsForSpec(api);
+  const collections = [];
+  for (const type of getPlannedTypes(testLevel)) {
+    const name = collectionNames[type];
+    const existing = generated.find(collection => collection.name === name);
+    collections.push(await planCollection(client, type, name, getCollectionTags(config, type, naming), existing, api, preRequestScripts));
+  }
+
+  return {
+    version: PLAN_VERSION,
+    createdAt: client.now(),
+    workspace: client.workspaceId,
+    testLevel,
+    spec: { path: options.spec, name: specName, version: api.info?.version || null, ...spec },
+    collections,
+    environments: await planEnvironments(client, api)
+  };
+}
+
+/**
+ * Counts of planned changes
+ * @param {Object} plan - Plan
+ * @returns {Object} { specFiles, generate, sync, scripts: { inject, replace, remove },
+ *   preRequestScripts: { inject, replace, remove }, environments: { create, update } }
+ */
+export function summarizeSyncPlan(plan) {
+  const count = (list, action) => list.filter(entry => entry.action === action).length;
+  const scripts = { inject: 0, replace: 0, remove: 0 };
+  const preRequestScripts = { inject: 0, replace: 0, remove: 0 };
+  for (const collection of plan.collections) {
+    for (const action of Object.keys(scripts)) {
+      scripts[action] += collection.scripts?.[action] || 0;
+      preRequestScripts[action] += collection.preRequestScripts?.[action] || 0;
+    }
+  }
+
+  return {
+    specFiles: plan.spec.files.filter(file => file.action !== 'unchanged').length,
+    generate: count(plan.collections, 'generate'),
+    sync: count(plan.collections, 'sync'),
+    scripts,
+    preRequestScripts,
+    environments: { create: count(plan.environments, 'create'), update: count(plan.environments, 'update') }
+  };
+}
+
+/**
+ * Human-readable plan
+ * @param {Object} plan - Plan
+ * @returns {string} Text, one change per line
+ */
+export function formatSyncPlan(plan) {
+  const symbols = { create: '+', generate: '+', inject: '+', add: '+', update: '~', sync: '~', replace: '~', remove: '-', unchanged: '=' };
+  const lines = [];
+
+  lines.push(`Spec "${plan.spec.name}"${plan.spec.id ? ` (${plan.spec.id})` : ''}: ${plan.spec.action}`);
+  for (const file of plan.spec.files) {
+    lines.push(`  ${symbols[file.action]} ${file.path}${file.root ? ' (root)' : ''}`);
+  }
+
+  lines.push('', 'Collections:');
+  for (const collection of plan.collections) {
+    const target = collection.uid ? ` (${collection.uid})` : '';
+    let line = `  ${symbols[collection.action]} ${collection.action} ${collection.type} "${collection.name}"${target}`;
+    if (collection.scripts) {
+      const { inject, replace, unchanged, remove } = collection.scripts;
+      line += `: ${inject} to inject, ${replace} to replace, ${remove} to remove, ${unchanged} unchanged`;
+    }
+    if (collection.preRequestScripts?.items.length > 0) {
+      const { inject, replace, remove, unchanged } = collection.preRequestScripts;
+      line += `${collection.scripts ? ';' : ':'} pre-request ${inject} to inject, ${replace} to replace, ${remove} to remove, ${unchanged} unchanged`;
+    }
+    lines.push(line);
+    for (const item of collection.scripts?.items || []) {
+      if (item.action !== 'unchanged') {
+        lines.push(`      ${symbols[item.action]} ${item.key} (${item.scripts} script${item.scripts === 1 ? '' : 's'})`);
+      }
+    }
+    for (const item of collection.preRequestScripts?.items || []) {
+      if (item.action !== 'unchanged') {
+        lines.push(`      ${symbols[item.action]} ${item.key} (pre-request)`);
+      }
+    }
+  }
+
+  lines.push('', 'Environments:');
+  for (const environment of plan.environments) {
+    const target = environment.uid ? ` (${environment.uid})` : '';
+    lines.push(`  ${symbols[environment.action]} ${environment.action} "${environment.name}"${target}`);
+    if (environment.action !== 'update') continue;
+    for (const change of environment.changes) {
+      const values = change.change === 'update'
+        ? `${JSON.stringify(change.from)} -> ${JSON.stringify(change.to)}`
+        : JSON.stringify(change.change === 'add' ? change.to : change.from);
+      lines.push(`      ${symbols[change.change]} ${change.key}: ${values}`);
+    }
+  }
+
+  const summary = summarizeSyncPlan(plan);
+  lines.push('', `Plan: ${summary.specFiles} spec file(s) to upload, ` +
+    `${summary.generate} collection(s) to generate, ${summary.sync} to sync, ` +
+    `${summary.scripts.inject} script(s) to inject, ${summary.scripts.replace} to replace, ${summary.scripts.remove} to remove, ` +
+    `${summary.preRequestScripts.inject} pre-request script(s) to inject, ${summary.preRequestScripts.replace} to replace, ` +
+    `${summary.environments.create} environment(s) to create, ${summary.environments.update} to update`);
+
+  return lines.join('\n');
+}
+
+// ============================================================
+// Plan Files
+// ============================================================
+
+/**
+ * Write a plan file
+ * @param {Object} plan - Plan
+ * @param {string} filePath - Plan file
+ */
+export function saveSyncPlan(plan, filePath) {
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(plan, null, 2) + '\n');
+}
+
+/**
+ * Read a plan file
+ * @param {string} filePath - Plan file
+ * @returns {Object} Plan
+ * @throws {SyncPlanError} When the file is missing or not a plan this version can apply
+ */
+export function loadSyncPlan(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new SyncPlanError(`Plan file not found: ${filePath}`);
+  }
+
+  const plan = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (plan.version !== PLAN_VERSION || !plan.spec || !Array.isArray(plan.collections)) {
+    throw new SyncPlanError(`${filePath} is not a version ${PLAN_VERSION} sync plan`);
+  }
+  return plan;
+}
+
+// ============================================================
+// Apply
+// ============================================================
+
+/**
+ * Check that Spec Hub still matches the state a plan was made against
+ * @param {SpecHubClient} client - Spec Hub client
+ * @param {Object} plan - Plan
+ * @returns {Promise<Array<string>>} Reasons the plan is stale (empty when current)
+ */
+export async function checkSyncPlan(client, plan) {
+  const problems = [];
+
+  if (plan.workspace && plan.workspace !== client.workspaceId) {
+    problems.push(`Plan is for workspace ${plan.workspace}, not ${client.workspaceId}`);
+  }
+
+  const specId = (await client.findSpecByName(plan.spec.name))?.id || null;
+  if (specId !== plan.spec.id) {
+    problems.push(plan.spec.id
+      ? `Spec "${plan.spec.name}" is now ${specId || 'missing'}, planned against ${plan.spec.id}`
+      : `Spec "${plan.spec.name}" was created since the plan (${specId})`);
+  }
+
+  const generated = specId ? await client.getSpecGeneratedCollections(specId) : [];
+  for (const collection of plan.collections) {
+    const existing = generated.find(c => c.name === collection.name);
+    if (collection.action === 'generate' && existing) {
+      problems.push(`Collection "${collection.name}" was generated since the plan`);
+    } else if (collection.action === 'sync' && existing?.id !== collection.uid) {
+      problems.push(`Collection "${collection.name}" is no longer ${collection.uid}`);
+    }
+  }
+
+  const environments = await client.getWorkspaceEnvironments();
+  for (const environment of plan.environments) {
+    const existing = environments.find(e => e.name === environment.name);
+    if (environment.action === 'create' && existing) {
+      problems.push(`Environment "${environment.name}" was created since the plan`);
+    } else if (environment.action !== 'create' && existing?.uid !== environment.uid) {
+      problems.push(`Environment "${environment.name}" is no longer ${environment.uid}`);
+    }
+  }
+
+  return problems;
+}
+
+async function injectScripts(client, uid, collection) {
+  switch (collection.kind) {
+    case 'tests':
+      return client.addTestScripts(uid, collection.payload);
+    case 'negative':
+      return client.addNegativeTestCases(uid, collection.payload);
+    case 'scenarios':
+      return client.addScenarioSteps(uid, collection.payload);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Execute a plan
+ * @param {SpecHubClient} client - Spec Hub client for the plan's workspace
+ * @param {Object} plan - Plan from createSyncPlan or loadSyncPlan
+ * @param {Object} options
+ * @param {boolean} options.verify - Refuse stale plans (default: true; skip for a plan just made)
+ * @returns {Promise<Object>} { specId, specName, collections: [{ name, uid, type }], environments }
+ * @throws {SyncPlanError} When verify finds the plan is stale
+ */
+export async function applySyncPlan(client, plan, options = {}) {
+  if (options.verify ?? true) {
+    const problems = await checkSyncPlan(client, plan);
+    if (problems.length > 0) {
+      throw new SyncPlanError(`Plan is stale, run plan again:\n  - ${problems.join('\n  - ')}`);
+    }
+  }
+
+  let stepNum = 1;
+
+  // Spec files
+  logger.step(`Step ${stepNum++}`, 'Uploading spec to Spec Hub');
+  const [root, ...files] = plan.spec.files;
+  let specId = plan.spec.id;
+  if (plan.spec.action === 'unchanged') {
+    logger.info(`Spec unchanged: ${specId}`);
+  } else {
+    specId = await client.uploadSpec(plan.spec.name, root.content, specId, files.map(({ path: filePath, content }) => ({ path: filePath, content })));
+    logger.success(`Spec uploaded: ${specId}${files.length > 0 ? ` (${files.length + 1} files)` : ''}`);
+  }
+
+  // Collections
+  const collections = [];
+  for (const collection of plan.collections) {
+    logger.step(`Step ${stepNum++}`, `${collection.action === 'generate' ? 'Generating' : 'Syncing'} ${collection.type} collection from Spec Hub`);
+    const uid = await client.generateOrSyncCollection(specId, collection.name, COLLECTION_OPTIONS);
+    logger.success(`${collection.type} collection: ${uid}`);
+
+    // Before negative cases and scenario steps, which clone the requests
+    if (Object.keys(collection.preRequestPayload || {}).length > 0) {
+      const result = await client.addPreRequestScripts(uid, collection.preRequestPayload);
+      logger.success(`Wrote ${result.injected} pre-request scripts`);
+    }
+
+    if (collection.kind) {
+      const result = await injectScripts(client, uid, collection);
+      logger.success(`Wrote ${result?.injected ?? 0} ${collection.kind === 'scenarios' ? 'scenario steps' : 'test scripts'}`);
+    }
+    collections.push({ name: collection.name, uid, type: collection.type });
+
+    // Tags are non-critical
+    try {
+      await client.applyCollectionTags(uid, collection.type, collection.tags);
+      logger.success(`Tags applied: ${collection.tags.join(', ')}`);
+    } catch (tagError) {
+      logger.info(`Note: Could not apply tags: ${tagError.message}`);
+    }
+  }
+
+  // Environments
+  logger.step(`Step ${stepNum++}`, 'Creating environments');
+  const environments = [];
+  for (const { name, action, uid, environment } of plan.environments) {
+    if (action === 'create') {
+      const result = await client.request('POST', `/environments?workspace=${client.workspaceId}`, { environment });
+      logger.success(`Environment created: ${name} (${result.environment?.uid})`);
+      environments.push({ name, uid: result.environment?.uid, action });
+    } else if (action === 'update') {
+      await client.request('PUT', `/environments/${uid}`, { environment });
+      logger.success(`Environment updated: ${name} (${uid})`);
+      environments.push({ name, uid, action });
+    } else {
+      logger.info(`Environment unchanged: ${name} (${uid})`);
+      environments.push({ name, uid, action });
+    }
+  }
+
+  return { specId, specName: plan.spec.name, collections, environments };
+}
+
+export default {
+  PLAN_VERSION,
+  DEFAULT_PLAN_FILE,
+  SyncPlanError,
+  applySyncPlan,
+  checkSyncPlan,
+  createSyncPlan,
+  diffEnvironmentValues,
+  diffScripts,
+  formatSyncPlan,
+  getExistingPreRequestScripts,
+  getExistingScripts,
+  getPlannedPreRequestScripts,
+  getPlannedScripts,
+  getPlannedTypes,
+  loadSyncPlan,
+  saveSyncPlan,
+  summarizeSyncPlan
+};
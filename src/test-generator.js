@@ -4,23 +4,44 @@
  * Test Generator
  * 
  * Generates Postman test scripts from OpenAPI spec metadata.
- * Supports two test levels:
+ * Supports three test levels:
  * - smoke: Basic health checks (status code, response time)
  * - contract: Comprehensive validation (schemas, fields, content-types)
+ * - negative: Invalid requests derived from schema constraints, expecting 4xx
+ * - scenario: Multi-step workflows (see scenario-generator.js)
+ *
+ * Pre-request scripts fill request parameters from the environment and apply
+ * the spec's security schemes (OAuth2 client credentials, API keys, basic and
+ * bearer auth).
  * 
  * These tests are injected into Spec Hub-generated collections.
  */
 
-import { extractEndpoints, getResponseSchema, getRequiredFields } from './parser.js';
+import { extractEndpoints, getResponseSchema, toJsonSchema, buildRequestBodyExample } from './parser.js';
 
 /**
  * Test level enumeration
  */
 export const TestLevel = {
   SMOKE: 'smoke',
-  CONTRACT: 'contract'
+  CONTRACT: 'contract',
+  NEGATIVE: 'negative',
+  SCENARIO: 'scenario'
 };
 
+/**
+ * Documented status codes a negative case may assert, in order of preference
+ */
+const VALIDATION_ERROR_CODES = ['400', '422'];
+const AUTH_ERROR_CODES = ['401', '403'];
+
+/**
+ * First line of every negative test script, used to recognize generated items
+ */
+export const NEGATIVE_SCRIPT_MARKER = '// Negative test for:';
+
+const INVALID_ENUM_VALUE = 'INVALID_ENUM_VALUE';
+
 /**
  * Generate a stable key for test script lookup
  * Uses method + normalized path to handle renamed items
@@ -34,6 +55,42 @@ export function generateTestKey(method, path) {
   return `${normalizedMethod}|${normalizedPath}`;
 }
 
+/**
+ * Generate the stable key for a Postman request, matching generateTestKey
+ * Postman path variables (:taskId) map to spec templates ({taskId}).
+ * @param {Object} request - Postman request object
+ * @returns {string} Stable key
+ */
+export function generateTestKeyFromRequest(request) {
+  const method = (request.method || 'get').toLowerCase();
+
+  // Extract path from URL
+  let path = '/';
+  const url = request.url;
+
+  if (typeof url === 'string') {
+    // Handle Postman variable syntax
+    const urlStr = url.replace(/\{\{[^}]+\}\}/g, '');
+    try {
+      path = new URL(urlStr).pathname || '/';
+    } catch {
+      // Fallback: extract path manually
+      path = urlStr.replace(/^https?:\/\/[^\/]+/, '').split('?')[0] || '/';
+    }
+  } else if (url && typeof url === 'object') {
+    if (url.path && Array.isArray(url.path)) {
+      path = '/' + url.path.join('/');
+    } else if (url.pathname) {
+      path = url.pathname;
+    }
+  }
+
+  path = path.replace(/\/{2,}/g, '/').replace(/\/:([^/]+)/g, '/{$1}');
+  if (!path.startsWith('/')) path = '/' + path;
+
+  return generateTestKey(method, path);
+}
+
 /**
  * Generate test scripts for all endpoints in a spec
  * @param {Object} api - Parsed OpenAPI spec
@@ -92,7 +149,11 @@ function generateSmokeTestScript(endpoint) {
   if (successCodes.length > 0) {
     tests.push(`// Status code validation`);
     tests.push(`pm.test("Status code is success", function () {`);
-    tests.push(`    pm.expect(pm.response.code).to.be.oneOf([${successCodes.join(', ')}]);`);
+    if (successCodes.some(isStatusRange)) {
+      tests.push(`    pm.expect(pm.response.code).to.be.within(200, 299);`);
+    } else {
+      tests.push(`    pm.expect(pm.response.code).to.be.oneOf([${successCodes.join(', ')}]);`);
+    }
     tests.push(`});`);
     tests.push('');
   }
@@ -130,6 +191,15 @@ function generateSmokeTestScript(endpoint) {
   return tests;
 }
 
+/**
+ * Check whether a response key is a status range such as "2XX"
+ * @param {string} code - Response key from the spec
+ * @returns {boolean} True for range keys
+ */
+function isStatusRange(code) {
+  return /^[1-5]xx$/i.test(code);
+}
+
 /**
  * Generate CONTRACT test script - Comprehensive validation
  * @param {Object} endpoint - Endpoint object from parser
@@ -143,12 +213,18 @@ function generateContractTestScript(endpoint) {
   tests.push(`// Comprehensive validation - generated from OpenAPI spec`);
   tests.push('');
 
-  // 1. Status code validation - accept any defined 2xx success code
+  // 1. Status code validation - accept any defined 2xx success code. With
+  // documented error responses, "Status code is documented" covers it, so a
+  // documented 4xx/5xx passes its contract.
   const statusCodes = Object.keys(endpoint.responses);
   const successCodes = statusCodes.filter(code => code.startsWith('2'));
-  if (successCodes.length > 0) {
+  if (successCodes.length > 0 && successCodes.length === statusCodes.length) {
     tests.push(`// Status code validation`);
-    if (successCodes.length === 1) {
+    if (successCodes.some(isStatusRange)) {
+      // 2XX range - any success code is acceptable
+      tests.push(`pm.test("Status code is success", function () {`);
+      tests.push(`    pm.expect(pm.response.code).to.be.within(200, 299);`);
+    } else if (successCodes.length === 1) {
       // Single success code - use exact match
       tests.push(`pm.test("Status code is ${successCodes[0]}", function () {`);
       tests.push(`    pm.response.to.have.status(${successCodes[0]});`);
@@ -169,245 +245,328 @@ function generateContractTestScript(endpoint) {
   tests.push(`});`);
   tests.push('');
 
-  // 3. Content-Type validation
-  const successResponse = endpoint.responses['200'] || endpoint.responses['201'];
-  if (successResponse?.content) {
-    const contentTypes = Object.keys(successResponse.content);
-    if (contentTypes.length > 0) {
-      const expectedType = contentTypes[0].split(';')[0];
-      tests.push(`// Content-Type validation`);
-      tests.push(`pm.test("Content-Type is ${expectedType}", function () {`);
-      tests.push(`    pm.response.to.have.header("Content-Type");`);
-      tests.push(`    const contentType = pm.response.headers.get("Content-Type");`);
-      tests.push(`    pm.expect(contentType).to.include("${expectedType}");`);
-      tests.push(`});`);
-      tests.push('');
-    }
-  }
+  // 3. Response contracts - schema, content type and headers per documented status
+  const responseContracts = buildResponseContracts(endpoint);
+  const contractEntries = Object.entries(responseContracts);
+
+  if (contractEntries.length > 0) {
+    tests.push(`// Response contracts (per documented status code, range or default)`);
+    tests.push(`const responseContracts = {`);
+    contractEntries.forEach(([statusCode, contract], index) => {
+      const separator = index < contractEntries.length - 1 ? ',' : '';
+      tests.push(`    ${JSON.stringify(statusCode)}: ${JSON.stringify(contract)}${separator}`);
+    });
+    tests.push(`};`);
+    tests.push('');
+    tests.push(`const status = String(pm.response.code);`);
+    tests.push(`const responseContract = responseContracts[status] ||`);
+    tests.push(`    responseContracts[status.charAt(0) + "XX"] ||`);
+    tests.push(`    responseContracts["default"];`);
+    tests.push(`const contentType = (pm.response.headers.get("Content-Type") || "").split(";")[0].trim().toLowerCase();`);
+    tests.push('');
+
+    // 3a. Undocumented status codes are contract violations
+    tests.push(`// Status code must be documented`);
+    tests.push(`pm.test("Status code is documented", function () {`);
+    tests.push(`    pm.expect(responseContract, "Undocumented status code " + status).to.not.be.undefined;`);
+    tests.push(`});`);
+    tests.push('');
 
-  // 4. JSON Schema validation (only for JSON responses)
-  const schemaInfo = getResponseSchema(endpoint.responses, '200') ||
-                     getResponseSchema(endpoint.responses, '201');
-  
-  if (schemaInfo?.schema) {
-    tests.push(`// JSON Schema validation`);
-    tests.push(`pm.test("Response matches schema structure", function () {`);
-    tests.push(`    // Check Content-Type before parsing`);
-    tests.push(`    const contentType = pm.response.headers.get("Content-Type") || "";`);
-    tests.push(`    if (!contentType.includes("application/json")) {`);
-    tests.push(`        pm.expect.fail("Response is not JSON, cannot validate schema");`);
+    // 3b. Content-Type declared for this status
+    tests.push(`// Content-Type validation`);
+    tests.push(`pm.test("Content-Type matches documented response", function () {`);
+    tests.push(`    if (!responseContract || responseContract.contentTypes.length === 0) {`);
     tests.push(`        return;`);
     tests.push(`    }`);
-    tests.push(`    `);
-    tests.push(`    const jsonData = pm.response.json();`);
-    tests.push(`    `);
-    tests.push(`    // Basic type validation`);
-    if (schemaInfo.schema.type === 'object') {
-      tests.push(`    pm.expect(jsonData).to.be.an('object');`);
-    } else if (schemaInfo.schema.type === 'array') {
-      tests.push(`    pm.expect(jsonData).to.be.an('array');`);
-    }
+    tests.push(`    const matches = responseContract.contentTypes.some(function (expected) {`);
+    tests.push(`        return expected === "*/*" || expected === contentType ||`);
+    tests.push(`            (expected.endsWith("/*") && contentType.startsWith(expected.slice(0, -1)));`);
+    tests.push(`    });`);
+    tests.push(`    pm.expect(matches, "Content-Type " + contentType + " not in " + responseContract.contentTypes.join(", ")).to.be.true;`);
     tests.push(`});`);
     tests.push('');
 
-    // 5. Required field checks
-    const requiredFields = getRequiredFields(schemaInfo.schema);
-    if (requiredFields.length > 0) {
-      tests.push(`// Required field validation`);
-      tests.push(`pm.test("Response has required fields", function () {`);
-      tests.push(`    const contentType = pm.response.headers.get("Content-Type") || "";`);
-      tests.push(`    if (!contentType.includes("application/json")) {`);
-      tests.push(`        pm.expect.fail("Response is not JSON, cannot validate fields");`);
+    // 3c. Headers declared for this status
+    if (contractEntries.some(([, contract]) => Object.keys(contract.headers).length > 0)) {
+      tests.push(`// Response header validation`);
+      tests.push(`pm.test("Response headers match contract", function () {`);
+      tests.push(`    if (!responseContract) {`);
       tests.push(`        return;`);
       tests.push(`    }`);
-      tests.push(`    `);
-      tests.push(`    const jsonData = pm.response.json();`);
-      tests.push(`    const dataToCheck = Array.isArray(jsonData) ? (jsonData[0] || {}) : jsonData;`);
-      tests.push(`    `);
-      for (const field of requiredFields) {
-        tests.push(`    pm.expect(dataToCheck).to.have.property('${field}');`);
-      }
+      tests.push(`    Object.keys(responseContract.headers).forEach(function (name) {`);
+      tests.push(`        const header = responseContract.headers[name];`);
+      tests.push(`        const value = pm.response.headers.get(name);`);
+      tests.push(`        if (header.required) {`);
+      tests.push(`            pm.expect(value, "Missing required header " + name).to.not.be.undefined;`);
+      tests.push(`        }`);
+      tests.push(`        if (value === undefined) {`);
+      tests.push(`            return;`);
+      tests.push(`        }`);
+      tests.push(`        if (header.enum) {`);
+      tests.push(`            pm.expect(value).to.be.oneOf(header.enum);`);
+      tests.push(`        }`);
+      tests.push(`        if (header.pattern) {`);
+      tests.push(`            pm.expect(value).to.match(new RegExp(header.pattern));`);
+      tests.push(`        }`);
+      tests.push(`    });`);
       tests.push(`});`);
       tests.push('');
     }
 
-    // 6. Advanced schema validations (enum, format, patterns, constraints)
-    const advancedValidations = generateAdvancedSchemaValidations(schemaInfo.schema);
-    if (advancedValidations.length > 0) {
-      tests.push(`// Advanced schema validations (enum, format, constraints)`);
-      tests.push(`pm.test("Field values match schema constraints", function () {`);
-      tests.push(`    const contentType = pm.response.headers.get("Content-Type") || "";`);
-      tests.push(`    if (!contentType.includes("application/json")) {`);
-      tests.push(`        pm.expect.fail("Response is not JSON, cannot validate constraints");`);
+    // 3d. Full body validation against the schema for this status
+    if (contractEntries.some(([, contract]) => contract.schema)) {
+      tests.push(`// JSON Schema validation (fully dereferenced, per status code)`);
+      tests.push(`pm.test("Response matches schema", function () {`);
+      tests.push(`    if (!responseContract || !responseContract.schema) {`);
       tests.push(`        return;`);
       tests.push(`    }`);
-      tests.push(`    `);
-      tests.push(`    const jsonData = pm.response.json();`);
-      tests.push(`    const dataToCheck = Array.isArray(jsonData) ? (jsonData[0] || {}) : jsonData;`);
-      tests.push(`    `);
-      for (const validation of advancedValidations) {
-        tests.push(`    ${validation}`);
-      }
+      tests.push(`    if (!/[/+]json/.test(contentType)) {`);
+      tests.push(`        pm.expect.fail("Response is not JSON, cannot validate schema");`);
+      tests.push(`        return;`);
+      tests.push(`    }`);
+      tests.push(`    pm.response.to.have.jsonSchema(responseContract.schema);`);
       tests.push(`});`);
       tests.push('');
     }
   }
+  return tests;
+}
 
-  // 6. Error response structure validation
-  const errorCodes = statusCodes.filter(code => code.startsWith('4') || code.startsWith('5'));
-  if (errorCodes.length > 0) {
-    tests.push(`// Error response structure validation`);
-    tests.push(`pm.test("Error responses have proper structure", function () {`);
-    tests.push(`    if (pm.response.code >= 400) {`);
-    tests.push(`        const contentType = pm.response.headers.get("Content-Type") || "";`);
-    tests.push(`        if (contentType.includes("application/json")) {`);
-    tests.push(`            const jsonData = pm.response.json();`);
-    tests.push(`            const hasErrorField = jsonData.hasOwnProperty('error') || jsonData.hasOwnProperty('message') || jsonData.hasOwnProperty('detail');`);
-    tests.push(`            pm.expect(hasErrorField).to.be.true;`);
-    tests.push(`        }`);
-    tests.push(`    }`);
-    tests.push(`});`);
-    tests.push('');
+/**
+ * Build the response contract for every documented status code
+ * Keys are normalized status codes ('404', '4XX', 'default'), each holding the
+ * declared content types, the JSON Schema (JSON responses only) and headers.
+ * @param {Object} endpoint - Endpoint object from parser
+ * @returns {Object} Map of status code to { contentTypes, schema, headers }
+ */
+function buildResponseContracts(endpoint) {
+  const contracts = {};
+
+  for (const [statusCode, response] of Object.entries(endpoint.responses || {})) {
+    if (!response || typeof response !== 'object') continue;
+
+    const key = statusCode === 'default' ? 'default' : statusCode.toUpperCase();
+    const contentTypes = Object.keys(response.content || {})
+      .map(type => type.split(';')[0].trim().toLowerCase());
+
+    const contract = { contentTypes, headers: {} };
+
+    const schemaInfo = response.content ? getResponseSchema(endpoint.responses, statusCode) : null;
+    if (schemaInfo?.schema && /[/+]json/.test(schemaInfo.contentType)) {
+      contract.schema = toJsonSchema(schemaInfo.schema);
+    }
+
+    for (const [name, header] of Object.entries(response.headers || {})) {
+      // Content-Type header definitions are ignored per the OpenAPI spec
+      if (name.toLowerCase() === 'content-type' || !header) continue;
+
+      const headerContract = { required: header.required === true };
+      if (Array.isArray(header.schema?.enum)) headerContract.enum = header.schema.enum.map(String);
+      if (header.schema?.pattern) headerContract.pattern = header.schema.pattern;
+      contract.headers[name] = headerContract;
+    }
+
+    contracts[key] = contract;
   }
 
-  return tests;
+  return contracts;
 }
 
 /**
- * Generate advanced schema validation assertions
- * Validates: enum, format, pattern, numeric constraints, string constraints
- * @param {Object} schema - JSON Schema object
- * @param {string} path - Current property path (for nested objects)
- * @returns {Array} Array of assertion strings
+ * Generate negative test cases for all endpoints in a spec
+ * Each case describes an invalid variant of the endpoint's request together
+ * with the test script asserting the documented 4xx response.
+ * @param {Object} api - Parsed OpenAPI spec
+ * @returns {Object} Map of endpoint keys to arrays of negative cases
  */
-function generateAdvancedSchemaValidations(schema, path = 'dataToCheck') {
-  const validations = [];
-  
-  if (!schema || typeof schema !== 'object') {
-    return validations;
+export function generateNegativeCasesForSpec(api) {
+  const endpoints = extractEndpoints(api);
+  const negativeCases = {};
+
+  for (const endpoint of endpoints) {
+    const cases = generateNegativeCases(endpoint);
+    if (cases.length > 0) {
+      negativeCases[generateTestKey(endpoint.method, endpoint.path)] = cases;
+    }
   }
 
-  // Handle array items
-  if (schema.type === 'array' && schema.items) {
-    validations.push(...generateAdvancedSchemaValidations(schema.items, `${path}[0]`));
-    
-    // Array constraints
-    if (schema.minItems !== undefined) {
-      validations.push(`pm.expect(${path}).to.have.length.of.at.least(${schema.minItems});`);
+  return negativeCases;
+}
+
+/**
+ * Generate negative cases for a single endpoint
+ * Cases are only produced when the spec documents the error response they
+ * expect, so every generated request asserts a documented status.
+ * @param {Object} endpoint - Endpoint object from parser
+ * @returns {Array} Cases: { name, expectedStatus, body?, query?, noAuth?, script }
+ */
+function generateNegativeCases(endpoint) {
+  const cases = [];
+
+  const validationCodes = getDocumentedErrorCodes(endpoint.responses, VALIDATION_ERROR_CODES);
+  if (validationCodes.length > 0) {
+    for (const variant of [...generateBodyVariants(endpoint), ...generateQueryVariants(endpoint)]) {
+      cases.push({ ...variant, expectedStatus: validationCodes });
     }
-    if (schema.maxItems !== undefined) {
-      validations.push(`pm.expect(${path}).to.have.length.of.at.most(${schema.maxItems});`);
+  }
+
+  // An empty requirement ({}) means authentication is optional
+  const requiresAuth = endpoint.security.length > 0 &&
+    !endpoint.security.some(requirement => Object.keys(requirement).length === 0);
+  const authCodes = getDocumentedErrorCodes(endpoint.responses, AUTH_ERROR_CODES);
+  if (requiresAuth && authCodes.length > 0) {
+    cases.push({ name: 'Missing authentication', noAuth: true, expectedStatus: authCodes });
+  }
+
+  return cases.map(negativeCase => ({
+    ...negativeCase,
+    script: generateNegativeTestScript(endpoint, negativeCase)
+  }));
+}
+
+/**
+ * Pick the documented status codes a negative case should expect
+ * Falls back to a documented 4XX range when no specific code is present.
+ * @param {Object} responses - Responses object from OpenAPI
+ * @param {Array} candidates - Preferred status codes
+ * @returns {Array} Documented status codes (possibly ['4XX'])
+ */
+function getDocumentedErrorCodes(responses = {}, candidates) {
+  const codes = candidates.filter(code => responses[code]);
+  if (codes.length > 0) return codes;
+
+  return Object.keys(responses).some(code => code.toUpperCase() === '4XX') ? ['4XX'] : [];
+}
+
+/**
+ * Derive invalid JSON bodies from the top-level request body schema
+ * @param {Object} endpoint - Endpoint object from parser
+ * @returns {Array} Variants: { name, body }
+ */
+function generateBodyVariants(endpoint) {
+  const schema = endpoint.requestBody?.content?.['application/json']?.schema;
+  const example = buildRequestBodyExample(endpoint.requestBody);
+  if (!schema?.properties || !example || typeof example !== 'object' || Array.isArray(example)) {
+    return [];
+  }
+
+  // readOnly fields are never sent by clients
+  const baseBody = { ...example };
+  for (const [field, fieldSchema] of Object.entries(schema.properties)) {
+    if (fieldSchema?.readOnly) delete baseBody[field];
+  }
+
+  const variants = [];
+  const required = schema.required || [];
+
+  for (const [field, fieldSchema] of Object.entries(schema.properties)) {
+    if (!fieldSchema || fieldSchema.readOnly) continue;
+
+    if (required.includes(field)) {
+      const body = { ...baseBody };
+      delete body[field];
+      variants.push({ name: `Missing required field "${field}"`, body });
     }
-    if (schema.uniqueItems) {
-      validations.push(`// Note: uniqueItems validation requires deep comparison`);
+
+    for (const { name, value } of getInvalidValues(fieldSchema)) {
+      variants.push({ name: `${name} for field "${field}"`, body: { ...baseBody, [field]: value } });
     }
-    return validations;
   }
 
-  // Handle object properties
-  if (schema.type === 'object' && schema.properties) {
-    for (const [propName, propSchema] of Object.entries(schema.properties)) {
-      const propPath = `${path}['${propName}']`;
-      
-      // Only validate if property exists (required check is separate)
-      validations.push(`if (${propPath} !== undefined) {`);
-      
-      // Type validation
-      if (propSchema.type) {
-        const typeMap = {
-          'string': 'string',
-          'integer': 'number',
-          'number': 'number',
-          'boolean': 'boolean',
-          'array': 'array',
-          'object': 'object'
-        };
-        if (typeMap[propSchema.type]) {
-          validations.push(`    pm.expect(${propPath}).to.be.a('${typeMap[propSchema.type]}');`);
-        }
-      }
-      
-      // Enum validation
-      if (propSchema.enum && propSchema.enum.length > 0) {
-        // Use JSON.stringify to safely escape enum values and prevent code injection
-        const enumJson = JSON.stringify(propSchema.enum);
-        validations.push(`    pm.expect(${propPath}).to.be.oneOf(${enumJson});`);
-      }
-      
-      // Format validation (strings)
-      if (propSchema.format && propSchema.type === 'string') {
-        const formatPattern = getFormatPattern(propSchema.format);
-        if (formatPattern) {
-          validations.push(`    pm.expect(${propPath}).to.match(${formatPattern});`);
-        }
-      }
-      
-      // Pattern validation (regex)
-      if (propSchema.pattern && propSchema.type === 'string') {
-        // Use JSON.stringify to safely escape regex patterns and prevent code injection
-        const safePattern = JSON.stringify(propSchema.pattern);
-        validations.push(`    pm.expect(${propPath}).to.match(new RegExp(${safePattern}));`);
-      }
-      
-      // String constraints
-      if (propSchema.type === 'string') {
-        if (propSchema.minLength !== undefined) {
-          validations.push(`    pm.expect(${propPath}).to.have.length.of.at.least(${propSchema.minLength});`);
-        }
-        if (propSchema.maxLength !== undefined) {
-          validations.push(`    pm.expect(${propPath}).to.have.length.of.at.most(${propSchema.maxLength});`);
-        }
-      }
-      
-      // Numeric constraints
-      if (propSchema.type === 'number' || propSchema.type === 'integer') {
-        if (propSchema.minimum !== undefined) {
-          const operator = propSchema.exclusiveMinimum ? '>' : '>=';
-          validations.push(`    pm.expect(${propPath}).to.be${operator === '>' ? '.above' : '.at.least'}(${propSchema.minimum});`);
-        }
-        if (propSchema.maximum !== undefined) {
-          const operator = propSchema.exclusiveMaximum ? '<' : '<=';
-          validations.push(`    pm.expect(${propPath}).to.be${operator === '<' ? '.below' : '.at.most'}(${propSchema.maximum});`);
-        }
-        if (propSchema.multipleOf !== undefined) {
-          validations.push(`    pm.expect(${propPath} % ${propSchema.multipleOf}).to.equal(0);`);
-        }
-      }
-      
-      // Nested object/array validation
-      if (propSchema.type === 'object' || propSchema.type === 'array') {
-        const nested = generateAdvancedSchemaValidations(propSchema, propPath);
-        for (const nestedValidation of nested) {
-          validations.push(`    ${nestedValidation}`);
-        }
-      }
-      
-      validations.push(`}`);
+  return variants;
+}
+
+/**
+ * Derive invalid query strings from query parameter schemas
+ * A null override removes the parameter from the request.
+ * @param {Object} endpoint - Endpoint object from parser
+ * @returns {Array} Variants: { name, query }
+ */
+function generateQueryVariants(endpoint) {
+  const variants = [];
+
+  for (const param of endpoint.parameters || []) {
+    if (param?.in !== 'query') continue;
+
+    if (param.required) {
+      variants.push({ name: `Missing required query parameter "${param.name}"`, query: { [param.name]: null } });
+    }
+
+    // Query strings carry no type information for strings
+    const invalidValues = getInvalidValues(param.schema || {})
+      .filter(({ value }) => typeof value === 'string' || param.schema?.type !== 'string');
+    for (const { name, value } of invalidValues) {
+      variants.push({ name: `${name} for query parameter "${param.name}"`, query: { [param.name]: value } });
     }
   }
-  
-  return validations;
+
+  return variants;
 }
 
 /**
- * Get regex pattern for common OpenAPI formats
- * @param {string} format - OpenAPI format string
- * @returns {string|null} Regex pattern string for Postman test
+ * Build values violating a schema's type, enum and numeric bounds
+ * @param {Object} schema - Property or parameter schema
+ * @returns {Array} Invalid values: { name, value }
  */
-function getFormatPattern(format) {
-  const patterns = {
-    'date': '/^\\d{4}-\\d{2}-\\d{2}$/',
-    'date-time': '/^\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}:\\d{2}(\\.\\d+)?(Z|[+-]\\d{2}:\\d{2})$/',
-    'email': '/^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$/',
-    'uuid': '/^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i',
-    'uri': '/^https?:\\/\\/.+/',
-    'hostname': '/^[a-zA-Z0-9]([a-zA-Z0-9\\-]{0,61}[a-zA-Z0-9])?(\\.[a-zA-Z0-9]([a-zA-Z0-9\\-]{0,61}[a-zA-Z0-9])?)*$/',
-    'ipv4': '/^(\\d{1,3}\\.){3}\\d{1,3}$/',
-    'ipv6': '/^([0-9a-fA-F]{1,4}:){7}[0-9a-fA-F]{1,4}$/',
-    'byte': '/^[A-Za-z0-9+\\/]*={0,2}$/'
+function getInvalidValues(schema) {
+  const values = [];
+  const type = Array.isArray(schema.type) ? schema.type.find(t => t !== 'null') : schema.type;
+
+  const wrongTypeValues = {
+    string: 12345,
+    integer: 'not-a-number',
+    number: 'not-a-number',
+    boolean: 'not-a-boolean',
+    array: 'not-an-array',
+    object: 'not-an-object'
   };
-  
-  return patterns[format] || null;
+  if (type in wrongTypeValues) {
+    values.push({ name: 'Wrong type', value: wrongTypeValues[type] });
+  }
+
+  if (Array.isArray(schema.enum) && type === 'string' && !schema.enum.includes(INVALID_ENUM_VALUE)) {
+    values.push({ name: 'Invalid enum value', value: INVALID_ENUM_VALUE });
+  }
+
+  if (type === 'integer' || type === 'number') {
+    // OpenAPI 3.0 uses boolean exclusive bounds, 3.1 uses numeric ones
+    if (typeof schema.exclusiveMinimum === 'number') {
+      values.push({ name: 'Below minimum', value: schema.exclusiveMinimum });
+    } else if (typeof schema.minimum === 'number') {
+      values.push({ name: 'Below minimum', value: schema.exclusiveMinimum === true ? schema.minimum : schema.minimum - 1 });
+    }
+    if (typeof schema.exclusiveMaximum === 'number') {
+      values.push({ name: 'Above maximum', value: schema.exclusiveMaximum });
+    } else if (typeof schema.maximum === 'number') {
+      values.push({ name: 'Above maximum', value: schema.exclusiveMaximum === true ? schema.maximum : schema.maximum + 1 });
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Generate the test script asserting a negative case's documented status
+ * @param {Object} endpoint - Endpoint object from parser
+ * @param {Object} negativeCase - Negative case
+ * @returns {Array} Test script lines
+ */
+function generateNegativeTestScript(endpoint, negativeCase) {
+  const tests = [];
+  const testName = JSON.stringify(`Rejects invalid request: ${negativeCase.name}`);
+
+  tests.push(`${NEGATIVE_SCRIPT_MARKER} ${endpoint.method} ${endpoint.path}`);
+  tests.push(`// Expects documented response: ${negativeCase.expectedStatus.join(', ')}`);
+  tests.push('');
+  tests.push(`pm.test(${testName}, function () {`);
+  if (negativeCase.expectedStatus.some(isStatusRange)) {
+    tests.push(`    pm.expect(pm.response.code).to.be.within(400, 499);`);
+  } else {
+    tests.push(`    pm.expect(pm.response.code).to.be.oneOf([${negativeCase.expectedStatus.join(', ')}]);`);
+  }
+  tests.push(`});`);
+
+  return tests;
 }
 
 /**
@@ -451,41 +610,257 @@ function generateDefaultContractTestScript() {
 }
 
 /**
- * Generate pre-request script for authentication setup
+ * Generate pre-request scripts for every endpoint that needs one
+ * Endpoints get a script when they have path or query parameters to fill or
+ * a security requirement the generator can satisfy.
+ * @param {Object} api - Parsed OpenAPI spec
+ * @returns {Object} Map of test keys (method|path) to script lines
+ */
+export function generatePreRequestScriptsForSpec(api) {
+  const securitySchemes = api.components?.securitySchemes || {};
+  const scripts = {};
+
+  for (const endpoint of extractEndpoints(api)) {
+    const hasParams = getPathParamNames(endpoint).length > 0 ||
+      endpoint.parameters.some(p => p.in === 'query');
+    if (hasParams || selectSecurityRequirement(endpoint.security, securitySchemes)) {
+      scripts[generateTestKey(endpoint.method, endpoint.path)] = generatePreRequestScript(endpoint, securitySchemes);
+    }
+  }
+
+  return scripts;
+}
+
+/**
+ * Generate pre-request script for parameters and authentication
+ * Parameters the request leaves empty are filled from the environment, and
+ * credentials are applied for the first security requirement whose schemes
+ * are all supported. Variable names match generateAuthVariables in
+ * environment-generator.js.
  * @param {Object} endpoint - Endpoint object
+ * @param {Object} securitySchemes - components.securitySchemes of the spec
  * @returns {Array} Pre-request script lines
  */
-export function generatePreRequestScript(endpoint) {
+export function generatePreRequestScript(endpoint, securitySchemes = {}) {
   const scripts = [];
 
   scripts.push(`// Pre-request script for: ${endpoint.method} ${endpoint.path}`);
   scripts.push('');
 
-  // Set path parameters
-  const pathParams = endpoint.path.match(/\{([^}]+)\}/g) || [];
+  const pathParams = getPathParamNames(endpoint);
+  const queryParams = [...new Set((endpoint.parameters || []).filter(p => p.in === 'query').map(p => p.name))];
+
+  if (pathParams.length > 0 || queryParams.length > 0) {
+    // Spec Hub leaves parameters without examples empty or as <type> placeholders
+    scripts.push('function isUnset(value) {');
+    scripts.push('    return value === undefined || value === null || value === "" || /^<[^>]*>$/.test(String(value));');
+    scripts.push('}');
+    scripts.push('');
+  }
+
   if (pathParams.length > 0) {
-    scripts.push('// Set path parameters if not defined');
-    for (const param of pathParams) {
-      const paramName = param.replace(/[{}]/g, '');
-      scripts.push(`if (!pm.variables.get("${paramName}")) {`);
-      scripts.push(`    pm.variables.set("${paramName}", "test-${paramName}-001");`);
-      scripts.push(`}`);
-    }
+    scripts.push('// Set path parameters if not defined (environment, then a test value)');
+    scripts.push(`${JSON.stringify(pathParams)}.forEach(function (name) {`);
+    scripts.push('    if (!isUnset(pm.request.url.variables.get(name))) return;');
+    scripts.push('    var value = pm.variables.get(name);');
+    scripts.push('    if (isUnset(value)) {');
+    scripts.push('        value = "test-" + name + "-001";');
+    scripts.push('        pm.variables.set(name, value);');
+    scripts.push('    }');
+    scripts.push('    pm.request.url.variables.upsert({ key: name, value: String(value) });');
+    scripts.push('});');
+    scripts.push('');
+  }
+
+  if (queryParams.length > 0) {
+    // Parameters missing from the URL stay missing (negative cases remove them on purpose)
+    scripts.push('// Send query parameters enabled in the environment');
+    scripts.push(`${JSON.stringify(queryParams)}.forEach(function (name) {`);
+    scripts.push('    var current = pm.request.url.query.one(name);');
+    scripts.push('    var value = pm.environment.get(name);');
+    scripts.push('    if (!current || (!current.disabled && !isUnset(current.value)) || isUnset(value)) return;');
+    scripts.push('    pm.request.url.query.upsert({ key: name, value: String(value), disabled: false });');
+    scripts.push('});');
     scripts.push('');
   }
 
-  // Auth setup
   if (endpoint.security?.length > 0) {
-    scripts.push('// Authentication setup');
-    scripts.push('// Set auth token via environment: pm.environment.set("auth_token", "your-token")');
+    const requirement = selectSecurityRequirement(endpoint.security, securitySchemes);
+
+    if (requirement) {
+      scripts.push('// Authentication setup (skipped for requests set to No Auth, e.g. negative auth cases)');
+      scripts.push('if (!pm.request.auth || pm.request.auth.type !== "noauth") {');
+      for (const [name, scopes] of requirement) {
+        scripts.push(...generateAuthScript(name, securitySchemes[name], scopes).map(line => `    ${line}`));
+      }
+      scripts.push('}');
+    } else {
+      const names = endpoint.security.flatMap(Object.keys).join(', ');
+      scripts.push(`// Authentication setup: no supported security scheme for ${names || 'this request'}, configure auth on the collection`);
+    }
     scripts.push('');
   }
 
   return scripts;
 }
 
+/**
+ * Path parameter names in template order
+ * @param {Object} endpoint - Endpoint object
+ * @returns {Array<string>} Names
+ */
+function getPathParamNames(endpoint) {
+  return [...new Set((endpoint.path.match(/\{([^}]+)\}/g) || []).map(param => param.replace(/[{}]/g, '')))];
+}
+
+/**
+ * Whether pre-request scripts can apply a security scheme
+ * @param {Object} scheme - Security scheme object
+ * @returns {boolean}
+ */
+function isSupportedScheme(scheme) {
+  if (!scheme) return false;
+  if (scheme.type === 'http') return ['bearer', 'basic'].includes(String(scheme.scheme).toLowerCase());
+  return scheme.type === 'apiKey' || scheme.type === 'oauth2';
+}
+
+/**
+ * Pick the first security requirement whose schemes are all supported
+ * Requirements are alternatives; the schemes within one are all applied.
+ * @param {Array} security - Security requirements of the endpoint
+ * @param {Object} securitySchemes - components.securitySchemes of the spec
+ * @returns {Array|null} [[schemeName, scopes]] or null
+ */
+function selectSecurityRequirement(security = [], securitySchemes) {
+  for (const requirement of security) {
+    const entries = Object.entries(requirement);
+    if (entries.length > 0 && entries.every(([name]) => isSupportedScheme(securitySchemes[name]))) {
+      return entries;
+    }
+  }
+  return null;
+}
+
+/**
+ * Generate the script lines that apply one security scheme
+ * @param {string} name - Scheme name
+ * @param {Object} scheme - Security scheme object
+ * @param {Array<string>} scopes - Scopes the requirement asks for
+ * @returns {Array} Script lines
+ */
+function generateAuthScript(name, scheme, scopes = []) {
+  if (scheme.type === 'apiKey') {
+    return generateApiKeyAuthScript(name, scheme);
+  }
+  if (scheme.type === 'oauth2') {
+    return generateOAuth2AuthScript(name, scheme, scopes);
+  }
+  if (String(scheme.scheme).toLowerCase() === 'basic') {
+    return [
+      `// Basic auth (${name})`,
+      'if (pm.environment.get("username")) {',
+      '    var credentials = pm.environment.get("username") + ":" + (pm.environment.get("password") || "");',
+      '    pm.request.headers.upsert({ key: "Authorization", value: "Basic " + btoa(credentials) });',
+      '}'
+    ];
+  }
+  return [
+    `// Bearer token (${name})`,
+    'if (pm.environment.get("bearerToken")) {',
+    '    pm.request.headers.upsert({ key: "Authorization", value: "Bearer " + pm.environment.get("bearerToken") });',
+    '}'
+  ];
+}
+
+/**
+ * API key in a header, query parameter or cookie
+ */
+function generateApiKeyAuthScript(name, scheme) {
+  const keyName = scheme.name || name;
+  const variable = JSON.stringify(`api_key_${keyName}`);
+  const placement = {
+    query: `pm.request.url.query.upsert({ key: ${JSON.stringify(keyName)}, value: pm.environment.get(${variable}), disabled: false });`,
+    cookie: `pm.request.headers.upsert({ key: "Cookie", value: ${JSON.stringify(`${keyName}=`)} + pm.environment.get(${variable}) });`
+  };
+
+  return [
+    `// API key (${name}) in ${scheme.in || 'header'} "${keyName}"`,
+    `if (pm.environment.get(${variable})) {`,
+    `    ${placement[scheme.in] || `pm.request.headers.upsert({ key: ${JSON.stringify(keyName)}, value: pm.environment.get(${variable}) });`}`,
+    '}'
+  ];
+}
+
+/**
+ * OAuth2: client credentials tokens are fetched and cached in the environment
+ * until they expire, one cache per scheme and scope set (e.g.
+ * access_token_oauth_tasks_read); other flows need a browser, so access_token
+ * is used as set.
+ */
+function generateOAuth2AuthScript(name, scheme, scopes) {
+  const flow = scheme.flows?.clientCredentials;
+  const authorize = variable => `pm.request.headers.upsert({ key: "Authorization", value: "Bearer " + pm.environment.get(${JSON.stringify(variable)}) });`;
+
+  if (!flow?.tokenUrl) {
+    return [
+      `// OAuth2 (${name}): set access_token in the environment`,
+      'if (pm.environment.get("access_token")) {',
+      `    ${authorize('access_token')}`,
+      '}'
+    ];
+  }
+
+  // Relative token URLs are resolved against the server URL
+  const tokenUrl = /^[a-z][a-z0-9+.-]*:\/\//i.test(flow.tokenUrl)
+    ? flow.tokenUrl
+    : `{{baseUrl}}${flow.tokenUrl.startsWith('/') ? '' : '/'}${flow.tokenUrl}`;
+  const scope = (scopes.length > 0 ? scopes : Object.keys(flow.scopes || {})).join(' ');
+  const tokenVariable = ['access_token', name, scope].filter(Boolean).join('_').replace(/[^A-Za-z0-9_]+/g, '_');
+  const expiresVariable = `${tokenVariable}_expires_at`;
+
+  return [
+    `// OAuth2 client credentials (${name}): reuse the cached token until it expires`,
+    'if (!pm.environment.get("client_id")) {',
+    '    if (pm.environment.get("access_token")) {',
+    `        ${authorize('access_token')}`,
+    '    }',
+    `} else if (Date.now() < Number(pm.environment.get(${JSON.stringify(expiresVariable)}) || 0)) {`,
+    `    ${authorize(tokenVariable)}`,
+    '} else {',
+    '    pm.sendRequest({',
+    `        url: pm.variables.replaceIn(${JSON.stringify(tokenUrl)}),`,
+    '        method: "POST",',
+    '        header: { "Content-Type": "application/x-www-form-urlencoded" },',
+    '        body: {',
+    '            mode: "urlencoded",',
+    '            urlencoded: [',
+    '                { key: "grant_type", value: "client_credentials" },',
+    '                { key: "client_id", value: pm.environment.get("client_id") },',
+    '                { key: "client_secret", value: pm.environment.get("client_secret") || "" },',
+    `                { key: "scope", value: ${JSON.stringify(scope)} }`,
+    '            ]',
+    '        }',
+    '    }, function (err, res) {',
+    '        if (err || res.code >= 400) {',
+    '            console.error("OAuth2 token request failed: " + (err ? err.message : res.code + " " + res.text()));',
+    '            return;',
+    '        }',
+    '        var token = res.json();',
+    '        // Renew 30s before expiry so the token cannot lapse mid-run',
+    '        var expiresIn = Number(token.expires_in) || 3600;',
+    `        pm.environment.set(${JSON.stringify(tokenVariable)}, token.access_token);`,
+    `        pm.environment.set(${JSON.stringify(expiresVariable)}, String(Date.now() + (expiresIn - 30) * 1000));`,
+    `        ${authorize(tokenVariable)}`,
+    '    });',
+    '}'
+  ];
+}
+
 export default {
   TestLevel,
+  generateTestKeyFromRequest,
   generateTestScriptsForSpec,
-  generatePreRequestScript
+  generateNegativeCasesForSpec,
+  generatePreRequestScript,
+  generatePreRequestScriptsForSpec
 };